@@ -311,6 +311,22 @@ function verifyConstants() {
       console.warn('SettingsManager not available');
     }
 
+    // Initialize material profiles
+    if (PrinterCalc.MaterialProfileEditor && PrinterCalc.MaterialProfileEditor.init) {
+      PrinterCalc.MaterialProfileEditor.init();
+      console.log('MaterialProfileEditor initialized');
+    } else {
+      console.warn('MaterialProfileEditor not available');
+    }
+
+    // Initialize post-processing pipeline
+    if (PrinterCalc.PostProcessingEditor && PrinterCalc.PostProcessingEditor.init) {
+      PrinterCalc.PostProcessingEditor.init();
+      console.log('PostProcessingEditor initialized');
+    } else {
+      console.warn('PostProcessingEditor not available');
+    }
+
     // Initialize theme manager
     if (PrinterCalc.ThemeManager && PrinterCalc.ThemeManager.init) {
       PrinterCalc.ThemeManager.init();
@@ -396,20 +412,33 @@ function initializeConstants() {
         BINDER_RATIO: 0.27,
         SILICA_DENSITY: 0.55,
         GLAZE_FACTOR: 0.1615,
-        GLAZE_BASE: 31.76
+        GLAZE_BASE: 31.76,
+        GLAZE_PER_CM2: 0.08,
+        GLAZE_COATS: 2,
+        GLAZE_MODEL: 'surface',
+        MIN_WALL_THICKNESS: 2,
+        HOLLOW_SHELL_THICKNESS: 3,
+        DRAIN_HOLE_COUNT: 2,
+        DRAIN_HOLE_DIAMETER: 5,
+        DRAIN_RECOVERY: [0, 0.6, 0.9],
+        DRAIN_HOLE_MIN_DIAMETER: 2,
+        DRAIN_HOLE_FULL_DIAMETER: 5,
+        POWDER_REUSE_PERCENT: 70
       },
       PRINTERS: {
         '400': {
           name: 'Printer 400',
           dimensions: { width: 390, depth: 290, height: 200 },
           layerTime: 45,
-          wallMargin: 10
+          wallMargin: 10,
+          costs: { powerKw: 1.2, lifetimeHours: 20000, setupMinutes: 20 }
         },
         '600': {
           name: 'Printer 600',
           dimensions: { width: 595, depth: 600, height: 250 },
           layerTime: 35,
-          wallMargin: 10
+          wallMargin: 10,
+          costs: { powerKw: 2, lifetimeHours: 20000, setupMinutes: 30 }
         }
       },
       SPACING: {
@@ -418,10 +447,34 @@ function initializeConstants() {
         LAYER_HEIGHT: 0.1
       },
       PRICING: {
-        USD: { powder: 100.00, binder: 0.09, silica: 0.072, glaze: 0.01 },
-        EUR: { powder: 92.86, binder: 0.085, silica: 0.069, glaze: 0.0098 },
-        JPY: { powder: 14285.71, binder: 12.50, silica: 11.00, glaze: 1.56 },
-        SGD: { powder: 135.00, binder: 0.12, silica: 0.10, glaze: 0.0137 }
+        USD: {
+          powder: 100.00, binder: 0.09, silica: 0.072, glaze: 0.01, labour: 30.00, electricity: 0.15,
+          machineHour: { '400': 8.00, '600': 12.00 }, printerPrice: { '400': 60000, '600': 120000 },
+          setupFee: 25.00, minimumCharge: 50.00
+        },
+        EUR: {
+          powder: 92.86, binder: 0.085, silica: 0.069, glaze: 0.0098, labour: 27.86, electricity: 0.14,
+          machineHour: { '400': 7.43, '600': 11.14 }, printerPrice: { '400': 55700, '600': 111400 },
+          setupFee: 23.21, minimumCharge: 46.43
+        },
+        JPY: {
+          powder: 14285.71, binder: 12.50, silica: 11.00, glaze: 1.56, labour: 4285.71, electricity: 21.43,
+          machineHour: { '400': 1142.86, '600': 1714.29 }, printerPrice: { '400': 8571429, '600': 17142857 },
+          setupFee: 3571.43, minimumCharge: 7142.86
+        },
+        SGD: {
+          powder: 135.00, binder: 0.12, silica: 0.10, glaze: 0.0137, labour: 40.50, electricity: 0.20,
+          machineHour: { '400': 10.80, '600': 16.20 }, printerPrice: { '400': 81000, '600': 162000 },
+          setupFee: 33.75, minimumCharge: 67.50
+        }
+      },
+      QUOTE: {
+        MARKUP_PERCENT: 40,
+        QUANTITY_TIERS: [
+          { minQuantity: 10, discountPercent: 5 },
+          { minQuantity: 50, discountPercent: 10 },
+          { minQuantity: 100, discountPercent: 15 }
+        ]
       },
       CURRENCY_SYMBOLS: {
         USD: '$', EUR: '€', JPY: '¥', SGD: 'S$'
@@ -446,6 +499,16 @@ function initManualCalculator() {
     glazeToggle.addEventListener('change', calculateManualResults);
   }
 
+  // Add the material picker
+  addManualMaterialSelect();
+
+  // Add the quote quantity
+  addManualQuantityInput();
+  const quantityInput = document.getElementById('manual-quantity');
+  if (quantityInput) {
+    quantityInput.addEventListener('change', calculateManualResults);
+  }
+
   // Get recalculate button
   const recalculateButton = document.getElementById('recalculateManual');
   if (recalculateButton) {
@@ -459,6 +522,95 @@ function initManualCalculator() {
       validateManualInput(input);
     });
   });
+
+  // Show the inputs in the display unit system
+  markManualUnitLabels();
+  updateManualUnits();
+}
+
+/**
+ * Add a material profile picker to the manual tab, above the glaze toggle
+ */
+function addManualMaterialSelect() {
+  if (document.getElementById('manual-material') || !PrinterCalc.MaterialProfileEditor) return;
+
+  const glazeToggle = document.getElementById('manual-glazeToggle');
+  const reference = glazeToggle ? glazeToggle.closest('.toggle-container') : null;
+  if (!reference) return;
+
+  const formGroup = document.createElement('div');
+  formGroup.className = 'form-group material-controls';
+  formGroup.innerHTML = `
+    <label for="manual-material">Material</label>
+    <select id="manual-material" class="material-select"></select>
+  `;
+
+  reference.parentNode.insertBefore(formGroup, reference);
+
+  const select = document.getElementById('manual-material');
+  PrinterCalc.MaterialProfileEditor.fillSelect(select);
+
+  select.addEventListener('change', function () {
+    // Reprice results that are already showing
+    const manualResults = document.getElementById('manual-results');
+    if (manualResults && manualResults.style.display === 'block') {
+      calculateManualResults();
+    }
+  });
+}
+
+// Manual inputs that hold a length or volume
+const MANUAL_QUANTITY_INPUTS = {
+  volume: 'volume',
+  width: 'length',
+  depth: 'length',
+  height: 'length'
+};
+
+/**
+ * Turn the unit in manual tab labels, e.g. "Width (mm)", into a unit label that follows the unit system
+ */
+function markManualUnitLabels() {
+  const manualTab = document.getElementById('manual-tab');
+  if (!manualTab) return;
+
+  const units = { '(mm)': 'length', '(cm³)': 'volume', '(cm²)': 'area', '(g)': 'weight' };
+  manualTab.querySelectorAll('label, .stat-label').forEach(label => {
+    if (label.querySelector('.unit-label')) return;
+
+    Object.keys(units).forEach(text => {
+      if (label.innerHTML.includes(text)) {
+        label.innerHTML = label.innerHTML.replace(
+          text,
+          `(<span class="unit-label" data-quantity="${units[text]}">${text.slice(1, -1)}</span>)`
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Show the manual tab inputs and labels in the current unit system
+ * The values themselves stay in mm and cm³, so switching back and forth loses nothing.
+ */
+function updateManualUnits() {
+  if (!PrinterCalc.Utils || typeof PrinterCalc.Utils.setQuantityInput !== 'function') return;
+
+  Object.keys(MANUAL_QUANTITY_INPUTS).forEach(id => {
+    const input = document.getElementById(id);
+    if (!input || input.value === '') return;
+
+    const quantity = MANUAL_QUANTITY_INPUTS[id];
+    const value = PrinterCalc.Utils.readQuantityInput(input, quantity);
+    if (!isNaN(value)) {
+      PrinterCalc.Utils.setQuantityInput(input, value, quantity);
+    }
+  });
+
+  const manualTab = document.getElementById('manual-tab');
+  if (manualTab) {
+    PrinterCalc.Utils.applyUnitLabels(manualTab);
+  }
 }
 
 /**
@@ -480,6 +632,48 @@ function setupGlobalEventHandlers() {
     }
   });
 
+  // Listen for a change of display units
+  document.addEventListener('printercalc:settingchanged', function (e) {
+    if (!e.detail || e.detail.key !== 'unitSystem') return;
+
+    updateManualUnits();
+
+    if (PrinterCalc.STLManager && PrinterCalc.STLManager.updateAllRows) {
+      PrinterCalc.STLManager.updateAllRows();
+    }
+
+    // Redraw manual results if they are showing
+    const manualResults = document.getElementById('manual-results');
+    if (manualResults && manualResults.style.display === 'block') {
+      calculateManualResults();
+    }
+  });
+
+  // Listen for material profile changes
+  document.addEventListener('printercalc:materialprofileschanged', function () {
+    if (PrinterCalc.STLManager && PrinterCalc.STLManager.updateMaterialProfiles) {
+      PrinterCalc.STLManager.updateMaterialProfiles();
+    }
+
+    const manualSelect = document.getElementById('manual-material');
+    if (manualSelect && PrinterCalc.MaterialProfileEditor) {
+      PrinterCalc.MaterialProfileEditor.fillSelect(manualSelect, manualSelect.value);
+    }
+
+    // Redraw manual results if they are showing
+    const manualResults = document.getElementById('manual-results');
+    if (manualResults && manualResults.style.display === 'block') {
+      calculateManualResults();
+    }
+  });
+
+  // Listen for post-processing pipeline changes
+  document.addEventListener('printercalc:postprocessingchanged', function () {
+    if (PrinterCalc.STLManager && PrinterCalc.STLManager.updatePostProcessingSteps) {
+      PrinterCalc.STLManager.updatePostProcessingSteps();
+    }
+  });
+
   // Listen for theme changes
   document.addEventListener('printercalc:themechanged', function (e) {
     // Update any visualizations that depend on theme
@@ -516,16 +710,39 @@ function validateManualInput(input) {
   }
 }
 
+/**
+ * Add a quote quantity input to the manual tab, above the glaze toggle
+ */
+function addManualQuantityInput() {
+  if (document.getElementById('manual-quantity') || !PrinterCalc.PricingEngine) return;
+
+  const glazeToggle = document.getElementById('manual-glazeToggle');
+  const reference = glazeToggle ? glazeToggle.closest('.toggle-container') : null;
+  if (!reference) return;
+
+  const formGroup = document.createElement('div');
+  formGroup.className = 'form-group quote-controls';
+  formGroup.innerHTML = `
+    <label for="manual-quantity">Quote Quantity</label>
+    <input type="number" id="manual-quantity" class="quote-quantity" value="1" min="1" step="1">
+  `;
+
+  reference.parentNode.insertBefore(formGroup, reference);
+}
+
 /**
  * Calculate manual results
  */
 function calculateManualResults() {
   try {
-    // Get input values
-    const volume = parseFloat(document.getElementById('volume').value);
-    const width = parseFloat(document.getElementById('width').value);
-    const depth = parseFloat(document.getElementById('depth').value);
-    const height = parseFloat(document.getElementById('height').value);
+    // Get input values in cm³ and mm, whatever units they are shown in
+    const readInput = id => (PrinterCalc.Utils && typeof PrinterCalc.Utils.readQuantityInput === 'function'
+      ? PrinterCalc.Utils.readQuantityInput(document.getElementById(id), MANUAL_QUANTITY_INPUTS[id])
+      : parseFloat(document.getElementById(id).value));
+    const volume = readInput('volume');
+    const width = readInput('width');
+    const depth = readInput('depth');
+    const height = readInput('height');
 
     // Validate all inputs
     if (isNaN(volume) || volume <= 0 ||
@@ -571,6 +788,12 @@ function calculateManualResults() {
       currency = PrinterCalc.SettingsManager.getSetting('currency') || 'USD';
     }
 
+    // Get the chosen material
+    const materialSelect = document.getElementById('manual-material');
+    const materialOptions = PrinterCalc.MaterialProfiles
+      ? { profile: PrinterCalc.MaterialProfiles.get(materialSelect ? materialSelect.value : null) }
+      : {};
+
     // Create dimensions object
     const dimensions = { width, depth, height };
 
@@ -578,7 +801,8 @@ function calculateManualResults() {
     const materialResult = PrinterCalc.MaterialCalculator.calculate(
       volume,
       includeGlaze,
-      currency
+      currency,
+      materialOptions
     );
 
     // Calculate print times
@@ -631,7 +855,11 @@ function calculateManualResults() {
 
     // Update stats
     const volumeDisplay = document.getElementById('volume-display');
-    if (volumeDisplay) volumeDisplay.textContent = volume.toFixed(2);
+    if (volumeDisplay) {
+      volumeDisplay.textContent = PrinterCalc.Utils && PrinterCalc.Utils.formatQuantity
+        ? PrinterCalc.Utils.formatQuantity(volume, 'volume', false)
+        : volume.toFixed(2);
+    }
 
     const dimensionsDisplay = document.getElementById('dimensions-display');
     if (dimensionsDisplay) {
@@ -647,7 +875,11 @@ function calculateManualResults() {
     if (printTimeDisplay) printTimeDisplay.textContent = printTimes.display;
 
     const materialWeightDisplay = document.getElementById('material-weight-display');
-    if (materialWeightDisplay) materialWeightDisplay.textContent = `${materialResult.weight.toFixed(1)}g`;
+    if (materialWeightDisplay) {
+      materialWeightDisplay.textContent = PrinterCalc.Utils && PrinterCalc.Utils.formatQuantity
+        ? PrinterCalc.Utils.formatQuantity(materialResult.weight, 'weight')
+        : `${materialResult.weight.toFixed(1)}g`;
+    }
 
     // Update cost breakdown
     const costBreakdown = document.getElementById('manual-costBreakdown');
@@ -671,6 +903,34 @@ function calculateManualResults() {
       }
     }
 
+    // Update quote: price of the quantity at the material cost per object.
+    // Manual entries have no build to cost, so the quote says it covers material only.
+    const quantityInput = document.getElementById('manual-quantity');
+    if (PrinterCalc.PricingEngine && quantityInput && costBreakdown) {
+      let quoteSummary = document.getElementById('manual-quote');
+      if (!quoteSummary) {
+        quoteSummary = document.createElement('div');
+        quoteSummary.id = 'manual-quote';
+        costBreakdown.parentNode.insertBefore(quoteSummary, costBreakdown.nextSibling);
+      }
+
+      const quote = PrinterCalc.PricingEngine.calculate(
+        materialResult.costs.total,
+        quantityInput.value,
+        currency,
+        materialOptions.profile
+      );
+      quantityInput.value = quote.quantity;
+
+      quoteSummary.innerHTML = PrinterCalc.PricingEngine.createQuoteSummary(
+        quote,
+        value => (PrinterCalc.Utils && PrinterCalc.Utils.formatCurrency
+          ? PrinterCalc.Utils.formatCurrency(value, currency)
+          : value.toFixed(2)),
+        { basis: 'Material cost only (no machine time, labour or post-processing)' }
+      );
+    }
+
     // Update printer stats
     const printer400Stats = document.getElementById('manual-printer400-stats');
     if (printer400Stats) {
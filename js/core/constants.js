@@ -10,7 +10,7 @@ window.PrinterCalc = window.PrinterCalc || {};
 
 // Material constants
 window.PrinterCalc.CONSTANTS = {
-  // Material properties
+  // Material properties (the starting values of the first material profile)
   MATERIALS: {
     // Powder density in kg/cm³
     POWDER_DENSITY: 0.002,
@@ -21,9 +21,37 @@ window.PrinterCalc.CONSTANTS = {
     // Silica density in g/cm³
     SILICA_DENSITY: 0.55,
     
-    // Glaze formula: g = 0.1615 * volume + 31.76
+    // Legacy glaze formula: g = 0.1615 * volume + 31.76
     GLAZE_FACTOR: 0.1615,
-    GLAZE_BASE: 31.76
+    GLAZE_BASE: 31.76,
+
+    // Surface glaze: g per cm² of surface for each coat
+    GLAZE_PER_CM2: 0.08,
+
+    // Default number of glaze coats
+    GLAZE_COATS: 2,
+
+    // Default glaze model ("surface" or "legacy")
+    GLAZE_MODEL: 'surface',
+
+    // Walls thinner than this (mm) are flagged as too fragile to print
+    MIN_WALL_THICKNESS: 2,
+
+    // Hollowing defaults: shell thickness (mm), drain holes and their diameter (mm)
+    HOLLOW_SHELL_THICKNESS: 3,
+    DRAIN_HOLE_COUNT: 2,
+    DRAIN_HOLE_DIAMETER: 5,
+
+    // Share of the hollow core's powder recovered with 0, 1 and 2+ drain holes of full size
+    DRAIN_RECOVERY: [0, 0.6, 0.9],
+
+    // Powder does not flow through drain holes narrower than the minimum (mm);
+    // recovery grows with the diameter up to the full size (mm)
+    DRAIN_HOLE_MIN_DIAMETER: 2,
+    DRAIN_HOLE_FULL_DIAMETER: 5,
+
+    // Share of the unbound powder in a build that is sieved and reused (%)
+    POWDER_REUSE_PERCENT: 70
   },
   
   // Printer specifications
@@ -39,7 +67,16 @@ window.PrinterCalc.CONSTANTS = {
       // Seconds per 0.1mm layer
       layerTime: 45,
       // Print area margins in mm
-      wallMargin: 10
+      wallMargin: 10,
+      // Running costs (rates in money are in PRICING, by currency)
+      costs: {
+        // Average power draw while printing, in kW
+        powerKw: 1.2,
+        // Print hours the printer is written off over
+        lifetimeHours: 20000,
+        // Operator minutes to set up and unload each build
+        setupMinutes: 20
+      }
     },
     
     // Printer 600 specs
@@ -53,7 +90,12 @@ window.PrinterCalc.CONSTANTS = {
       // Seconds per 0.1mm layer
       layerTime: 35,
       // Print area margins in mm
-      wallMargin: 10
+      wallMargin: 10,
+      costs: {
+        powerKw: 2,
+        lifetimeHours: 20000,
+        setupMinutes: 30
+      }
     }
   },
   
@@ -69,6 +111,41 @@ window.PrinterCalc.CONSTANTS = {
     LAYER_HEIGHT: 0.1
   },
   
+  // Units a model file may be drawn in
+  UNITS: {
+    // Millimetres per unit
+    FACTORS: {
+      mm: 1,
+      cm: 10,
+      in: 25.4
+    },
+
+    NAMES: {
+      mm: 'Millimetres',
+      cm: 'Centimetres',
+      in: 'Inches'
+    },
+
+    // A model no bigger than this on any side (in file units) was probably drawn in inches
+    INCH_GUESS_MAX_SIZE: 10
+  },
+  
+  // Display units for each unit system (values are always kept in mm, cm², cm³ and g)
+  UNIT_SYSTEMS: {
+    metric: {
+      length: { unit: 'mm', factor: 1, precision: 1 },
+      area: { unit: 'cm²', factor: 1, precision: 1 },
+      volume: { unit: 'cm³', factor: 1, precision: 2 },
+      weight: { unit: 'g', factor: 1, precision: 1 }
+    },
+    imperial: {
+      length: { unit: 'in', factor: 1 / 25.4, precision: 2 },
+      area: { unit: 'in²', factor: 1 / 6.4516, precision: 2 },
+      volume: { unit: 'in³', factor: 1 / 16.387064, precision: 3 },
+      weight: { unit: 'oz', factor: 1 / 28.349523125, precision: 2 }
+    }
+  },
+  
   // Material pricing by currency
   PRICING: {
     // USD pricing
@@ -83,7 +160,23 @@ window.PrinterCalc.CONSTANTS = {
       silica: 0.072,
       
       // Price per g
-      glaze: 0.01
+      glaze: 0.01,
+
+      // Operator time, per hour
+      labour: 30.00,
+
+      // Electricity, per kWh
+      electricity: 0.15,
+
+      // Machine hourly rate for each printer, per print hour
+      machineHour: { '400': 8.00, '600': 12.00 },
+
+      // Purchase price of each printer, written off over its lifetime hours
+      printerPrice: { '400': 60000, '600': 120000 },
+
+      // Quotes: fee added once per order, and the lowest price of an order
+      setupFee: 25.00,
+      minimumCharge: 50.00
     },
     
     // EUR pricing
@@ -91,7 +184,13 @@ window.PrinterCalc.CONSTANTS = {
       powder: 92.86,
       binder: 0.085,
       silica: 0.069,
-      glaze: 0.0098
+      glaze: 0.0098,
+      labour: 27.86,
+      electricity: 0.14,
+      machineHour: { '400': 7.43, '600': 11.14 },
+      printerPrice: { '400': 55700, '600': 111400 },
+      setupFee: 23.21,
+      minimumCharge: 46.43
     },
     
     // JPY pricing
@@ -99,7 +198,13 @@ window.PrinterCalc.CONSTANTS = {
       powder: 14285.71,
       binder: 12.50,
       silica: 11.00,
-      glaze: 1.56
+      glaze: 1.56,
+      labour: 4285.71,
+      electricity: 21.43,
+      machineHour: { '400': 1142.86, '600': 1714.29 },
+      printerPrice: { '400': 8571429, '600': 17142857 },
+      setupFee: 3571.43,
+      minimumCharge: 7142.86
     },
     
     // SGD pricing
@@ -107,9 +212,28 @@ window.PrinterCalc.CONSTANTS = {
       powder: 135.00,
       binder: 0.12,
       silica: 0.10,
-      glaze: 0.0137
+      glaze: 0.0137,
+      labour: 40.50,
+      electricity: 0.20,
+      machineHour: { '400': 10.80, '600': 16.20 },
+      printerPrice: { '400': 81000, '600': 162000 },
+      setupFee: 33.75,
+      minimumCharge: 67.50
     }
   },
+
+  // Quote defaults (money amounts are in PRICING, by currency)
+  QUOTE: {
+    // Markup on cost given to new material profiles (%)
+    MARKUP_PERCENT: 40,
+
+    // Orders of at least minQuantity parts get discountPercent off the marked-up price
+    QUANTITY_TIERS: [
+      { minQuantity: 10, discountPercent: 5 },
+      { minQuantity: 50, discountPercent: 10 },
+      { minQuantity: 100, discountPercent: 15 }
+    ]
+  },
   
   // Currency symbols for display
   CURRENCY_SYMBOLS: {
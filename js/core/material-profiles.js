@@ -0,0 +1,225 @@
+/**
+ * material-profiles.js - Material Profile Library
+ *
+ * Keeps the powders the calculator can price (density, binder ratio,
+ * silica density, legacy glaze formula and how much unbound powder can be
+ * reused) and saves them in localStorage.
+ * The first profile starts from the values in CONSTANTS.MATERIALS.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a material profiles module
+  PrinterCalc.MaterialProfiles = {
+    // localStorage key of the saved profiles
+    STORAGE_KEY: 'printercalc_material_profiles',
+
+    // Editable values of a profile
+    FIELDS: [
+      { key: 'powderDensity', label: 'Powder Density', unit: 'kg/cm³', step: 0.0001 },
+      { key: 'binderRatio', label: 'Binder Ratio', unit: 'ml/cm³', step: 0.01 },
+      { key: 'silicaDensity', label: 'Silica Density', unit: 'g/cm³', step: 0.01 },
+      { key: 'glazeFactor', label: 'Legacy Glaze Factor', unit: 'g/cm³', step: 0.001 },
+      { key: 'glazeBase', label: 'Legacy Glaze Base', unit: 'g', step: 0.01 },
+      { key: 'reusePercent', label: 'Unbound Powder Reused', unit: '%', step: 1, max: 100 },
+      { key: 'markupPercent', label: 'Quote Markup', unit: '%', step: 1 }
+    ],
+
+    // Saved profiles, in display order (null until loaded)
+    profiles: null,
+
+    /**
+     * Load the saved profiles
+     */
+    init: function () {
+      this.load();
+    },
+
+    /**
+     * Build the starting profile from the material constants
+     * @returns {Object} Profile
+     */
+    createDefaultProfile: function () {
+      const materials = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.MATERIALS) || {};
+      const quote = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.QUOTE) || {};
+
+      return {
+        id: 'default',
+        name: 'Standard Powder',
+        powderDensity: materials.POWDER_DENSITY || 0.002,
+        binderRatio: materials.BINDER_RATIO || 0.27,
+        silicaDensity: materials.SILICA_DENSITY || 0.55,
+        glazeFactor: materials.GLAZE_FACTOR || 0.1615,
+        glazeBase: materials.GLAZE_BASE || 31.76,
+        reusePercent: materials.POWDER_REUSE_PERCENT !== undefined ? materials.POWDER_REUSE_PERCENT : 70,
+        markupPercent: quote.MARKUP_PERCENT !== undefined ? quote.MARKUP_PERCENT : 40
+      };
+    },
+
+    /**
+     * Load profiles from localStorage, starting with the default profile if none are saved
+     */
+    load: function () {
+      let saved = null;
+
+      try {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        if (stored) saved = JSON.parse(stored);
+      } catch (error) {
+        console.error('Error loading material profiles:', error);
+      }
+
+      this.profiles = [];
+      if (Array.isArray(saved)) {
+        saved.forEach(profile => {
+          try {
+            // Values added since the profile was saved start from the defaults
+            const values = Object.assign(this.createDefaultProfile(), profile);
+            this.profiles.push(Object.assign({ id: profile.id }, this.validate(values)));
+          } catch (error) {
+            console.warn('Skipping invalid material profile:', profile, error);
+          }
+        });
+      }
+
+      if (this.profiles.length === 0) {
+        this.profiles.push(this.createDefaultProfile());
+      }
+    },
+
+    /**
+     * Save profiles to localStorage
+     */
+    save: function () {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.profiles));
+      } catch (error) {
+        console.error('Error saving material profiles:', error);
+      }
+    },
+
+    /**
+     * Get every profile
+     * @returns {Object[]} Profiles, in display order
+     */
+    getAll: function () {
+      if (!this.profiles) this.load();
+      return this.profiles.slice();
+    },
+
+    /**
+     * Get a profile
+     * @param {string} [id] - Profile ID
+     * @returns {Object} The profile, or the first profile if there is none with that ID
+     */
+    get: function (id) {
+      const profiles = this.getAll();
+      return profiles.find(profile => profile.id === id) || profiles[0];
+    },
+
+    /**
+     * Check and tidy the values of a profile
+     * @param {Object} values - Name and FIELDS values
+     * @returns {Object} { name, ...FIELDS } with numeric values
+     */
+    validate: function (values) {
+      const name = typeof values.name === 'string' ? values.name.trim() : '';
+      if (!name) {
+        throw new Error('Please give the material a name.');
+      }
+
+      const profile = { name };
+      this.FIELDS.forEach(field => {
+        const value = parseFloat(values[field.key]);
+        if (isNaN(value) || value < 0) {
+          throw new Error(`${field.label} must be a number of zero or more.`);
+        }
+        if (field.max !== undefined && value > field.max) {
+          throw new Error(`${field.label} cannot be more than ${field.max}.`);
+        }
+        profile[field.key] = value;
+      });
+
+      return profile;
+    },
+
+    /**
+     * Add a profile
+     * @param {Object} values - Name and FIELDS values
+     * @returns {Object} The new profile
+     */
+    create: function (values) {
+      const id = (PrinterCalc.Utils && typeof PrinterCalc.Utils.generateId === 'function')
+        ? PrinterCalc.Utils.generateId()
+        : ('material-' + Math.random().toString(36).substring(2, 15));
+      const profile = Object.assign({ id }, this.validate(values));
+
+      this.getAll();
+      this.profiles.push(profile);
+      this.save();
+      this.dispatchChangeEvent();
+
+      return profile;
+    },
+
+    /**
+     * Change a profile
+     * @param {string} id - Profile ID
+     * @param {Object} values - Name and FIELDS values
+     * @returns {Object} The updated profile
+     */
+    update: function (id, values) {
+      const index = this.getAll().findIndex(profile => profile.id === id);
+      if (index === -1) {
+        throw new Error('Material profile not found');
+      }
+
+      const profile = Object.assign({ id }, this.validate(values));
+      this.profiles[index] = profile;
+      this.save();
+      this.dispatchChangeEvent();
+
+      return profile;
+    },
+
+    /**
+     * Copy a profile
+     * @param {string} id - Profile ID
+     * @returns {Object} The copy
+     */
+    duplicate: function (id) {
+      const source = this.get(id);
+      return this.create(Object.assign({}, source, { name: `${source.name} (copy)` }));
+    },
+
+    /**
+     * Delete a profile (the last one cannot be deleted)
+     * @param {string} id - Profile ID
+     */
+    remove: function (id) {
+      const index = this.getAll().findIndex(profile => profile.id === id);
+      if (index === -1) return;
+
+      if (this.profiles.length === 1) {
+        throw new Error('At least one material profile is needed.');
+      }
+
+      this.profiles.splice(index, 1);
+      this.save();
+      this.dispatchChangeEvent();
+    },
+
+    /**
+     * Dispatch material profiles changed event
+     */
+    dispatchChangeEvent: function () {
+      const event = new CustomEvent('printercalc:materialprofileschanged', {
+        detail: { profiles: this.getAll() }
+      });
+
+      document.dispatchEvent(event);
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * post-processing-steps.js - Post-Processing Pipeline
+ *
+ * Keeps the ordered steps a build goes through after printing, each with
+ * its cost and time per part and per batch, and saves them in localStorage.
+ * A step can be tied to the silica or glaze material, so turning it off
+ * also stops that material being charged.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a post-processing steps module
+  PrinterCalc.PostProcessingSteps = {
+    // localStorage key of the saved steps
+    STORAGE_KEY: 'printercalc_post_processing',
+
+    // Materials a step can be tied to
+    MATERIALS: {
+      '': 'None',
+      silica: 'Silica (infiltration)',
+      glaze: 'Glaze'
+    },
+
+    // Cost and time values of a step (amounts are in the selected currency)
+    FIELDS: [
+      { key: 'partCost', label: 'Cost per Part', step: 0.01 },
+      { key: 'partCostPerCm3', label: 'Cost per Part cm³', step: 0.001 },
+      { key: 'partMinutes', label: 'Labour per Part (min)', step: 0.5 },
+      { key: 'batchCost', label: 'Cost per Batch', step: 0.01 },
+      { key: 'batchMinutes', label: 'Labour per Batch (min)', step: 1 },
+      { key: 'batchHours', label: 'Waiting Time per Batch (h)', step: 0.5 }
+    ],
+
+    // Saved steps, in pipeline order (null until loaded)
+    steps: null,
+
+    /**
+     * Load the saved steps
+     */
+    init: function () {
+      this.load();
+    },
+
+    /**
+     * Build the starting pipeline
+     * @returns {Object[]} Steps
+     */
+    createDefaultSteps: function () {
+      const step = (id, name, values) => Object.assign({
+        id,
+        name,
+        material: '',
+        enabled: true,
+        partCost: 0,
+        partCostPerCm3: 0,
+        partMinutes: 0,
+        batchCost: 0,
+        batchMinutes: 0,
+        batchHours: 0
+      }, values);
+
+      return [
+        step('depowder', 'Depowdering', { partMinutes: 2, batchMinutes: 10 }),
+        step('infiltration', 'Infiltration', { material: 'silica', partMinutes: 3, batchHours: 1 }),
+        step('glaze', 'Glazing', { material: 'glaze', partMinutes: 2 }),
+        step('drying', 'Drying', { batchMinutes: 5, batchHours: 4 }),
+        step('firing', 'Firing', { enabled: false, batchCost: 15, batchMinutes: 15, batchHours: 12 })
+      ];
+    },
+
+    /**
+     * Load steps from localStorage, starting with the default pipeline if none are saved
+     */
+    load: function () {
+      let saved = null;
+
+      try {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        if (stored) saved = JSON.parse(stored);
+      } catch (error) {
+        console.error('Error loading post-processing steps:', error);
+      }
+
+      this.steps = [];
+      if (Array.isArray(saved)) {
+        saved.forEach(step => {
+          try {
+            this.steps.push(Object.assign({ id: step.id }, this.validate(step)));
+          } catch (error) {
+            console.warn('Skipping invalid post-processing step:', step, error);
+          }
+        });
+      }
+
+      // An empty saved list is a pipeline with no steps
+      if (!Array.isArray(saved)) {
+        this.steps = this.createDefaultSteps();
+      }
+    },
+
+    /**
+     * Save steps to localStorage
+     */
+    save: function () {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.steps));
+      } catch (error) {
+        console.error('Error saving post-processing steps:', error);
+      }
+    },
+
+    /**
+     * Get every step
+     * @returns {Object[]} Steps, in pipeline order
+     */
+    getAll: function () {
+      if (!this.steps) this.load();
+      return this.steps.slice();
+    },
+
+    /**
+     * Get a step
+     * @param {string} id - Step ID
+     * @returns {Object|null} The step
+     */
+    get: function (id) {
+      return this.getAll().find(step => step.id === id) || null;
+    },
+
+    /**
+     * Check and tidy the values of a step
+     * @param {Object} values - Name, material, enabled and FIELDS values
+     * @returns {Object} { name, material, enabled, ...FIELDS } with numeric values
+     */
+    validate: function (values) {
+      const name = typeof values.name === 'string' ? values.name.trim() : '';
+      if (!name) {
+        throw new Error('Please give the step a name.');
+      }
+
+      const step = {
+        name,
+        material: this.MATERIALS[values.material] && values.material ? values.material : '',
+        enabled: values.enabled !== false
+      };
+
+      this.FIELDS.forEach(field => {
+        const value = values[field.key] === undefined || values[field.key] === '' ? 0 : parseFloat(values[field.key]);
+        if (isNaN(value) || value < 0) {
+          throw new Error(`${field.label} must be a number of zero or more.`);
+        }
+        step[field.key] = value;
+      });
+
+      return step;
+    },
+
+    /**
+     * Add a step at the end of the pipeline
+     * @param {Object} values - Step values
+     * @returns {Object} The new step
+     */
+    create: function (values) {
+      const id = (PrinterCalc.Utils && typeof PrinterCalc.Utils.generateId === 'function')
+        ? PrinterCalc.Utils.generateId()
+        : ('step-' + Math.random().toString(36).substring(2, 15));
+      const step = Object.assign({ id }, this.validate(values));
+
+      this.getAll();
+      this.steps.push(step);
+      this.save();
+      this.dispatchChangeEvent();
+
+      return step;
+    },
+
+    /**
+     * Change a step
+     * @param {string} id - Step ID
+     * @param {Object} values - Step values
+     * @returns {Object} The updated step
+     */
+    update: function (id, values) {
+      const index = this.getAll().findIndex(step => step.id === id);
+      if (index === -1) {
+        throw new Error('Post-processing step not found');
+      }
+
+      const step = Object.assign({ id }, this.validate(values));
+      this.steps[index] = step;
+      this.save();
+      this.dispatchChangeEvent();
+
+      return step;
+    },
+
+    /**
+     * Move a step earlier or later in the pipeline
+     * @param {string} id - Step ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    move: function (id, offset) {
+      const index = this.getAll().findIndex(step => step.id === id);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= this.steps.length) return;
+
+      const [step] = this.steps.splice(index, 1);
+      this.steps.splice(target, 0, step);
+      this.save();
+      this.dispatchChangeEvent();
+    },
+
+    /**
+     * Delete a step
+     * @param {string} id - Step ID
+     */
+    remove: function (id) {
+      const index = this.getAll().findIndex(step => step.id === id);
+      if (index === -1) return;
+
+      this.steps.splice(index, 1);
+      this.save();
+      this.dispatchChangeEvent();
+    },
+
+    /**
+     * Check whether a step runs for a row
+     * Steps tied to glaze follow the row's glaze toggle.
+     * @param {Object} step - Step
+     * @param {Object} [choices] - { [stepId]: boolean } switched by the user
+     * @param {boolean} [applyGlaze] - Whether the row is glazed
+     * @returns {boolean} True if the step runs
+     */
+    isEnabled: function (step, choices = {}, applyGlaze = true) {
+      if (step.material === 'glaze') return applyGlaze;
+      return choices[step.id] !== undefined ? choices[step.id] : step.enabled;
+    },
+
+    /**
+     * Dispatch post-processing changed event
+     */
+    dispatchChangeEvent: function () {
+      const event = new CustomEvent('printercalc:postprocessingchanged', {
+        detail: { steps: this.getAll() }
+      });
+
+      document.dispatchEvent(event);
+    }
+  };
+})();
\ No newline at end of file
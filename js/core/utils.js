@@ -66,17 +66,124 @@ console.log("Utils.js loading attempt...");
       },
       
       /**
-       * Format dimensions string
-       * @param {object} dimensions - Object with width, depth, height properties
+       * Format dimensions string in the display unit system
+       * @param {object} dimensions - Object with width, depth, height properties in mm
+       * @param {boolean} withUnit - Append the length unit
        * @returns {string} Formatted dimensions string
        */
-      formatDimensions: function(dimensions) {
+      formatDimensions: function(dimensions, withUnit = false) {
         if (!dimensions) return '--';
         
         const { width, depth, height } = dimensions;
         if (!width || !depth || !height) return '--';
         
-        return `${width.toFixed(1)} × ${depth.toFixed(1)} × ${height.toFixed(1)}`;
+        const { unit, factor, precision } = this.getDisplayUnits('length');
+        const text = [width, depth, height].map(value => (value * factor).toFixed(precision)).join(' × ');
+        return withUnit ? `${text} ${unit}` : text;
+      },
+      
+      /**
+       * Get the unit system values are displayed in
+       * @returns {string} "metric" or "imperial"
+       */
+      getUnitSystem: function() {
+        const system = PrinterCalc.SettingsManager && typeof PrinterCalc.SettingsManager.getSetting === 'function'
+          ? PrinterCalc.SettingsManager.getSetting('unitSystem', 'metric')
+          : 'metric';
+        return system === 'imperial' ? 'imperial' : 'metric';
+      },
+      
+      /**
+       * Get the display unit for a quantity
+       * @param {string} quantity - "length" (mm), "area" (cm²), "volume" (cm³) or "weight" (g)
+       * @param {string} system - Unit system, the current one by default
+       * @returns {object} { unit, factor (display units per internal unit), precision }
+       */
+      getDisplayUnits: function(quantity, system = this.getUnitSystem()) {
+        const systems = PrinterCalc.CONSTANTS.UNIT_SYSTEMS;
+        const units = systems && systems[system] && systems[system][quantity];
+        return units || { unit: { length: 'mm', area: 'cm²', volume: 'cm³', weight: 'g' }[quantity] || '', factor: 1, precision: 2 };
+      },
+      
+      /**
+       * Convert an internal value to display units
+       * @param {number} value - Value in mm, cm², cm³ or g
+       * @param {string} quantity - "length", "area", "volume" or "weight"
+       * @returns {number} Value in display units
+       */
+      toDisplayUnits: function(value, quantity) {
+        return value * this.getDisplayUnits(quantity).factor;
+      },
+      
+      /**
+       * Convert a value in display units back to internal units
+       * @param {number} value - Value in display units
+       * @param {string} quantity - "length", "area", "volume" or "weight"
+       * @returns {number} Value in mm, cm², cm³ or g
+       */
+      fromDisplayUnits: function(value, quantity) {
+        return value / this.getDisplayUnits(quantity).factor;
+      },
+      
+      /**
+       * Format a value in display units
+       * @param {number} value - Value in mm, cm², cm³ or g
+       * @param {string} quantity - "length", "area", "volume" or "weight"
+       * @param {boolean} withUnit - Append the unit
+       * @returns {string} Formatted value, e.g. "12.5 mm" or "0.49 in"
+       */
+      formatQuantity: function(value, quantity, withUnit = true) {
+        if (value === null || isNaN(value)) return '--';
+        
+        const { unit, factor, precision } = this.getDisplayUnits(quantity);
+        const text = (value * factor).toFixed(precision);
+        return withUnit ? `${text} ${unit}` : text;
+      },
+      
+      /**
+       * Show an internal value in a number input, in display units
+       * The exact value is kept on the input, so switching unit systems back and forth loses nothing.
+       * @param {HTMLInputElement} input - Number input
+       * @param {number} value - Value in mm, cm², cm³ or g
+       * @param {string} quantity - "length", "area", "volume" or "weight"
+       */
+      setQuantityInput: function(input, value, quantity) {
+        if (!input) return;
+        
+        const units = this.getDisplayUnits(quantity);
+        input.value = isFinite(value) ? String(parseFloat((value * units.factor).toFixed(units.precision + 2))) : '';
+        input.dataset.internalValue = String(value);
+        input.dataset.displayedValue = input.value;
+        input.dataset.unitSystem = this.getUnitSystem();
+      },
+      
+      /**
+       * Read a number input shown in display units
+       * @param {HTMLInputElement} input - Number input
+       * @param {string} quantity - "length", "area", "volume" or "weight"
+       * @returns {number} Value in mm, cm², cm³ or g (NaN if empty)
+       */
+      readQuantityInput: function(input, quantity) {
+        if (!input) return NaN;
+        
+        // Untouched since it was set: use the exact value
+        if (input.dataset.internalValue !== undefined && input.value === input.dataset.displayedValue) {
+          return parseFloat(input.dataset.internalValue);
+        }
+        
+        // Inputs never set through setQuantityInput() hold metric values from the page
+        const system = input.dataset.unitSystem || 'metric';
+        return parseFloat(input.value) / this.getDisplayUnits(quantity, system).factor;
+      },
+      
+      /**
+       * Fill in unit labels (elements with class "unit-label" and a data-quantity attribute)
+       * @param {HTMLElement|Document} root - Element to search in
+       */
+      applyUnitLabels: function(root = document) {
+        root.querySelectorAll('.unit-label[data-quantity]').forEach(label => {
+          label.textContent = this.getDisplayUnits(label.getAttribute('data-quantity')).unit;
+        });
       },
       
       /**
@@ -91,13 +198,28 @@ console.log("Utils.js loading attempt...");
       },
       
       /**
-       * Calculate glaze usage based on volume
+       * Calculate glaze usage based on volume (legacy model)
        * @param {number} volumeCm3 - Volume in cubic centimeters
+       * @param {number} [factor] - Grams per cm³ (defaults to the constant)
+       * @param {number} [base] - Fixed grams (defaults to the constant)
        * @returns {number} Glaze amount in grams
        */
-      calculateGlazeUsage: function(volumeCm3) {
+      calculateGlazeUsage: function(volumeCm3, factor, base) {
         const { GLAZE_FACTOR, GLAZE_BASE } = PrinterCalc.CONSTANTS.MATERIALS;
-        return (GLAZE_FACTOR * volumeCm3) + GLAZE_BASE;
+        const glazeFactor = factor !== undefined ? factor : GLAZE_FACTOR;
+        const glazeBase = base !== undefined ? base : GLAZE_BASE;
+        return (glazeFactor * volumeCm3) + glazeBase;
+      },
+      
+      /**
+       * Calculate glaze usage based on surface area
+       * @param {number} surfaceAreaCm2 - Surface area in square centimeters
+       * @param {number} coats - Number of glaze coats
+       * @param {number} gramsPerCm2 - Glaze per cm² for one coat
+       * @returns {number} Glaze amount in grams
+       */
+      calculateSurfaceGlazeUsage: function(surfaceAreaCm2, coats, gramsPerCm2) {
+        return surfaceAreaCm2 * gramsPerCm2 * coats;
       },
       
       /**
@@ -154,7 +276,7 @@ console.log("Utils.js loading attempt...");
       /**
        * Check if object fits in printer with given orientation
        * @param {object} dimensions - Object with width, depth, height properties
-       * @param {string} orientation - "flat" or "vertical"
+       * @param {string} orientation - "flat", "side", "vertical" or "custom"
        * @param {object} printer - Printer specifications
        * @returns {boolean} True if object fits
        */
@@ -166,23 +288,8 @@ console.log("Utils.js loading attempt...");
         const wallMargin = printer.wallMargin || PrinterCalc.CONSTANTS.PRINTERS['400'].wallMargin;
         
         // Get object dimensions based on orientation
-        let objectWidth, objectDepth, objectHeight;
-        
-        if (orientation === 'vertical') {
-          // For vertical orientation, sort dimensions and use
-          // smallest for width, middle for depth, largest for height
-          const dims = [dimensions.width, dimensions.depth, dimensions.height].sort((a, b) => a - b);
-          objectWidth = dims[0];
-          objectDepth = dims[1];
-          objectHeight = dims[2];
-        } else {
-          // For flat orientation, sort dimensions and use
-          // largest for width, middle for depth, smallest for height
-          const dims = [dimensions.width, dimensions.depth, dimensions.height].sort((a, b) => a - b);
-          objectWidth = dims[2];
-          objectDepth = dims[1];
-          objectHeight = dims[0];
-        }
+        const { width: objectWidth, depth: objectDepth, height: objectHeight } =
+          this.getOrientedDimensions(dimensions, orientation);
         
         // Check if object fits within print area
         return (objectWidth <= printerWidth - (2 * wallMargin)) && 
@@ -190,10 +297,37 @@ console.log("Utils.js loading attempt...");
                (objectHeight <= printerHeight);
       },
       
+      /**
+       * Get the width, depth and height of an object as it sits in the printer
+       * @param {object} dimensions - Object with width, depth, height properties
+       * @param {string} orientation - "flat" (smallest up), "side" (middle up), "vertical" (largest up) or "custom" (as given)
+       * @returns {object} Oriented width, depth and height
+       */
+      getOrientedDimensions: function(dimensions, orientation) {
+        if (orientation === 'custom') {
+          return { width: dimensions.width, depth: dimensions.depth, height: dimensions.height };
+        }
+        
+        const dims = [dimensions.width, dimensions.depth, dimensions.height].sort((a, b) => a - b);
+        
+        if (orientation === 'vertical') {
+          // Smallest for width, middle for depth, largest for height
+          return { width: dims[0], depth: dims[1], height: dims[2] };
+        }
+        
+        if (orientation === 'side') {
+          // Largest for width, smallest for depth, middle for height
+          return { width: dims[2], depth: dims[0], height: dims[1] };
+        }
+        
+        // Largest for width, middle for depth, smallest for height
+        return { width: dims[2], depth: dims[1], height: dims[0] };
+      },
+      
       /**
        * Calculate print time for an object
        * @param {object} dimensions - Object with width, depth, height properties
-       * @param {string} orientation - "flat" or "vertical"
+       * @param {string} orientation - "flat", "side", "vertical" or "custom"
        * @param {object} printer - Printer specifications
        * @returns {number} Print time in seconds
        */
@@ -201,15 +335,7 @@ console.log("Utils.js loading attempt...");
         if (!dimensions || !printer) return null;
         
         const layerHeight = PrinterCalc.CONSTANTS.SPACING.LAYER_HEIGHT;
-        let printHeight;
-        
-        if (orientation === 'vertical') {
-          // For vertical, use the largest dimension as height
-          printHeight = Math.max(dimensions.width, dimensions.depth, dimensions.height);
-        } else {
-          // For flat, use the smallest dimension as height
-          printHeight = Math.min(dimensions.width, dimensions.depth, dimensions.height);
-        }
+        const printHeight = this.getOrientedDimensions(dimensions, orientation).height;
         
         // Calculate number of layers and total print time
         const layers = Math.ceil(printHeight / layerHeight);
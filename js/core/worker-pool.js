@@ -0,0 +1,220 @@
+/**
+ * worker-pool.js - Reusable Web Worker Pool
+ *
+ * Runs jobs on a set of workers that share one script. Workers are started
+ * as jobs arrive, up to one per CPU core, and kept for later jobs; jobs
+ * beyond that wait in a queue.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a worker pool module
+  PrinterCalc.WorkerPool = {
+    /**
+     * Create a pool
+     * @param {string} source - Worker script source
+     * @param {number} [size] - Maximum number of workers (defaults to the number of CPU cores)
+     * @returns {Object} Pool
+     */
+    create: function (source, size) {
+      return {
+        url: URL.createObjectURL(new Blob([source], { type: 'application/javascript' })),
+        size: Math.max(1, size || navigator.hardwareConcurrency || 4),
+        // { worker, task } for each running worker (task is null when idle)
+        slots: [],
+        queue: []
+      };
+    },
+
+    /**
+     * Run a job on the next free worker
+     * The worker answers with any number of { progress: true } messages, then
+     * one { success, error } message that settles the job.
+     * @param {Object} pool - Pool from create()
+     * @param {Object} message - Job message
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onProgress] - Called with each progress message
+     * @param {Transferable[]} [options.transfer] - Objects to move to the worker
+     * @param {AbortSignal} [options.signal] - Cancels the job (a running worker is stopped)
+     * @returns {Promise<Object>} Final message from the worker
+     */
+    run: function (pool, message, options = {}) {
+      return new Promise((resolve, reject) => {
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        // However the job ends, its abort listener is removed so the signal
+        // does not keep the job alive
+        const task = {
+          message,
+          options,
+          resolve: (value) => {
+            this.detachSignal(task);
+            resolve(value);
+          },
+          reject: (error) => {
+            this.detachSignal(task);
+            reject(error);
+          },
+          onAbort: () => this.cancel(pool, task)
+        };
+        pool.queue.push(task);
+
+        if (signal) {
+          signal.addEventListener('abort', task.onAbort, { once: true });
+        }
+
+        try {
+          this.dispatch(pool);
+        } catch (error) {
+          // Workers cannot be started (e.g. blocked by the page's security policy)
+          const index = pool.queue.indexOf(task);
+          if (index !== -1) pool.queue.splice(index, 1);
+          task.reject(error);
+        }
+      });
+    },
+
+    /**
+     * Stop listening to a job's abort signal
+     * @param {Object} task - Task from run()
+     */
+    detachSignal: function (task) {
+      if (task.options.signal) {
+        task.options.signal.removeEventListener('abort', task.onAbort);
+      }
+    },
+
+    /**
+     * Hand queued jobs to idle workers, starting new ones while below the pool size
+     * @param {Object} pool - Pool from create()
+     */
+    dispatch: function (pool) {
+      while (pool.queue.length > 0) {
+        let slot = pool.slots.find(candidate => !candidate.task);
+        if (!slot) {
+          if (pool.slots.length >= pool.size) return;
+          slot = this.startWorker(pool);
+        }
+
+        const task = pool.queue.shift();
+        slot.task = task;
+        slot.worker.postMessage(task.message, task.options.transfer || []);
+      }
+    },
+
+    /**
+     * Start a worker and add it to the pool
+     * @param {Object} pool - Pool from create()
+     * @returns {Object} The new slot
+     */
+    startWorker: function (pool) {
+      const slot = { worker: new Worker(pool.url), task: null };
+
+      slot.worker.onmessage = (e) => {
+        const task = slot.task;
+        if (!task) return;
+
+        if (e.data.progress) {
+          if (typeof task.options.onProgress === 'function') {
+            task.options.onProgress(e.data);
+          }
+          return;
+        }
+
+        slot.task = null;
+        if (e.data.success) {
+          task.resolve(e.data);
+        } else {
+          task.reject(new Error(e.data.error || 'Worker processing failed'));
+        }
+        this.dispatch(pool);
+      };
+
+      // A worker that crashes is dropped; the next job starts a fresh one
+      slot.worker.onerror = (error) => {
+        const task = slot.task;
+        this.removeWorker(pool, slot);
+        if (task) {
+          task.reject(new Error(error.message || 'Worker processing failed'));
+        }
+        this.dispatch(pool);
+      };
+
+      pool.slots.push(slot);
+      return slot;
+    },
+
+    /**
+     * Cancel a job, stopping its worker if it has started
+     * @param {Object} pool - Pool from create()
+     * @param {Object} task - Queued or running task
+     */
+    cancel: function (pool, task) {
+      const reason = task.options.signal ? task.options.signal.reason : new Error('Worker job cancelled');
+      const index = pool.queue.indexOf(task);
+
+      if (index !== -1) {
+        pool.queue.splice(index, 1);
+        task.reject(reason);
+        return;
+      }
+
+      const slot = pool.slots.find(candidate => candidate.task === task);
+      if (!slot) return;
+
+      // The worker cannot be interrupted, so it is replaced
+      this.removeWorker(pool, slot);
+      task.reject(reason);
+      this.dispatch(pool);
+    },
+
+    /**
+     * Stop a worker and take it out of the pool
+     * @param {Object} pool - Pool from create()
+     * @param {Object} slot - Slot from startWorker()
+     */
+    removeWorker: function (pool, slot) {
+      slot.worker.terminate();
+      slot.task = null;
+
+      const index = pool.slots.indexOf(slot);
+      if (index !== -1) pool.slots.splice(index, 1);
+    },
+
+    /**
+     * Stop every worker and reject the jobs still waiting
+     * @param {Object} pool - Pool from create()
+     */
+    destroy: function (pool) {
+      pool.slots.slice().forEach(slot => {
+        if (slot.task) slot.task.reject(new Error('Worker pool closed'));
+        this.removeWorker(pool, slot);
+      });
+
+      pool.queue.splice(0).forEach(task => task.reject(new Error('Worker pool closed')));
+      URL.revokeObjectURL(pool.url);
+    },
+
+    /**
+     * Write out a module as an object literal for a worker script
+     * Methods keep their own code and simple settings are copied; anything else
+     * a method uses must be defined by the worker script as well.
+     * @param {Object} module - Module object
+     * @param {string[]} [keys] - Members to copy (defaults to all of them)
+     * @returns {string} Object literal source
+     */
+    moduleSource: function (module, keys = Object.keys(module)) {
+      const members = keys
+        .filter(key => ['function', 'number', 'string', 'boolean'].includes(typeof module[key]))
+        .map(key => `${key}: ${typeof module[key] === 'function' ? module[key].toString() : JSON.stringify(module[key])}`);
+
+      return `{\n${members.join(',\n')}\n}`;
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * zip-reader.js - Minimal ZIP Archive Reader
+ *
+ * Lists and extracts entries from ZIP containers (used by 3MF files).
+ * Deflated entries are inflated with the browser's DecompressionStream.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // ZIP record signatures
+  const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+  const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+  const LOCAL_FILE_HEADER = 0x04034b50;
+
+  // Create a ZIP reader module
+  PrinterCalc.ZipReader = {
+    /**
+     * List the entries of a ZIP archive
+     * @param {ArrayBuffer} arrayBuffer - ZIP file data
+     * @returns {Object} Entries keyed by normalized path
+     */
+    readEntries: function (arrayBuffer) {
+      const view = new DataView(arrayBuffer);
+
+      // Find the end of central directory record (scan back over the comment)
+      let eocdOffset = -1;
+      const minOffset = Math.max(0, arrayBuffer.byteLength - 22 - 65535);
+      for (let offset = arrayBuffer.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+          eocdOffset = offset;
+          break;
+        }
+      }
+
+      if (eocdOffset === -1) {
+        throw new Error('Not a valid ZIP archive');
+      }
+
+      const entryCount = view.getUint16(eocdOffset + 10, true);
+      const directoryOffset = view.getUint32(eocdOffset + 16, true);
+
+      if (directoryOffset === 0xFFFFFFFF) {
+        throw new Error('ZIP64 archives are not supported');
+      }
+
+      // Walk the central directory
+      const decoder = new TextDecoder();
+      const entries = {};
+      let offset = directoryOffset;
+
+      for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+          throw new Error('Corrupt ZIP central directory');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const name = decoder.decode(new Uint8Array(arrayBuffer, offset + 46, nameLength));
+
+        entries[this.normalizePath(name)] = {
+          name,
+          method: view.getUint16(offset + 10, true),
+          compressedSize: view.getUint32(offset + 20, true),
+          size: view.getUint32(offset + 24, true),
+          localOffset: view.getUint32(offset + 42, true)
+        };
+
+        offset += 46 + nameLength + extraLength + commentLength;
+      }
+
+      return entries;
+    },
+
+    /**
+     * Normalize an archive path for lookups (no leading slash, lower case)
+     * @param {string} path - Archive path
+     * @returns {string} Normalized path
+     */
+    normalizePath: function (path) {
+      return String(path || '').replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+    },
+
+    /**
+     * Find an entry by path
+     * @param {Object} entries - Entries from readEntries()
+     * @param {string} path - Archive path (leading slash optional)
+     * @returns {Object|null} Entry or null if not found
+     */
+    findEntry: function (entries, path) {
+      return entries[this.normalizePath(path)] || null;
+    },
+
+    /**
+     * Extract an entry's contents
+     * @param {ArrayBuffer} arrayBuffer - ZIP file data
+     * @param {Object} entry - Entry from readEntries()
+     * @returns {Promise<Uint8Array>} Promise resolving to the uncompressed bytes
+     */
+    extract: async function (arrayBuffer, entry) {
+      const view = new DataView(arrayBuffer);
+
+      if (view.getUint32(entry.localOffset, true) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+      }
+
+      // The local header has its own name and extra field lengths
+      const nameLength = view.getUint16(entry.localOffset + 26, true);
+      const extraLength = view.getUint16(entry.localOffset + 28, true);
+      const dataStart = entry.localOffset + 30 + nameLength + extraLength;
+      const data = new Uint8Array(arrayBuffer, dataStart, entry.compressedSize);
+
+      // Stored
+      if (entry.method === 0) {
+        return data.slice();
+      }
+
+      // Deflated
+      if (entry.method === 8) {
+        if (typeof DecompressionStream === 'undefined') {
+          throw new Error('This browser cannot read compressed archives. Please use a current browser.');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        const inflated = await new Response(stream).arrayBuffer();
+        return new Uint8Array(inflated);
+      }
+
+      throw new Error(`Unsupported ZIP compression method ${entry.method} in ${entry.name}`);
+    },
+
+    /**
+     * Extract an entry as UTF-8 text
+     * @param {ArrayBuffer} arrayBuffer - ZIP file data
+     * @param {Object} entry - Entry from readEntries()
+     * @returns {Promise<string>} Promise resolving to the entry text
+     */
+    extractText: async function (arrayBuffer, entry) {
+      const bytes = await this.extract(arrayBuffer, entry);
+      return new TextDecoder().decode(bytes);
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,349 @@
+/**
+ * 3mf-reader.js - 3MF File Reading
+ *
+ * Reads 3MF packages (ZIP container + 3D model XML) into one mesh per
+ * build item, honouring object/component transforms and model units.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // 3MF relationship type for the root model part
+  const MODEL_RELATIONSHIP = 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel';
+
+  // Production extension namespace (items and components in other model parts)
+  const PRODUCTION_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/production/2015/06';
+
+  // Millimetres per model unit
+  const UNIT_SCALE = {
+    micron: 0.001,
+    millimeter: 1,
+    centimeter: 10,
+    inch: 25.4,
+    foot: 304.8,
+    meter: 1000
+  };
+
+  // Identity transform in 3MF's 4x3 row-major layout
+  const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+  /**
+   * Get child elements by local name, ignoring namespaces
+   * @param {Element} parent - Parent element
+   * @param {string} name - Local element name
+   * @returns {Element[]} Matching descendants
+   */
+  function elementsByName(parent, name) {
+    return Array.from(parent.getElementsByTagNameNS('*', name));
+  }
+
+  /**
+   * Get the production extension path of an item or component
+   * @param {Element} element - Item or component element
+   * @returns {string|null} Model part path or null if in the same part
+   */
+  function productionPath(element) {
+    return element.getAttributeNS(PRODUCTION_NAMESPACE, 'path') || element.getAttribute('p:path') || null;
+  }
+
+  /**
+   * Combine two transforms so that `first` is applied before `second`
+   * @param {number[]} first - 4x3 transform
+   * @param {number[]} second - 4x3 transform
+   * @returns {number[]} Combined transform
+   */
+  function combineTransforms(first, second) {
+    const result = new Array(12);
+
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 3; col++) {
+        result[row * 3 + col] =
+          first[row * 3] * second[col] +
+          first[row * 3 + 1] * second[3 + col] +
+          first[row * 3 + 2] * second[6 + col] +
+          (row === 3 ? second[9 + col] : 0);
+      }
+    }
+
+    return result;
+  }
+
+  // Create a 3MF reader module
+  PrinterCalc.ThreeMFReader = {
+    /**
+     * Read a 3MF file into one part per build item
+     * @param {File} file - 3MF file
+     * @returns {Promise<Object[]>} Parts with name, positions, volumeCm3, surfaceAreaCm2, dimensions, triangleCount
+     */
+    readFile: async function (file) {
+      if (!PrinterCalc.ZipReader) {
+        throw new Error('ZIP reader not available. Please reload the page.');
+      }
+
+      // Read file as array buffer
+      const arrayBuffer = await PrinterCalc.Utils.readFileAsArrayBuffer(file);
+      const entries = PrinterCalc.ZipReader.readEntries(arrayBuffer);
+
+      // Find the root model part
+      const rootPath = await this.findRootModelPath(arrayBuffer, entries);
+      const models = {};
+      const rootModel = await this.loadModel(arrayBuffer, entries, rootPath, models);
+
+      // Each build item becomes its own part
+      const items = elementsByName(rootModel.document, 'item');
+      if (items.length === 0) {
+        throw new Error('The 3MF file has no build items.');
+      }
+
+      const baseName = file.name.replace(/\.3mf$/i, '');
+      const parts = [];
+
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        const objectId = item.getAttribute('objectid');
+        const itemPath = productionPath(item) || rootPath;
+        const itemModel = await this.loadModel(arrayBuffer, entries, itemPath, models);
+        const transform = this.parseTransform(item.getAttribute('transform'), rootModel.unitScale);
+
+        // Collect the item's triangles
+        const triangles = [];
+        await this.collectObject(arrayBuffer, entries, models, itemModel, objectId, transform, triangles, 0);
+
+        if (triangles.length === 0) {
+          console.warn(`3MF build item ${objectId} has no mesh triangles, skipping`);
+          continue;
+        }
+
+        const positions = new Float32Array(triangles);
+        const measurements = PrinterCalc.STLProcessor.measureTriangles(positions);
+        const object = itemModel.objects[objectId];
+        const objectName = object && object.element.getAttribute('name');
+
+        parts.push({
+          name: objectName || (items.length > 1 ? `${baseName} (part ${i + 1})` : baseName),
+          positions,
+          volumeCm3: measurements.volumeCm3,
+          surfaceAreaCm2: measurements.surfaceAreaCm2,
+          dimensions: measurements.dimensions,
+          triangleCount: measurements.triangleCount
+        });
+      }
+
+      if (parts.length === 0) {
+        throw new Error('The 3MF file does not contain any printable meshes.');
+      }
+
+      return parts;
+    },
+
+    /**
+     * Find the path of the root 3D model from the package relationships
+     * @param {ArrayBuffer} arrayBuffer - 3MF file data
+     * @param {Object} entries - ZIP entries
+     * @returns {Promise<string>} Promise resolving to the model path
+     */
+    findRootModelPath: async function (arrayBuffer, entries) {
+      const relsEntry = PrinterCalc.ZipReader.findEntry(entries, '_rels/.rels');
+
+      if (relsEntry) {
+        const relsXml = await PrinterCalc.ZipReader.extractText(arrayBuffer, relsEntry);
+        const rels = new DOMParser().parseFromString(relsXml, 'application/xml');
+        const modelRel = elementsByName(rels, 'Relationship')
+          .find(rel => rel.getAttribute('Type') === MODEL_RELATIONSHIP);
+
+        if (modelRel && modelRel.getAttribute('Target')) {
+          return modelRel.getAttribute('Target');
+        }
+      }
+
+      // Fall back to the conventional location
+      return '/3D/3dmodel.model';
+    },
+
+    /**
+     * Load and index a model part (cached per path)
+     * @param {ArrayBuffer} arrayBuffer - 3MF file data
+     * @param {Object} entries - ZIP entries
+     * @param {string} path - Model part path
+     * @param {Object} models - Cache of loaded models by normalized path
+     * @returns {Promise<Object>} Promise resolving to { document, unitScale, objects }
+     */
+    loadModel: async function (arrayBuffer, entries, path, models) {
+      const key = PrinterCalc.ZipReader.normalizePath(path);
+      if (models[key]) return models[key];
+
+      const entry = PrinterCalc.ZipReader.findEntry(entries, path);
+      if (!entry) {
+        throw new Error(`3MF model part not found: ${path}`);
+      }
+
+      const xml = await PrinterCalc.ZipReader.extractText(arrayBuffer, entry);
+      const document = new DOMParser().parseFromString(xml, 'application/xml');
+
+      if (elementsByName(document, 'parsererror').length > 0) {
+        throw new Error(`Invalid XML in 3MF model part: ${path}`);
+      }
+
+      // Model units default to millimetres
+      const modelElement = elementsByName(document, 'model')[0];
+      const unit = (modelElement && modelElement.getAttribute('unit')) || 'millimeter';
+      const unitScale = UNIT_SCALE[unit.toLowerCase()];
+
+      if (!unitScale) {
+        throw new Error(`Unsupported 3MF unit: ${unit}`);
+      }
+
+      // Index objects by ID
+      const objects = {};
+      elementsByName(document, 'object').forEach(element => {
+        objects[element.getAttribute('id')] = { element, mesh: null };
+      });
+
+      models[key] = { path, document, unitScale, objects };
+      return models[key];
+    },
+
+    /**
+     * Parse a 3MF transform attribute
+     * @param {string|null} value - "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"
+     * @param {number} unitScale - Millimetres per model unit (applied to the translation)
+     * @returns {number[]} 4x3 transform in millimetres
+     */
+    parseTransform: function (value, unitScale = 1) {
+      if (!value) return IDENTITY.slice();
+
+      const values = value.trim().split(/\s+/).map(parseFloat);
+      if (values.length !== 12 || values.some(isNaN)) {
+        console.warn('Ignoring invalid 3MF transform:', value);
+        return IDENTITY.slice();
+      }
+
+      values[9] *= unitScale;
+      values[10] *= unitScale;
+      values[11] *= unitScale;
+
+      return values;
+    },
+
+    /**
+     * Read an object's mesh into vertex and triangle arrays (cached)
+     * @param {Object} model - Model from loadModel()
+     * @param {Object} object - Indexed object
+     * @returns {Object|null} { vertices: Float64Array, triangles: Uint32Array } or null
+     */
+    readMesh: function (model, object) {
+      if (object.mesh) return object.mesh;
+
+      const meshElement = elementsByName(object.element, 'mesh')[0];
+      if (!meshElement) return null;
+
+      const vertexElements = elementsByName(meshElement, 'vertex');
+      const triangleElements = elementsByName(meshElement, 'triangle');
+      const vertices = new Float64Array(vertexElements.length * 3);
+      const triangles = new Uint32Array(triangleElements.length * 3);
+
+      // Vertices are converted to millimetres here
+      vertexElements.forEach((vertex, i) => {
+        ['x', 'y', 'z'].forEach((axis, k) => {
+          const value = parseFloat(vertex.getAttribute(axis));
+          if (!isFinite(value)) {
+            throw new Error(`3MF vertex ${i} has an invalid ${axis} coordinate.`);
+          }
+          vertices[i * 3 + k] = value * model.unitScale;
+        });
+      });
+
+      // A bad index would otherwise read another vertex, or none at all
+      triangleElements.forEach((triangle, i) => {
+        ['v1', 'v2', 'v3'].forEach((name, k) => {
+          const text = triangle.getAttribute(name);
+          const index = /^\s*\d+\s*$/.test(text || '') ? parseInt(text, 10) : -1;
+          if (index < 0 || index >= vertexElements.length) {
+            throw new Error(`3MF triangle ${i} references a missing vertex.`);
+          }
+          triangles[i * 3 + k] = index;
+        });
+      });
+
+      object.mesh = { vertices, triangles };
+      return object.mesh;
+    },
+
+    /**
+     * Append an object's transformed triangles, following components
+     * @param {ArrayBuffer} arrayBuffer - 3MF file data
+     * @param {Object} entries - ZIP entries
+     * @param {Object} models - Model cache
+     * @param {Object} model - Model containing the object
+     * @param {string} objectId - Object ID
+     * @param {number[]} transform - Accumulated transform
+     * @param {number[]} out - Output coordinates, 9 per triangle
+     * @param {number} depth - Component nesting depth
+     */
+    collectObject: async function (arrayBuffer, entries, models, model, objectId, transform, out, depth) {
+      if (depth > 32) {
+        throw new Error('3MF components are nested too deeply.');
+      }
+
+      const object = model.objects[objectId];
+      if (!object) {
+        throw new Error(`3MF object not found: ${objectId}`);
+      }
+
+      // Mesh object
+      const mesh = this.readMesh(model, object);
+      if (mesh) {
+        this.appendMesh(mesh, transform, out);
+        return;
+      }
+
+      // Components object
+      const components = elementsByName(object.element, 'component');
+      for (const component of components) {
+        const componentPath = productionPath(component);
+        const componentModel = componentPath
+          ? await this.loadModel(arrayBuffer, entries, componentPath, models)
+          : model;
+        const componentTransform = this.parseTransform(component.getAttribute('transform'), model.unitScale);
+
+        await this.collectObject(
+          arrayBuffer, entries, models, componentModel,
+          component.getAttribute('objectid'),
+          combineTransforms(componentTransform, transform),
+          out, depth + 1
+        );
+      }
+    },
+
+    /**
+     * Append a mesh's triangles with a transform applied
+     * @param {Object} mesh - Mesh from readMesh()
+     * @param {number[]} m - 4x3 transform
+     * @param {number[]} out - Output coordinates, 9 per triangle
+     */
+    appendMesh: function (mesh, m, out) {
+      const { vertices, triangles } = mesh;
+
+      // Mirroring transforms flip the winding, so swap two vertices to keep normals outward
+      const determinant =
+        m[0] * (m[4] * m[8] - m[5] * m[7]) -
+        m[1] * (m[3] * m[8] - m[5] * m[6]) +
+        m[2] * (m[3] * m[7] - m[4] * m[6]);
+      const order = determinant < 0 ? [0, 2, 1] : [0, 1, 2];
+
+      for (let t = 0; t < triangles.length; t += 3) {
+        for (let k = 0; k < 3; k++) {
+          const v = triangles[t + order[k]] * 3;
+          const x = vertices[v], y = vertices[v + 1], z = vertices[v + 2];
+
+          out.push(
+            x * m[0] + y * m[3] + z * m[6] + m[9],
+            x * m[1] + y * m[4] + z * m[7] + m[10],
+            x * m[2] + y * m[5] + z * m[8] + m[11]
+          );
+        }
+      }
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * cavity-detector.js - Enclosed Cavity Detection
+ *
+ * Finds fully enclosed voids that would trap unbound powder in a
+ * powder-bed print. The mesh is split into shells; a shell wound the
+ * opposite way to the part and lying inside another shell is a cavity.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a cavity detector module
+  PrinterCalc.CavityDetector = {
+    /**
+     * Detect enclosed cavities
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} [mesh] - Result of MeshAnalyzer.prepare(), shared with other passes
+     * @returns {Object} { cavities, totalVolumeCm3, shellCount, cavityFaces: Uint8Array, dimensions }
+     */
+    detect: function (positions, mesh) {
+      const { shellOf, shells, sign, grid } = PrinterCalc.MeshAnalyzer.analyzeShells(positions, mesh);
+      const triangleCount = shellOf.length;
+      const shellCount = shells.length;
+
+      // Cavities are inverted shells inside another shell
+      const cavityShells = new Uint8Array(shellCount);
+      const cavities = [];
+
+      shells.forEach((shell, s) => {
+        if (shell.volume * sign >= 0 || shell.containers.length === 0) return;
+
+        // Solid shells sitting directly inside the cavity take up part of it
+        let enclosedSolid = 0;
+        shells.forEach(other => {
+          if (other.volume * sign > 0 &&
+            other.containers.includes(s) &&
+            other.containers.length === shell.containers.length + 1) {
+            enclosedSolid += other.volume * sign;
+          }
+        });
+
+        const volumeMm3 = Math.max(0, -shell.volume * sign - enclosedSolid);
+        cavityShells[s] = 1;
+
+        cavities.push({
+          volumeCm3: volumeMm3 / 1000,
+          center: {
+            x: (shell.min[0] + shell.max[0]) / 2,
+            y: (shell.min[1] + shell.max[1]) / 2,
+            z: (shell.min[2] + shell.max[2]) / 2
+          },
+          size: {
+            width: shell.max[0] - shell.min[0],
+            depth: shell.max[1] - shell.min[1],
+            height: shell.max[2] - shell.min[2]
+          },
+          triangleCount: shell.triangleCount
+        });
+      });
+
+      // Faces to highlight in the viewer
+      const cavityFaces = new Uint8Array(triangleCount);
+      for (let t = 0; t < triangleCount; t++) {
+        if (shellOf[t] !== -1 && cavityShells[shellOf[t]]) cavityFaces[t] = 1;
+      }
+
+      // Largest first
+      cavities.sort((a, b) => b.volumeCm3 - a.volumeCm3);
+
+      return {
+        cavities,
+        totalVolumeCm3: cavities.reduce((sum, cavity) => sum + cavity.volumeCm3, 0),
+        shellCount,
+        cavityFaces,
+        // Size of the measured mesh, so later scaling can be applied to the results
+        dimensions: {
+          width: grid.max[0] - grid.min[0],
+          depth: grid.max[1] - grid.min[1],
+          height: grid.max[2] - grid.min[2]
+        }
+      };
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * cost-model.js - Build Cost Model
+ *
+ * Adds the running costs of a build to its material: machine time, operator
+ * setup time, electricity and printer depreciation from the build's print
+ * time, and the post-processing steps that follow it.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a cost model module
+  PrinterCalc.CostModel = {
+    // Cost items, in breakdown order
+    ITEMS: {
+      material: 'Material',
+      powderWaste: 'Powder waste',
+      machine: 'Machine time',
+      labour: 'Labour',
+      energy: 'Electricity',
+      depreciation: 'Depreciation',
+      postProcessing: 'Post-processing'
+    },
+
+    /**
+     * Cost a full build on one printer
+     * @param {Object} capacity - Result of PrinterCapacity.calculate() or calculateParts()
+     * @param {string} printerType - "400" or "600"
+     * @param {string} currency - Currency code
+     * @param {Object} [inputs] - Costs already known
+     * @param {number} [inputs.materialPerObject] - Material cost of one object (or set)
+     * @param {number} [inputs.powderWaste] - Cost of the bed powder the build wastes (MaterialCalculator.calculateBuildPowder())
+     * @param {Object} [inputs.postProcessing] - Result of calculatePostProcessing() for the build
+     * @returns {Object|null} { objects, printHours, labourMinutes, leadHours, postProcessing, build, perObject } with a cost per ITEMS key and total, or null if nothing fits
+     */
+    calculate: function (capacity, printerType, currency = 'USD', inputs = {}) {
+      const printer = PrinterCalc.CONSTANTS.PRINTERS[printerType];
+      const objects = capacity ? Number(capacity.totalObjects) || 0 : 0;
+      if (!printer || objects === 0 || !capacity.fitsInPrinter) {
+        return null;
+      }
+
+      const pricing = PrinterCalc.CONSTANTS.PRICING[currency] || PrinterCalc.CONSTANTS.PRICING.USD;
+      const costs = printer.costs || {};
+      const rate = (table, fallback = 0) => (table && table[printerType] !== undefined ? table[printerType] : fallback);
+
+      const printHours = (Number(capacity.printTime) || 0) / 3600;
+      const labourMinutes = costs.setupMinutes || 0;
+      const postProcessing = inputs.postProcessing || null;
+
+      const build = {
+        material: (inputs.materialPerObject || 0) * objects,
+        powderWaste: inputs.powderWaste || 0,
+        machine: printHours * rate(pricing.machineHour),
+        labour: (labourMinutes / 60) * (pricing.labour || 0),
+        energy: printHours * (costs.powerKw || 0) * (pricing.electricity || 0),
+        depreciation: costs.lifetimeHours > 0 ? printHours * rate(pricing.printerPrice) / costs.lifetimeHours : 0,
+        postProcessing: postProcessing ? postProcessing.cost : 0
+      };
+      build.total = Object.keys(this.ITEMS).reduce((sum, key) => sum + build[key], 0);
+
+      const perObject = {};
+      Object.keys(build).forEach(key => {
+        perObject[key] = build[key] / objects;
+      });
+
+      return {
+        objects,
+        printHours,
+        labourMinutes,
+        // Printing, then each post-processing step in turn
+        leadHours: printHours + (postProcessing ? postProcessing.hours : 0),
+        postProcessing,
+        build,
+        perObject
+      };
+    },
+
+    /**
+     * Cost an order spread over as many builds as it needs
+     * Full builds cost what calculate() gives for them; a last, partly filled
+     * build only holds (and charges for) the parts left over.
+     * @param {number} quantity - Objects (or sets) ordered
+     * @param {Object} fullBuild - calculate() result for a full build
+     * @param {Object|null} [lastBuild] - calculate() result for a build holding only the parts left over
+     * @returns {Object} { quantity, builds, fullBuilds, remainder, printHours, leadHours, cost, unitCost } with a cost per ITEMS key and total
+     */
+    calculateOrder: function (quantity, fullBuild, lastBuild = null) {
+      quantity = Math.max(1, Math.round(Number(quantity) || 1));
+
+      const fullBuilds = Math.floor(quantity / fullBuild.objects);
+      const remainder = quantity - fullBuilds * fullBuild.objects;
+      const last = remainder > 0 ? (lastBuild || fullBuild) : null;
+
+      const cost = {};
+      Object.keys(this.ITEMS).concat('total').forEach(key => {
+        // Without a costed partial build, the leftover parts pay their share of a full one
+        const lastCost = !last ? 0 : (lastBuild ? lastBuild.build[key] : fullBuild.perObject[key] * remainder);
+        cost[key] = fullBuild.build[key] * fullBuilds + lastCost;
+      });
+
+      // Builds print one after another; each is post-processed while the next prints
+      const builds = fullBuilds + (last ? 1 : 0);
+      const printHours = fullBuild.printHours * fullBuilds + (last ? last.printHours : 0);
+      const finalBuild = last || fullBuild;
+
+      return {
+        quantity,
+        builds,
+        fullBuilds,
+        remainder,
+        printHours,
+        leadHours: printHours + (finalBuild.leadHours - finalBuild.printHours),
+        cost,
+        unitCost: cost.total / quantity
+      };
+    },
+
+    /**
+     * Cost the post-processing of a build
+     * Each step costs its consumables plus its labour at the labour rate. Steps run
+     * one after another, so a step's time is its labour plus its waiting time.
+     * @param {Object[]} steps - Steps that run, in order (PostProcessingSteps)
+     * @param {number} objects - Objects in the build
+     * @param {number} objectVolumeCm3 - Printed volume of one object (or set)
+     * @param {string} currency - Currency code
+     * @returns {Object} { steps: [{ id, name, cost, labourMinutes, hours }], cost, hours }
+     */
+    calculatePostProcessing: function (steps, objects, objectVolumeCm3, currency = 'USD') {
+      const pricing = PrinterCalc.CONSTANTS.PRICING[currency] || PrinterCalc.CONSTANTS.PRICING.USD;
+      const labourRate = pricing.labour || 0;
+
+      const results = steps.map(step => {
+        const labourMinutes = step.partMinutes * objects + step.batchMinutes;
+        const consumables = (step.partCost + step.partCostPerCm3 * objectVolumeCm3) * objects + step.batchCost;
+
+        return {
+          id: step.id,
+          name: step.name,
+          cost: consumables + (labourMinutes / 60) * labourRate,
+          labourMinutes,
+          hours: labourMinutes / 60 + step.batchHours
+        };
+      });
+
+      return {
+        steps: results,
+        cost: results.reduce((sum, step) => sum + step.cost, 0),
+        hours: results.reduce((sum, step) => sum + step.hours, 0)
+      };
+    }
+  };
+})();
\ No newline at end of file
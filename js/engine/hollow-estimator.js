@@ -0,0 +1,333 @@
+/**
+ * hollow-estimator.js - Hollowing Estimation
+ *
+ * Estimates how much of a part is left when it is hollowed to a given
+ * shell thickness. The mesh is voxelized, and a distance transform finds
+ * the core lying deeper than the shell thickness below the surface.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  /**
+   * One-dimensional squared distance transform (Felzenszwalb & Huttenlocher)
+   * @param {Float32Array} f - Input costs (0 outside, Infinity inside)
+   * @param {number} n - Number of samples
+   * @param {Float32Array} d - Output squared distances
+   * @param {Int32Array} v - Scratch: parabola locations
+   * @param {Float32Array} z - Scratch: parabola boundaries
+   */
+  function distanceTransform1D(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+
+    for (let q = 1; q < n; q++) {
+      if (f[q] === Infinity) continue;
+
+      // Skip leading samples with no finite parabola yet
+      if (f[v[0]] === Infinity) {
+        v[0] = q;
+        continue;
+      }
+
+      let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      while (s <= z[k]) {
+        k--;
+        s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      }
+
+      k++;
+      v[k] = q;
+      z[k] = s;
+      z[k + 1] = Infinity;
+    }
+
+    // Nothing finite along this line
+    if (f[v[0]] === Infinity) {
+      d.fill(Infinity, 0, n);
+      return;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+      while (z[k + 1] < q) k++;
+      d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+  }
+
+  /**
+   * Voxelize a closed mesh by ray parity along Z
+   * Self-contained, so it can also run in the hollowing worker.
+   * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+   * @param {number} shellThickness - Shell thickness, used to pick the voxel size
+   * @param {number} maxVoxels - Upper limit on voxels
+   * @param {number} voxelsPerShell - Voxels per shell thickness when the budget allows
+   * @returns {Object} { inside: Uint8Array, size: [nx, ny, nz], voxelSize, min }
+   */
+  function voxelizeMesh(positions, shellThickness, maxVoxels, voxelsPerShell) {
+    const triangleCount = Math.floor(positions.length / 9);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < triangleCount * 9; i++) {
+      const axis = i % 3;
+      min[axis] = Math.min(min[axis], positions[i]);
+      max[axis] = Math.max(max[axis], positions[i]);
+    }
+
+    if (triangleCount === 0) {
+      throw new Error('The mesh has no triangles');
+    }
+
+    // Fine enough to resolve the shell, coarse enough to fit the budget
+    const extent = [0, 1, 2].map(axis => Math.max(max[axis] - min[axis], 1e-6));
+    const budgetSize = Math.cbrt((extent[0] * extent[1] * extent[2]) / maxVoxels);
+    const voxelSize = Math.max(shellThickness / voxelsPerShell, budgetSize);
+
+    // One empty voxel of padding on every side
+    const size = extent.map(length => Math.ceil(length / voxelSize) + 2);
+    const origin = min.map(value => value - voxelSize);
+    const [nx, ny, nz] = size;
+    const inside = new Uint8Array(nx * ny * nz);
+
+    // Crossings of each column's centre line with the surface (nudged off the
+    // voxel centres so lines do not run exactly through shared mesh edges)
+    const columns = new Map();
+    const nudge = voxelSize * 1.234e-4;
+    const p = positions;
+
+    for (let t = 0; t < triangleCount; t++) {
+      const i = t * 9;
+      const ax = p[i], ay = p[i + 1], az = p[i + 2];
+      const bx = p[i + 3], by = p[i + 4], bz = p[i + 5];
+      const cx = p[i + 6], cy = p[i + 7], cz = p[i + 8];
+
+      const area = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+      if (Math.abs(area) < 1e-12) continue;
+
+      const x0 = Math.max(0, Math.ceil((Math.min(ax, bx, cx) - origin[0]) / voxelSize - 0.5));
+      const x1 = Math.min(nx - 1, Math.floor((Math.max(ax, bx, cx) - origin[0]) / voxelSize - 0.5));
+      const y0 = Math.max(0, Math.ceil((Math.min(ay, by, cy) - origin[1]) / voxelSize - 0.5));
+      const y1 = Math.min(ny - 1, Math.floor((Math.max(ay, by, cy) - origin[1]) / voxelSize - 0.5));
+
+      for (let x = x0; x <= x1; x++) {
+        const px = origin[0] + (x + 0.5) * voxelSize + nudge;
+
+        for (let y = y0; y <= y1; y++) {
+          const py = origin[1] + (y + 0.5) * voxelSize + nudge * 0.731;
+
+          // Barycentric coordinates of the column in the triangle's XY projection
+          const u = ((bx - px) * (cy - py) - (cx - px) * (by - py)) / area;
+          const w = ((cx - px) * (ay - py) - (ax - px) * (cy - py)) / area;
+          const s = 1 - u - w;
+          if (u < 0 || w < 0 || s < 0) continue;
+
+          const key = x * ny + y;
+          let hits = columns.get(key);
+          if (!hits) {
+            hits = [];
+            columns.set(key, hits);
+          }
+          hits.push(u * az + w * bz + s * cz);
+        }
+      }
+    }
+
+    // Fill between pairs of crossings
+    columns.forEach((hits, key) => {
+      hits.sort((a, b) => a - b);
+      const x = Math.floor(key / ny);
+      const y = key % ny;
+
+      for (let h = 0; h + 1 < hits.length; h += 2) {
+        const z0 = Math.max(0, Math.ceil((hits[h] - origin[2]) / voxelSize - 0.5));
+        const z1 = Math.min(nz - 1, Math.floor((hits[h + 1] - origin[2]) / voxelSize - 0.5));
+
+        for (let z = z0; z <= z1; z++) {
+          inside[x + y * nx + z * nx * ny] = 1;
+        }
+      }
+    });
+
+    return { inside, size, voxelSize, min: origin };
+  }
+
+  /**
+   * Estimate the share of a mesh deeper than the shell thickness
+   * Self-contained, so it can also run in the hollowing worker.
+   * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+   * @param {number} shellThickness - Wall thickness to keep, in mm
+   * @param {number} maxVoxels - Upper limit on voxels
+   * @param {number} voxelsPerShell - Voxels per shell thickness when the budget allows
+   * @returns {Object} { coreFraction, voxelSize, interiorVoxels, coreVoxels (may be fractional) }
+   */
+  function estimateCore(positions, shellThickness, maxVoxels, voxelsPerShell) {
+    if (!(shellThickness > 0)) {
+      throw new Error('Shell thickness must be greater than zero');
+    }
+
+    const voxels = voxelizeMesh(positions, shellThickness, maxVoxels, voxelsPerShell);
+    const { inside, size, voxelSize } = voxels;
+    const [nx, ny, nz] = size;
+    const total = nx * ny * nz;
+
+    // Squared distance (in voxels) from each inside voxel to the nearest outside voxel
+    const distance = new Float32Array(total);
+    for (let i = 0; i < total; i++) {
+      distance[i] = inside[i] ? Infinity : 0;
+    }
+
+    const longest = Math.max(nx, ny, nz);
+    const f = new Float32Array(longest);
+    const d = new Float32Array(longest);
+    const v = new Int32Array(longest);
+    const z = new Float32Array(longest + 1);
+    const strides = [1, nx, nx * ny];
+
+    // Separable passes along x, then y, then z
+    [0, 1, 2].forEach(axis => {
+      const n = size[axis];
+      const stride = strides[axis];
+      const others = [0, 1, 2].filter(other => other !== axis);
+
+      for (let a = 0; a < size[others[0]]; a++) {
+        for (let b = 0; b < size[others[1]]; b++) {
+          const base = a * strides[others[0]] + b * strides[others[1]];
+
+          for (let i = 0; i < n; i++) f[i] = distance[base + i * stride];
+          distanceTransform1D(f, n, d, v, z);
+          for (let i = 0; i < n; i++) distance[base + i * stride] = d[i];
+        }
+      }
+    });
+
+    // The surface lies about half a voxel beyond the last inside voxel centre.
+    // Voxels straddling the shell boundary count in part, so coarse grids stay smooth.
+    let interiorVoxels = 0;
+    let coreVoxels = 0;
+
+    for (let i = 0; i < total; i++) {
+      if (!inside[i]) continue;
+
+      interiorVoxels++;
+      const depth = (Math.sqrt(distance[i]) - 0.5) * voxelSize;
+      coreVoxels += Math.min(1, Math.max(0, (depth - shellThickness) / voxelSize + 0.5));
+    }
+
+    return {
+      coreFraction: interiorVoxels > 0 ? coreVoxels / interiorVoxels : 0,
+      voxelSize,
+      interiorVoxels,
+      coreVoxels
+    };
+  }
+
+  // Create a hollow estimator module
+  PrinterCalc.HollowEstimator = {
+    // Upper limit on voxels, to keep memory and time in check
+    MAX_VOXELS: 2000000,
+
+    // Voxels per shell thickness when the budget allows
+    VOXELS_PER_SHELL: 4,
+
+    /**
+     * Estimate the share of the part that hollowing removes
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {number} shellThickness - Wall thickness to keep, in mm
+     * @returns {Object} { coreFraction, voxelSize, interiorVoxels, coreVoxels (may be fractional) }
+     */
+    estimate: function (positions, shellThickness) {
+      return estimateCore(positions, shellThickness, this.MAX_VOXELS, this.VOXELS_PER_SHELL);
+    },
+
+    /**
+     * Estimate the share of the part that hollowing removes, off the main thread
+     * Falls back to the main thread when workers cannot be started.
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {number} shellThickness - Wall thickness to keep, in mm
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Cancels the estimate
+     * @returns {Promise<Object>} Result as for estimate()
+     */
+    estimateInBackground: async function (positions, shellThickness, options = {}) {
+      if (window.Worker && PrinterCalc.WorkerPool) {
+        try {
+          // The mesh is copied to the worker; the row keeps its own
+          const result = await PrinterCalc.WorkerPool.run(this.getWorkerPool(), {
+            positions,
+            shellThickness,
+            maxVoxels: this.MAX_VOXELS,
+            voxelsPerShell: this.VOXELS_PER_SHELL
+          }, { signal: options.signal });
+
+          return {
+            coreFraction: result.coreFraction,
+            voxelSize: result.voxelSize,
+            interiorVoxels: result.interiorVoxels,
+            coreVoxels: result.coreVoxels
+          };
+        } catch (workerError) {
+          if (workerError.name === 'AbortError') throw workerError;
+          console.warn('Hollowing worker failed, falling back to main thread:', workerError);
+        }
+      }
+
+      if (options.signal) options.signal.throwIfAborted();
+      return this.estimate(positions, shellThickness);
+    },
+
+    /**
+     * Voxelize a closed mesh by ray parity along Z
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {number} shellThickness - Shell thickness, used to pick the voxel size
+     * @returns {Object} { inside: Uint8Array, size: [nx, ny, nz], voxelSize, min }
+     */
+    voxelize: function (positions, shellThickness) {
+      return voxelizeMesh(positions, shellThickness, this.MAX_VOXELS, this.VOXELS_PER_SHELL);
+    },
+
+    /**
+     * Get the source of the hollowing worker script
+     * @returns {string} Worker code
+     */
+    getWorkerSource: function () {
+      return `
+        ${distanceTransform1D.toString()}
+
+        ${voxelizeMesh.toString()}
+
+        ${estimateCore.toString()}
+
+        self.onmessage = function(e) {
+          try {
+            const { positions, shellThickness, maxVoxels, voxelsPerShell } = e.data;
+            const result = estimateCore(positions, shellThickness, maxVoxels, voxelsPerShell);
+
+            result.success = true;
+            self.postMessage(result);
+          } catch (error) {
+            self.postMessage({
+              success: false,
+              error: error.message || 'Error estimating hollowing'
+            });
+          }
+        };
+      `;
+    },
+
+    /**
+     * Get the hollowing worker pool, creating it on first use
+     * A single worker keeps the voxel grids of several rows out of memory at the same time.
+     * @returns {Object} Pool from WorkerPool.create()
+     */
+    getWorkerPool: function () {
+      if (!this.workerPool) {
+        this.workerPool = PrinterCalc.WorkerPool.create(this.getWorkerSource(), 1);
+      }
+      return this.workerPool;
+    }
+  };
+})();
\ No newline at end of file
@@ -15,15 +15,26 @@
      * @param {number} volumeCm3 - Volume in cubic centimeters
      * @param {boolean} applyGlaze - Whether to apply glaze
      * @param {string} currency - Currency code
+     * @param {Object} [options] - Extra inputs
+     * @param {Object} [options.profile] - Material profile (defaults to the first saved profile)
+     * @param {boolean} [options.infiltrate] - Whether the part is infiltrated with silica (default true)
+     * @param {number} [options.surfaceAreaCm2] - Mesh surface area, needed for the surface glaze model
+     * @param {string} [options.glazeModel] - "surface" or "legacy" (defaults to the setting)
+     * @param {number} [options.glazeCoats] - Number of glaze coats (defaults to the setting)
+     * @param {number} [options.glazePerCm2] - Glaze in g/cm² per coat (defaults to the setting)
+     * @param {number} [options.trappedPowderCm3] - Volume of enclosed cavities that trap unbound powder
+     * @param {boolean} [options.includeTrappedPowder] - Whether the trapped powder is charged (default true)
+     * @param {number} [options.corePowderCm3] - Unbound powder left in a hollowed core (always charged)
      * @returns {Object} Material usage and cost data
      */
-    calculate: function (volumeCm3, applyGlaze = true, currency = 'USD') {
+    calculate: function (volumeCm3, applyGlaze = true, currency = 'USD', options = {}) {
       console.log("MaterialCalculator.calculate called");
 
-      // Ensure we have constants before proceeding
-      if (!window.PrinterCalc || !PrinterCalc.CONSTANTS || !PrinterCalc.CONSTANTS.MATERIALS) {
-        console.error("Missing CONSTANTS.MATERIALS in MaterialCalculator.calculate");
-        throw new Error('Material constants not available');
+      // Ensure we have a material before proceeding
+      const profile = options.profile || (PrinterCalc.MaterialProfiles ? PrinterCalc.MaterialProfiles.get() : null);
+      if (!profile) {
+        console.error("No material profile in MaterialCalculator.calculate");
+        throw new Error('Material profile not available');
       }
 
       // Validate inputs with fallback if Utils isn't available
@@ -33,31 +44,55 @@
         throw new Error('Invalid volume');
       }
 
-      // Get material constants
-      const { POWDER_DENSITY, BINDER_RATIO, SILICA_DENSITY, GLAZE_FACTOR, GLAZE_BASE } = PrinterCalc.CONSTANTS.MATERIALS;
+      // Get material properties
+      const { powderDensity, binderRatio, silicaDensity, glazeFactor, glazeBase } = profile;
 
       // Get pricing data for selected currency
       const pricing = PrinterCalc.CONSTANTS.PRICING[currency] || PrinterCalc.CONSTANTS.PRICING.USD;
 
       // Calculate material quantities with better precision
-      const powder = parseFloat((volumeCm3 * POWDER_DENSITY).toFixed(6)); // kg
-      const binder = parseFloat((volumeCm3 * BINDER_RATIO).toFixed(6)); // ml
-      const silica = parseFloat((volumeCm3 * SILICA_DENSITY).toFixed(6)); // g
+      const powder = parseFloat((volumeCm3 * powderDensity).toFixed(6)); // kg
+      const binder = parseFloat((volumeCm3 * binderRatio).toFixed(6)); // ml
+      const silica = options.infiltrate === false ? 0 : parseFloat((volumeCm3 * silicaDensity).toFixed(6)); // g
+
+      // Unbound powder left inside enclosed cavities (no binder, silica or glaze)
+      const trappedPowderCm3 = options.trappedPowderCm3 > 0 ? options.trappedPowderCm3 : 0;
+      const includeTrappedPowder = options.includeTrappedPowder !== false;
+      const trappedPowder = parseFloat((trappedPowderCm3 * powderDensity).toFixed(6)); // kg
+      const chargedTrappedPowder = includeTrappedPowder ? trappedPowder : 0;
+
+      // Powder left in a hollowed core cannot be kept out of the part, so it is always charged
+      const corePowderCm3 = options.corePowderCm3 > 0 ? options.corePowderCm3 : 0;
+      const corePowder = parseFloat((corePowderCm3 * powderDensity).toFixed(6)); // kg
+      const unboundPowder = chargedTrappedPowder + corePowder;
+
+      // Work out which glaze model applies
+      const glazeSettings = this.getGlazeSettings(options);
+      const surfaceAreaCm2 = options.surfaceAreaCm2 > 0 ? options.surfaceAreaCm2 : null;
+
+      // The surface model needs the mesh surface area (not known for manual entries)
+      const glazeModel = glazeSettings.model === 'surface' && surfaceAreaCm2 ? 'surface' : 'legacy';
 
       // Calculate glaze amount (if enabled) - with fallback if Utils is not available
       let glaze = 0;
-      if (applyGlaze) {
+      if (applyGlaze && glazeModel === 'surface') {
+        if (PrinterCalc.Utils && typeof PrinterCalc.Utils.calculateSurfaceGlazeUsage === 'function') {
+          glaze = PrinterCalc.Utils.calculateSurfaceGlazeUsage(surfaceAreaCm2, glazeSettings.coats, glazeSettings.gramsPerCm2);
+        } else {
+          glaze = surfaceAreaCm2 * glazeSettings.gramsPerCm2 * glazeSettings.coats;
+        }
+      } else if (applyGlaze) {
         if (PrinterCalc.Utils && typeof PrinterCalc.Utils.calculateGlazeUsage === 'function') {
           // Use Utils method if available
-          glaze = PrinterCalc.Utils.calculateGlazeUsage(volumeCm3);
+          glaze = PrinterCalc.Utils.calculateGlazeUsage(volumeCm3, glazeFactor, glazeBase);
         } else {
           // Fallback implementation
-          glaze = (GLAZE_FACTOR * volumeCm3) + GLAZE_BASE;
+          glaze = (glazeFactor * volumeCm3) + glazeBase;
         }
       }
 
       // Calculate component costs
-      const powderCost = powder * pricing.powder;
+      const powderCost = (powder + unboundPowder) * pricing.powder;
       const binderCost = binder * pricing.binder;
       const silicaCost = silica * pricing.silica;
       const glazeCost = glaze * pricing.glaze;
@@ -72,13 +107,13 @@
       const glazePercentage = applyGlaze && totalCost > 0 ? (glazeCost / totalCost) * 100 : 0;
 
       // Calculate total weight (convert powder kg to g)
-      const totalWeight = (powder * 1000) + silica + glaze;
+      const totalWeight = ((powder + unboundPowder) * 1000) + silica + glaze;
 
       // Return complete result
       return {
         // Material usage
         materials: {
-          powder: powder, // kg
+          powder: powder + unboundPowder, // kg
           binder: binder, // ml
           silica: silica, // g
           glaze: glaze    // g
@@ -101,6 +136,31 @@
           glaze: glazePercentage
         },
 
+        // Glaze model used
+        glazeDetails: {
+          model: glazeModel,
+          coats: glazeModel === 'surface' ? glazeSettings.coats : null,
+          surfaceArea: surfaceAreaCm2
+        },
+
+        // Powder trapped in enclosed cavities (included in powder when charged)
+        trappedPowder: {
+          volume: trappedPowderCm3,   // cm³
+          powder: trappedPowder,      // kg
+          cost: trappedPowder * pricing.powder,
+          included: includeTrappedPowder && trappedPowder > 0
+        },
+
+        // Powder left in a hollowed core (included in powder)
+        corePowder: {
+          volume: corePowderCm3,      // cm³
+          powder: corePowder,         // kg
+          cost: corePowder * pricing.powder
+        },
+
+        // Material used
+        profile: { id: profile.id, name: profile.name },
+
         // Summary stats
         volume: volumeCm3,
         weight: totalWeight,
@@ -108,10 +168,142 @@
       };
     },
 
+    /**
+     * Calculate solid and hollowed costs for an object
+     * @param {number} volumeCm3 - Solid volume in cubic centimeters
+     * @param {Object} hollowing - Hollowing parameters
+     * @param {number} hollowing.coreFraction - Share of the volume deeper than the shell (from HollowEstimator)
+     * @param {number} hollowing.shellThickness - Shell thickness in mm
+     * @param {number} [hollowing.drainHoles] - Number of drain holes
+     * @param {number} [hollowing.drainHoleDiameter] - Drain hole diameter in mm
+     * @param {boolean} applyGlaze - Whether to apply glaze
+     * @param {string} currency - Currency code
+     * @param {Object} [options] - Extra inputs, as for calculate()
+     * @returns {Object} { solid, hollow, shellVolumeCm3, coreVolumeCm3, recoveredPowderCm3, trappedPowderCm3, recoveryRate, savings }
+     */
+    calculateHollow: function (volumeCm3, hollowing, applyGlaze = true, currency = 'USD', options = {}) {
+      const materials = PrinterCalc.CONSTANTS.MATERIALS;
+      const recoveryRates = materials.DRAIN_RECOVERY || [0, 0.6, 0.9];
+      const minDiameter = materials.DRAIN_HOLE_MIN_DIAMETER || 2;
+      const fullDiameter = Math.max(materials.DRAIN_HOLE_FULL_DIAMETER || 5, minDiameter);
+      const drainHoles = Math.max(0, Math.round(hollowing.drainHoles || 0));
+      const drainHoleDiameter = Math.max(0, hollowing.drainHoleDiameter || 0);
+      const coreFraction = Math.min(1, Math.max(0, hollowing.coreFraction || 0));
+
+      // The core becomes unbound powder; drain holes are cut through the shell
+      const coreVolumeCm3 = volumeCm3 * coreFraction;
+      const holeVolumeCm3 = coreVolumeCm3 > 0
+        ? drainHoles * Math.PI * Math.pow(drainHoleDiameter / 2, 2) * hollowing.shellThickness / 1000
+        : 0;
+      const shellVolumeCm3 = Math.max(volumeCm3 - coreVolumeCm3 - holeVolumeCm3, volumeCm3 * 0.01);
+
+      // Powder the drain holes let us recover; the rest stays trapped inside.
+      // Narrow holes drain less, and below the minimum diameter nothing flows out.
+      const holeSize = fullDiameter > minDiameter
+        ? Math.min(1, Math.max(0, (drainHoleDiameter - minDiameter) / (fullDiameter - minDiameter)))
+        : (drainHoleDiameter >= fullDiameter ? 1 : 0);
+      const recoveryRate = coreVolumeCm3 > 0
+        ? recoveryRates[Math.min(drainHoles, recoveryRates.length - 1)] * holeSize
+        : 0;
+      const recoveredPowderCm3 = coreVolumeCm3 * recoveryRate;
+      const trappedPowderCm3 = coreVolumeCm3 - recoveredPowderCm3;
+
+      const solid = this.calculate(volumeCm3, applyGlaze, currency, options);
+      const hollow = this.calculate(shellVolumeCm3, applyGlaze, currency, Object.assign({}, options, {
+        corePowderCm3: trappedPowderCm3
+      }));
+
+      return {
+        solid,
+        hollow,
+        shellVolumeCm3,
+        coreVolumeCm3,
+        recoveredPowderCm3,
+        trappedPowderCm3,
+        recoveryRate,
+        savings: solid.costs.total - hollow.costs.total
+      };
+    },
+
+    /**
+     * Work out the powder a whole build spreads and wastes
+     * The bed is filled across its full area up to the build height. Powder that
+     * is not bound into the objects is sieved, and the share of it the material
+     * cannot reuse is waste, shared out over the objects in the build.
+     * @param {Object} capacity - Result of PrinterCapacity.calculate() or calculateParts()
+     * @param {string} printerType - "400" or "600"
+     * @param {number} objectVolumeCm3 - Printed volume of one object (or set of parts)
+     * @param {string} currency - Currency code
+     * @param {Object} [options] - Extra inputs, as for calculate() (profile and trapped powder are used)
+     * @returns {Object|null} { bedVolumeCm3, objectsVolumeCm3, unboundVolumeCm3, reusedVolumeCm3, wasteVolumeCm3, wastePowder (kg), wasteCost, wasteCostPerObject }, or null if nothing fits
+     */
+    calculateBuildPowder: function (capacity, printerType, objectVolumeCm3, currency = 'USD', options = {}) {
+      const printer = PrinterCalc.CONSTANTS.PRINTERS[printerType];
+      const objects = capacity ? Number(capacity.totalObjects) || 0 : 0;
+      if (!printer || objects === 0 || !capacity.fitsInPrinter || !(capacity.printHeight > 0)) {
+        return null;
+      }
+
+      const profile = options.profile || (PrinterCalc.MaterialProfiles ? PrinterCalc.MaterialProfiles.get() : null);
+      if (!profile) {
+        throw new Error('Material profile not available');
+      }
+
+      const pricing = PrinterCalc.CONSTANTS.PRICING[currency] || PrinterCalc.CONSTANTS.PRICING.USD;
+
+      // Whole bed (walls included) up to the top of the build, mm³ to cm³
+      const bedVolumeCm3 = printer.dimensions.width * printer.dimensions.depth * capacity.printHeight / 1000;
+
+      // Powder trapped in cavities or a hollowed core leaves with the objects and is already charged to them
+      const trappedPowderCm3 = (options.trappedPowderCm3 > 0 ? options.trappedPowderCm3 : 0) +
+        (options.corePowderCm3 > 0 ? options.corePowderCm3 : 0);
+      const objectsVolumeCm3 = objects * (objectVolumeCm3 + trappedPowderCm3);
+
+      const unboundVolumeCm3 = Math.max(0, bedVolumeCm3 - objectsVolumeCm3);
+      const reuseRate = Math.min(100, Math.max(0, profile.reusePercent || 0)) / 100;
+      const reusedVolumeCm3 = unboundVolumeCm3 * reuseRate;
+      const wasteVolumeCm3 = unboundVolumeCm3 - reusedVolumeCm3;
+
+      const wastePowder = wasteVolumeCm3 * profile.powderDensity; // kg
+      const wasteCost = wastePowder * pricing.powder;
+
+      return {
+        bedVolumeCm3,
+        objectsVolumeCm3,
+        unboundVolumeCm3,
+        reusedVolumeCm3,
+        wasteVolumeCm3,
+        wastePowder,
+        wasteCost,
+        wasteCostPerObject: wasteCost / objects
+      };
+    },
+
+    /**
+     * Get the glaze model settings
+     * @param {Object} options - Explicit values that override the saved settings
+     * @returns {Object} { model, coats, gramsPerCm2 }
+     */
+    getGlazeSettings: function (options = {}) {
+      const materials = PrinterCalc.CONSTANTS.MATERIALS;
+      const getSetting = (key, fallback) => {
+        if (PrinterCalc.SettingsManager && typeof PrinterCalc.SettingsManager.getSetting === 'function') {
+          return PrinterCalc.SettingsManager.getSetting(key, fallback);
+        }
+        return fallback;
+      };
+
+      return {
+        model: options.glazeModel || getSetting('glazeModel', materials.GLAZE_MODEL || 'legacy'),
+        coats: options.glazeCoats || getSetting('glazeCoats', materials.GLAZE_COATS || 1),
+        gramsPerCm2: options.glazePerCm2 || getSetting('glazePerCm2', materials.GLAZE_PER_CM2 || 0)
+      };
+    },
+
     /**
      * Calculate and format the print time for a model
      * @param {Object} dimensions - Width, depth, height of the model
-     * @param {string} orientation - "flat" or "vertical"
+     * @param {string} orientation - "flat", "side", "vertical" or "custom"
      * @returns {Object} Print times for both printer models
      */
     calculatePrintTimes: function (dimensions, orientation) {
@@ -151,9 +343,11 @@
         } else {
           // Simplified fallback implementation
           const layerHeight = 0.1; // Default layer height
-          let printHeight = orient === 'vertical' ?
-            Math.max(dims.width, dims.depth, dims.height) :
-            Math.min(dims.width, dims.depth, dims.height);
+          const sorted = [dims.width, dims.depth, dims.height].sort((a, b) => a - b);
+          let printHeight = orient === 'custom' ? dims.height
+            : orient === 'vertical' ? sorted[2]
+              : orient === 'side' ? sorted[1]
+                : sorted[0];
 
           return Math.ceil(printHeight / layerHeight) * printer.layerTime;
         }
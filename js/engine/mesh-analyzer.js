@@ -0,0 +1,630 @@
+/**
+ * mesh-analyzer.js - Mesh Integrity Analysis
+ *
+ * Checks a triangle soup for the defects that make the signed-tetrahedron
+ * volume unreliable: open and non-manifold edges, degenerate triangles,
+ * inconsistent winding and self-intersections.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  /**
+   * Test whether segment p-q crosses triangle a-b-c (Moller-Trumbore)
+   * @param {number[]} p - Segment start
+   * @param {number[]} q - Segment end
+   * @param {number[]} a - Triangle vertex
+   * @param {number[]} b - Triangle vertex
+   * @param {number[]} c - Triangle vertex
+   * @returns {boolean} True if the segment passes through the triangle's interior
+   */
+  function segmentCrossesTriangle(p, q, a, b, c) {
+    const dx = q[0] - p[0], dy = q[1] - p[1], dz = q[2] - p[2];
+    const e1x = b[0] - a[0], e1y = b[1] - a[1], e1z = b[2] - a[2];
+    const e2x = c[0] - a[0], e2y = c[1] - a[1], e2z = c[2] - a[2];
+
+    const hx = dy * e2z - dz * e2y;
+    const hy = dz * e2x - dx * e2z;
+    const hz = dx * e2y - dy * e2x;
+    const det = e1x * hx + e1y * hy + e1z * hz;
+
+    // Parallel (coplanar overlaps are not counted)
+    if (Math.abs(det) < 1e-12) return false;
+
+    const inv = 1 / det;
+    const sx = p[0] - a[0], sy = p[1] - a[1], sz = p[2] - a[2];
+    const u = (sx * hx + sy * hy + sz * hz) * inv;
+    if (u <= 0 || u >= 1) return false;
+
+    const qx = sy * e1z - sz * e1y;
+    const qy = sz * e1x - sx * e1z;
+    const qz = sx * e1y - sy * e1x;
+    const v = (dx * qx + dy * qy + dz * qz) * inv;
+    if (v <= 0 || u + v >= 1) return false;
+
+    const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+    return t > 0 && t < 1;
+  }
+
+  // Slightly skewed ray so it does not run along edges of axis-aligned meshes
+  const RAY_DIRECTION = (function () {
+    const direction = [1, 0.0123, 0.0371];
+    const length = Math.hypot(direction[0], direction[1], direction[2]);
+    return direction.map(value => value / length);
+  })();
+
+  // Create a mesh analyzer module
+  PrinterCalc.MeshAnalyzer = {
+    // Vertices closer than this (mm) are treated as the same vertex
+    WELD_TOLERANCE: 1e-4,
+
+    // Self-intersection testing is skipped above this many triangles
+    MAX_INTERSECTION_TRIANGLES: 300000,
+
+    // Stop counting self-intersections after this many pairs
+    MAX_INTERSECTION_PAIRS: 1000,
+
+    /**
+     * Weld, index and grid a mesh once, for all the passes that need it
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {Object} { positions, indexed, edges, grid } (the shells pass adds shells)
+     */
+    prepare: function (positions) {
+      const indexed = this.indexVertices(positions);
+      return {
+        positions,
+        indexed,
+        edges: this.analyzeEdges(indexed),
+        grid: PrinterCalc.TriangleGrid.create(positions, { skip: indexed.degenerate })
+      };
+    },
+
+    /**
+     * Run every mesh check: integrity, separate bodies, enclosed cavities and the oriented bounding box
+     * The checks share one prepared mesh and one shells pass.
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {Object} { report, bodies, cavities, boundingBox } (bodies, cavities and boundingBox are null if their check failed)
+     */
+    runChecks: function (positions) {
+      const mesh = this.prepare(positions);
+      const result = { report: this.analyze(positions, mesh), bodies: null, cavities: null, boundingBox: null };
+
+      // Separate bodies, measured without their triangles
+      if (PrinterCalc.STLProcessor && typeof PrinterCalc.STLProcessor.splitBodies === 'function') {
+        try {
+          result.bodies = PrinterCalc.STLProcessor.splitBodies(positions, mesh)
+            .map(({ volumeCm3, surfaceAreaCm2, dimensions, triangleCount }) =>
+              ({ volumeCm3, surfaceAreaCm2, dimensions, triangleCount }));
+        } catch (error) {
+          console.error('Error splitting bodies:', error);
+        }
+      }
+
+      // Enclosed voids that would trap powder
+      if (PrinterCalc.CavityDetector) {
+        try {
+          result.cavities = PrinterCalc.CavityDetector.detect(positions, mesh);
+        } catch (error) {
+          console.error('Error detecting cavities:', error);
+        }
+      }
+
+      // A part modelled at an angle has a much tighter box of its own
+      if (PrinterCalc.STLProcessor && typeof PrinterCalc.STLProcessor.calculateOrientedBoundingBox === 'function') {
+        try {
+          result.boundingBox = PrinterCalc.STLProcessor.calculateOrientedBoundingBox(positions);
+        } catch (error) {
+          console.error('Error calculating oriented bounding box:', error);
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Run every mesh check off the main thread
+     * Falls back to the main thread when workers cannot be started.
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Cancels the checks
+     * @returns {Promise<Object>} Result as for runChecks()
+     */
+    analyzeInBackground: async function (positions, options = {}) {
+      if (window.Worker && PrinterCalc.WorkerPool) {
+        try {
+          // The mesh is copied to the worker; the row keeps its own
+          const result = await PrinterCalc.WorkerPool.run(this.getWorkerPool(), { positions }, { signal: options.signal });
+          return { report: result.report, bodies: result.bodies, cavities: result.cavities, boundingBox: result.boundingBox };
+        } catch (workerError) {
+          if (workerError.name === 'AbortError') throw workerError;
+          console.warn('Mesh analysis worker failed, falling back to main thread:', workerError);
+        }
+      }
+
+      if (options.signal) options.signal.throwIfAborted();
+      return this.runChecks(positions);
+    },
+
+    /**
+     * Get the source of the mesh analysis worker script
+     * The worker gets copies of the modules the checks use.
+     * @returns {string} Worker code
+     */
+    getWorkerSource: function () {
+      const moduleSource = PrinterCalc.WorkerPool.moduleSource;
+
+      return `
+        self.window = self;
+        const PrinterCalc = self.PrinterCalc = {};
+
+        ${segmentCrossesTriangle.toString()}
+
+        const RAY_DIRECTION = ${JSON.stringify(RAY_DIRECTION)};
+
+        PrinterCalc.TriangleGrid = ${moduleSource(PrinterCalc.TriangleGrid)};
+
+        PrinterCalc.MeshAnalyzer = ${moduleSource(this)};
+
+        PrinterCalc.CavityDetector = ${moduleSource(PrinterCalc.CavityDetector)};
+
+        ${PrinterCalc.STLProcessor.getBoundingBoxWorkerSource()}
+
+        PrinterCalc.STLProcessor = ${moduleSource(PrinterCalc.STLProcessor, [
+          'OBB_HULL_DIRECTIONS', 'OBB_SEARCH_DIRECTIONS', 'OBB_GRID_COLUMNS',
+          'measureTriangles', 'calculateSurfaceArea', 'splitBodies', 'calculateOrientedBoundingBox', 'getHullCandidates'
+        ])};
+
+        self.onmessage = function(e) {
+          try {
+            const result = PrinterCalc.MeshAnalyzer.runChecks(e.data.positions);
+            const transfer = result.cavities ? [result.cavities.cavityFaces.buffer] : [];
+
+            result.success = true;
+            self.postMessage(result, transfer);
+          } catch (error) {
+            self.postMessage({
+              success: false,
+              error: error.message || 'Error analyzing mesh'
+            });
+          }
+        };
+      `;
+    },
+
+    /**
+     * Get the mesh analysis worker pool, creating it on first use
+     * @returns {Object} Pool from WorkerPool.create()
+     */
+    getWorkerPool: function () {
+      if (!this.workerPool) {
+        this.workerPool = PrinterCalc.WorkerPool.create(this.getWorkerSource());
+      }
+      return this.workerPool;
+    },
+
+    /**
+     * Analyze a mesh
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} [mesh] - Result of prepare(), shared with other passes
+     * @returns {Object} Integrity report
+     */
+    analyze: function (positions, mesh = this.prepare(positions)) {
+      const triangleCount = Math.floor(positions.length / 9);
+      const { indexed, edges } = mesh;
+      const winding = this.analyzeWinding(indexed, edges);
+      const selfIntersections = this.countSelfIntersections(positions, indexed, mesh.grid);
+
+      const report = {
+        triangleCount,
+        vertexCount: indexed.vertexCount,
+        openEdges: edges.openEdges,
+        nonManifoldEdges: edges.nonManifoldEdges,
+        degenerateTriangles: indexed.degenerate.reduce((sum, flag) => sum + flag, 0),
+        inconsistentEdges: edges.inconsistentEdges,
+        flippedTriangles: winding.flippedTriangles,
+        insideOut: winding.insideOut,
+        selfIntersections: selfIntersections.count,
+        selfIntersectionsChecked: selfIntersections.checked
+      };
+
+      // The signed volume is only meaningful for a closed, consistently wound, non-intersecting mesh
+      report.isWatertight = report.openEdges === 0 && report.nonManifoldEdges === 0;
+      report.volumeReliable = report.isWatertight &&
+        report.flippedTriangles === 0 &&
+        !report.selfIntersections;
+
+      return report;
+    },
+
+    /**
+     * Weld coincident vertices and index the triangles
+     * @param {Float32Array} positions - Vertex coordinates, 9 per triangle
+     * @returns {Object} { positions, vertices: number[], triangles: Uint32Array, vertexCount, degenerate: Uint8Array }
+     */
+    indexVertices: function (positions) {
+      const triangleCount = Math.floor(positions.length / 9);
+      const triangles = new Uint32Array(triangleCount * 3);
+      const degenerate = new Uint8Array(triangleCount);
+      const lookup = new Map();
+      const vertices = [];
+      const scale = 1 / this.WELD_TOLERANCE;
+
+      for (let i = 0; i < triangleCount * 3; i++) {
+        const x = Math.round(positions[i * 3] * scale);
+        const y = Math.round(positions[i * 3 + 1] * scale);
+        const z = Math.round(positions[i * 3 + 2] * scale);
+        const key = x + ',' + y + ',' + z;
+
+        let id = lookup.get(key);
+        if (id === undefined) {
+          id = lookup.size;
+          lookup.set(key, id);
+          vertices.push(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        }
+        triangles[i] = id;
+      }
+
+      for (let t = 0; t < triangleCount; t++) {
+        const a = triangles[t * 3], b = triangles[t * 3 + 1], c = triangles[t * 3 + 2];
+
+        // Collapsed vertices or zero area
+        if (a === b || b === c || a === c) {
+          degenerate[t] = 1;
+          continue;
+        }
+
+        const i = t * 9;
+        const ux = positions[i + 3] - positions[i], uy = positions[i + 4] - positions[i + 1], uz = positions[i + 5] - positions[i + 2];
+        const vx = positions[i + 6] - positions[i], vy = positions[i + 7] - positions[i + 1], vz = positions[i + 8] - positions[i + 2];
+        const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+
+        if (nx * nx + ny * ny + nz * nz < 1e-18) {
+          degenerate[t] = 1;
+        }
+      }
+
+      return { positions, vertices, triangles, vertexCount: lookup.size, degenerate };
+    },
+
+    /**
+     * Count how each edge is shared
+     * @param {Object} indexed - Result of indexVertices()
+     * @returns {Object} Edge counts plus the edge map for winding analysis
+     */
+    analyzeEdges: function (indexed) {
+      const { triangles, vertexCount, degenerate } = indexed;
+      const edgeMap = new Map();
+
+      for (let t = 0; t < degenerate.length; t++) {
+        if (degenerate[t]) continue;
+
+        for (let k = 0; k < 3; k++) {
+          const from = triangles[t * 3 + k];
+          const to = triangles[t * 3 + (k + 1) % 3];
+          const key = from < to ? from * vertexCount + to : to * vertexCount + from;
+
+          let edge = edgeMap.get(key);
+          if (!edge) {
+            edge = { triangles: [], forward: [] };
+            edgeMap.set(key, edge);
+          }
+
+          edge.triangles.push(t);
+          edge.forward.push(from < to);
+        }
+      }
+
+      let openEdges = 0;
+      let nonManifoldEdges = 0;
+      let inconsistentEdges = 0;
+
+      edgeMap.forEach(edge => {
+        const uses = edge.triangles.length;
+
+        if (uses === 1) {
+          openEdges++;
+        } else if (uses > 2) {
+          nonManifoldEdges++;
+        } else if (edge.forward[0] === edge.forward[1]) {
+          // Two faces walking the edge in the same direction have opposite windings
+          inconsistentEdges++;
+        }
+      });
+
+      return { edgeMap, openEdges, nonManifoldEdges, inconsistentEdges };
+    },
+
+    /**
+     * Propagate a consistent winding across each connected patch
+     * @param {Object} indexed - Result of indexVertices()
+     * @param {Object} edges - Result of analyzeEdges()
+     * @returns {Object} { flip: Uint8Array, flippedTriangles, insideOut }
+     */
+    analyzeWinding: function (indexed, edges) {
+      const { degenerate } = indexed;
+      const triangleCount = degenerate.length;
+      const flip = new Uint8Array(triangleCount);
+      const visited = new Uint8Array(triangleCount);
+
+      // Neighbours across manifold edges, with whether the pair already agrees
+      const neighbours = Array.from({ length: triangleCount }, () => []);
+      edges.edgeMap.forEach(edge => {
+        if (edge.triangles.length !== 2) return;
+        const [a, b] = edge.triangles;
+        const agrees = edge.forward[0] !== edge.forward[1];
+        neighbours[a].push(b, agrees);
+        neighbours[b].push(a, agrees);
+      });
+
+      let flippedTriangles = 0;
+
+      for (let start = 0; start < triangleCount; start++) {
+        if (visited[start] || degenerate[start]) continue;
+
+        // Breadth-first walk over the patch
+        const patch = [start];
+        visited[start] = 1;
+
+        for (let i = 0; i < patch.length; i++) {
+          const t = patch[i];
+          const list = neighbours[t];
+
+          for (let n = 0; n < list.length; n += 2) {
+            const other = list[n];
+            if (visited[other]) continue;
+
+            visited[other] = 1;
+            flip[other] = list[n + 1] ? flip[t] : 1 - flip[t];
+            patch.push(other);
+          }
+        }
+
+        // The minority orientation is the one that is wrong
+        const flippedCount = patch.reduce((sum, t) => sum + flip[t], 0);
+        if (flippedCount * 2 > patch.length) {
+          patch.forEach(t => { flip[t] = 1 - flip[t]; });
+          flippedTriangles += patch.length - flippedCount;
+        } else {
+          flippedTriangles += flippedCount;
+        }
+      }
+
+      // Inside-out if the volume is negative once the winding is made consistent
+      let signedVolume = 0;
+      for (let t = 0; t < triangleCount; t++) {
+        if (degenerate[t]) continue;
+        signedVolume += (flip[t] ? -1 : 1) * this.signedTetrahedronVolume(indexed.positions, t);
+      }
+
+      return { flip, flippedTriangles, insideOut: signedVolume < 0 };
+    },
+
+    /**
+     * Signed volume of the tetrahedron from the origin to a triangle
+     * @param {Float32Array} p - Vertex coordinates, 9 per triangle
+     * @param {number} t - Triangle index
+     * @returns {number} Signed volume in mm³
+     */
+    signedTetrahedronVolume: function (p, t) {
+      const i = t * 9;
+      const crossX = (p[i + 4] - p[i + 1]) * (p[i + 8] - p[i + 2]) - (p[i + 5] - p[i + 2]) * (p[i + 7] - p[i + 1]);
+      const crossY = (p[i + 5] - p[i + 2]) * (p[i + 6] - p[i]) - (p[i + 3] - p[i]) * (p[i + 8] - p[i + 2]);
+      const crossZ = (p[i + 3] - p[i]) * (p[i + 7] - p[i + 1]) - (p[i + 4] - p[i + 1]) * (p[i + 6] - p[i]);
+
+      return (p[i] * crossX + p[i + 1] * crossY + p[i + 2] * crossZ) / 6;
+    },
+
+    /**
+     * Count intersecting triangle pairs using a TriangleGrid
+     * @param {Float32Array} positions - Vertex coordinates, 9 per triangle
+     * @param {Object} indexed - Result of indexVertices()
+     * @param {Object} [grid] - TriangleGrid over the mesh without its degenerate triangles
+     * @returns {Object} { count, checked } (count is null when the check was skipped)
+     */
+    countSelfIntersections: function (positions, indexed, grid) {
+      const { triangles, degenerate } = indexed;
+      const triangleCount = degenerate.length;
+
+      if (triangleCount > this.MAX_INTERSECTION_TRIANGLES) {
+        return { count: null, checked: false };
+      }
+
+      // Only triangles sharing a grid cell can intersect
+      const { bounds, cells } = grid || PrinterCalc.TriangleGrid.create(positions, { skip: degenerate });
+
+      const vertex = (t, k) => [positions[t * 9 + k * 3], positions[t * 9 + k * 3 + 1], positions[t * 9 + k * 3 + 2]];
+      const tested = new Set();
+      let count = 0;
+
+      for (const cell of cells.values()) {
+        for (let i = 0; i < cell.length; i++) {
+          const a = cell[i];
+
+          for (let j = i + 1; j < cell.length; j++) {
+            const b = cell[j];
+
+            // Bounding boxes must overlap
+            let overlaps = true;
+            for (let axis = 0; axis < 3 && overlaps; axis++) {
+              overlaps = bounds[a * 6 + axis] <= bounds[b * 6 + 3 + axis] && bounds[b * 6 + axis] <= bounds[a * 6 + 3 + axis];
+            }
+            if (!overlaps) continue;
+
+            // Neighbours that share a vertex touch by construction
+            const sa = triangles.subarray(a * 3, a * 3 + 3);
+            const sb = triangles.subarray(b * 3, b * 3 + 3);
+            if (sa.some(id => sb.includes(id))) continue;
+
+            // Pairs can share several cells
+            const pairKey = a < b ? a * triangleCount + b : b * triangleCount + a;
+            if (tested.has(pairKey)) continue;
+            tested.add(pairKey);
+
+            const ta = [vertex(a, 0), vertex(a, 1), vertex(a, 2)];
+            const tb = [vertex(b, 0), vertex(b, 1), vertex(b, 2)];
+            let intersects = false;
+
+            for (let k = 0; k < 3 && !intersects; k++) {
+              intersects =
+                segmentCrossesTriangle(ta[k], ta[(k + 1) % 3], tb[0], tb[1], tb[2]) ||
+                segmentCrossesTriangle(tb[k], tb[(k + 1) % 3], ta[0], ta[1], ta[2]);
+            }
+
+            if (intersects) {
+              count++;
+              if (count >= this.MAX_INTERSECTION_PAIRS) {
+                return { count, checked: true };
+              }
+            }
+          }
+        }
+      }
+
+      return { count, checked: true };
+    },
+
+    /**
+     * Split a mesh into edge-connected shells and work out how they nest
+     * The result is kept on the prepared mesh, so later passes reuse it.
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} [mesh] - Result of prepare(), shared with other passes
+     * @returns {Object} { shellOf, shells, sign, grid } where each shell has volume, triangleCount, firstTriangle, min, max and containers
+     */
+    analyzeShells: function (positions, mesh = this.prepare(positions)) {
+      if (mesh.shells) return mesh.shells;
+
+      const { indexed, edges, grid } = mesh;
+      const triangleCount = indexed.degenerate.length;
+
+      const shellOf = this.findShells(indexed, edges);
+      const shellCount = shellOf.reduce((max, shell) => Math.max(max, shell + 1), 0);
+
+      // Signed volume and bounds of each shell
+      const shells = [];
+      for (let s = 0; s < shellCount; s++) {
+        shells.push({
+          volume: 0,
+          firstTriangle: -1,
+          triangleCount: 0,
+          min: [Infinity, Infinity, Infinity],
+          max: [-Infinity, -Infinity, -Infinity]
+        });
+      }
+
+      let totalVolume = 0;
+      for (let t = 0; t < triangleCount; t++) {
+        const s = shellOf[t];
+        if (s === -1) continue;
+
+        const shell = shells[s];
+        const volume = this.signedTetrahedronVolume(positions, t);
+        shell.volume += volume;
+        totalVolume += volume;
+        shell.triangleCount++;
+        if (shell.firstTriangle === -1) shell.firstTriangle = t;
+
+        for (let k = 0; k < 9; k++) {
+          const axis = k % 3;
+          shell.min[axis] = Math.min(shell.min[axis], positions[t * 9 + k]);
+          shell.max[axis] = Math.max(shell.max[axis], positions[t * 9 + k]);
+        }
+      }
+
+      // Which shells contain each shell (odd number of crossings)
+      shells.forEach((shell, s) => {
+        shell.containers = this.findContainers(grid, positions, shellOf, s, shell.firstTriangle);
+      });
+
+      // Inside-out meshes have every sign reversed
+      mesh.shells = { shellOf, shells, sign: totalVolume < 0 ? -1 : 1, grid };
+      return mesh.shells;
+    },
+
+    /**
+     * Group triangles into edge-connected shells
+     * @param {Object} indexed - Result of indexVertices()
+     * @param {Object} edges - Result of analyzeEdges()
+     * @returns {Int32Array} Shell index per triangle (-1 for degenerate triangles)
+     */
+    findShells: function (indexed, edges) {
+      const triangleCount = indexed.degenerate.length;
+      const parent = new Int32Array(triangleCount);
+      for (let t = 0; t < triangleCount; t++) parent[t] = t;
+
+      const find = t => {
+        while (parent[t] !== t) {
+          parent[t] = parent[parent[t]];
+          t = parent[t];
+        }
+        return t;
+      };
+
+      edges.edgeMap.forEach(edge => {
+        for (let i = 1; i < edge.triangles.length; i++) {
+          const a = find(edge.triangles[0]);
+          const b = find(edge.triangles[i]);
+          if (a !== b) parent[b] = a;
+        }
+      });
+
+      // Number the shells in order of first appearance
+      const shellOf = new Int32Array(triangleCount).fill(-1);
+      const numbers = new Map();
+
+      for (let t = 0; t < triangleCount; t++) {
+        if (indexed.degenerate[t]) continue;
+
+        const root = find(t);
+        if (!numbers.has(root)) numbers.set(root, numbers.size);
+        shellOf[t] = numbers.get(root);
+      }
+
+      return shellOf;
+    },
+
+    /**
+     * Find the shells that enclose a shell by counting ray crossings
+     * @param {Object} grid - TriangleGrid over the mesh
+     * @param {Float32Array} positions - Vertex coordinates
+     * @param {Int32Array} shellOf - Shell index per triangle
+     * @param {number} shell - Shell to test
+     * @param {number} startTriangle - A triangle of that shell to cast from
+     * @returns {number[]} Indices of the enclosing shells
+     */
+    findContainers: function (grid, positions, shellOf, shell, startTriangle) {
+      const origin = [0, 0, 0];
+      for (let axis = 0; axis < 3; axis++) {
+        origin[axis] = (positions[startTriangle * 9 + axis] +
+          positions[startTriangle * 9 + 3 + axis] +
+          positions[startTriangle * 9 + 6 + axis]) / 3;
+      }
+
+      const crossings = new Map();
+      let ignore = startTriangle;
+
+      // Walk the ray out of the mesh, hit by hit
+      for (let guard = 0; guard < grid.triangleCount; guard++) {
+        const hit = PrinterCalc.TriangleGrid.raycast(grid, origin, RAY_DIRECTION, ignore);
+        if (!hit) break;
+
+        const other = shellOf[hit.triangle];
+        if (other !== shell) {
+          crossings.set(other, (crossings.get(other) || 0) + 1);
+        }
+
+        for (let axis = 0; axis < 3; axis++) {
+          origin[axis] += RAY_DIRECTION[axis] * hit.distance;
+        }
+        ignore = hit.triangle;
+      }
+
+      const containers = [];
+      crossings.forEach((count, other) => {
+        if (count % 2 === 1) containers.push(other);
+      });
+
+      return containers;
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * mesh-repair.js - Automatic Mesh Repair
+ *
+ * Fixes the common defects reported by MeshAnalyzer: welds vertices,
+ * drops degenerate and duplicate faces, unifies the winding and fills
+ * simple holes, producing a new triangle soup.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  /**
+   * Expand indexed triangles back into a triangle soup
+   * @param {number[]} vertices - Vertex coordinates, 3 per vertex
+   * @param {ArrayLike<number>} triangles - Vertex indices, 3 per triangle
+   * @returns {Float32Array} Vertex coordinates, 9 per triangle
+   */
+  function buildPositions(vertices, triangles) {
+    const positions = new Float32Array(triangles.length * 3);
+
+    for (let i = 0; i < triangles.length; i++) {
+      positions[i * 3] = vertices[triangles[i] * 3];
+      positions[i * 3 + 1] = vertices[triangles[i] * 3 + 1];
+      positions[i * 3 + 2] = vertices[triangles[i] * 3 + 2];
+    }
+
+    return positions;
+  }
+
+  /**
+   * Create the indexed mesh structure used by MeshAnalyzer
+   * @param {number[]} vertices - Vertex coordinates, 3 per vertex
+   * @param {number[]} triangles - Vertex indices, 3 per triangle
+   * @returns {Object} Indexed mesh
+   */
+  function createIndexed(vertices, triangles) {
+    return {
+      positions: buildPositions(vertices, triangles),
+      vertices,
+      triangles: Uint32Array.from(triangles),
+      vertexCount: vertices.length / 3,
+      degenerate: new Uint8Array(triangles.length / 3)
+    };
+  }
+
+  // Create a mesh repair module
+  PrinterCalc.MeshRepair = {
+    // Holes with more boundary edges than this are left open
+    MAX_HOLE_EDGES: 200,
+
+    /**
+     * Repair a mesh
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {Object} { positions: Float32Array, log } where log counts each fix
+     */
+    repair: function (positions) {
+      if (!PrinterCalc.MeshAnalyzer) {
+        throw new Error('Mesh analyzer not available. Please reload the page.');
+      }
+
+      const analyzer = PrinterCalc.MeshAnalyzer;
+      const indexed = analyzer.indexVertices(positions);
+      const vertices = indexed.vertices;
+      const log = {
+        weldedVertices: positions.length / 3 - indexed.vertexCount,
+        removedDegenerate: 0,
+        removedDuplicates: 0,
+        flippedTriangles: 0,
+        invertedMesh: false,
+        filledHoles: 0,
+        unfilledHoles: 0
+      };
+
+      // Remove degenerate and duplicate faces
+      const kept = [];
+      const seen = new Set();
+
+      for (let t = 0; t < indexed.degenerate.length; t++) {
+        if (indexed.degenerate[t]) {
+          log.removedDegenerate++;
+          continue;
+        }
+
+        const face = [indexed.triangles[t * 3], indexed.triangles[t * 3 + 1], indexed.triangles[t * 3 + 2]];
+        const key = face.slice().sort((a, b) => a - b).join(',');
+
+        if (seen.has(key)) {
+          log.removedDuplicates++;
+          continue;
+        }
+
+        seen.add(key);
+        kept.push(face[0], face[1], face[2]);
+      }
+
+      // Unify the winding, then turn the whole mesh outwards if needed
+      let mesh = createIndexed(vertices, kept);
+      const winding = analyzer.analyzeWinding(mesh, analyzer.analyzeEdges(mesh));
+      log.flippedTriangles = winding.flippedTriangles;
+      log.invertedMesh = winding.insideOut;
+
+      for (let t = 0; t < kept.length / 3; t++) {
+        if (winding.flip[t] !== (winding.insideOut ? 1 : 0)) {
+          const swap = kept[t * 3 + 1];
+          kept[t * 3 + 1] = kept[t * 3 + 2];
+          kept[t * 3 + 2] = swap;
+        }
+      }
+
+      // Fill simple holes
+      mesh = createIndexed(vertices, kept);
+      const fill = this.fillHoles(mesh);
+      log.filledHoles = fill.filled;
+      log.unfilledHoles = fill.skipped;
+
+      // Combine the kept faces with the patches
+      const repaired = new Float32Array(mesh.positions.length + fill.positions.length);
+      repaired.set(mesh.positions, 0);
+      repaired.set(fill.positions, mesh.positions.length);
+
+      return { positions: repaired, log };
+    },
+
+    /**
+     * Close boundary loops with new triangles
+     * @param {Object} mesh - Indexed mesh with consistent winding
+     * @returns {Object} { positions: number[], filled, skipped }
+     */
+    fillHoles: function (mesh) {
+      const edges = PrinterCalc.MeshAnalyzer.analyzeEdges(mesh);
+      const vertexCount = mesh.vertexCount;
+
+      // Walk each open edge backwards so the patch winds against its neighbour
+      const next = new Map();
+      const branching = new Set();
+
+      edges.edgeMap.forEach((edge, key) => {
+        if (edge.triangles.length !== 1) return;
+
+        const low = Math.floor(key / vertexCount);
+        const high = key % vertexCount;
+        const from = edge.forward[0] ? low : high;
+        const to = edge.forward[0] ? high : low;
+
+        if (next.has(to)) branching.add(to);
+        next.set(to, from);
+      });
+
+      const positions = [];
+      const visited = new Set();
+      let filled = 0;
+      let skipped = 0;
+
+      next.forEach((_, start) => {
+        if (visited.has(start)) return;
+
+        // Follow the loop back to its start
+        const loop = [];
+        let current = start;
+        let simple = true;
+
+        while (current !== undefined && !visited.has(current)) {
+          visited.add(current);
+          loop.push(current);
+          if (branching.has(current)) simple = false;
+          current = next.get(current);
+        }
+
+        const closed = current === start;
+        if (!closed || !simple || loop.length < 3 || loop.length > this.MAX_HOLE_EDGES) {
+          skipped++;
+          return;
+        }
+
+        PrinterCalc.STLProcessor.triangulatePolygon(mesh.vertices, loop, positions);
+        filled++;
+      });
+
+      return { positions, filled, skipped };
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * obj-reader.js - OBJ File Reading
+ *
+ * Reads Wavefront OBJ meshes (as exported by our scanners) into a
+ * triangle soup. Polygon faces are triangulated; coordinates are taken as mm.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create an OBJ reader module
+  PrinterCalc.OBJReader = {
+    /**
+     * Read an OBJ file
+     * @param {File} file - OBJ file
+     * @returns {Promise<Object>} Mesh with name, positions, volumeCm3, surfaceAreaCm2, dimensions, triangleCount
+     */
+    readFile: async function (file) {
+      // Read file as text
+      const arrayBuffer = await PrinterCalc.Utils.readFileAsArrayBuffer(file);
+      const text = new TextDecoder().decode(arrayBuffer);
+
+      const positions = this.parse(text);
+      if (positions.length === 0) {
+        throw new Error('The OBJ file does not contain any faces.');
+      }
+
+      const measurements = PrinterCalc.STLProcessor.measureTriangles(positions);
+
+      return {
+        name: file.name,
+        positions,
+        volumeCm3: measurements.volumeCm3,
+        surfaceAreaCm2: measurements.surfaceAreaCm2,
+        dimensions: measurements.dimensions,
+        triangleCount: measurements.triangleCount
+      };
+    },
+
+    /**
+     * Parse OBJ text into triangles
+     * @param {string} text - OBJ file contents
+     * @returns {Float32Array} Vertex coordinates, 9 per triangle
+     */
+    parse: function (text) {
+      const vertices = [];
+      const triangles = [];
+      const lines = text.split(/\r?\n/);
+
+      for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+        let line = lines[lineNumber].trim();
+
+        // Join continuation lines
+        while (line.endsWith('\\') && lineNumber + 1 < lines.length) {
+          line = line.slice(0, -1) + ' ' + lines[++lineNumber].trim();
+        }
+
+        if (line === '' || line[0] === '#') continue;
+
+        const tokens = line.split(/\s+/);
+        const keyword = tokens[0];
+
+        // Vertex position (an optional w component is ignored)
+        if (keyword === 'v') {
+          const x = parseFloat(tokens[1]);
+          const y = parseFloat(tokens[2]);
+          const z = parseFloat(tokens[3]);
+
+          if (isNaN(x) || isNaN(y) || isNaN(z)) {
+            throw new Error(`Invalid OBJ vertex on line ${lineNumber + 1}`);
+          }
+
+          vertices.push(x, y, z);
+        } else if (keyword === 'f') {
+          // Face: "f v", "f v/vt", "f v//vn" or "f v/vt/vn", negative indices count from the end
+          const vertexCount = vertices.length / 3;
+          const indices = [];
+
+          for (let i = 1; i < tokens.length; i++) {
+            const reference = parseInt(tokens[i].split('/')[0], 10);
+            const index = reference < 0 ? vertexCount + reference : reference - 1;
+
+            if (isNaN(reference) || reference === 0 || index < 0 || index >= vertexCount) {
+              throw new Error(`Invalid OBJ face index on line ${lineNumber + 1}`);
+            }
+
+            indices.push(index);
+          }
+
+          PrinterCalc.STLProcessor.triangulatePolygon(vertices, indices, triangles);
+        }
+
+        // Texture coordinates, normals, groups and materials do not affect the volume
+      }
+
+      return new Float32Array(triangles);
+    }
+  };
+})();
\ No newline at end of file
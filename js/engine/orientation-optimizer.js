@@ -0,0 +1,157 @@
+/**
+ * orientation-optimizer.js - Build Orientation Search
+ *
+ * Tries a set of rotations for a part (the 24 axis-aligned ones plus an
+ * even spread of tilted ones) and scores each by print height, parts per
+ * build on each printer and cost per part.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+  // Create an orientation optimizer module
+  PrinterCalc.OrientationOptimizer = {
+    // Tilted "up" directions tried, spread over a hemisphere
+    SAMPLED_DIRECTIONS: 48,
+
+    // Turns about each tilted up direction (over half a revolution)
+    SAMPLED_TURNS: 8,
+
+    // Ranking goals
+    GOALS: {
+      height: 'Lowest print height',
+      packing400: 'Most parts per build (Printer 400)',
+      packing600: 'Most parts per build (Printer 600)',
+      cost: 'Lowest cost per part'
+    },
+
+    /**
+     * Get the rotations to try
+     * @returns {Object[]} { rotation (matrix rows), axisAligned }
+     */
+    getCandidateRotations: function () {
+      const candidates = [];
+
+      // Signed axis permutations that keep the part right-handed
+      const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+      [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]].forEach(order => {
+        [1, -1].forEach(sx => {
+          [1, -1].forEach(sy => {
+            const x = axes[order[0]].map(value => value * sx);
+            const y = axes[order[1]].map(value => value * sy);
+            candidates.push({ rotation: [x, y, cross(x, y)], axisAligned: true });
+          });
+        });
+      });
+
+      // Tilted: each up direction, turned in steps about itself
+      const golden = Math.PI * (3 - Math.sqrt(5));
+      for (let i = 0; i < this.SAMPLED_DIRECTIONS; i++) {
+        const z = 1 - (i + 0.5) / this.SAMPLED_DIRECTIONS;
+        const radius = Math.sqrt(1 - z * z);
+        const up = [Math.cos(golden * i) * radius, Math.sin(golden * i) * radius, z];
+
+        const helper = Math.abs(up[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const a = cross(up, helper);
+        const length = Math.hypot(a[0], a[1], a[2]);
+        const first = a.map(value => value / length);
+        const second = cross(up, first);
+
+        for (let turn = 0; turn < this.SAMPLED_TURNS; turn++) {
+          const angle = Math.PI * turn / this.SAMPLED_TURNS;
+          const cos = Math.cos(angle), sin = Math.sin(angle);
+          const x = [0, 1, 2].map(axis => first[axis] * cos + second[axis] * sin);
+          candidates.push({ rotation: [x, cross(up, x), up], axisAligned: false });
+        }
+      }
+
+      return candidates;
+    },
+
+    /**
+     * Score every candidate rotation of a part
+     * @param {number[][]} points - Convex hull points of the part (STLProcessor.getHullCandidates())
+     * @param {Object} [options] - Options
+     * @param {number} [options.scale] - Uniform scale applied to the part
+     * @param {Function} [options.getCostPerPart] - Cost of one part, given its capacity on each printer
+     * @returns {Object[]} Distinct orientations with rotation, dimensions, printHeight, perBuild and costPerPart
+     */
+    optimize: function (points, options = {}) {
+      const scale = options.scale || 1;
+      const getCostPerPart = options.getCostPerPart || (() => 0);
+      const seen = new Set();
+      const results = [];
+
+      this.getCandidateRotations().forEach(candidate => {
+        // Size of the rotated part
+        const size = candidate.rotation.map(axis => {
+          let min = Infinity, max = -Infinity;
+          points.forEach(point => {
+            const value = dot(point, axis);
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+          });
+          return (max - min) * scale;
+        });
+
+        // Orientations within a tenth of a millimetre of each other count once
+        const key = size.map(value => Math.round(value * 10)).join(',');
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const dimensions = { width: size[0], depth: size[1], height: size[2] };
+        const capacity = {
+          '400': PrinterCalc.PrinterCapacity.calculate(dimensions, 'custom', '400'),
+          '600': PrinterCalc.PrinterCapacity.calculate(dimensions, 'custom', '600')
+        };
+        const fits = capacity['400'].fitsInPrinter || capacity['600'].fitsInPrinter;
+
+        results.push({
+          rotation: candidate.rotation,
+          axisAligned: candidate.axisAligned,
+          dimensions,
+          printHeight: dimensions.height,
+          fits,
+          perBuild: {
+            '400': capacity['400'].totalObjects || 0,
+            '600': capacity['600'].totalObjects || 0
+          },
+          costPerPart: fits ? getCostPerPart(capacity) : Infinity
+        });
+      });
+
+      return results;
+    },
+
+    /**
+     * Order scored orientations by a goal
+     * @param {Object[]} results - Result of optimize()
+     * @param {string} goal - Key of GOALS
+     * @param {number} [count] - Number of orientations to keep
+     * @returns {Object[]} Best orientations first
+     */
+    rank: function (results, goal, count = 3) {
+      const comparators = {
+        height: (a, b) => a.printHeight - b.printHeight,
+        packing400: (a, b) => b.perBuild['400'] - a.perBuild['400'],
+        packing600: (a, b) => b.perBuild['600'] - a.perBuild['600'],
+        cost: (a, b) => a.costPerPart - b.costPerPart
+      };
+      const compare = comparators[goal] || comparators.height;
+
+      return results
+        .filter(result => result.fits)
+        .sort((a, b) =>
+          compare(a, b) ||
+          // Then more parts per build, a lower build, and square-on rotations
+          (b.perBuild['400'] + b.perBuild['600']) - (a.perBuild['400'] + a.perBuild['600']) ||
+          a.printHeight - b.printHeight ||
+          (b.axisAligned - a.axisAligned))
+        .slice(0, count);
+    }
+  };
+})();
\ No newline at end of file
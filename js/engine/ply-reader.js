@@ -0,0 +1,288 @@
+/**
+ * ply-reader.js - PLY File Reading
+ *
+ * Reads ASCII and binary (little and big endian) PLY meshes into a
+ * triangle soup. Polygon faces are triangulated; coordinates are taken as mm.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Scalar types with their byte size and DataView getter
+  const SCALAR_TYPES = {
+    char: { size: 1, getter: 'getInt8' },
+    uchar: { size: 1, getter: 'getUint8' },
+    short: { size: 2, getter: 'getInt16' },
+    ushort: { size: 2, getter: 'getUint16' },
+    int: { size: 4, getter: 'getInt32' },
+    uint: { size: 4, getter: 'getUint32' },
+    float: { size: 4, getter: 'getFloat32' },
+    double: { size: 8, getter: 'getFloat64' },
+    int8: { size: 1, getter: 'getInt8' },
+    uint8: { size: 1, getter: 'getUint8' },
+    int16: { size: 2, getter: 'getInt16' },
+    uint16: { size: 2, getter: 'getUint16' },
+    int32: { size: 4, getter: 'getInt32' },
+    uint32: { size: 4, getter: 'getUint32' },
+    float32: { size: 4, getter: 'getFloat32' },
+    float64: { size: 8, getter: 'getFloat64' }
+  };
+
+  /**
+   * Look up a scalar type
+   * @param {string} name - PLY type name
+   * @returns {Object} Scalar type
+   */
+  function scalarType(name) {
+    const type = SCALAR_TYPES[name];
+    if (!type) {
+      throw new Error(`Unsupported PLY property type: ${name}`);
+    }
+    return type;
+  }
+
+  // Create a PLY reader module
+  PrinterCalc.PLYReader = {
+    /**
+     * Read a PLY file
+     * @param {File} file - PLY file
+     * @returns {Promise<Object>} Mesh with name, positions, volumeCm3, surfaceAreaCm2, dimensions, triangleCount
+     */
+    readFile: async function (file) {
+      // Read file as array buffer
+      const arrayBuffer = await PrinterCalc.Utils.readFileAsArrayBuffer(file);
+
+      const positions = this.parse(arrayBuffer);
+      if (positions.length === 0) {
+        throw new Error('The PLY file does not contain any faces.');
+      }
+
+      const measurements = PrinterCalc.STLProcessor.measureTriangles(positions);
+
+      return {
+        name: file.name,
+        positions,
+        volumeCm3: measurements.volumeCm3,
+        surfaceAreaCm2: measurements.surfaceAreaCm2,
+        dimensions: measurements.dimensions,
+        triangleCount: measurements.triangleCount
+      };
+    },
+
+    /**
+     * Parse PLY data into triangles
+     * @param {ArrayBuffer} arrayBuffer - PLY file data
+     * @returns {Float32Array} Vertex coordinates, 9 per triangle
+     */
+    parse: function (arrayBuffer) {
+      const header = this.parseHeader(arrayBuffer);
+      const elements = header.format === 'ascii'
+        ? this.readAsciiElements(arrayBuffer, header)
+        : this.readBinaryElements(arrayBuffer, header);
+
+      const { vertices, faces } = elements;
+      const triangles = [];
+      const vertexCount = vertices.length / 3;
+
+      faces.forEach(indices => {
+        if (indices.some(index => index < 0 || index >= vertexCount)) {
+          throw new Error('PLY face references a missing vertex.');
+        }
+        PrinterCalc.STLProcessor.triangulatePolygon(vertices, indices, triangles);
+      });
+
+      return new Float32Array(triangles);
+    },
+
+    /**
+     * Parse the PLY header
+     * @param {ArrayBuffer} arrayBuffer - PLY file data
+     * @returns {Object} { format, littleEndian, elements, dataOffset }
+     */
+    parseHeader: function (arrayBuffer) {
+      // The header is ASCII and ends with "end_header"
+      const headBytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 65536));
+      const headText = new TextDecoder('ascii').decode(headBytes);
+      const endMatch = /end_header[ \t]*\r?\n/.exec(headText);
+
+      if (!headText.startsWith('ply') || !endMatch) {
+        throw new Error('Not a valid PLY file.');
+      }
+
+      const header = {
+        format: null,
+        littleEndian: true,
+        elements: [],
+        dataOffset: endMatch.index + endMatch[0].length
+      };
+
+      headText.slice(0, endMatch.index).split(/\r?\n/).forEach(line => {
+        const tokens = line.trim().split(/\s+/);
+
+        switch (tokens[0]) {
+          case 'format':
+            header.format = tokens[1];
+            header.littleEndian = tokens[1] !== 'binary_big_endian';
+            break;
+          case 'element':
+            header.elements.push({ name: tokens[1], count: parseInt(tokens[2], 10), properties: [] });
+            break;
+          case 'property': {
+            const element = header.elements[header.elements.length - 1];
+            if (!element) break;
+
+            if (tokens[1] === 'list') {
+              element.properties.push({
+                name: tokens[4],
+                countType: scalarType(tokens[2]),
+                type: scalarType(tokens[3])
+              });
+            } else {
+              element.properties.push({ name: tokens[2], type: scalarType(tokens[1]) });
+            }
+            break;
+          }
+        }
+      });
+
+      if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+        throw new Error(`Unsupported PLY format: ${header.format}`);
+      }
+
+      return header;
+    },
+
+    /**
+     * Get the property layout needed for vertices and faces
+     * @param {Object} element - Header element
+     * @returns {Object} Indices of x/y/z and the face index list within the element's properties
+     */
+    getLayout: function (element) {
+      const find = name => element.properties.findIndex(property => property.name === name);
+
+      return {
+        x: find('x'),
+        y: find('y'),
+        z: find('z'),
+        indices: element.properties.findIndex(property =>
+          property.countType && (property.name === 'vertex_indices' || property.name === 'vertex_index'))
+      };
+    },
+
+    /**
+     * Read vertex and face elements from an ASCII body
+     * @param {ArrayBuffer} arrayBuffer - PLY file data
+     * @param {Object} header - Parsed header
+     * @returns {Object} { vertices: number[], faces: number[][] }
+     */
+    readAsciiElements: function (arrayBuffer, header) {
+      const body = new TextDecoder().decode(new Uint8Array(arrayBuffer, header.dataOffset));
+      const lines = body.split(/\r?\n/).filter(line => line.trim() !== '');
+      const vertices = [];
+      const faces = [];
+      let lineIndex = 0;
+
+      header.elements.forEach(element => {
+        const layout = this.getLayout(element);
+
+        for (let i = 0; i < element.count; i++) {
+          if (lineIndex >= lines.length) {
+            throw new Error('PLY file ended before all elements were read.');
+          }
+
+          const values = lines[lineIndex++].trim().split(/\s+/).map(Number);
+
+          // Walk the properties, expanding lists
+          const parsed = [];
+          let position = 0;
+          element.properties.forEach(property => {
+            if (property.countType) {
+              const count = values[position++];
+              parsed.push(values.slice(position, position + count));
+              position += count;
+            } else {
+              parsed.push(values[position++]);
+            }
+          });
+
+          if (element.name === 'vertex') {
+            vertices.push(parsed[layout.x], parsed[layout.y], parsed[layout.z]);
+          } else if (element.name === 'face' && layout.indices !== -1) {
+            faces.push(parsed[layout.indices]);
+          }
+        }
+      });
+
+      this.checkVertices(vertices);
+      return { vertices, faces };
+    },
+
+    /**
+     * Read vertex and face elements from a binary body
+     * @param {ArrayBuffer} arrayBuffer - PLY file data
+     * @param {Object} header - Parsed header
+     * @returns {Object} { vertices: Float64Array, faces: number[][] }
+     */
+    readBinaryElements: function (arrayBuffer, header) {
+      const view = new DataView(arrayBuffer);
+      const littleEndian = header.littleEndian;
+      const vertexElement = header.elements.find(element => element.name === 'vertex');
+      const vertices = new Float64Array(vertexElement ? vertexElement.count * 3 : 0);
+      const faces = [];
+      let offset = header.dataOffset;
+
+      const read = type => {
+        if (offset + type.size > arrayBuffer.byteLength) {
+          throw new Error('PLY file ended before all elements were read.');
+        }
+        const value = view[type.getter](offset, littleEndian);
+        offset += type.size;
+        return value;
+      };
+
+      header.elements.forEach(element => {
+        const layout = this.getLayout(element);
+        const isVertex = element === vertexElement;
+        const isFace = element.name === 'face' && layout.indices !== -1;
+
+        for (let i = 0; i < element.count; i++) {
+          element.properties.forEach((property, p) => {
+            if (property.countType) {
+              const count = read(property.countType);
+              const list = new Array(count);
+              for (let k = 0; k < count; k++) {
+                list[k] = read(property.type);
+              }
+              if (isFace && p === layout.indices) faces.push(list);
+              return;
+            }
+
+            const value = read(property.type);
+            if (isVertex) {
+              if (p === layout.x) vertices[i * 3] = value;
+              else if (p === layout.y) vertices[i * 3 + 1] = value;
+              else if (p === layout.z) vertices[i * 3 + 2] = value;
+            }
+          });
+        }
+
+        if (isVertex && (layout.x === -1 || layout.y === -1 || layout.z === -1)) {
+          throw new Error('PLY vertices are missing x, y or z.');
+        }
+      });
+
+      return { vertices, faces };
+    },
+
+    /**
+     * Make sure every vertex has numeric coordinates
+     * @param {number[]} vertices - Vertex coordinates
+     */
+    checkVertices: function (vertices) {
+      if (vertices.some(value => typeof value !== 'number' || isNaN(value))) {
+        throw new Error('PLY vertices are missing x, y or z.');
+      }
+    }
+  };
+})();
\ No newline at end of file
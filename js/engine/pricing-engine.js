@@ -0,0 +1,161 @@
+/**
+ * pricing-engine.js - Quote Pricing
+ *
+ * Turns a cost into the price quoted to a customer: the material profile's
+ * markup, a quantity discount tier, a setup fee per order and a minimum
+ * order charge.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a pricing engine module
+  PrinterCalc.PricingEngine = {
+    /**
+     * Get the quantity discount tiers in use
+     * @returns {Object[]} { minQuantity, discountPercent }, smallest quantity first
+     */
+    getTiers: function () {
+      const saved = PrinterCalc.SettingsManager && typeof PrinterCalc.SettingsManager.getSetting === 'function'
+        ? PrinterCalc.SettingsManager.getSetting('quantityTiers')
+        : null;
+      const quote = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.QUOTE) || {};
+      const tiers = Array.isArray(saved) ? saved : (quote.QUANTITY_TIERS || []);
+
+      return tiers.slice().sort((a, b) => a.minQuantity - b.minQuantity);
+    },
+
+    /**
+     * Find the discount for an order quantity
+     * @param {number} quantity - Number of parts ordered
+     * @param {Object[]} [tiers] - Tiers to use (getTiers() if not given)
+     * @returns {number} Discount in %
+     */
+    getDiscountPercent: function (quantity, tiers = this.getTiers()) {
+      return tiers.reduce((discount, tier) => (quantity >= tier.minQuantity ? tier.discountPercent : discount), 0);
+    },
+
+    /**
+     * Read tiers written as "quantity:discount" pairs, e.g. "10:5, 50:10"
+     * @param {string} text - Tiers text
+     * @returns {Object[]} { minQuantity, discountPercent }, smallest quantity first
+     */
+    parseTiers: function (text) {
+      const tiers = String(text || '').split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry)
+        .map(entry => {
+          const match = entry.match(/^(\d+)\s*:\s*(\d+(?:\.\d+)?)\s*%?$/);
+          if (!match) {
+            throw new Error(`"${entry}" is not a quantity:discount pair.`);
+          }
+
+          const tier = { minQuantity: parseInt(match[1], 10), discountPercent: parseFloat(match[2]) };
+          if (tier.minQuantity < 1 || tier.discountPercent > 100) {
+            throw new Error(`"${entry}" needs a quantity of 1 or more and a discount of at most 100%.`);
+          }
+          return tier;
+        });
+
+      return tiers.sort((a, b) => a.minQuantity - b.minQuantity);
+    },
+
+    /**
+     * Write tiers as text for parseTiers()
+     * @param {Object[]} tiers - Tiers
+     * @returns {string} Tiers text
+     */
+    formatTiers: function (tiers) {
+      return tiers.map(tier => `${tier.minQuantity}:${tier.discountPercent}`).join(', ');
+    },
+
+    /**
+     * Price an order
+     * @param {number} unitCost - Cost of one part (or set)
+     * @param {number} quantity - Number of parts ordered
+     * @param {string} currency - Currency code
+     * @param {Object} [profile] - Material profile, for its markupPercent (MaterialProfiles.get() if not given)
+     * @returns {Object} { quantity, cost, markupPercent, discountPercent, listPrice, discount, setupFee, minimumCharge, minimumApplied, price, unitPrice, margin, marginPercent }
+     */
+    calculate: function (unitCost, quantity, currency = 'USD', profile = null) {
+      const pricing = PrinterCalc.CONSTANTS.PRICING[currency] || PrinterCalc.CONSTANTS.PRICING.USD;
+      const quote = PrinterCalc.CONSTANTS.QUOTE || {};
+
+      if (!profile && PrinterCalc.MaterialProfiles) {
+        profile = PrinterCalc.MaterialProfiles.get();
+      }
+
+      quantity = Math.max(1, Math.round(Number(quantity) || 1));
+      const cost = (Number(unitCost) || 0) * quantity;
+      const markupPercent = profile && profile.markupPercent !== undefined ? profile.markupPercent : (quote.MARKUP_PERCENT || 0);
+      const discountPercent = this.getDiscountPercent(quantity);
+      const setupFee = pricing.setupFee || 0;
+      const minimumCharge = pricing.minimumCharge || 0;
+
+      // The discount comes off the marked-up price; the setup fee is charged once per order
+      const listPrice = cost * (1 + markupPercent / 100);
+      const discount = listPrice * discountPercent / 100;
+      const subtotal = listPrice - discount + setupFee;
+      const minimumApplied = subtotal < minimumCharge;
+      const price = minimumApplied ? minimumCharge : subtotal;
+      const margin = price - cost;
+
+      return {
+        quantity,
+        cost,
+        markupPercent,
+        discountPercent,
+        listPrice,
+        discount,
+        setupFee,
+        minimumCharge,
+        minimumApplied,
+        price,
+        unitPrice: price / quantity,
+        margin,
+        marginPercent: price > 0 ? margin / price * 100 : 0
+      };
+    },
+
+    /**
+     * Build the cost, price and margin table of a quote
+     * @param {Object} quote - Result of calculate()
+     * @param {Function} formatCost - Formats an amount in the quote's currency
+     * @param {Object} [options] - Options
+     * @param {string} [options.basis] - What the cost covers, when it is not the full build cost
+     * @returns {string} HTML
+     */
+    createQuoteSummary: function (quote, formatCost, options = {}) {
+      const notes = [`${quote.markupPercent}% markup`];
+      if (options.basis) notes.unshift(options.basis);
+      if (quote.discountPercent > 0) notes.push(`${quote.discountPercent}% quantity discount`);
+      if (quote.setupFee > 0) notes.push(`${formatCost(quote.setupFee)} setup fee`);
+      if (quote.minimumApplied) notes.push(`minimum charge of ${formatCost(quote.minimumCharge)}`);
+
+      return `
+          <div class="quote-summary">
+            <table>
+              <thead>
+                <tr><th>${quote.quantity} pcs</th><th>Cost</th><th>Price</th><th>Margin</th></tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>Order</td>
+                  <td>${formatCost(quote.cost)}</td>
+                  <td>${formatCost(quote.price)}</td>
+                  <td>${formatCost(quote.margin)} (${quote.marginPercent.toFixed(1)}%)</td>
+                </tr>
+                <tr>
+                  <td>Each</td>
+                  <td>${formatCost(quote.cost / quote.quantity)}</td>
+                  <td>${formatCost(quote.unitPrice)}</td>
+                  <td>${formatCost(quote.margin / quote.quantity)}</td>
+                </tr>
+              </tbody>
+            </table>
+            <p class="quote-note">${notes.join(', ')}</p>
+          </div>`;
+    }
+  };
+})();
\ No newline at end of file
@@ -7,7 +7,7 @@
     /**
      * Calculate printer capacity for an object
      * @param {Object} dimensions - Width, depth, height of the object
-     * @param {string} orientation - "flat" or "vertical"
+     * @param {string} orientation - "flat", "side", "vertical" or "custom"
      * @param {string} printerType - "400" or "600"
      * @returns {Object} Capacity information
      */
@@ -64,13 +64,25 @@ if (scaleFactor && scaleFactor !== 1) {
 // Determine object dimensions based on orientation
 let objectWidth, objectDepth, objectHeight;
 
-if (orientation === 'vertical') {
+if (orientation === 'custom') {
+  // Already rotated into place, so use the dimensions as they are
+  objectWidth = scaledDimensions.width;
+  objectDepth = scaledDimensions.depth;
+  objectHeight = scaledDimensions.height;
+} else if (orientation === 'vertical') {
   // For vertical orientation, sort dimensions and use
   // smallest for width, middle for depth, largest for height
   const dims = [scaledDimensions.width, scaledDimensions.depth, scaledDimensions.height].sort((a, b) => a - b);
   objectWidth = dims[0];
   objectDepth = dims[1];
   objectHeight = dims[2];
+} else if (orientation === 'side') {
+  // For side orientation, sort dimensions and use
+  // largest for width, smallest for depth, middle for height
+  const dims = [scaledDimensions.width, scaledDimensions.depth, scaledDimensions.height].sort((a, b) => a - b);
+  objectWidth = dims[2];
+  objectDepth = dims[0];
+  objectHeight = dims[1];
 } else {
           // For flat orientation, sort dimensions and use
           // largest for width, middle for depth, smallest for height
@@ -184,6 +196,170 @@ if (orientation === 'vertical') {
       }
     },
 
+    /**
+     * Calculate printer capacity for a set of separate parts
+     * Parts are packed as individual boxes; capacity is counted in complete sets.
+     * @param {Object[]} partDimensions - Width, depth, height of each part
+     * @param {string} orientation - "flat", "side" or "vertical"
+     * @param {string} printerType - "400" or "600"
+     * @returns {Object} Capacity information (totalObjects is the number of sets)
+     */
+    calculateParts: function (partDimensions, orientation, printerType = '400') {
+      const empty = {
+        fitsInPrinter: false,
+        countX: 0,
+        countY: 0,
+        countZ: 0,
+        totalObjects: 0,
+        arrangement: '0 sets',
+        positions: [],
+        parts: true,
+        partCount: partDimensions.length
+      };
+
+      try {
+        const printer = PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.PRINTERS &&
+          PrinterCalc.CONSTANTS.PRINTERS[printerType];
+        if (!printer || partDimensions.length === 0) {
+          return empty;
+        }
+
+        const spacing = PrinterCalc.CONSTANTS.SPACING || {};
+        const objectSpacing = spacing.OBJECT_SPACING || 15;
+        const space = {
+          wallMargin: printer.wallMargin || 10,
+          width: printer.dimensions.width - 2 * (printer.wallMargin || 10),
+          depth: printer.dimensions.depth - 2 * (printer.wallMargin || 10),
+          height: printer.dimensions.height,
+          spacing: objectSpacing,
+          verticalSpacing: spacing.VERTICAL_SPACING || objectSpacing
+        };
+
+        // Orient each part the same way the single-object calculation does
+        const parts = partDimensions.map((dimensions, index) => {
+          const dims = [dimensions.width, dimensions.depth, dimensions.height].sort((a, b) => a - b);
+          if (orientation === 'vertical') {
+            return { part: index, width: dims[0], depth: dims[1], height: dims[2] };
+          }
+          if (orientation === 'side') {
+            return { part: index, width: dims[2], depth: dims[0], height: dims[1] };
+          }
+          return { part: index, width: dims[2], depth: dims[1], height: dims[0] };
+        });
+
+        let best = this.packParts(parts, 1, space);
+        if (!best) {
+          return empty;
+        }
+
+        // Grow, then narrow down, the number of complete sets that still pack
+        let fits = 1;
+        let fails = 2;
+        while (true) {
+          const packed = this.packParts(parts, fails, space);
+          if (!packed) break;
+          fits = fails;
+          best = packed;
+          fails *= 2;
+        }
+        while (fails - fits > 1) {
+          const middle = Math.floor((fits + fails) / 2);
+          const packed = this.packParts(parts, middle, space);
+          if (packed) {
+            fits = middle;
+            best = packed;
+          } else {
+            fails = middle;
+          }
+        }
+
+        const printHeight = best.reduce((max, pos) => Math.max(max, pos.z + pos.height), 0);
+        const layerHeight = spacing.LAYER_HEIGHT || 0.1;
+        const printTimeSeconds = Math.ceil(printHeight / layerHeight) * printer.layerTime;
+        const layers = new Set(best.map(pos => pos.z)).size;
+
+        return {
+          fitsInPrinter: true,
+          countX: 0,
+          countY: 0,
+          countZ: layers,
+          totalObjects: fits,
+          arrangement: `${fits} sets × ${parts.length} parts, ${layers} layer${layers === 1 ? '' : 's'}`,
+          positions: best,
+          printHeight,
+          printTime: printTimeSeconds,
+          formattedPrintTime: PrinterCalc.Utils && typeof PrinterCalc.Utils.formatPrintTime === 'function'
+            ? PrinterCalc.Utils.formatPrintTime(printTimeSeconds)
+            : `${Math.floor(printTimeSeconds / 3600)}h ${Math.floor((printTimeSeconds % 3600) / 60)}m`,
+          objectDimensions: {
+            width: parts[0].width,
+            depth: parts[0].depth,
+            height: parts[0].height
+          },
+          scaleFactor: 1,
+          parts: true,
+          partCount: parts.length
+        };
+      } catch (error) {
+        console.error('Error in part capacity calculation:', error);
+        return Object.assign(empty, { error: error.message });
+      }
+    },
+
+    /**
+     * Pack several sets of parts into the build volume
+     * Parts are placed tallest first in rows along X, rows along Y and layers along Z.
+     * @param {Object[]} parts - Oriented parts { part, width, depth, height }
+     * @param {number} sets - Number of sets to pack
+     * @param {Object} space - Usable build space and spacing
+     * @returns {Object[]|null} Positions { x, y, z, width, depth, height, part }, or null if they do not fit
+     */
+    packParts: function (parts, sets, space) {
+      const items = [];
+      for (let set = 0; set < sets; set++) {
+        parts.forEach(part => items.push(part));
+      }
+      items.sort((a, b) => b.height - a.height || b.depth - a.depth || b.width - a.width);
+
+      const positions = [];
+      let x = 0, y = 0, z = 0;
+      let rowDepth = 0, layerHeight = 0;
+
+      for (const item of items) {
+        if (item.width > space.width || item.depth > space.depth) return null;
+
+        // Next row, then next layer, when the item does not fit
+        if (x > 0 && x + item.width > space.width) {
+          x = 0;
+          y += rowDepth + space.spacing;
+          rowDepth = 0;
+        }
+        if (y > 0 && y + item.depth > space.depth) {
+          x = 0;
+          y = 0;
+          z += layerHeight + space.verticalSpacing;
+          layerHeight = 0;
+        }
+        if (z + item.height > space.height) return null;
+
+        positions.push({
+          x: space.wallMargin + x,
+          y: space.wallMargin + y,
+          z,
+          width: item.width,
+          depth: item.depth,
+          height: item.height,
+          part: item.part
+        });
+
+        x += item.width + space.spacing;
+        rowDepth = Math.max(rowDepth, item.depth);
+        layerHeight = Math.max(layerHeight, item.height);
+      }
+
+      return positions;
+    },
+
     /**
      * Generate positions for objects in the printer
      * @param {number} width - Object width
@@ -252,8 +428,8 @@ if (orientation === 'vertical') {
         ctx.fillRect(
           10 + pos.x * scale,
           10 + pos.y * scale,
-          objectDimensions.width * scale,
-          objectDimensions.depth * scale
+          (pos.width || objectDimensions.width) * scale,
+          (pos.depth || objectDimensions.depth) * scale
         );
       });
 
@@ -288,8 +464,14 @@ if (orientation === 'vertical') {
     },
 
     addDimensionLabel: function (ctx, printer, scale) {
+      const utils = PrinterCalc.Utils;
+      const format = value => (utils && typeof utils.formatQuantity === 'function'
+        ? utils.formatQuantity(value, 'length', false)
+        : value);
+      const unit = utils && typeof utils.getDisplayUnits === 'function' ? utils.getDisplayUnits('length').unit : 'mm';
+
       ctx.fillStyle = 'black';
-      ctx.fillText(`Printer Dimensions: ${printer.dimensions.width} x ${printer.dimensions.depth}`, 10, 30);
+      ctx.fillText(`Printer Dimensions: ${format(printer.dimensions.width)} x ${format(printer.dimensions.depth)} ${unit}`, 10, 30);
     },
 
     drawNoFitMessage: function (ctx, canvas) {
@@ -552,13 +734,20 @@ if (orientation === 'vertical') {
         
         // Update position calculation for boxes with scale factor
         capacityData.positions.forEach(pos => {
-          const boxMesh = new THREE.Mesh(boxGeometry, modelMaterial.clone());
+          // Separate parts carry their own size
+          const size = pos.width ? pos : {
+            width: capacityData.objectDimensions.width * scaleFactor,
+            depth: capacityData.objectDimensions.depth * scaleFactor,
+            height: capacityData.objectDimensions.height * scaleFactor
+          };
+          const geometry = pos.width ? new THREE.BoxGeometry(size.width, size.height, size.depth) : boxGeometry;
+          const boxMesh = new THREE.Mesh(geometry, modelMaterial.clone());
           
           // Position with bottom at floor level, adjusted for scale
           boxMesh.position.set(
-            pos.x + (capacityData.objectDimensions.width * scaleFactor / 2),  // Center in X with scale
-            pos.z + (capacityData.objectDimensions.height * scaleFactor / 2),  // Center in Y with scale
-            pos.y + (capacityData.objectDimensions.depth * scaleFactor / 2)   // Center in Z with scale
+            pos.x + size.width / 2,  // Center in X with scale
+            pos.z + size.height / 2,  // Center in Y with scale
+            pos.y + size.depth / 2   // Center in Z with scale
           );
           
           scene.add(boxMesh);
@@ -582,7 +771,9 @@ if (orientation === 'vertical') {
       // Add count indicator
       const countLabel = document.createElement('div');
       countLabel.className = 'count-label';
-      countLabel.textContent = `${capacityData.totalObjects} objects`;
+      countLabel.textContent = capacityData.parts
+        ? `${capacityData.totalObjects} sets`
+        : `${capacityData.totalObjects} objects`;
       countLabel.style.position = 'absolute';
       countLabel.style.top = '8px';
       countLabel.style.right = '8px';
@@ -2,371 +2,997 @@
  * stl-processor.js - STL File Processing
  * 
  * Processes STL files to extract volume, dimensions, and geometry data.
- * Modified to handle larger STL files.
+ * Files are read in slices, so large scans never sit in memory whole.
  */
 
 (function () {
   // Make sure the namespace exists
   window.PrinterCalc = window.PrinterCalc || {};
 
+  /**
+   * Create the parse state for an ASCII STL
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {string} text - ASCII STL contents
+   * @returns {Object} Parse state
+   */
+  function createAsciiState(text) {
+    // Start after the "solid <name>" line so a name containing "vertex" is ignored
+    const firstLineEnd = text.indexOf('\n');
+
+    return {
+      position: firstLineEnd === -1 ? text.length : firstLineEnd + 1,
+      done: false,
+      triangleCount: 0,
+      totalVolume: 0,
+      totalArea: 0,
+      minX: Infinity, minY: Infinity, minZ: Infinity,
+      maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity,
+      coords: new Float64Array(9),
+      // Set to a Float32Array to also collect the vertex coordinates (grown as needed)
+      positions: null,
+      // Triangles already taken out of positions (takeTriangles())
+      taken: 0
+    };
+  }
+
+  /**
+   * Read facets from ASCII STL text, resuming from the saved state
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {string} text - ASCII STL contents
+   * @param {Object} state - Parse state from createAsciiState(), updated in place
+   * @param {number} maxTriangles - Maximum number of facets to read in this call
+   * @returns {number} Number of facets read
+   */
+  function readAsciiTriangles(text, state, maxTriangles) {
+    const coords = state.coords;
+    const length = text.length;
+    let read = 0;
+
+    while (read < maxTriangles && !state.done) {
+      // Each facet has three "vertex x y z" lines
+      for (let v = 0; v < 3; v++) {
+        const index = text.indexOf('vertex', state.position);
+        if (index === -1) {
+          state.done = true;
+          state.position = length;
+          return read;
+        }
+
+        let pos = index + 6;
+        for (let axis = 0; axis < 3; axis++) {
+          // Skip whitespace, then read up to the next whitespace
+          while (pos < length && text.charCodeAt(pos) <= 32) pos++;
+          const start = pos;
+          while (pos < length && text.charCodeAt(pos) > 32) pos++;
+          coords[v * 3 + axis] = parseFloat(text.substring(start, pos));
+        }
+
+        state.position = pos;
+      }
+
+      const v1x = coords[0], v1y = coords[1], v1z = coords[2];
+      const v2x = coords[3], v2y = coords[4], v2z = coords[5];
+      const v3x = coords[6], v3y = coords[7], v3z = coords[8];
+
+      // Update min/max coordinates
+      state.minX = Math.min(state.minX, v1x, v2x, v3x);
+      state.minY = Math.min(state.minY, v1y, v2y, v3y);
+      state.minZ = Math.min(state.minZ, v1z, v2z, v3z);
+
+      state.maxX = Math.max(state.maxX, v1x, v2x, v3x);
+      state.maxY = Math.max(state.maxY, v1y, v2y, v3y);
+      state.maxZ = Math.max(state.maxZ, v1z, v2z, v3z);
+
+      // Calculate tetrahedron volume using the divergence theorem
+      const crossX = (v2y - v1y) * (v3z - v1z) - (v2z - v1z) * (v3y - v1y);
+      const crossY = (v2z - v1z) * (v3x - v1x) - (v2x - v1x) * (v3z - v1z);
+      const crossZ = (v2x - v1x) * (v3y - v1y) - (v2y - v1y) * (v3x - v1x);
+
+      state.totalVolume += (v1x * crossX + v1y * crossY + v1z * crossZ) / 6.0;
+      state.totalArea += Math.sqrt(crossX * crossX + crossY * crossY + crossZ * crossZ) / 2;
+      state.triangleCount++;
+      read++;
+
+      if (state.positions) {
+        // Double the buffer when it is full
+        const held = state.triangleCount - state.taken;
+        if (held * 9 > state.positions.length) {
+          const grown = new Float32Array(Math.max(held * 9, state.positions.length * 2));
+          grown.set(state.positions);
+          state.positions = grown;
+        }
+        state.positions.set(coords, (held - 1) * 9);
+      }
+    }
+
+    return read;
+  }
+
+  /**
+   * Read binary STL facets into the parse state
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Uint8Array} bytes - Binary STL data
+   * @param {number} offset - Byte offset of the first facet
+   * @param {number} count - Number of facets to read
+   * @param {Object} state - Parse state from createStreamState(), updated in place
+   */
+  function readBinaryTriangles(bytes, offset, count, state) {
+    const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const positions = state.positions;
+
+    for (let i = 0; i < count; i++) {
+      // Skip the 12-byte normal
+      const base = offset + i * 50 + 12;
+      const p = (state.triangleCount - state.taken) * 9;
+      for (let k = 0; k < 9; k++) {
+        positions[p + k] = data.getFloat32(base + k * 4, true);
+      }
+
+      const v1x = positions[p], v1y = positions[p + 1], v1z = positions[p + 2];
+      const v2x = positions[p + 3], v2y = positions[p + 4], v2z = positions[p + 5];
+      const v3x = positions[p + 6], v3y = positions[p + 7], v3z = positions[p + 8];
+
+      // Update min/max coordinates
+      state.minX = Math.min(state.minX, v1x, v2x, v3x);
+      state.minY = Math.min(state.minY, v1y, v2y, v3y);
+      state.minZ = Math.min(state.minZ, v1z, v2z, v3z);
+
+      state.maxX = Math.max(state.maxX, v1x, v2x, v3x);
+      state.maxY = Math.max(state.maxY, v1y, v2y, v3y);
+      state.maxZ = Math.max(state.maxZ, v1z, v2z, v3z);
+
+      // Calculate tetrahedron volume using the divergence theorem
+      const crossX = (v2y - v1y) * (v3z - v1z) - (v2z - v1z) * (v3y - v1y);
+      const crossY = (v2z - v1z) * (v3x - v1x) - (v2x - v1x) * (v3z - v1z);
+      const crossZ = (v2x - v1x) * (v3y - v1y) - (v2y - v1y) * (v3x - v1x);
+
+      state.totalVolume += (v1x * crossX + v1y * crossY + v1z * crossZ) / 6.0;
+      state.totalArea += Math.sqrt(crossX * crossX + crossY * crossY + crossZ * crossZ) / 2;
+      state.triangleCount++;
+    }
+  }
+
+  /**
+   * Create the state for reading an STL (or a range of it) one chunk at a time
+   * The vertex buffer only holds the triangles of the current chunk; takeTriangles() empties it.
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Object} job - { format, start, end, chunkSize, triangleCount (binary ranges past the header) }
+   * @returns {Object} Parse state
+   */
+  function createStreamState(job) {
+    const state = createAsciiState('');
+
+    state.format = job.format;
+    state.byteLength = job.end - job.start;
+    state.bytesRead = 0;
+    // Still before the first facet: the "solid" line or the 84-byte header (only at the start of the file)
+    state.inHeader = job.start === 0;
+    // Start of a facet cut off by the end of the previous chunk
+    state.pending = job.format === 'ascii' ? '' : new Uint8Array(0);
+    state.decoder = job.format === 'ascii' ? new TextDecoder() : null;
+    // Facets to read from a binary range (set from the header for the first one)
+    state.expectedTriangles = 0;
+
+    if (job.format === 'ascii') {
+      // Grown as needed, then reused for every chunk
+      state.positions = new Float32Array(1024 * 9);
+    } else {
+      // A chunk (plus a facet cut off by the previous one) holds at most this many facets
+      state.positions = new Float32Array((Math.ceil(job.chunkSize / 50) + 1) * 9);
+      if (!state.inHeader) state.expectedTriangles = job.triangleCount;
+    }
+
+    return state;
+  }
+
+  /**
+   * Read ASCII text up to the last complete facet
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Object} state - Parse state from createStreamState(), updated in place
+   * @param {string} text - Unread text
+   * @param {boolean} final - The text runs to the end of the file
+   */
+  function readAsciiText(state, text, final) {
+    let start = 0;
+
+    if (state.inHeader) {
+      // Start after the "solid <name>" line so a name containing "vertex" is ignored
+      const firstLineEnd = text.indexOf('\n');
+      if (firstLineEnd === -1 && !final) {
+        state.pending = text;
+        return;
+      }
+      start = firstLineEnd === -1 ? text.length : firstLineEnd + 1;
+    }
+
+    // A facet split by the chunk boundary waits for the next chunk
+    const end = final ? text.length : text.lastIndexOf('endfacet');
+    if (end < start) {
+      state.pending = text;
+      return;
+    }
+
+    state.inHeader = false;
+    state.position = start;
+    state.done = false;
+    readAsciiTriangles(end === text.length ? text : text.substring(0, end), state, Infinity);
+    state.pending = text.substring(end);
+  }
+
+  /**
+   * Read the next chunk of an STL file
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Object} state - Parse state from createStreamState(), updated in place
+   * @param {Uint8Array} bytes - Next bytes of the file
+   */
+  function readStreamChunk(state, bytes) {
+    state.bytesRead += bytes.length;
+
+    if (state.format === 'ascii') {
+      readAsciiText(state, state.pending + state.decoder.decode(bytes, { stream: true }), false);
+      return;
+    }
+
+    let data = bytes;
+    if (state.pending.length > 0) {
+      data = new Uint8Array(state.pending.length + bytes.length);
+      data.set(state.pending);
+      data.set(bytes, state.pending.length);
+    }
+
+    let offset = 0;
+    if (state.inHeader) {
+      if (data.length < 84) {
+        state.pending = data.slice();
+        return;
+      }
+
+      // Trust the header count only as far as the file size allows
+      const declared = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(80, true);
+      state.expectedTriangles = Math.min(declared, Math.max(0, Math.floor((state.byteLength - 84) / 50)));
+      state.inHeader = false;
+      offset = 84;
+    }
+
+    const count = Math.min(
+      Math.floor((data.length - offset) / 50),
+      state.expectedTriangles - state.triangleCount
+    );
+    readBinaryTriangles(data, offset, count, state);
+
+    state.pending = state.triangleCount < state.expectedTriangles
+      ? data.slice(offset + count * 50)
+      : new Uint8Array(0);
+  }
+
+  /**
+   * Finish reading a streamed STL (or a range of it)
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Object} state - Parse state from createStreamState()
+   * @returns {Object} Partial sums: { triangleCount, totalVolume (mm³, signed), totalArea (mm²), min, max }
+   */
+  function finishStream(state) {
+    if (state.format === 'ascii') {
+      readAsciiText(state, state.pending + state.decoder.decode(), true);
+    } else if (state.inHeader) {
+      throw new Error('The file is too short to be an STL');
+    }
+
+    return {
+      triangleCount: state.triangleCount,
+      totalVolume: state.totalVolume,
+      totalArea: state.totalArea,
+      min: [state.minX, state.minY, state.minZ],
+      max: [state.maxX, state.maxY, state.maxZ]
+    };
+  }
+
+  /**
+   * Take the triangles read since the last call out of the parse state
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Object} state - Parse state from createStreamState(), updated in place
+   * @returns {Object} { first (index in the range), positions }
+   */
+  function takeTriangles(state) {
+    const batch = {
+      first: state.taken,
+      positions: state.positions.slice(0, (state.triangleCount - state.taken) * 9)
+    };
+
+    state.taken = state.triangleCount;
+    return batch;
+  }
+
+  /**
+   * Read a byte range of an STL file one slice at a time
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Object} job - { file, format, start, end, chunkSize, triangleCount }
+   * @param {Function} readSlice - Reads (file, start, end) into an ArrayBuffer
+   * @param {Function} onChunk - Called with the parse state and the new triangles (takeTriangles()) after each slice, and once more at the end (may return a promise)
+   * @returns {Promise<Object>} Partial sums from finishStream()
+   */
+  async function readRange(job, readSlice, onChunk) {
+    const state = createStreamState(job);
+
+    for (let offset = job.start; offset < job.end; offset += job.chunkSize) {
+      const chunk = await readSlice(job.file, offset, Math.min(job.end, offset + job.chunkSize));
+      readStreamChunk(state, new Uint8Array(chunk));
+      await onChunk(state, takeTriangles(state));
+    }
+
+    // The last ASCII facets are only read once the file has ended
+    const part = finishStream(state);
+    await onChunk(state, takeTriangles(state));
+    return part;
+  }
+
+  /**
+   * Create the buffers that collect the triangles of the ranges of one file
+   * Each range fills its own region, sized from its triangle count (exact for
+   * binary ranges, an estimate for ASCII ones), so nothing is joined afterwards.
+   * @param {number[]} capacities - Triangles expected in each range
+   * @returns {Object} Sink for addTriangles() and finishSink()
+   */
+  function createTriangleSink(capacities) {
+    const starts = [];
+    let total = 0;
+    capacities.forEach(capacity => {
+      starts.push(total);
+      total += capacity;
+    });
+
+    return {
+      capacities: capacities.slice(),
+      starts,
+      counts: capacities.map(() => 0),
+      positions: new Float32Array(total * 9),
+      normals: new Float32Array(total * 9)
+    };
+  }
+
+  /**
+   * Store triangles of one range in the sink
+   * @param {Object} sink - Sink from createTriangleSink()
+   * @param {number} range - Range index
+   * @param {number} first - Index of the first triangle in the range
+   * @param {Float32Array} positions - Vertex coordinates, 9 per triangle
+   * @param {Float32Array} normals - Vertex normals, 9 per triangle
+   */
+  function addTriangles(sink, range, first, positions, normals) {
+    const end = first + positions.length / 9;
+    if (end > sink.capacities[range]) {
+      growSinkRegion(sink, range, end);
+    }
+
+    const offset = (sink.starts[range] + first) * 9;
+    sink.positions.set(positions, offset);
+    sink.normals.set(normals, offset);
+    sink.counts[range] = Math.max(sink.counts[range], end);
+  }
+
+  /**
+   * Make room in a range that holds more triangles than estimated
+   * This is the only time the buffers are copied (an ASCII range with unusually short facets).
+   * @param {Object} sink - Sink from createTriangleSink()
+   * @param {number} range - Range index
+   * @param {number} needed - Triangles the range must hold
+   */
+  function growSinkRegion(sink, range, needed) {
+    const extra = Math.max(needed - sink.capacities[range], Math.ceil(sink.capacities[range] / 2));
+    const regionEnd = (sink.starts[range] + sink.capacities[range]) * 9;
+
+    ['positions', 'normals'].forEach(key => {
+      const grown = new Float32Array(sink[key].length + extra * 9);
+      grown.set(sink[key].subarray(0, regionEnd));
+      grown.set(sink[key].subarray(regionEnd), regionEnd + extra * 9);
+      sink[key] = grown;
+    });
+
+    sink.capacities[range] += extra;
+    for (let later = range + 1; later < sink.starts.length; later++) {
+      sink.starts[later] += extra;
+    }
+  }
+
+  /**
+   * Close the gaps between the ranges of a sink, in place
+   * @param {Object} sink - Sink from createTriangleSink()
+   * @returns {Object} { positions, normals } in file order
+   */
+  function finishSink(sink) {
+    let offset = 0;
+
+    sink.counts.forEach((count, range) => {
+      const start = sink.starts[range] * 9;
+      if (start !== offset) {
+        sink.positions.copyWithin(offset, start, start + count * 9);
+        sink.normals.copyWithin(offset, start, start + count * 9);
+      }
+      offset += count * 9;
+    });
+
+    // Views, so any unused estimate is not copied away
+    return {
+      positions: offset === sink.positions.length ? sink.positions : sink.positions.subarray(0, offset),
+      normals: offset === sink.normals.length ? sink.normals : sink.normals.subarray(0, offset)
+    };
+  }
+
+  /**
+   * Add up the partial results of the ranges of one file
+   * @param {Object[]} parts - Partial sums from finishStream(), in file order
+   * @param {string} format - "ascii" or "binary"
+   * @param {Object} triangles - { positions, normals } from finishSink()
+   * @returns {Object} STL data with volumeCm3, surfaceAreaCm2, dimensions, triangleCount, positions and normals
+   */
+  function combineParts(parts, format, triangles) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    let triangleCount = 0;
+    let totalVolume = 0;
+    let totalArea = 0;
+
+    parts.forEach(part => {
+      triangleCount += part.triangleCount;
+      totalVolume += part.totalVolume;
+      totalArea += part.totalArea;
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], part.min[axis]);
+        max[axis] = Math.max(max[axis], part.max[axis]);
+      }
+    });
+
+    if (format === 'ascii' && triangleCount === 0) {
+      throw new Error('No facets found in ASCII STL file');
+    }
+
+    return {
+      volumeCm3: Math.abs(totalVolume) / 1000,
+      surfaceAreaCm2: totalArea / 100,
+      dimensions: triangleCount > 0 ? {
+        width: max[0] - min[0],
+        depth: max[1] - min[1],
+        height: max[2] - min[2]
+      } : { width: 0, depth: 0, height: 0 },
+      triangleCount,
+      positions: triangles.positions,
+      normals: triangles.normals
+    };
+  }
+
+  /**
+   * Build flat vertex normals for a triangle soup
+   * Kept self-contained so it can be inlined into the worker source.
+   * @param {Float32Array} positions - Vertex coordinates, 9 per triangle
+   * @returns {Float32Array} Unit face normal repeated for each vertex, 9 per triangle
+   */
+  function computeFaceNormals(positions) {
+    const normals = new Float32Array(positions.length);
+
+    for (let i = 0; i + 8 < positions.length; i += 9) {
+      const ux = positions[i + 3] - positions[i], uy = positions[i + 4] - positions[i + 1], uz = positions[i + 5] - positions[i + 2];
+      const vx = positions[i + 6] - positions[i], vy = positions[i + 7] - positions[i + 1], vz = positions[i + 8] - positions[i + 2];
+      const nx = uy * vz - uz * vy;
+      const ny = uz * vx - ux * vz;
+      const nz = ux * vy - uy * vx;
+      const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+
+      for (let v = 0; v < 9; v += 3) {
+        normals[i + v] = nx / length;
+        normals[i + v + 1] = ny / length;
+        normals[i + v + 2] = nz / length;
+      }
+    }
+
+    return normals;
+  }
+
+  // Small vector helpers for the bounding box search
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const normalize = v => {
+    const length = Math.hypot(v[0], v[1], v[2]) || 1;
+    return [v[0] / length, v[1] / length, v[2] / length];
+  };
+
+  /**
+   * Convex hull of 2D points (monotone chain)
+   * @param {number[][]} points - [x, y] pairs
+   * @returns {number[][]} Hull points in counter-clockwise order
+   */
+  function convexHull2D(points) {
+    const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const lower = [];
+    const upper = [];
+
+    sorted.forEach(point => {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+      lower.push(point);
+    });
+    for (let i = sorted.length - 1; i >= 0; i--) {
+      const point = sorted[i];
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+      upper.push(point);
+    }
+
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+  }
+
+  /**
+   * Smallest-area rectangle around a convex polygon
+   * One side of the best rectangle always lies along a hull edge.
+   * @param {number[][]} hull - Convex hull points
+   * @returns {Object} { area, angle } where angle is the direction of the first side
+   */
+  function minAreaRectangle(hull) {
+    let best = { area: Infinity, angle: 0 };
+
+    for (let i = 0; i < hull.length; i++) {
+      const next = hull[(i + 1) % hull.length];
+      const length = Math.hypot(next[0] - hull[i][0], next[1] - hull[i][1]);
+      if (length < 1e-12) continue;
+
+      const ux = (next[0] - hull[i][0]) / length;
+      const uy = (next[1] - hull[i][1]) / length;
+      let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+
+      hull.forEach(point => {
+        const u = point[0] * ux + point[1] * uy;
+        const v = point[1] * ux - point[0] * uy;
+        minU = Math.min(minU, u);
+        maxU = Math.max(maxU, u);
+        minV = Math.min(minV, v);
+        maxV = Math.max(maxV, v);
+      });
+
+      const area = (maxU - minU) * (maxV - minV);
+      if (area < best.area) best = { area, angle: Math.atan2(uy, ux) };
+    }
+
+    return best.area === Infinity ? { area: 0, angle: 0 } : best;
+  }
+
+  /**
+   * Fit the tightest box that has one axis along a given direction
+   * @param {number[][]} points - Hull points
+   * @param {number[]} up - Unit direction of the third box axis
+   * @returns {Object} { volume, axes }
+   */
+  function boxAroundDirection(points, up) {
+    // Any two directions perpendicular to up
+    const helper = Math.abs(up[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const a = normalize(cross(up, helper));
+    const b = cross(up, a);
+
+    let minH = Infinity, maxH = -Infinity;
+    const projected = points.map(point => {
+      const h = dot(point, up);
+      minH = Math.min(minH, h);
+      maxH = Math.max(maxH, h);
+      return [dot(point, a), dot(point, b)];
+    });
+
+    const rectangle = minAreaRectangle(convexHull2D(projected));
+    const cos = Math.cos(rectangle.angle), sin = Math.sin(rectangle.angle);
+    const first = normalize([0, 1, 2].map(axis => a[axis] * cos + b[axis] * sin));
+
+    return {
+      volume: rectangle.area * (maxH - minH),
+      axes: [first, cross(up, first), up]
+    };
+  }
+
+  /**
+   * Evenly spread unit directions (Fibonacci sphere)
+   * @param {number} count - Number of directions
+   * @param {boolean} [hemisphere] - Only directions with z >= 0
+   * @returns {number[][]} Unit vectors
+   */
+  function sphereDirections(count, hemisphere = false) {
+    const directions = [];
+    const golden = Math.PI * (3 - Math.sqrt(5));
+
+    for (let i = 0; i < count; i++) {
+      const z = hemisphere ? 1 - i / count : 1 - (2 * i + 1) / count;
+      const radius = Math.sqrt(Math.max(0, 1 - z * z));
+      directions.push([Math.cos(golden * i) * radius, Math.sin(golden * i) * radius, z]);
+    }
+
+    return directions;
+  }
+
   // Create an STL processor module
   PrinterCalc.STLProcessor = {
+    // Average size of one ASCII facet in bytes, used to estimate triangle counts
+    ASCII_BYTES_PER_TRIANGLE: 250,
+
+    // Bytes read from the file at a time
+    STREAM_CHUNK_SIZE: 8 * 1024 * 1024,
+
+    // Fewest triangles worth giving a worker of their own
+    MIN_TRIANGLES_PER_JOB: 200000,
+
+    // Bytes searched for a facet end when splitting an ASCII file
+    ASCII_SPLIT_SEARCH_BYTES: 64 * 1024,
+
+    // Directions used to pick out the convex hull points for the oriented box
+    OBB_HULL_DIRECTIONS: 256,
+
+    // Candidate box orientations tried before refining the best one
+    OBB_SEARCH_DIRECTIONS: 400,
+
+    // Grid columns per axis used to thin out vertices before the hull search
+    OBB_GRID_COLUMNS: 64,
+
+    // Offer to realign a part when its oriented box is at least this much smaller
+    OBB_MIN_SAVING: 0.1,
+
+    /**
+     * Detect whether an STL file is ASCII or binary
+     * @param {ArrayBuffer} arrayBuffer - STL file data (the first kilobyte is enough)
+     * @param {number} [byteLength] - Size of the whole file in bytes
+     * @returns {string} "ascii" or "binary"
+     */
+    detectFormat: function (arrayBuffer, byteLength = arrayBuffer.byteLength) {
+      // A binary STL is exactly header + count + 50 bytes per triangle
+      if (byteLength >= 84 && arrayBuffer.byteLength >= 84) {
+        const triangleCount = new DataView(arrayBuffer).getUint32(80, true);
+        if (84 + triangleCount * 50 === byteLength) {
+          return 'binary';
+        }
+      }
+
+      // Otherwise look for the ASCII keywords at the start of the file
+      const head = new TextDecoder().decode(new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 1024)));
+      if (/^\s*solid/i.test(head) && /facet|endsolid/i.test(head)) {
+        return 'ascii';
+      }
+
+      return 'binary';
+    },
+
+    /**
+     * Estimate the number of triangles in an STL from its size
+     * @param {string} format - "ascii" or "binary"
+     * @param {number} byteLength - File size in bytes
+     * @returns {number} Triangle count (exact for binary files)
+     */
+    estimateTriangleCount: function (format, byteLength) {
+      return format === 'ascii'
+        ? Math.round(byteLength / this.ASCII_BYTES_PER_TRIANGLE)
+        : Math.max(0, Math.floor((byteLength - 84) / 50));
+    },
+
+    /**
+     * Read part of a file
+     * @param {Blob} file - File to read
+     * @param {number} start - First byte
+     * @param {number} end - Byte after the last one
+     * @returns {Promise<ArrayBuffer>} The bytes read
+     */
+    readFileSlice: function (file, start, end) {
+      const slice = file.slice(start, end);
+
+      if (typeof slice.arrayBuffer === 'function') {
+        return slice.arrayBuffer();
+      }
+
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = event => resolve(event.target.result);
+        reader.onerror = error => reject(error);
+        reader.readAsArrayBuffer(slice);
+      });
+    },
+
+    /**
+     * Build a progress callback that adds the reading speed and time left
+     * @param {number} byteLength - File size in bytes
+     * @param {Function} [onProgress] - Called with (percent, { trianglesRead, trianglesPerSecond, secondsRemaining })
+     * @returns {Function} Reports (bytesRead, trianglesRead)
+     */
+    createProgressReporter: function (byteLength, onProgress) {
+      const startTime = performance.now();
+
+      return (bytesRead, trianglesRead) => {
+        if (typeof onProgress !== 'function') return;
+
+        const seconds = (performance.now() - startTime) / 1000;
+        const fraction = byteLength > 0 ? Math.min(1, bytesRead / byteLength) : 1;
+
+        onProgress(Math.round(fraction * 100), {
+          trianglesRead,
+          trianglesPerSecond: seconds > 0 ? trianglesRead / seconds : 0,
+          // At the speed so far
+          secondsRemaining: fraction > 0 ? seconds * (1 - fraction) / fraction : null
+        });
+      };
+    },
+
     /**
      * Process an STL file
+     * The file is read in slices, so the raw bytes are never held in memory whole,
+     * and large files are split across the worker pool.
+     * The vertex positions and normals come back ready for the viewer.
      * @param {File} file - STL file
-     * @returns {Promise<Object>} Promise resolving to STL data
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onProgress] - Called with the percentage of the file read and { trianglesRead, trianglesPerSecond, secondsRemaining }
+     * @param {AbortSignal} [options.signal] - Cancels processing (rejects with an AbortError)
+     * @returns {Promise<Object>} Promise resolving to STL data with positions and normals
      */
-    processFile: async function (file) {
+    processFile: async function (file, options = {}) {
       try {
         // Validate file
         if (!file || !file.name || !file.name.toLowerCase().endsWith('.stl')) {
           throw new Error('Invalid STL file format. Please upload a valid STL file.');
         }
 
-        // Read file as array buffer
-        let arrayBuffer;
-        if (PrinterCalc.Utils && typeof PrinterCalc.Utils.readFileAsArrayBuffer === 'function') {
-          arrayBuffer = await PrinterCalc.Utils.readFileAsArrayBuffer(file);
-        } else {
-          // Fallback implementation if Utils isn't available yet
-          arrayBuffer = await new Promise((resolve, reject) => {
-            try {
-              const reader = new FileReader();
-              reader.onload = function (event) {
-                resolve(event.target.result);
-              };
-              reader.onerror = function (error) {
-                reject(error);
-              };
-              reader.readAsArrayBuffer(file);
-            } catch (error) {
-              console.error('Error reading file:', error);
-              reject(error);
-            }
-          });
+        // Work out whether this is an ASCII or binary STL from the start of the file
+        const head = await this.readFileSlice(file, 0, Math.min(file.size, 1024));
+        const format = this.detectFormat(head, file.size);
+
+        // Show warning for large files
+        const estimatedTriangles = this.estimateTriangleCount(format, file.size);
+        if (estimatedTriangles > 5000000) {
+          this.showLargeFileWarning(estimatedTriangles);
         }
 
-        // Try to use Web Worker if available
+        if (options.signal) options.signal.throwIfAborted();
+
+        // Try to use Web Workers if available
         if (window.Worker) {
           try {
-            return await this.processWithWorker(arrayBuffer);
+            return await this.processWithWorker(file, format, options);
           } catch (workerError) {
+            if (workerError.name === 'AbortError') throw workerError;
             console.warn('Web Worker failed, falling back to main thread:', workerError);
-            return this.processInMainThread(arrayBuffer);
           }
-        } else {
-          // Process in main thread if Web Workers not supported
-          return this.processInMainThread(arrayBuffer);
         }
+
+        // Process in main thread if Web Workers are not supported or failed
+        return await this.processInMainThread(file, format, options);
       } catch (error) {
-        console.error('Error processing STL file:', error);
+        if (error.name !== 'AbortError') {
+          console.error('Error processing STL file:', error);
+        }
         throw error;
       }
     },
 
     /**
-     * Process STL in a Web Worker
-     * @param {ArrayBuffer} arrayBuffer - STL file data
-     * @returns {Promise<Object>} Promise resolving to processed data
+     * Get the source of the STL worker script
+     * @returns {string} Worker code
      */
-    processWithWorker: function (arrayBuffer) {
-      return new Promise((resolve, reject) => {
-        // Worker code as a string
-        const workerCode = `
-          self.onmessage = function(e) {
-            const arrayBuffer = e.data;
-            
-            try {
-              const startTime = performance.now();
-              
-              // Parse binary STL
-              const data = new DataView(arrayBuffer);
-              const triangleCount = data.getUint32(80, true);
-              
-              // For large files, send a notification back to main thread
-              if (triangleCount > 5000000) {
-                self.postMessage({
-                  progress: true,
-                  triangleCount: triangleCount,
-                  message: "Processing large model with " + triangleCount + " triangles..."
-                });
-              }
-              
-              let totalVolume = 0;
-              let minX = Infinity, minY = Infinity, minZ = Infinity;
-              let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
-              
-              let offset = 84; // Skip header and triangle count
-              
-              // Process in batches for large files
-              const BATCH_SIZE = 100000;
-              let processedTriangles = 0;
-              
-              while (processedTriangles < triangleCount) {
-                const batchEnd = Math.min(processedTriangles + BATCH_SIZE, triangleCount);
-                
-                for (let i = processedTriangles; i < batchEnd; i++) {
-                  // Skip normal vector (12 bytes)
-                  offset += 12;
-                  
-                  // Read vertices
-                  const v1x = data.getFloat32(offset, true);
-                  const v1y = data.getFloat32(offset + 4, true);
-                  const v1z = data.getFloat32(offset + 8, true);
-                  offset += 12;
-                  
-                  const v2x = data.getFloat32(offset, true);
-                  const v2y = data.getFloat32(offset + 4, true);
-                  const v2z = data.getFloat32(offset + 8, true);
-                  offset += 12;
-                  
-                  const v3x = data.getFloat32(offset, true);
-                  const v3y = data.getFloat32(offset + 4, true);
-                  const v3z = data.getFloat32(offset + 8, true);
-                  offset += 12;
-                  
-                  // Skip attribute byte count (2 bytes)
-                  offset += 2;
-                  
-                  // Update min/max coordinates
-                  minX = Math.min(minX, v1x, v2x, v3x);
-                  minY = Math.min(minY, v1y, v2y, v3y);
-                  minZ = Math.min(minZ, v1z, v2z, v3z);
-                  
-                  maxX = Math.max(maxX, v1x, v2x, v3x);
-                  maxY = Math.max(maxY, v1y, v2y, v3y);
-                  maxZ = Math.max(maxZ, v1z, v2z, v3z);
-                  
-                  // Calculate tetrahedron volume using the divergence theorem
-                  const crossX = (v2y - v1y) * (v3z - v1z) - (v2z - v1z) * (v3y - v1y);
-                  const crossY = (v2z - v1z) * (v3x - v1x) - (v2x - v1x) * (v3z - v1z);
-                  const crossZ = (v2x - v1x) * (v3y - v1y) - (v2y - v1y) * (v3x - v1x);
-                  
-                  const volume = (v1x * crossX + v1y * crossY + v1z * crossZ) / 6.0;
-                  totalVolume += volume;
-                }
-                
-                processedTriangles = batchEnd;
-                
-                // Report progress for large files
-                if (triangleCount > 1000000 && processedTriangles % 1000000 < BATCH_SIZE) {
-                  const progress = Math.round((processedTriangles / triangleCount) * 100);
-                  self.postMessage({
-                    progress: true,
-                    current: processedTriangles,
-                    total: triangleCount,
-                    percent: progress,
-                    message: "Processed " + (processedTriangles/1000000).toFixed(1) + "M of " + 
-                             (triangleCount/1000000).toFixed(1) + "M triangles (" + progress + "%)"
-                  });
-                }
-              }
-              
-              // Convert to cm³ and ensure positive volume
-              const volumeCm3 = Math.abs(totalVolume) / 1000;
-              
-              // Calculate dimensions in mm
-              const dimensions = {
-                width: maxX - minX,
-                depth: maxY - minY,
-                height: maxZ - minZ
-              };
-              
-              const processingTime = performance.now() - startTime;
-              
-              // Return the result
-              self.postMessage({
-                success: true,
-                volumeCm3: volumeCm3,
-                dimensions: dimensions,
-                triangleCount: triangleCount,
-                processingTime: processingTime
-              });
-            } catch (error) {
-              self.postMessage({
-                success: false,
-                error: error.message || 'Error processing STL file'
-              });
-            }
-          };
-        `;
-
-        // Create a blob with the worker code
-        const workerBlob = new Blob([workerCode], { type: 'application/javascript' });
-        const workerURL = URL.createObjectURL(workerBlob);
-        const worker = new Worker(workerURL);
-
-        // Handle worker messages
-        worker.onmessage = (e) => {
-          // Check if this is a progress update
-          if (e.data.progress) {
-            console.log(`STL Processing: ${e.data.message || 'Working...'}`);
-            
-            // Show warning for large files
-            if (e.data.triangleCount && e.data.triangleCount > 5000000) {
-              this.showLargeFileWarning(e.data.triangleCount);
-            }
-            
-            // Update loading bar if available
-            if (e.data.percent) {
-              const loadingBars = document.querySelectorAll('.model-viewer-loading-bar');
-              loadingBars.forEach(bar => {
-                if (bar) bar.style.width = `${e.data.percent}%`;
-              });
-            }
-            
-            return; // Don't resolve promise yet
-          }
+    getWorkerSource: function () {
+      return `
+        ${createAsciiState.toString()}
+
+        ${readAsciiTriangles.toString()}
+
+        ${readBinaryTriangles.toString()}
+
+        ${createStreamState.toString()}
+
+        ${readAsciiText.toString()}
+
+        ${readStreamChunk.toString()}
 
-          // Clean up
-          worker.terminate();
-          URL.revokeObjectURL(workerURL);
+        ${finishStream.toString()}
 
-          if (e.data.success) {
-            resolve(e.data);
-          } else {
-            reject(new Error(e.data.error || 'Worker processing failed'));
+        ${takeTriangles.toString()}
+
+        ${readRange.toString()}
+
+        ${computeFaceNormals.toString()}
+
+        function readSlice(file, start, end) {
+          const slice = file.slice(start, end);
+          return typeof slice.arrayBuffer === 'function'
+            ? slice.arrayBuffer()
+            : new FileReaderSync().readAsArrayBuffer(slice);
+        }
+
+        self.onmessage = async function(e) {
+          try {
+            const part = await readRange(e.data, readSlice, (state, batch) => {
+              // Hand each chunk's vertex buffers over without copying them
+              const normals = computeFaceNormals(batch.positions);
+              self.postMessage({
+                progress: true,
+                bytesRead: state.bytesRead,
+                triangleCount: state.triangleCount,
+                first: batch.first,
+                positions: batch.positions,
+                normals
+              }, [batch.positions.buffer, normals.buffer]);
+            });
+
+            part.success = true;
+            self.postMessage(part);
+          } catch (error) {
+            self.postMessage({
+              success: false,
+              error: error.message || 'Error processing STL file'
+            });
           }
         };
+      `;
+    },
 
-        // Handle worker errors
-        worker.onerror = (error) => {
-          // Clean up
-          worker.terminate();
-          URL.revokeObjectURL(workerURL);
-          reject(error);
-        };
+    /**
+     * Get the shared STL worker pool, creating it on first use
+     * @returns {Object} Pool from WorkerPool.create()
+     */
+    getWorkerPool: function () {
+      if (!this.workerPool) {
+        this.workerPool = PrinterCalc.WorkerPool.create(this.getWorkerSource());
+      }
+      return this.workerPool;
+    },
 
-        // Send data to worker
-        worker.postMessage(arrayBuffer);
-      });
+    /**
+     * Split an STL file into byte ranges of whole facets
+     * @param {File} file - STL file
+     * @param {string} format - "ascii" or "binary"
+     * @param {number} count - Number of ranges wanted
+     * @returns {Promise<Object[]>} Jobs with start, end, and triangleCount (binary) or estimatedTriangles (ASCII)
+     */
+    splitFile: async function (file, format, count) {
+      if (format === 'binary') {
+        // Facets have a fixed size, so ranges can be cut at exact triangle indices
+        const head = new DataView(await this.readFileSlice(file, 0, Math.min(file.size, 84)));
+        const total = head.byteLength >= 84
+          ? Math.min(head.getUint32(80, true), this.estimateTriangleCount('binary', file.size))
+          : 0;
+
+        const jobs = [];
+        for (let i = 0; i < count; i++) {
+          const first = Math.floor(total * i / count);
+          const last = Math.floor(total * (i + 1) / count);
+          jobs.push({
+            start: i === 0 ? 0 : 84 + first * 50,
+            end: i === count - 1 ? file.size : 84 + last * 50,
+            triangleCount: last - first
+          });
+        }
+        return jobs;
+      }
+
+      // ASCII: cut just after an "endfacet" line near each even split
+      const cuts = [0];
+      for (let i = 1; i < count; i++) {
+        const target = Math.max(cuts[cuts.length - 1], Math.round(file.size * i / count));
+        const cut = await this.findAsciiFacetEnd(file, target);
+        if (cut !== -1 && cut < file.size) cuts.push(cut);
+      }
+      cuts.push(file.size);
+
+      return cuts.slice(0, -1).map((start, i) => ({
+        start,
+        end: cuts[i + 1],
+        estimatedTriangles: this.estimateTriangleCount('ascii', cuts[i + 1] - start)
+      }));
     },
 
     /**
-     * Process STL in the main thread
-     * @param {ArrayBuffer} arrayBuffer - STL file data
+     * Find the end of the first ASCII facet ending after a byte offset
+     * @param {File} file - ASCII STL file
+     * @param {number} offset - Byte offset to search from
+     * @returns {Promise<number>} Offset just after the "endfacet" line, or -1 if none is near
+     */
+    findAsciiFacetEnd: async function (file, offset) {
+      const end = Math.min(file.size, offset + this.ASCII_SPLIT_SEARCH_BYTES);
+      const bytes = new Uint8Array(await this.readFileSlice(file, offset, end));
+      const keyword = [101, 110, 100, 102, 97, 99, 101, 116]; // "endfacet"
+
+      for (let i = 0; i + keyword.length <= bytes.length; i++) {
+        if (!keyword.every((code, k) => bytes[i + k] === code)) continue;
+
+        // Cut after the end of the line
+        const lineEnd = bytes.indexOf(10, i + keyword.length);
+        return lineEnd === -1 ? -1 : offset + lineEnd + 1;
+      }
+
+      return -1;
+    },
+
+    /**
+     * Process STL with the worker pool
+     * The file is split into ranges of whole facets, read in parallel, and the
+     * partial volumes, areas and bounds are added up afterwards. Workers send
+     * their triangles back chunk by chunk into one buffer for the whole file.
+     * @param {File} file - STL file
+     * @param {string} format - "ascii" or "binary"
+     * @param {Object} [options] - onProgress and signal, as for processFile()
      * @returns {Promise<Object>} Promise resolving to processed data
      */
-    processInMainThread: function (arrayBuffer) {
-      return new Promise((resolve, reject) => {
-        try {
-          const startTime = performance.now();
+    processWithWorker: async function (file, format, options = {}) {
+      const startTime = performance.now();
+      const pool = this.getWorkerPool();
+      const report = this.createProgressReporter(file.size, options.onProgress);
 
-          // Parse binary STL
-          const data = new DataView(arrayBuffer);
-          const triangleCount = data.getUint32(80, true);
+      // One range per core for large files, but no smaller than MIN_TRIANGLES_PER_JOB
+      const triangles = this.estimateTriangleCount(format, file.size);
+      const count = Math.max(1, Math.min(pool.size, Math.ceil(triangles / this.MIN_TRIANGLES_PER_JOB)));
+      const jobs = await this.splitFile(file, format, count);
+      if (options.signal) options.signal.throwIfAborted();
 
-          // Show warning for large files
-          if (triangleCount > 5000000) {
-            this.showLargeFileWarning(triangleCount);
-          }
+      // Progress over the whole file
+      const bytesRead = jobs.map(() => 0);
+      const trianglesRead = jobs.map(() => 0);
+      const sum = values => values.reduce((total, value) => total + value, 0);
 
-          let totalVolume = 0;
-          let minX = Infinity, minY = Infinity, minZ = Infinity;
-          let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
-
-          // Process in small batches to avoid blocking UI
-          const CHUNK_SIZE = 50000; // Process in smaller chunks for large files
-          let offset = 84; // Skip header and triangle count
-          let processedTriangles = 0;
-
-          const processChunk = () => {
-            const endTriangle = Math.min(processedTriangles + CHUNK_SIZE, triangleCount);
-            const chunkStartTime = performance.now();
-
-            for (let i = processedTriangles; i < endTriangle; i++) {
-              // Skip normal vector (12 bytes)
-              offset += 12;
-
-              // Read vertices
-              const v1x = data.getFloat32(offset, true);
-              const v1y = data.getFloat32(offset + 4, true);
-              const v1z = data.getFloat32(offset + 8, true);
-              offset += 12;
-
-              const v2x = data.getFloat32(offset, true);
-              const v2y = data.getFloat32(offset + 4, true);
-              const v2z = data.getFloat32(offset + 8, true);
-              offset += 12;
-
-              const v3x = data.getFloat32(offset, true);
-              const v3y = data.getFloat32(offset + 4, true);
-              const v3z = data.getFloat32(offset + 8, true);
-              offset += 12;
-
-              // Skip attribute byte count (2 bytes)
-              offset += 2;
-
-              // Update min/max coordinates
-              minX = Math.min(minX, v1x, v2x, v3x);
-              minY = Math.min(minY, v1y, v2y, v3y);
-              minZ = Math.min(minZ, v1z, v2z, v3z);
-
-              maxX = Math.max(maxX, v1x, v2x, v3x);
-              maxY = Math.max(maxY, v1y, v2y, v3y);
-              maxZ = Math.max(maxZ, v1z, v2z, v3z);
-
-              // Calculate tetrahedron volume using the divergence theorem
-              const crossX = (v2y - v1y) * (v3z - v1z) - (v2z - v1z) * (v3y - v1y);
-              const crossY = (v2z - v1z) * (v3x - v1x) - (v2x - v1x) * (v3z - v1z);
-              const crossZ = (v2x - v1x) * (v3y - v1y) - (v2y - v1y) * (v3x - v1x);
-
-              const volume = (v1x * crossX + v1y * crossY + v1z * crossZ) / 6.0;
-              totalVolume += volume;
-            }
+      const sink = createTriangleSink(jobs.map(job => (format === 'binary' ? job.triangleCount : job.estimatedTriangles)));
 
-            processedTriangles = endTriangle;
-
-            // Calculate and display progress for large files
-            if (triangleCount > 1000000 && processedTriangles % 500000 < CHUNK_SIZE) {
-              const percentComplete = Math.round((processedTriangles / triangleCount) * 100);
-              console.log(`STL Processing: ${percentComplete}% complete (${processedTriangles.toLocaleString()} / ${triangleCount.toLocaleString()} triangles)`);
-              
-              // Update loading indicator if available
-              const loadingBars = document.querySelectorAll('.model-viewer-loading-bar');
-              loadingBars.forEach(bar => {
-                if (bar) bar.style.width = `${percentComplete}%`;
-              });
-            }
+      // One failed range stops the others, as the whole file is then read again in the main thread
+      const controller = new AbortController();
+      const abort = () => controller.abort(options.signal.reason);
+      if (options.signal) options.signal.addEventListener('abort', abort, { once: true });
 
-            if (processedTriangles < triangleCount) {
-              // Check if we need to yield to prevent script timeout
-              const elapsedTime = performance.now() - chunkStartTime;
-              const timeoutDelay = elapsedTime > 50 ? 10 : 0; // Yield if processing time exceeds 50ms
-              
-              // Continue processing in the next animation frame or timeout
-              setTimeout(processChunk, timeoutDelay);
-            } else {
-              // All triangles processed, finalize results
-
-              // Convert to cm³ and ensure positive volume
-              const volumeCm3 = Math.abs(totalVolume) / 1000;
-
-              // Calculate dimensions in mm
-              const dimensions = {
-                width: maxX - minX,
-                depth: maxY - minY,
-                height: maxZ - minZ
-              };
-
-              const processingTime = performance.now() - startTime;
-
-              // Return results
-              resolve({
-                volumeCm3,
-                dimensions,
-                triangleCount,
-                processingTime
-              });
+      let parts;
+      try {
+        parts = await Promise.all(jobs.map((job, i) =>
+          PrinterCalc.WorkerPool.run(pool, Object.assign({ file, format, chunkSize: this.STREAM_CHUNK_SIZE }, job), {
+            signal: controller.signal,
+            onProgress: data => {
+              addTriangles(sink, i, data.first, data.positions, data.normals);
+              bytesRead[i] = data.bytesRead;
+              trianglesRead[i] = data.triangleCount;
+              report(sum(bytesRead), sum(trianglesRead));
             }
-          };
+          }).catch(error => {
+            controller.abort(error);
+            throw error;
+          })));
+      } finally {
+        if (options.signal) options.signal.removeEventListener('abort', abort);
+      }
 
-          // Start processing the first chunk
-          processChunk();
-        } catch (error) {
-          reject(error);
-        }
+      console.log(`STL Processing: ${file.name} read in ${jobs.length} part(s) (${Math.round(performance.now() - startTime)} ms)`);
+
+      const result = combineParts(parts, format, finishSink(sink));
+      result.processingTime = performance.now() - startTime;
+      return result;
+    },
+
+    /**
+     * Process STL in the main thread
+     * @param {File} file - STL file
+     * @param {string} format - "ascii" or "binary"
+     * @param {Object} [options] - onProgress and signal, as for processFile()
+     * @returns {Promise<Object>} Promise resolving to processed data
+     */
+    processInMainThread: async function (file, format, options = {}) {
+      const startTime = performance.now();
+      const report = this.createProgressReporter(file.size, options.onProgress);
+      const job = {
+        file,
+        format,
+        start: 0,
+        end: file.size,
+        chunkSize: this.STREAM_CHUNK_SIZE,
+        estimatedTriangles: this.estimateTriangleCount(format, file.size)
+      };
+
+      const sink = createTriangleSink([job.estimatedTriangles]);
+
+      const part = await readRange(job, (blob, start, end) => this.readFileSlice(blob, start, end), (state, batch) => {
+        if (options.signal) options.signal.throwIfAborted();
+        addTriangles(sink, 0, batch.first, batch.positions, computeFaceNormals(batch.positions));
+        report(state.bytesRead, state.triangleCount);
+
+        // Let the page breathe between chunks
+        return new Promise(resolve => setTimeout(resolve, 0));
       });
+
+      const result = combineParts([part], format, finishSink(sink));
+      result.processingTime = performance.now() - startTime;
+      return result;
     },
 
     /**
@@ -384,33 +1010,532 @@
     },
 
     /**
-     * Get ThreeJS geometry from STL file
-     * This is used for 3D visualization
+     * Measure a triangle soup that is already in memory
+     * Used for meshes read from other formats (3MF etc.).
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {Object} STL data with volumeCm3, surfaceAreaCm2, dimensions and triangleCount
+     */
+    measureTriangles: function (positions) {
+      const triangleCount = Math.floor(positions.length / 9);
+
+      let totalVolume = 0;
+      let minX = Infinity, minY = Infinity, minZ = Infinity;
+      let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+      for (let i = 0; i < triangleCount * 9; i += 9) {
+        const v1x = positions[i], v1y = positions[i + 1], v1z = positions[i + 2];
+        const v2x = positions[i + 3], v2y = positions[i + 4], v2z = positions[i + 5];
+        const v3x = positions[i + 6], v3y = positions[i + 7], v3z = positions[i + 8];
+
+        // Update min/max coordinates
+        minX = Math.min(minX, v1x, v2x, v3x);
+        minY = Math.min(minY, v1y, v2y, v3y);
+        minZ = Math.min(minZ, v1z, v2z, v3z);
+
+        maxX = Math.max(maxX, v1x, v2x, v3x);
+        maxY = Math.max(maxY, v1y, v2y, v3y);
+        maxZ = Math.max(maxZ, v1z, v2z, v3z);
+
+        // Calculate tetrahedron volume using the divergence theorem
+        const crossX = (v2y - v1y) * (v3z - v1z) - (v2z - v1z) * (v3y - v1y);
+        const crossY = (v2z - v1z) * (v3x - v1x) - (v2x - v1x) * (v3z - v1z);
+        const crossZ = (v2x - v1x) * (v3y - v1y) - (v2y - v1y) * (v3x - v1x);
+
+        totalVolume += (v1x * crossX + v1y * crossY + v1z * crossZ) / 6.0;
+      }
+
+      return {
+        volumeCm3: Math.abs(totalVolume) / 1000,
+        surfaceAreaCm2: this.calculateSurfaceArea(positions),
+        dimensions: triangleCount > 0 ? {
+          width: maxX - minX,
+          depth: maxY - minY,
+          height: maxZ - minZ
+        } : { width: 0, depth: 0, height: 0 },
+        triangleCount
+      };
+    },
+
+    /**
+     * Split a triangle soup into separate bodies
+     * Cavities stay with the body around them; loose shells become bodies of their own.
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} [mesh] - Result of MeshAnalyzer.prepare(), shared with other passes
+     * @returns {Object[]} Bodies (largest first), each with positions, volumeCm3, surfaceAreaCm2, dimensions and triangleCount
+     */
+    splitBodies: function (positions, mesh) {
+      const { shellOf, shells, sign } = PrinterCalc.MeshAnalyzer.analyzeShells(positions, mesh);
+
+      // Map every shell to the body it belongs to
+      const bodyOf = shells.map((shell, s) => {
+        if (shell.volume * sign >= 0 || shell.containers.length === 0) return s;
+
+        // A cavity belongs to the innermost shell around it
+        const parent = shell.containers.find(other =>
+          shells[other].containers.length === shell.containers.length - 1);
+        return parent === undefined ? s : parent;
+      });
+
+      const bodies = new Map();
+      for (let t = 0; t < shellOf.length; t++) {
+        if (shellOf[t] === -1) continue;
+
+        const body = bodyOf[shellOf[t]];
+        if (!bodies.has(body)) bodies.set(body, []);
+        bodies.get(body).push(t);
+      }
+
+      return Array.from(bodies.values())
+        .map(triangles => {
+          const bodyPositions = new Float32Array(triangles.length * 9);
+          triangles.forEach((t, i) => {
+            bodyPositions.set(positions.subarray(t * 9, t * 9 + 9), i * 9);
+          });
+
+          return Object.assign({ positions: bodyPositions }, this.measureTriangles(bodyPositions));
+        })
+        .sort((a, b) => b.volumeCm3 - a.volumeCm3);
+    },
+
+    /**
+     * Get the source of the module helpers the bounding box search uses
+     * Lets the mesh analysis worker run calculateOrientedBoundingBox().
+     * @returns {string} Worker code
+     */
+    getBoundingBoxWorkerSource: function () {
+      return `
+        const dot = ${dot.toString()};
+
+        const cross = ${cross.toString()};
+
+        const normalize = ${normalize.toString()};
+
+        ${convexHull2D.toString()}
+
+        ${minAreaRectangle.toString()}
+
+        ${boxAroundDirection.toString()}
+
+        ${sphereDirections.toString()}
+      `;
+    },
+
+    /**
+     * Find the smallest oriented bounding box of a triangle soup
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {Object|null} { axes, dimensions, volumeCm3, aabbVolumeCm3, saving } (null for an empty mesh)
+     */
+    calculateOrientedBoundingBox: function (positions) {
+      const points = this.getHullCandidates(positions);
+      if (points.length === 0) return null;
+
+      const axisAligned = boxAroundDirection(points, [0, 0, 1]);
+      let best = axisAligned;
+
+      // Coarse search over the hemisphere of "up" directions
+      sphereDirections(this.OBB_SEARCH_DIRECTIONS, true).forEach(up => {
+        const box = boxAroundDirection(points, up);
+        if (box.volume < best.volume) best = box;
+      });
+
+      // Then tilt the best one by ever smaller steps while it keeps shrinking
+      [0.05, 0.02, 0.008, 0.003, 0.001].forEach(step => {
+        for (let improved = true, guard = 0; improved && guard < 50; guard++) {
+          improved = false;
+          const [a, b, up] = best.axes;
+
+          [[a, 1], [a, -1], [b, 1], [b, -1]].forEach(([tangent, sign]) => {
+            const tilted = normalize([0, 1, 2].map(axis => up[axis] + tangent[axis] * step * sign));
+            const box = boxAroundDirection(points, tilted);
+            if (box.volume < best.volume - 1e-9) {
+              best = box;
+              improved = true;
+            }
+          });
+        }
+      });
+
+      // Measure the final box against every vertex
+      const extent = axes => axes.map(axis => {
+        let min = Infinity, max = -Infinity;
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+          const value = positions[i] * axis[0] + positions[i + 1] * axis[1] + positions[i + 2] * axis[2];
+          min = Math.min(min, value);
+          max = Math.max(max, value);
+        }
+        return max - min;
+      });
+
+      const size = extent(best.axes);
+      const aabbSize = extent([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+      const volume = size[0] * size[1] * size[2];
+      const aabbVolume = aabbSize[0] * aabbSize[1] * aabbSize[2];
+
+      return {
+        axes: best.axes,
+        dimensions: { width: size[0], depth: size[1], height: size[2] },
+        volumeCm3: volume / 1000,
+        aabbVolumeCm3: aabbVolume / 1000,
+        saving: aabbVolume > 0 ? Math.max(0, 1 - volume / aabbVolume) : 0
+      };
+    },
+
+    /**
+     * Pick out the vertices that can lie on the convex hull
+     * Vertices are first thinned to the extremes of each grid column, then
+     * to the furthest points along a spread of directions.
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {number[][]} Candidate hull points
+     */
+    getHullCandidates: function (positions) {
+      const vertexCount = Math.floor(positions.length / 9) * 3;
+      if (vertexCount === 0) return [];
+
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < vertexCount * 3; i++) {
+        min[i % 3] = Math.min(min[i % 3], positions[i]);
+        max[i % 3] = Math.max(max[i % 3], positions[i]);
+      }
+
+      // Lowest and highest vertex of each column along each axis
+      const columns = this.OBB_GRID_COLUMNS;
+      const cell = axis => v => Math.min(columns - 1,
+        Math.floor((positions[v * 3 + axis] - min[axis]) / Math.max(max[axis] - min[axis], 1e-9) * columns));
+      const cellOf = [cell(0), cell(1), cell(2)];
+      const extremes = new Set();
+
+      [[0, 1, 2], [0, 2, 1], [1, 2, 0]].forEach(([u, v, w]) => {
+        const low = new Int32Array(columns * columns).fill(-1);
+        const high = new Int32Array(columns * columns).fill(-1);
+
+        for (let vertex = 0; vertex < vertexCount; vertex++) {
+          const key = cellOf[u](vertex) * columns + cellOf[v](vertex);
+          const value = positions[vertex * 3 + w];
+          if (low[key] === -1 || value < positions[low[key] * 3 + w]) low[key] = vertex;
+          if (high[key] === -1 || value > positions[high[key] * 3 + w]) high[key] = vertex;
+        }
+
+        low.forEach(vertex => { if (vertex !== -1) extremes.add(vertex); });
+        high.forEach(vertex => { if (vertex !== -1) extremes.add(vertex); });
+      });
+
+      // Furthest candidate along each direction
+      const candidates = Array.from(extremes, vertex =>
+        [positions[vertex * 3], positions[vertex * 3 + 1], positions[vertex * 3 + 2]]);
+      const hull = new Set();
+
+      sphereDirections(this.OBB_HULL_DIRECTIONS).forEach(direction => {
+        let best = 0;
+        let bestValue = -Infinity;
+        candidates.forEach((point, index) => {
+          const value = dot(point, direction);
+          if (value > bestValue) {
+            bestValue = value;
+            best = index;
+          }
+        });
+        hull.add(best);
+      });
+
+      return Array.from(hull, index => candidates[index]);
+    },
+
+    /**
+     * Rotate a triangle soup so an oriented box becomes axis-aligned
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} box - Result of calculateOrientedBoundingBox()
+     * @returns {Float32Array} Rotated vertex coordinates
+     */
+    alignToBoundingBox: function (positions, box) {
+      // Right-handed, so the winding (and the sign of the volume) is kept
+      const [x, y] = box.axes;
+      return this.rotatePositions(positions, [x, y, cross(x, y)]);
+    },
+
+    /**
+     * Build a rotation matrix from angles about the X, Y and Z axes (applied in that order)
+     * @param {number} x - Degrees about X
+     * @param {number} y - Degrees about Y
+     * @param {number} z - Degrees about Z
+     * @returns {number[][]} Rotation matrix rows
+     */
+    rotationFromAngles: function (x, y, z) {
+      const toRadians = Math.PI / 180;
+      const cx = Math.cos(x * toRadians), sx = Math.sin(x * toRadians);
+      const cy = Math.cos(y * toRadians), sy = Math.sin(y * toRadians);
+      const cz = Math.cos(z * toRadians), sz = Math.sin(z * toRadians);
+
+      return [
+        [cz * cy, cz * sy * sx - sz * cx, cz * sy * cx + sz * sx],
+        [sz * cy, sz * sy * sx + cz * cx, sz * sy * cx - cz * sx],
+        [-sy, cy * sx, cy * cx]
+      ];
+    },
+
+    /**
+     * Scale a triangle soup, uniformly or per axis
+     * @param {Float32Array} positions - Vertex coordinates, 9 per triangle
+     * @param {number|Array<number>} factor - Scale factor, or [x, y, z] factors
+     * @returns {Float32Array} Scaled vertex coordinates
+     */
+    scalePositions: function (positions, factor) {
+      const factors = Array.isArray(factor) ? factor : [factor, factor, factor];
+      const scaled = new Float32Array(positions.length);
+      for (let i = 0; i < positions.length; i++) {
+        scaled[i] = positions[i] * factors[i % 3];
+      }
+      return scaled;
+    },
+
+    /**
+     * Guess the units a model was drawn in from its size
+     * STL files carry no units; a part that is tiny when read as millimetres was most likely drawn in inches.
+     * @param {Object} dimensions - Size of the model read as millimetres
+     * @returns {string} "in" or "mm"
+     */
+    guessUnits: function (dimensions) {
+      if (!dimensions) return 'mm';
+
+      const largest = Math.max(dimensions.width || 0, dimensions.depth || 0, dimensions.height || 0);
+      const units = PrinterCalc.CONSTANTS.UNITS;
+      return largest > 0 && largest <= units.INCH_GUESS_MAX_SIZE ? 'in' : 'mm';
+    },
+
+    /**
+     * Build the rotation that lays a part on one of its faces
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {number} faceIndex - Triangle to put on the build plate
+     * @returns {number[][]|null} Rotation matrix rows, or null if the face has no area
+     */
+    rotationToLayFlat: function (positions, faceIndex) {
+      const i = faceIndex * 9;
+      if (faceIndex < 0 || i + 8 >= positions.length) return null;
+
+      const u = [positions[i + 3] - positions[i], positions[i + 4] - positions[i + 1], positions[i + 5] - positions[i + 2]];
+      const v = [positions[i + 6] - positions[i], positions[i + 7] - positions[i + 1], positions[i + 8] - positions[i + 2]];
+      const normal = cross(u, v);
+      if (Math.hypot(normal[0], normal[1], normal[2]) < 1e-12) return null;
+
+      // The outward normal points down, so the new Z axis is its opposite
+      const up = normalize(normal.map(value => -value));
+
+      // Keep the part's X axis as far as possible, so it only tips over
+      const helper = Math.abs(up[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+      const along = dot(helper, up);
+      const x = normalize(helper.map((value, axis) => value - along * up[axis]));
+
+      return [x, cross(up, x), up];
+    },
+
+    /**
+     * Rotate a triangle soup
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {number[][]} rotation - Rotation matrix rows (each new axis in old coordinates)
+     * @returns {Float32Array} Rotated vertex coordinates
+     */
+    rotatePositions: function (positions, rotation) {
+      const [x, y, z] = rotation;
+      const rotated = new Float32Array(positions.length);
+
+      for (let i = 0; i + 2 < positions.length; i += 3) {
+        const point = [positions[i], positions[i + 1], positions[i + 2]];
+        rotated[i] = dot(point, x);
+        rotated[i + 1] = dot(point, y);
+        rotated[i + 2] = dot(point, z);
+      }
+
+      return rotated;
+    },
+
+    /**
+     * Get the data the viewer needs to show a triangle soup
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Float32Array} [normals] - Vertex normals, built from the winding when left out
+     * @returns {Object} { positions, normals }
+     */
+    createViewerMesh: function (positions, normals) {
+      return { positions, normals: normals || computeFaceNormals(positions) };
+    },
+
+    /**
+     * Calculate the total surface area of a triangle soup
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {number} Surface area in cm²
+     */
+    calculateSurfaceArea: function (positions) {
+      let area = 0;
+
+      for (let i = 0; i + 8 < positions.length; i += 9) {
+        const ux = positions[i + 3] - positions[i], uy = positions[i + 4] - positions[i + 1], uz = positions[i + 5] - positions[i + 2];
+        const vx = positions[i + 6] - positions[i], vy = positions[i + 7] - positions[i + 1], vz = positions[i + 8] - positions[i + 2];
+        const nx = uy * vz - uz * vy;
+        const ny = uz * vx - ux * vz;
+        const nz = ux * vy - uy * vx;
+
+        area += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+      }
+
+      // mm² to cm²
+      return area / 100;
+    },
+
+    /**
+     * Read the triangle vertex coordinates of an STL
      * @param {ArrayBuffer} arrayBuffer - STL file data
-     * @returns {Object} ThreeJS geometry
+     * @param {string} format - "ascii" or "binary"
+     * @returns {Float32Array} Vertex coordinates in mm, 9 per triangle
      */
-    getGeometry: function (arrayBuffer) {
-      // Create STL loader
-      const loader = new THREE.STLLoader();
+    readPositions: function (arrayBuffer, format = 'binary') {
+      if (format === 'ascii') {
+        const text = new TextDecoder().decode(new Uint8Array(arrayBuffer));
+        const state = createAsciiState(text);
+        state.positions = new Float32Array(Math.max(1, this.estimateTriangleCount('ascii', arrayBuffer.byteLength)) * 9);
+        readAsciiTriangles(text, state, Infinity);
+        return state.positions.slice(0, state.triangleCount * 9);
+      }
 
-      try {
-        // Check triangle count for large files
-        const triangleCount = new DataView(arrayBuffer).getUint32(80, true);
-        
-        // Parse the STL file
-        const geometry = loader.parse(arrayBuffer);
-        
-        // For very large STLs, consider downsampling for visualization
-        // while keeping full resolution for calculations
-        if (triangleCount > 5000000) {
-          console.log(`Note: Model has ${(triangleCount/1000000).toFixed(1)}M triangles. ` + 
-                      `Consider using a decimated version for better performance.`);
+      const data = new DataView(arrayBuffer);
+      const triangleCount = Math.min(
+        data.getUint32(80, true),
+        Math.floor((arrayBuffer.byteLength - 84) / 50)
+      );
+      const positions = new Float32Array(triangleCount * 9);
+
+      for (let i = 0; i < triangleCount; i++) {
+        // Skip the 12-byte normal
+        const offset = 84 + i * 50 + 12;
+        for (let k = 0; k < 9; k++) {
+          positions[i * 9 + k] = data.getFloat32(offset + k * 4, true);
         }
-        
-        return geometry;
-      } catch (error) {
-        console.error("Error parsing STL geometry:", error);
-        throw error;
+      }
+
+      return positions;
+    },
+
+    /**
+     * Encode a triangle soup as a binary STL
+     * Lets meshes from other formats go through the STL viewer pipeline.
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @returns {ArrayBuffer} Binary STL data
+     */
+    createBinarySTL: function (positions) {
+      const triangleCount = Math.floor(positions.length / 9);
+      const arrayBuffer = new ArrayBuffer(84 + triangleCount * 50);
+      const data = new DataView(arrayBuffer);
+
+      data.setUint32(80, triangleCount, true);
+
+      let offset = 84;
+      for (let i = 0; i < triangleCount * 9; i += 9) {
+        // Face normal from the winding order
+        const ux = positions[i + 3] - positions[i], uy = positions[i + 4] - positions[i + 1], uz = positions[i + 5] - positions[i + 2];
+        const vx = positions[i + 6] - positions[i], vy = positions[i + 7] - positions[i + 1], vz = positions[i + 8] - positions[i + 2];
+        let nx = uy * vz - uz * vy;
+        let ny = uz * vx - ux * vz;
+        let nz = ux * vy - uy * vx;
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+
+        data.setFloat32(offset, nx / length, true);
+        data.setFloat32(offset + 4, ny / length, true);
+        data.setFloat32(offset + 8, nz / length, true);
+        offset += 12;
+
+        // Vertices
+        for (let k = 0; k < 9; k++) {
+          data.setFloat32(offset, positions[i + k], true);
+          offset += 4;
+        }
+
+        // Attribute byte count
+        offset += 2;
+      }
+
+      return arrayBuffer;
+    },
+
+    /**
+     * Triangulate a polygon face and append its triangles
+     * Uses ear clipping in the polygon's plane so concave faces stay inside their outline.
+     * @param {ArrayLike<number>} vertices - Vertex coordinates, 3 per vertex
+     * @param {number[]} indices - Vertex indices of the polygon in order
+     * @param {number[]} out - Output coordinates, 9 per triangle
+     */
+    triangulatePolygon: function (vertices, indices, out) {
+      const count = indices.length;
+      if (count < 3) return;
+
+      const pushTriangle = (a, b, c) => {
+        out.push(
+          vertices[a * 3], vertices[a * 3 + 1], vertices[a * 3 + 2],
+          vertices[b * 3], vertices[b * 3 + 1], vertices[b * 3 + 2],
+          vertices[c * 3], vertices[c * 3 + 1], vertices[c * 3 + 2]
+        );
+      };
+
+      if (count === 3) {
+        pushTriangle(indices[0], indices[1], indices[2]);
+        return;
+      }
+
+      // Polygon normal (Newell's method)
+      let nx = 0, ny = 0, nz = 0;
+      for (let i = 0; i < count; i++) {
+        const a = indices[i] * 3;
+        const b = indices[(i + 1) % count] * 3;
+        nx += (vertices[a + 1] - vertices[b + 1]) * (vertices[a + 2] + vertices[b + 2]);
+        ny += (vertices[a + 2] - vertices[b + 2]) * (vertices[a] + vertices[b]);
+        nz += (vertices[a] - vertices[b]) * (vertices[a + 1] + vertices[b + 1]);
+      }
+
+      // Project onto the plane where the polygon is largest
+      const ax = Math.abs(nx), ay = Math.abs(ny), az = Math.abs(nz);
+      const dropAxis = ax >= ay && ax >= az ? 0 : (ay >= az ? 1 : 2);
+      const u = dropAxis === 0 ? 1 : 0;
+      const v = dropAxis === 2 ? 1 : 2;
+      const sign = [nx, -ny, nz][dropAxis] >= 0 ? 1 : -1;
+
+      const point = index => [vertices[index * 3 + u], vertices[index * 3 + v]];
+      const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+      // Ear clipping
+      const remaining = indices.slice();
+      let guard = count * count;
+
+      while (remaining.length > 3 && guard-- > 0) {
+        let clipped = false;
+
+        for (let i = 0; i < remaining.length; i++) {
+          const prev = remaining[(i + remaining.length - 1) % remaining.length];
+          const curr = remaining[i];
+          const next = remaining[(i + 1) % remaining.length];
+          const p0 = point(prev), p1 = point(curr), p2 = point(next);
+
+          // Must be a convex corner
+          if (cross(p0, p1, p2) * sign <= 0) continue;
+
+          // No other vertex may lie inside the ear
+          const containsVertex = remaining.some(other => {
+            if (other === prev || other === curr || other === next) return false;
+            const p = point(other);
+            return cross(p0, p1, p) * sign >= 0 &&
+              cross(p1, p2, p) * sign >= 0 &&
+              cross(p2, p0, p) * sign >= 0;
+          });
+          if (containsVertex) continue;
+
+          pushTriangle(prev, curr, next);
+          remaining.splice(i, 1);
+          clipped = true;
+          break;
+        }
+
+        // Degenerate outline, fall back to a fan for what is left
+        if (!clipped) break;
+      }
+
+      for (let i = 1; i < remaining.length - 1; i++) {
+        pushTriangle(remaining[0], remaining[i], remaining[i + 1]);
       }
     },
 
@@ -442,6 +1567,13 @@
           height: minDim.value
         },
 
+        // Side orientation (middle dimension on Z)
+        side: {
+          width: maxDim.value,
+          depth: minDim.value,
+          height: midDim.value
+        },
+
         // Vertical orientation (longest dimension on Z)
         vertical: {
           width: minDim.value,
@@ -468,6 +1600,18 @@
           );
         }
 
+        if (PrinterCalc.Utils.checkFitsInPrinter(orientationData.side, 'side', printer400)) {
+          orientationData.side.printTime400 = PrinterCalc.Utils.calculatePrintTime(
+            orientationData.side, 'side', printer400
+          );
+        }
+
+        if (PrinterCalc.Utils.checkFitsInPrinter(orientationData.side, 'side', printer600)) {
+          orientationData.side.printTime600 = PrinterCalc.Utils.calculatePrintTime(
+            orientationData.side, 'side', printer600
+          );
+        }
+
         if (PrinterCalc.Utils.checkFitsInPrinter(orientationData.vertical, 'vertical', printer400)) {
           orientationData.vertical.printTime400 = PrinterCalc.Utils.calculatePrintTime(
             orientationData.vertical, 'vertical', printer400
@@ -0,0 +1,185 @@
+/**
+ * thickness-analyzer.js - Wall Thickness Analysis
+ *
+ * Estimates the wall thickness under every face by casting a ray from the
+ * face centre inwards along its normal and measuring the distance to the
+ * opposite surface. Walls thinner than the minimum printable thickness are
+ * flagged so they can be highlighted in the viewer.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a thickness analyzer module
+  PrinterCalc.ThicknessAnalyzer = {
+    // Above this many faces only every n-th face is measured
+    MAX_SAMPLED_FACES: 200000,
+
+    // Rays cast between yields to the browser
+    CHUNK_SIZE: 5000,
+
+    // Histogram bin edges in mm
+    DISTRIBUTION_EDGES: [0, 0.5, 1, 2, 3, 5, 10, Infinity],
+
+    /**
+     * Measure the wall thickness under each face
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.insideOut] - Mesh normals point inwards (cast along the normal instead)
+     * @param {Function} [options.onProgress] - Called with the fraction of rays cast
+     * @returns {Promise<Object>} { faceThickness: Float32Array (NaN where unmeasured), faceArea: Float32Array, dimensions, sampledFaces, stride }
+     */
+    analyze: async function (positions, options = {}) {
+      const triangleCount = Math.floor(positions.length / 9);
+      const faceThickness = new Float32Array(triangleCount).fill(NaN);
+      const faceArea = new Float32Array(triangleCount);
+      const direction = options.insideOut ? 1 : -1;
+      const stride = Math.max(1, Math.ceil(triangleCount / this.MAX_SAMPLED_FACES));
+      const grid = PrinterCalc.TriangleGrid.create(positions);
+      const origin = [0, 0, 0];
+      const ray = [0, 0, 0];
+      let sampledFaces = 0;
+
+      for (let start = 0; start < triangleCount; start += this.CHUNK_SIZE * stride) {
+        const end = Math.min(triangleCount, start + this.CHUNK_SIZE * stride);
+
+        for (let t = start; t < end; t++) {
+          const i = t * 9;
+          const ux = positions[i + 3] - positions[i], uy = positions[i + 4] - positions[i + 1], uz = positions[i + 5] - positions[i + 2];
+          const vx = positions[i + 6] - positions[i], vy = positions[i + 7] - positions[i + 1], vz = positions[i + 8] - positions[i + 2];
+          const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+          const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+          faceArea[t] = length / 2;
+          if ((t - start) % stride !== 0 || length < 1e-12) continue;
+
+          // Cast from the face centre against the outward normal
+          for (let axis = 0; axis < 3; axis++) {
+            origin[axis] = (positions[i + axis] + positions[i + 3 + axis] + positions[i + 6 + axis]) / 3;
+          }
+          ray[0] = direction * nx / length;
+          ray[1] = direction * ny / length;
+          ray[2] = direction * nz / length;
+
+          const hit = PrinterCalc.TriangleGrid.raycast(grid, origin, ray, t);
+          if (hit) {
+            faceThickness[t] = hit.distance;
+          }
+          sampledFaces++;
+        }
+
+        if (end < triangleCount) {
+          if (typeof options.onProgress === 'function') {
+            options.onProgress(end / triangleCount);
+          }
+
+          // Let the page breathe between chunks
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+
+      // Size of the measured mesh, so later scaling can be applied to the results
+      const dimensions = {
+        width: grid.max[0] - grid.min[0],
+        depth: grid.max[1] - grid.min[1],
+        height: grid.max[2] - grid.min[2]
+      };
+
+      return { faceThickness, faceArea, dimensions, sampledFaces, stride };
+    },
+
+    /**
+     * Summarize measured thicknesses against a threshold
+     * @param {Object} analysis - Result of analyze()
+     * @param {number} threshold - Minimum wall thickness in mm
+     * @param {number} [scale] - Uniform scale applied to the model since it was measured
+     * @returns {Object} { minThickness, averageThickness, thinFaceCount, thinAreaCm2, thinFraction, measuredFaces, distribution }
+     */
+    summarize: function (analysis, threshold, scale = 1) {
+      const { faceThickness, faceArea } = analysis;
+      const edges = this.DISTRIBUTION_EDGES;
+      const binAreas = new Array(edges.length - 1).fill(0);
+      let minThickness = Infinity;
+      let weightedSum = 0;
+      let measuredArea = 0;
+      let measuredFaces = 0;
+      let thinArea = 0;
+      let thinFaceCount = 0;
+
+      for (let t = 0; t < faceThickness.length; t++) {
+        const thickness = faceThickness[t] * scale;
+        if (isNaN(thickness)) continue;
+
+        const area = faceArea[t] * scale * scale;
+        measuredFaces++;
+        measuredArea += area;
+        weightedSum += thickness * area;
+        minThickness = Math.min(minThickness, thickness);
+
+        if (thickness < threshold) {
+          thinFaceCount++;
+          thinArea += area;
+        }
+
+        for (let bin = 0; bin < binAreas.length; bin++) {
+          if (thickness < edges[bin + 1]) {
+            binAreas[bin] += area;
+            break;
+          }
+        }
+      }
+
+      return {
+        minThickness: measuredFaces > 0 ? minThickness : null,
+        averageThickness: measuredArea > 0 ? weightedSum / measuredArea : null,
+        thinFaceCount,
+        thinAreaCm2: thinArea / 100,
+        thinFraction: measuredArea > 0 ? thinArea / measuredArea : 0,
+        measuredFaces,
+        distribution: binAreas.map((area, bin) => ({
+          from: edges[bin],
+          to: edges[bin + 1],
+          fraction: measuredArea > 0 ? area / measuredArea : 0
+        }))
+      };
+    },
+
+    /**
+     * Build heatmap colours for each face
+     * @param {Object} analysis - Result of analyze()
+     * @param {number} threshold - Minimum wall thickness in mm
+     * @param {number} [scale] - Uniform scale applied to the model since it was measured
+     * @returns {Float32Array} RGB values (0-1), 3 per face
+     */
+    getHeatmapColors: function (analysis, threshold, scale = 1) {
+      const { faceThickness } = analysis;
+      const colors = new Float32Array(faceThickness.length * 3);
+
+      for (let t = 0; t < faceThickness.length; t++) {
+        const thickness = faceThickness[t] * scale;
+        let r, g, b;
+
+        if (isNaN(thickness)) {
+          // Not measured
+          r = 0.6; g = 0.6; b = 0.6;
+        } else if (thickness < threshold) {
+          // Too thin
+          r = 0.9; g = 0.1; b = 0.1;
+        } else {
+          // Yellow at the threshold fading to green at twice the threshold
+          const amount = Math.min(1, (thickness - threshold) / Math.max(threshold, 1e-6));
+          r = 1 - 0.8 * amount;
+          g = 0.8;
+          b = 0.1 + 0.1 * amount;
+        }
+
+        colors[t * 3] = r;
+        colors[t * 3 + 1] = g;
+        colors[t * 3 + 2] = b;
+      }
+
+      return colors;
+    }
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * triangle-grid.js - Uniform Grid over Mesh Triangles
+ *
+ * Buckets triangles into a regular grid so neighbour queries and ray casts
+ * only look at nearby triangles. Used by the mesh analysis passes.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a triangle grid module
+  PrinterCalc.TriangleGrid = {
+    // Average number of triangles per cell to aim for
+    TRIANGLES_PER_CELL: 2,
+
+    // Maximum cells along one axis
+    MAX_RESOLUTION: 256,
+
+    /**
+     * Build a grid over a triangle soup
+     * @param {Float32Array} positions - Vertex coordinates in mm, 9 per triangle
+     * @param {Object} [options] - Options
+     * @param {Uint8Array} [options.skip] - Triangles to leave out (1 = skip)
+     * @returns {Object} Grid with min, cellSize, resolution, cells and per-triangle bounds
+     */
+    create: function (positions, options = {}) {
+      const triangleCount = Math.floor(positions.length / 9);
+      const skip = options.skip || null;
+
+      // Bounds of each triangle and of the whole mesh
+      const bounds = new Float64Array(triangleCount * 6);
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+
+      for (let t = 0; t < triangleCount; t++) {
+        for (let axis = 0; axis < 3; axis++) {
+          const a = positions[t * 9 + axis], b = positions[t * 9 + 3 + axis], c = positions[t * 9 + 6 + axis];
+          bounds[t * 6 + axis] = Math.min(a, b, c);
+          bounds[t * 6 + 3 + axis] = Math.max(a, b, c);
+          min[axis] = Math.min(min[axis], bounds[t * 6 + axis]);
+          max[axis] = Math.max(max[axis], bounds[t * 6 + 3 + axis]);
+        }
+      }
+
+      if (triangleCount === 0) {
+        min.fill(0);
+        max.fill(0);
+      }
+
+      // Roughly cubic cells sized for a few triangles each
+      const extent = [0, 1, 2].map(axis => Math.max(max[axis] - min[axis], 1e-6));
+      const targetCells = Math.max(1, triangleCount / this.TRIANGLES_PER_CELL);
+      const edge = Math.cbrt((extent[0] * extent[1] * extent[2]) / targetCells);
+      const resolution = extent.map(size =>
+        Math.max(1, Math.min(this.MAX_RESOLUTION, Math.ceil(size / edge))));
+      const cellSize = extent.map((size, axis) => size / resolution[axis]);
+
+      const grid = {
+        positions,
+        triangleCount,
+        min,
+        max,
+        cellSize,
+        resolution,
+        bounds,
+        cells: new Map(),
+        // Per-triangle stamp so a ray tests each triangle once
+        mailbox: new Uint32Array(triangleCount),
+        rayStamp: 0
+      };
+
+      for (let t = 0; t < triangleCount; t++) {
+        if (skip && skip[t]) continue;
+
+        const x0 = this.cellIndex(grid, bounds[t * 6], 0), x1 = this.cellIndex(grid, bounds[t * 6 + 3], 0);
+        const y0 = this.cellIndex(grid, bounds[t * 6 + 1], 1), y1 = this.cellIndex(grid, bounds[t * 6 + 4], 1);
+        const z0 = this.cellIndex(grid, bounds[t * 6 + 2], 2), z1 = this.cellIndex(grid, bounds[t * 6 + 5], 2);
+
+        for (let x = x0; x <= x1; x++) {
+          for (let y = y0; y <= y1; y++) {
+            for (let z = z0; z <= z1; z++) {
+              const key = this.cellKey(grid, x, y, z);
+              let cell = grid.cells.get(key);
+              if (!cell) {
+                cell = [];
+                grid.cells.set(key, cell);
+              }
+              cell.push(t);
+            }
+          }
+        }
+      }
+
+      return grid;
+    },
+
+    /**
+     * Get the cell index of a coordinate along one axis
+     * @param {Object} grid - Grid from create()
+     * @param {number} value - Coordinate in mm
+     * @param {number} axis - 0, 1 or 2
+     * @returns {number} Cell index (clamped to the grid)
+     */
+    cellIndex: function (grid, value, axis) {
+      const index = Math.floor((value - grid.min[axis]) / grid.cellSize[axis]);
+      return Math.min(grid.resolution[axis] - 1, Math.max(0, index));
+    },
+
+    /**
+     * Get the map key of a cell
+     * @param {Object} grid - Grid from create()
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @param {number} z - Cell Z
+     * @returns {number} Cell key
+     */
+    cellKey: function (grid, x, y, z) {
+      return (x * grid.resolution[1] + y) * grid.resolution[2] + z;
+    },
+
+    /**
+     * Intersect a ray with one triangle (Moller-Trumbore)
+     * @param {Float32Array} p - Vertex coordinates
+     * @param {number} t - Triangle index
+     * @param {number[]} origin - Ray origin
+     * @param {number[]} direction - Ray direction (unit length)
+     * @returns {number} Distance along the ray, or Infinity if missed
+     */
+    intersectTriangle: function (p, t, origin, direction) {
+      const i = t * 9;
+      const e1x = p[i + 3] - p[i], e1y = p[i + 4] - p[i + 1], e1z = p[i + 5] - p[i + 2];
+      const e2x = p[i + 6] - p[i], e2y = p[i + 7] - p[i + 1], e2z = p[i + 8] - p[i + 2];
+
+      const hx = direction[1] * e2z - direction[2] * e2y;
+      const hy = direction[2] * e2x - direction[0] * e2z;
+      const hz = direction[0] * e2y - direction[1] * e2x;
+      const det = e1x * hx + e1y * hy + e1z * hz;
+      if (Math.abs(det) < 1e-12) return Infinity;
+
+      const inv = 1 / det;
+      const sx = origin[0] - p[i], sy = origin[1] - p[i + 1], sz = origin[2] - p[i + 2];
+      const u = (sx * hx + sy * hy + sz * hz) * inv;
+      if (u < 0 || u > 1) return Infinity;
+
+      const qx = sy * e1z - sz * e1y;
+      const qy = sz * e1x - sx * e1z;
+      const qz = sx * e1y - sy * e1x;
+      const v = (direction[0] * qx + direction[1] * qy + direction[2] * qz) * inv;
+      if (v < 0 || u + v > 1) return Infinity;
+
+      const distance = (e2x * qx + e2y * qy + e2z * qz) * inv;
+      return distance > 1e-6 ? distance : Infinity;
+    },
+
+    /**
+     * Find the nearest triangle hit by a ray, walking the grid cell by cell
+     * @param {Object} grid - Grid from create()
+     * @param {number[]} origin - Ray origin (inside the grid bounds)
+     * @param {number[]} direction - Ray direction (unit length)
+     * @param {number} [ignoreTriangle] - Triangle to ignore (the one the ray starts on)
+     * @returns {Object|null} { distance, triangle } or null if nothing was hit
+     */
+    raycast: function (grid, origin, direction, ignoreTriangle = -1) {
+      if (grid.triangleCount === 0) return null;
+
+      // New stamp for this ray (reset when it wraps)
+      grid.rayStamp = (grid.rayStamp + 1) >>> 0;
+      if (grid.rayStamp === 0) {
+        grid.mailbox.fill(0);
+        grid.rayStamp = 1;
+      }
+
+      const cell = [0, 1, 2].map(axis => this.cellIndex(grid, origin[axis], axis));
+      const step = [0, 0, 0];
+      const tMax = [Infinity, Infinity, Infinity];
+      const tDelta = [Infinity, Infinity, Infinity];
+
+      // Distance to the first cell boundary on each axis
+      for (let axis = 0; axis < 3; axis++) {
+        if (direction[axis] > 0) {
+          step[axis] = 1;
+          const boundary = grid.min[axis] + (cell[axis] + 1) * grid.cellSize[axis];
+          tMax[axis] = (boundary - origin[axis]) / direction[axis];
+          tDelta[axis] = grid.cellSize[axis] / direction[axis];
+        } else if (direction[axis] < 0) {
+          step[axis] = -1;
+          const boundary = grid.min[axis] + cell[axis] * grid.cellSize[axis];
+          tMax[axis] = (boundary - origin[axis]) / direction[axis];
+          tDelta[axis] = -grid.cellSize[axis] / direction[axis];
+        }
+      }
+
+      let best = Infinity;
+      let bestTriangle = -1;
+
+      while (true) {
+        const triangles = grid.cells.get(this.cellKey(grid, cell[0], cell[1], cell[2]));
+
+        if (triangles) {
+          for (let i = 0; i < triangles.length; i++) {
+            const t = triangles[i];
+            if (t === ignoreTriangle || grid.mailbox[t] === grid.rayStamp) continue;
+            grid.mailbox[t] = grid.rayStamp;
+
+            const distance = this.intersectTriangle(grid.positions, t, origin, direction);
+            if (distance < best) {
+              best = distance;
+              bestTriangle = t;
+            }
+          }
+        }
+
+        // Step to the next cell along the closest boundary
+        const axis = tMax[0] < tMax[1]
+          ? (tMax[0] < tMax[2] ? 0 : 2)
+          : (tMax[1] < tMax[2] ? 1 : 2);
+
+        // A hit before the next boundary cannot be beaten by later cells
+        if (best <= tMax[axis]) break;
+
+        cell[axis] += step[axis];
+        if (cell[axis] < 0 || cell[axis] >= grid.resolution[axis]) break;
+        tMax[axis] += tDelta[axis];
+      }
+
+      return bestTriangle === -1 ? null : { distance: best, triangle: bestTriangle };
+    }
+  };
+})();
\ No newline at end of file
@@ -68,10 +68,10 @@
             
             // Reset values when opening
             if (!isVisible) {
-              // Set inputs to current dimensions
-              widthInput.value = originalDimensions.width.toFixed(2);
-              depthInput.value = originalDimensions.depth.toFixed(2);
-              heightInput.value = originalDimensions.height.toFixed(2);
+              // Set inputs to current dimensions (in display units)
+              PrinterCalc.Utils.setQuantityInput(widthInput, originalDimensions.width, 'length');
+              PrinterCalc.Utils.setQuantityInput(depthInput, originalDimensions.depth, 'length');
+              PrinterCalc.Utils.setQuantityInput(heightInput, originalDimensions.height, 'length');
               scaleFactorInput.value = '1.00';
               currentScaleFactor = 1;
               
@@ -88,9 +88,9 @@
             currentScaleFactor = factor;
             
             // Update dimension inputs
-            widthInput.value = (originalDimensions.width * factor).toFixed(2);
-            depthInput.value = (originalDimensions.depth * factor).toFixed(2);
-            heightInput.value = (originalDimensions.height * factor).toFixed(2);
+            PrinterCalc.Utils.setQuantityInput(widthInput, originalDimensions.width * factor, 'length');
+            PrinterCalc.Utils.setQuantityInput(depthInput, originalDimensions.depth * factor, 'length');
+            PrinterCalc.Utils.setQuantityInput(heightInput, originalDimensions.height * factor, 'length');
             
             // Update preview
             this.updateScalingPreview(rowId, {
@@ -101,8 +101,8 @@
           });
           
           // Handle dimension input changes with proportional scaling
-          const handleDimensionChange = (dimension, value) => {
-            const numValue = parseFloat(value);
+          const handleDimensionChange = (dimension, input) => {
+            const numValue = PrinterCalc.Utils.readQuantityInput(input, 'length');
             if (isNaN(numValue) || numValue <= 0) return;
             
             // Calculate new scale factor based on the changed dimension
@@ -113,9 +113,9 @@
               currentScaleFactor = newScaleFactor;
               scaleFactorInput.value = newScaleFactor.toFixed(2);
               
-              widthInput.value = (originalDimensions.width * newScaleFactor).toFixed(2);
-              depthInput.value = (originalDimensions.depth * newScaleFactor).toFixed(2);
-              heightInput.value = (originalDimensions.height * newScaleFactor).toFixed(2);
+              if (dimension !== 'width') PrinterCalc.Utils.setQuantityInput(widthInput, originalDimensions.width * newScaleFactor, 'length');
+              if (dimension !== 'depth') PrinterCalc.Utils.setQuantityInput(depthInput, originalDimensions.depth * newScaleFactor, 'length');
+              if (dimension !== 'height') PrinterCalc.Utils.setQuantityInput(heightInput, originalDimensions.height * newScaleFactor, 'length');
               
               // Update preview with all dimensions scaled
               this.updateScalingPreview(rowId, {
@@ -126,9 +126,9 @@
             } else {
               // Update just the changed dimension
               const updatedDimensions = {
-                width: parseFloat(widthInput.value),
-                depth: parseFloat(depthInput.value),
-                height: parseFloat(heightInput.value)
+                width: PrinterCalc.Utils.readQuantityInput(widthInput, 'length'),
+                depth: PrinterCalc.Utils.readQuantityInput(depthInput, 'length'),
+                height: PrinterCalc.Utils.readQuantityInput(heightInput, 'length')
               };
               
               updatedDimensions[dimension] = numValue;
@@ -146,17 +146,17 @@
           };
           
           // Add change handlers to dimension inputs
-          widthInput.addEventListener('input', () => handleDimensionChange('width', widthInput.value));
-          depthInput.addEventListener('input', () => handleDimensionChange('depth', depthInput.value));
-          heightInput.addEventListener('input', () => handleDimensionChange('height', heightInput.value));
+          widthInput.addEventListener('input', () => handleDimensionChange('width', widthInput));
+          depthInput.addEventListener('input', () => handleDimensionChange('depth', depthInput));
+          heightInput.addEventListener('input', () => handleDimensionChange('height', heightInput));
           
           // Apply scale button
           applyBtn.addEventListener('click', () => {
             // Get scaled dimensions
             const scaledDimensions = {
-              width: parseFloat(widthInput.value),
-              depth: parseFloat(depthInput.value),
-              height: parseFloat(heightInput.value)
+              width: PrinterCalc.Utils.readQuantityInput(widthInput, 'length'),
+              depth: PrinterCalc.Utils.readQuantityInput(depthInput, 'length'),
+              height: PrinterCalc.Utils.readQuantityInput(heightInput, 'length')
             };
             
             // Apply scaling
@@ -226,8 +226,8 @@ if (originalDimensions.width <= 0 || originalDimensions.depth <= 0 || originalDi
           const volumeChangeEl = preview.querySelector('.volume-change');
           const costChangeEl = preview.querySelector('.cost-change');
           
-          if (originalVolumeEl) originalVolumeEl.textContent = originalVolume.toFixed(2) + ' cm³';
-          if (newVolumeEl) newVolumeEl.textContent = newVolume.toFixed(2) + ' cm³';
+          if (originalVolumeEl) originalVolumeEl.textContent = PrinterCalc.Utils.formatQuantity(originalVolume, 'volume');
+          if (newVolumeEl) newVolumeEl.textContent = PrinterCalc.Utils.formatQuantity(newVolume, 'volume');
           
           // Calculate percentage changes
           const percentageChange = (volumeRatio * 100 - 100).toFixed(1);
@@ -272,14 +272,13 @@ if (originalDimensions.width <= 0 || originalDimensions.depth <= 0 || originalDi
           console.log('Original dimensions:', rowData.stlData.dimensions);
           console.log('New dimensions:', newDimensions);
           
-          // Calculate the volume ratio based on dimensions
-          const volumeRatio = (
-            newDimensions.width * newDimensions.depth * newDimensions.height
-          ) / (
-            rowData.stlData.dimensions.width * 
-            rowData.stlData.dimensions.depth * 
-            rowData.stlData.dimensions.height
-          );
+          // Scale factor along each axis of the file
+          const axisFactors = [
+            newDimensions.width / rowData.stlData.dimensions.width,
+            newDimensions.depth / rowData.stlData.dimensions.depth,
+            newDimensions.height / rowData.stlData.dimensions.height
+          ];
+          const volumeRatio = axisFactors[0] * axisFactors[1] * axisFactors[2];
           
           console.log('Volume ratio:', volumeRatio);
           
@@ -287,15 +286,32 @@ if (originalDimensions.width <= 0 || originalDimensions.depth <= 0 || originalDi
           rowData.stlData.dimensions = { ...newDimensions };
           rowData.stlData.volumeCm3 = rowData.stlData.volumeCm3 * volumeRatio;
           
-          // Scale 3D model if available
-          if (rowData.viewerId && PrinterCalc.ModelViewer && 
-              typeof PrinterCalc.ModelViewer.scaleModel === 'function') {
-            PrinterCalc.ModelViewer.scaleModel(rowData.viewerId, scaleFactor);
+          if (rowData.stlData.positions) {
+            // Resize the mesh itself, so its area and every later analysis see the new size.
+            // Area does not follow a single factor once the axes scale differently, so measure it.
+            rowData.stlData.positions = PrinterCalc.STLProcessor.scalePositions(rowData.stlData.positions, axisFactors);
+            rowData.stlData.surfaceAreaCm2 = PrinterCalc.STLProcessor.calculateSurfaceArea(rowData.stlData.positions);
+            
+            // Show the resized mesh, then re-check and recalculate
+            PrinterCalc.STLManager.reloadMesh(rowId).catch(error => {
+              console.error('Error reloading scaled mesh:', error);
+            });
+          } else {
+            // Without a mesh the model was scaled uniformly, so area grows with the square of the scale
+            if (rowData.stlData.surfaceAreaCm2) {
+              rowData.stlData.surfaceAreaCm2 = rowData.stlData.surfaceAreaCm2 * Math.pow(volumeRatio, 2 / 3);
+            }
+            
+            // Scale 3D model if available
+            if (rowData.viewerId && PrinterCalc.ModelViewer && 
+                typeof PrinterCalc.ModelViewer.scaleModel === 'function') {
+              PrinterCalc.ModelViewer.scaleModel(rowData.viewerId, scaleFactor);
+            }
+            
+            // Update results first
+            PrinterCalc.STLManager.updateResults(rowId);
           }
           
-          // Update results first
-          PrinterCalc.STLManager.updateResults(rowId);
-          
           // Then update the batch visualizer
           setTimeout(() => {
             // Get row element
@@ -410,27 +426,31 @@ if (originalDimensions.width <= 0 || originalDimensions.depth <= 0 || originalDi
           
           if (!volumeInput || !widthInput || !depthInput || !heightInput) return;
           
+          // Inputs are shown in the display unit system, values are kept in mm
+          const readLength = input => PrinterCalc.Utils.readQuantityInput(input, 'length');
+          const readDimensions = () => ({
+            width: readLength(widthInput) || 50,
+            depth: readLength(depthInput) || 50,
+            height: readLength(heightInput) || 50
+          });
+          
           // Store original values
-          let originalDimensions = {
-            width: parseFloat(widthInput.value) || 50,
-            depth: parseFloat(depthInput.value) || 50,
-            height: parseFloat(heightInput.value) || 50
-          };
+          let originalDimensions = readDimensions();
           
           // Update volume when dimensions change
           const updateVolume = () => {
-            const width = parseFloat(widthInput.value) || 0;
-            const depth = parseFloat(depthInput.value) || 0;
-            const height = parseFloat(heightInput.value) || 0;
+            const width = readLength(widthInput) || 0;
+            const depth = readLength(depthInput) || 0;
+            const height = readLength(heightInput) || 0;
             
             // Calculate volume in cm³
             const volumeCm3 = (width * depth * height) / 1000;
-            volumeInput.value = volumeCm3.toFixed(2);
+            PrinterCalc.Utils.setQuantityInput(volumeInput, volumeCm3, 'volume');
           };
           
           // Handle dimension changes with proportional scaling
-          const handleDimensionChange = (dimension, value, inputElement) => {
-            const numValue = parseFloat(value);
+          const handleDimensionChange = (dimension, inputElement) => {
+            const numValue = readLength(inputElement);
             if (isNaN(numValue) || numValue <= 0) return;
             
             // Calculate scale factor
@@ -439,15 +459,15 @@ if (originalDimensions.width <= 0 || originalDimensions.depth <= 0 || originalDi
             if (lockProportionsCheckbox && lockProportionsCheckbox.checked) {
               // Update other dimensions proportionally
               if (dimension !== 'width') {
-                widthInput.value = (originalDimensions.width * scaleFactor).toFixed(1);
+                PrinterCalc.Utils.setQuantityInput(widthInput, originalDimensions.width * scaleFactor, 'length');
               }
               
               if (dimension !== 'depth') {
-                depthInput.value = (originalDimensions.depth * scaleFactor).toFixed(1);
+                PrinterCalc.Utils.setQuantityInput(depthInput, originalDimensions.depth * scaleFactor, 'length');
               }
               
               if (dimension !== 'height') {
-                heightInput.value = (originalDimensions.height * scaleFactor).toFixed(1);
+                PrinterCalc.Utils.setQuantityInput(heightInput, originalDimensions.height * scaleFactor, 'length');
               }
             }
             
@@ -456,19 +476,15 @@ if (originalDimensions.width <= 0 || originalDimensions.depth <= 0 || originalDi
           };
           
           // Add input handlers
-          widthInput.addEventListener('input', () => handleDimensionChange('width', widthInput.value));
-          depthInput.addEventListener('input', () => handleDimensionChange('depth', depthInput.value));
-          heightInput.addEventListener('input', () => handleDimensionChange('height', heightInput.value));
+          widthInput.addEventListener('input', () => handleDimensionChange('width', widthInput));
+          depthInput.addEventListener('input', () => handleDimensionChange('depth', depthInput));
+          heightInput.addEventListener('input', () => handleDimensionChange('height', heightInput));
           
           // Update original dimensions when Calculate button is clicked
           const calculateBtn = document.getElementById('calculateBtn');
           if (calculateBtn) {
             calculateBtn.addEventListener('click', () => {
-              originalDimensions = {
-                width: parseFloat(widthInput.value) || 50,
-                depth: parseFloat(depthInput.value) || 50,
-                height: parseFloat(heightInput.value) || 50
-              };
+              originalDimensions = readDimensions();
             });
           }
         } catch (error) {
@@ -0,0 +1,193 @@
+/**
+ * material-profile-editor.js - Material Profile Settings
+ *
+ * Adds the material profile editor to the settings panel, and fills the
+ * material pickers of the STL rows and the manual tab.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a material profile editor module
+  PrinterCalc.MaterialProfileEditor = {
+    // Profile shown in the editor
+    selectedId: null,
+
+    /**
+     * Initialize the editor
+     */
+    init: function () {
+      PrinterCalc.MaterialProfiles.init();
+
+      this.checkAndAddEditor();
+
+      // Keep the editor in step with the library
+      document.addEventListener('printercalc:materialprofileschanged', () => {
+        this.fillSelect(document.getElementById('materialProfileSelect'), this.selectedId);
+        this.showProfile(this.selectedId);
+      });
+    },
+
+    /**
+     * Fill a select with the material profiles
+     * @param {HTMLSelectElement} select - Select element
+     * @param {string} [selectedId] - Profile to select (the first profile if it no longer exists)
+     */
+    fillSelect: function (select, selectedId) {
+      if (!select) return;
+
+      const profiles = PrinterCalc.MaterialProfiles.getAll();
+      select.innerHTML = '';
+
+      // Built as elements so profile names are never read as markup
+      profiles.forEach(profile => {
+        select.appendChild(new Option(profile.name, profile.id));
+      });
+
+      select.value = PrinterCalc.MaterialProfiles.get(selectedId).id;
+    },
+
+    /**
+     * Check if the profile editor exists, add if not
+     */
+    checkAndAddEditor: function () {
+      // Check if the editor exists
+      if (document.getElementById('materialProfileSelect')) {
+        return; // Already exists
+      }
+
+      const container = document.querySelector('#settingsSidebar .sidebar-content') ||
+        document.querySelector('.settings-card');
+      if (!container) {
+        return; // Can't find the settings panel
+      }
+
+      const fieldGroups = PrinterCalc.MaterialProfiles.FIELDS.map(field => `
+          <div class="form-group">
+            <label for="materialProfile-${field.key}">${field.label} (${field.unit})</label>
+            <input type="number" id="materialProfile-${field.key}" min="0"${field.max !== undefined ? ` max="${field.max}"` : ''} step="${field.step}">
+          </div>
+      `).join('');
+
+      const section = document.createElement('div');
+      section.className = 'material-profile-settings';
+      section.innerHTML = `
+        <h3><span class="material-icon">science</span> Material Profiles</h3>
+        <div class="form-group">
+          <label for="materialProfileSelect">Profile</label>
+          <select id="materialProfileSelect" class="material-select"></select>
+        </div>
+        <div class="form-group">
+          <label for="materialProfile-name">Name</label>
+          <input type="text" id="materialProfile-name" maxlength="60">
+        </div>
+        ${fieldGroups}
+        <div class="material-profile-actions">
+          <button type="button" class="btn btn-primary btn-sm" id="saveMaterialProfile">
+            <span class="material-icon">save</span> Save
+          </button>
+          <button type="button" class="btn btn-outline btn-sm" id="newMaterialProfile">
+            <span class="material-icon">add</span> New
+          </button>
+          <button type="button" class="btn btn-outline btn-sm" id="duplicateMaterialProfile">
+            <span class="material-icon">content_copy</span> Duplicate
+          </button>
+          <button type="button" class="btn btn-outline btn-sm" id="deleteMaterialProfile">
+            <span class="material-icon">delete</span> Delete
+          </button>
+        </div>
+      `;
+
+      container.appendChild(section);
+
+      const select = document.getElementById('materialProfileSelect');
+      this.fillSelect(select);
+      this.showProfile(select.value);
+
+      select.addEventListener('change', () => {
+        this.showProfile(select.value);
+      });
+
+      document.getElementById('saveMaterialProfile').addEventListener('click', () => {
+        this.runAction('Material Saved', 'Parts using this material have been recalculated.', () => PrinterCalc.MaterialProfiles.update(this.selectedId, this.readInputs()));
+      });
+
+      document.getElementById('newMaterialProfile').addEventListener('click', () => {
+        const defaults = PrinterCalc.MaterialProfiles.createDefaultProfile();
+        this.runAction('Material Added', 'Set its values, then save.', () => PrinterCalc.MaterialProfiles.create(Object.assign(defaults, { name: 'New Material' })));
+      });
+
+      document.getElementById('duplicateMaterialProfile').addEventListener('click', () => {
+        this.runAction('Material Duplicated', 'The copy is ready to edit.', () => PrinterCalc.MaterialProfiles.duplicate(this.selectedId));
+      });
+
+      document.getElementById('deleteMaterialProfile').addEventListener('click', () => {
+        const profile = PrinterCalc.MaterialProfiles.get(this.selectedId);
+        if (!confirm(`Delete the material "${profile.name}"? Parts using it will switch to another material.`)) {
+          return;
+        }
+
+        this.runAction('Material Deleted', 'Parts that used it now use the first material.', () => {
+          PrinterCalc.MaterialProfiles.remove(profile.id);
+          return null;
+        });
+      });
+    },
+
+    /**
+     * Show a profile in the editor
+     * @param {string} id - Profile ID
+     */
+    showProfile: function (id) {
+      const select = document.getElementById('materialProfileSelect');
+      if (!select) return;
+
+      const profile = PrinterCalc.MaterialProfiles.get(id);
+      this.selectedId = profile.id;
+      select.value = profile.id;
+
+      document.getElementById('materialProfile-name').value = profile.name;
+      PrinterCalc.MaterialProfiles.FIELDS.forEach(field => {
+        document.getElementById(`materialProfile-${field.key}`).value = profile[field.key];
+      });
+    },
+
+    /**
+     * Read the editor inputs
+     * @returns {Object} Name and FIELDS values
+     */
+    readInputs: function () {
+      const values = { name: document.getElementById('materialProfile-name').value };
+      PrinterCalc.MaterialProfiles.FIELDS.forEach(field => {
+        values[field.key] = document.getElementById(`materialProfile-${field.key}`).value;
+      });
+      return values;
+    },
+
+    /**
+     * Change the library and report the outcome
+     * @param {string} title - Notification title on success
+     * @param {string} message - Notification message on success
+     * @param {Function} action - Change to make; returns the profile to show, or null
+     */
+    runAction: function (title, message, action) {
+      try {
+        const profile = action();
+        this.showProfile(profile ? profile.id : null);
+
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.success(title, message);
+        }
+      } catch (error) {
+        console.error('Error changing material profiles:', error);
+
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.error('Material Not Saved', error.message || 'Unknown error');
+        } else {
+          alert(error.message || 'Unknown error');
+        }
+      }
+    }
+  };
+})();
\ No newline at end of file
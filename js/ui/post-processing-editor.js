@@ -0,0 +1,230 @@
+/**
+ * post-processing-editor.js - Post-Processing Settings
+ *
+ * Adds the post-processing pipeline editor to the settings panel, where
+ * steps are added, changed, reordered and deleted.
+ */
+
+(function () {
+  // Make sure the namespace exists
+  window.PrinterCalc = window.PrinterCalc || {};
+
+  // Create a post-processing editor module
+  PrinterCalc.PostProcessingEditor = {
+    // Step shown in the editor
+    selectedId: null,
+
+    /**
+     * Initialize the editor
+     */
+    init: function () {
+      PrinterCalc.PostProcessingSteps.init();
+
+      this.checkAndAddEditor();
+
+      // Keep the editor in step with the pipeline
+      document.addEventListener('printercalc:postprocessingchanged', () => {
+        this.fillSelect();
+        this.showStep(this.selectedId);
+      });
+    },
+
+    /**
+     * Fill the step select, in pipeline order
+     */
+    fillSelect: function () {
+      const select = document.getElementById('postProcessingSelect');
+      if (!select) return;
+
+      select.innerHTML = '';
+
+      // Built as elements so step names are never read as markup
+      PrinterCalc.PostProcessingSteps.getAll().forEach((step, index) => {
+        select.appendChild(new Option(`${index + 1}. ${step.name}`, step.id));
+      });
+    },
+
+    /**
+     * Check if the pipeline editor exists, add if not
+     */
+    checkAndAddEditor: function () {
+      // Check if the editor exists
+      if (document.getElementById('postProcessingSelect')) {
+        return; // Already exists
+      }
+
+      const container = document.querySelector('#settingsSidebar .sidebar-content') ||
+        document.querySelector('.settings-card');
+      if (!container) {
+        return; // Can't find the settings panel
+      }
+
+      const materialOptions = Object.keys(PrinterCalc.PostProcessingSteps.MATERIALS).map(key => `
+            <option value="${key}">${PrinterCalc.PostProcessingSteps.MATERIALS[key]}</option>
+      `).join('');
+
+      const fieldGroups = PrinterCalc.PostProcessingSteps.FIELDS.map(field => `
+          <div class="form-group">
+            <label for="postProcessing-${field.key}">${field.label}</label>
+            <input type="number" id="postProcessing-${field.key}" min="0" step="${field.step}">
+          </div>
+      `).join('');
+
+      const section = document.createElement('div');
+      section.className = 'post-processing-settings';
+      section.innerHTML = `
+        <h3><span class="material-icon">format_list_numbered</span> Post-Processing</h3>
+        <p class="settings-note">Steps run in this order. Amounts are in the selected currency.</p>
+        <div class="form-group">
+          <label for="postProcessingSelect">Step</label>
+          <select id="postProcessingSelect" size="5"></select>
+        </div>
+        <div class="form-group">
+          <label for="postProcessing-name">Name</label>
+          <input type="text" id="postProcessing-name" maxlength="60">
+        </div>
+        <div class="form-group">
+          <label for="postProcessing-material">Uses Material</label>
+          <select id="postProcessing-material">${materialOptions}</select>
+        </div>
+        <div class="toggle-container">
+          <label class="toggle-switch">
+            <input type="checkbox" id="postProcessing-enabled">
+            <span class="toggle-slider"></span>
+          </label>
+          <span class="toggle-label">On by default</span>
+        </div>
+        ${fieldGroups}
+        <div class="post-processing-actions">
+          <button type="button" class="btn btn-primary btn-sm" id="savePostProcessingStep">
+            <span class="material-icon">save</span> Save
+          </button>
+          <button type="button" class="btn btn-outline btn-sm" id="newPostProcessingStep">
+            <span class="material-icon">add</span> New
+          </button>
+          <button type="button" class="btn btn-outline btn-sm" id="moveUpPostProcessingStep">
+            <span class="material-icon">arrow_upward</span> Move Up
+          </button>
+          <button type="button" class="btn btn-outline btn-sm" id="moveDownPostProcessingStep">
+            <span class="material-icon">arrow_downward</span> Move Down
+          </button>
+          <button type="button" class="btn btn-outline btn-sm" id="deletePostProcessingStep">
+            <span class="material-icon">delete</span> Delete
+          </button>
+        </div>
+      `;
+
+      container.appendChild(section);
+
+      const select = document.getElementById('postProcessingSelect');
+      this.fillSelect();
+      this.showStep(null);
+
+      select.addEventListener('change', () => {
+        this.showStep(select.value);
+      });
+
+      document.getElementById('savePostProcessingStep').addEventListener('click', () => {
+        if (!this.selectedId) return;
+        this.runAction('Step Saved', 'Costs have been recalculated.', () => PrinterCalc.PostProcessingSteps.update(this.selectedId, this.readInputs()));
+      });
+
+      document.getElementById('newPostProcessingStep').addEventListener('click', () => {
+        this.runAction('Step Added', 'Set its values, then save.', () => PrinterCalc.PostProcessingSteps.create({ name: 'New Step' }));
+      });
+
+      document.getElementById('moveUpPostProcessingStep').addEventListener('click', () => {
+        this.moveSelected(-1);
+      });
+
+      document.getElementById('moveDownPostProcessingStep').addEventListener('click', () => {
+        this.moveSelected(1);
+      });
+
+      document.getElementById('deletePostProcessingStep').addEventListener('click', () => {
+        const step = PrinterCalc.PostProcessingSteps.get(this.selectedId);
+        if (!step || !confirm(`Delete the step "${step.name}"?`)) {
+          return;
+        }
+
+        this.runAction('Step Deleted', 'Costs have been recalculated.', () => {
+          PrinterCalc.PostProcessingSteps.remove(step.id);
+          return null;
+        });
+      });
+    },
+
+    /**
+     * Move the selected step earlier or later
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveSelected: function (offset) {
+      if (!this.selectedId) return;
+
+      PrinterCalc.PostProcessingSteps.move(this.selectedId, offset);
+      this.showStep(this.selectedId);
+    },
+
+    /**
+     * Show a step in the editor
+     * @param {string} [id] - Step ID (the first step if it no longer exists)
+     */
+    showStep: function (id) {
+      const select = document.getElementById('postProcessingSelect');
+      if (!select) return;
+
+      const steps = PrinterCalc.PostProcessingSteps.getAll();
+      const step = PrinterCalc.PostProcessingSteps.get(id) || steps[0] || null;
+      this.selectedId = step ? step.id : null;
+      select.value = step ? step.id : '';
+
+      document.getElementById('postProcessing-name').value = step ? step.name : '';
+      document.getElementById('postProcessing-material').value = step ? step.material : '';
+      document.getElementById('postProcessing-enabled').checked = step ? step.enabled : false;
+      PrinterCalc.PostProcessingSteps.FIELDS.forEach(field => {
+        document.getElementById(`postProcessing-${field.key}`).value = step ? step[field.key] : '';
+      });
+    },
+
+    /**
+     * Read the editor inputs
+     * @returns {Object} Name, material, enabled and FIELDS values
+     */
+    readInputs: function () {
+      const values = {
+        name: document.getElementById('postProcessing-name').value,
+        material: document.getElementById('postProcessing-material').value,
+        enabled: document.getElementById('postProcessing-enabled').checked
+      };
+      PrinterCalc.PostProcessingSteps.FIELDS.forEach(field => {
+        values[field.key] = document.getElementById(`postProcessing-${field.key}`).value;
+      });
+      return values;
+    },
+
+    /**
+     * Change the pipeline and report the outcome
+     * @param {string} title - Notification title on success
+     * @param {string} message - Notification message on success
+     * @param {Function} action - Change to make; returns the step to show, or null
+     */
+    runAction: function (title, message, action) {
+      try {
+        const step = action();
+        this.showStep(step ? step.id : null);
+
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.success(title, message);
+        }
+      } catch (error) {
+        console.error('Error changing post-processing steps:', error);
+
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.error('Step Not Saved', error.message || 'Unknown error');
+        } else {
+          alert(error.message || 'Unknown error');
+        }
+      }
+    }
+  };
+})();
\ No newline at end of file
@@ -30,11 +30,37 @@
     // Default settings
     settings: {
       currency: 'USD',
+      unitSystem: 'metric',   // "metric" (mm, cm³, g) or "imperial" (in, in³, oz) for display
       wallMargin: 10,
       objectSpacing: 15,      // XY spacing (horizontal)
-      verticalSpacing: 10     // Z spacing (vertical)
+      verticalSpacing: 10,    // Z spacing (vertical)
+      glazeModel: 'surface',  // "surface" (g/cm² x coats) or "legacy" (volume formula)
+      glazeCoats: 2,
+      glazePerCm2: 0.08,      // g/cm² per coat
+      minWallThickness: 2,    // mm, thinner walls are flagged
+      printerCosts: {},       // Running cost values changed from CONSTANTS.PRINTERS[type].costs, by printer
+      quantityTiers: null     // Quote discount tiers, or null for CONSTANTS.QUOTE.QUANTITY_TIERS
     },
 
+    // Running cost values that can be set for each printer
+    PRINTER_COST_FIELDS: [
+      { key: 'powerKw', label: 'Power Draw (kW)', step: 0.1 },
+      { key: 'lifetimeHours', label: 'Lifetime (print hours)', step: 1000 },
+      { key: 'setupMinutes', label: 'Setup per Build (min)', step: 1 }
+    ],
+
+    // Money rates of the cost model and quotes, priced by currency
+    COST_PRICING_FIELDS: [
+      { id: 'priceLabour', label: 'Labour (per hour)', key: 'labour' },
+      { id: 'priceElectricity', label: 'Electricity (per kWh)', key: 'electricity' },
+      { id: 'priceMachine-400', label: 'Printer 400 Machine Rate (per hour)', key: 'machineHour', printer: '400' },
+      { id: 'priceMachine-600', label: 'Printer 600 Machine Rate (per hour)', key: 'machineHour', printer: '600' },
+      { id: 'pricePrinter-400', label: 'Printer 400 Purchase Price', key: 'printerPrice', printer: '400' },
+      { id: 'pricePrinter-600', label: 'Printer 600 Purchase Price', key: 'printerPrice', printer: '600' },
+      { id: 'priceSetupFee', label: 'Quote Setup Fee (per order)', key: 'setupFee' },
+      { id: 'priceMinimumCharge', label: 'Quote Minimum Charge', key: 'minimumCharge' }
+    ],
+
     /**
      * Initialize settings manager
      */
@@ -45,12 +71,65 @@
       // Set up event listeners for settings UI
       this.setupEventListeners();
       
+      // Check if we need to add the unit system selector
+      this.checkAndAddUnitSystemInput();
+      
       // Check if we need to add the vertical spacing input
       this.checkAndAddVerticalSpacingInput();
       
+      // Check if we need to add the glaze model inputs
+      this.checkAndAddGlazeInputs();
+      
+      // Check if we need to add the wall thickness input
+      this.checkAndAddWallThicknessInput();
+      
+      // Check if we need to add the running cost inputs
+      this.checkAndAddPrinterCostInputs();
+      this.checkAndAddCostPricingInputs();
+      
+      // Check if we need to add the quantity discount input
+      this.checkAndAddQuantityTiersInput();
+      
       console.log("SettingsManager initialized with settings:", this.settings);
     },
     
+    /**
+     * Check if unit system selector exists, add if not
+     */
+    checkAndAddUnitSystemInput: function() {
+      // Check if unit system selector exists
+      if (document.getElementById('unitSystem')) {
+        return; // Already exists
+      }
+      
+      // Add after the currency selector
+      const currencySelect = document.getElementById('currency');
+      const referenceGroup = currencySelect ? currencySelect.closest('.form-group') : null;
+      if (!referenceGroup) {
+        return; // Can't find the reference element
+      }
+      
+      const newFormGroup = document.createElement('div');
+      newFormGroup.className = 'form-group';
+      newFormGroup.innerHTML = `
+        <label for="unitSystem">Units</label>
+        <select id="unitSystem">
+          <option value="metric">Metric (mm, cm³, g)</option>
+          <option value="imperial">Imperial (in, in³, oz)</option>
+        </select>
+      `;
+      
+      referenceGroup.parentNode.insertBefore(newFormGroup, referenceGroup.nextSibling);
+      
+      const unitSystemSelect = document.getElementById('unitSystem');
+      unitSystemSelect.value = this.settings.unitSystem || 'metric';
+      
+      // Display only, so it takes effect straight away
+      unitSystemSelect.addEventListener('change', () => {
+        this.setSetting('unitSystem', unitSystemSelect.value === 'imperial' ? 'imperial' : 'metric');
+      });
+    },
+    
     /**
      * Check if vertical spacing input exists, add if not
      */
@@ -98,6 +177,199 @@
       }
     },
     
+    /**
+     * Check if glaze model inputs exist, add if not
+     */
+    checkAndAddGlazeInputs: function() {
+      // Check if glaze inputs exist
+      if (document.getElementById('glazeModel')) {
+        return; // Already exists
+      }
+      
+      // Add after the last spacing input
+      const referenceInput = document.getElementById('verticalSpacing') || document.getElementById('objectSpacing');
+      const referenceGroup = referenceInput ? referenceInput.closest('.form-group') : null;
+      if (!referenceGroup) {
+        return; // Can't find the reference element
+      }
+      
+      // Create the form groups for the glaze model
+      const glazeGroups = document.createElement('div');
+      glazeGroups.className = 'glaze-settings';
+      glazeGroups.innerHTML = `
+        <div class="form-group">
+          <label for="glazeModel">Glaze Model</label>
+          <select id="glazeModel">
+            <option value="surface">Surface area (g/cm² × coats)</option>
+            <option value="legacy">Legacy (volume formula)</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="glazeCoats">Glaze Coats</label>
+          <input type="number" id="glazeCoats" value="${this.settings.glazeCoats}" min="1" max="10" step="1">
+        </div>
+        <div class="form-group">
+          <label for="glazePerCm2">Glaze per Coat (g/cm²)</label>
+          <input type="number" id="glazePerCm2" value="${this.settings.glazePerCm2}" min="0" step="0.01">
+        </div>
+      `;
+      
+      referenceGroup.parentNode.insertBefore(glazeGroups, referenceGroup.nextSibling);
+      
+      const glazeModelSelect = document.getElementById('glazeModel');
+      if (glazeModelSelect) {
+        glazeModelSelect.value = this.settings.glazeModel || 'surface';
+      }
+    },
+    
+    /**
+     * Check if minimum wall thickness input exists, add if not
+     */
+    checkAndAddWallThicknessInput: function() {
+      // Check if wall thickness input exists
+      if (document.getElementById('minWallThickness')) {
+        return; // Already exists
+      }
+      
+      // Add after the glaze settings, or the last spacing input
+      const glazeGroups = document.querySelector('.glaze-settings');
+      const referenceInput = document.getElementById('verticalSpacing') || document.getElementById('objectSpacing');
+      const referenceGroup = glazeGroups || (referenceInput ? referenceInput.closest('.form-group') : null);
+      if (!referenceGroup) {
+        return; // Can't find the reference element
+      }
+      
+      const newFormGroup = document.createElement('div');
+      newFormGroup.className = 'form-group';
+      newFormGroup.innerHTML = `
+        <label for="minWallThickness">Minimum Wall Thickness (mm)</label>
+        <input type="number" id="minWallThickness" value="${this.settings.minWallThickness}" min="0.1" max="20" step="0.1">
+      `;
+      
+      referenceGroup.parentNode.insertBefore(newFormGroup, referenceGroup.nextSibling);
+    },
+    
+    /**
+     * Check if printer running cost inputs exist, add if not
+     */
+    checkAndAddPrinterCostInputs: function() {
+      // Check if running cost inputs exist
+      if (document.querySelector('.printer-cost-settings')) {
+        return; // Already exists
+      }
+      
+      // Add after the wall thickness input
+      const minWallThicknessInput = document.getElementById('minWallThickness');
+      const referenceGroup = minWallThicknessInput ? minWallThicknessInput.closest('.form-group') : null;
+      if (!referenceGroup || !PrinterCalc.CONSTANTS || !PrinterCalc.CONSTANTS.PRINTERS) {
+        return; // Can't find the reference element
+      }
+      
+      const printers = PrinterCalc.CONSTANTS.PRINTERS;
+      const costGroups = document.createElement('div');
+      costGroups.className = 'printer-cost-settings';
+      costGroups.innerHTML = Object.keys(printers).map(printerType => `
+        <h4>${printers[printerType].name} Running Costs</h4>
+        ${this.PRINTER_COST_FIELDS.map(field => `
+          <div class="form-group">
+            <label for="printerCost-${printerType}-${field.key}">${field.label}</label>
+            <input type="number" id="printerCost-${printerType}-${field.key}" min="0" step="${field.step}">
+          </div>
+        `).join('')}
+      `).join('');
+      
+      referenceGroup.parentNode.insertBefore(costGroups, referenceGroup.nextSibling);
+      this.updatePrinterCostUI();
+    },
+    
+    /**
+     * Check if cost model pricing inputs exist, add if not
+     */
+    checkAndAddCostPricingInputs: function() {
+      // Check if cost pricing inputs exist
+      if (document.getElementById('priceLabour')) {
+        return; // Already exists
+      }
+      
+      // Add after the glaze price
+      const priceGlazeInput = document.getElementById('priceGlaze');
+      const referenceGroup = priceGlazeInput ? priceGlazeInput.closest('.form-group') : null;
+      if (!referenceGroup) {
+        return; // Can't find the reference element
+      }
+      
+      const pricingGroups = document.createElement('div');
+      pricingGroups.className = 'cost-pricing-settings';
+      pricingGroups.innerHTML = this.COST_PRICING_FIELDS.map(field => `
+        <div class="form-group">
+          <label for="${field.id}">${field.label}</label>
+          <input type="number" id="${field.id}" min="0" step="0.01">
+        </div>
+      `).join('');
+      
+      referenceGroup.parentNode.insertBefore(pricingGroups, referenceGroup.nextSibling);
+      this.updatePricingUI();
+    },
+    
+    /**
+     * Check if quantity discount input exists, add if not
+     */
+    checkAndAddQuantityTiersInput: function() {
+      // Check if quantity discount input exists
+      if (document.getElementById('quantityTiers')) {
+        return; // Already exists
+      }
+      
+      // Add after the printer running costs
+      const referenceGroup = document.querySelector('.printer-cost-settings');
+      if (!referenceGroup || !PrinterCalc.PricingEngine) {
+        return; // Can't find the reference element
+      }
+      
+      const newFormGroup = document.createElement('div');
+      newFormGroup.className = 'form-group';
+      newFormGroup.innerHTML = `
+        <label for="quantityTiers">Quantity Discounts (parts:% off)</label>
+        <input type="text" id="quantityTiers" placeholder="10:5, 50:10, 100:15">
+      `;
+      
+      referenceGroup.parentNode.insertBefore(newFormGroup, referenceGroup.nextSibling);
+      
+      document.getElementById('quantityTiers').value = PrinterCalc.PricingEngine.formatTiers(PrinterCalc.PricingEngine.getTiers());
+    },
+    
+    /**
+     * Copy saved running cost values into the printer constants
+     */
+    applyPrinterCosts: function() {
+      if (!PrinterCalc.CONSTANTS || !PrinterCalc.CONSTANTS.PRINTERS) return;
+      
+      const printerCosts = this.settings.printerCosts || {};
+      Object.keys(printerCosts).forEach(printerType => {
+        const printer = PrinterCalc.CONSTANTS.PRINTERS[printerType];
+        if (printer) {
+          printer.costs = Object.assign({}, printer.costs, printerCosts[printerType]);
+        }
+      });
+    },
+    
+    /**
+     * Show the printers' running cost values in their inputs
+     */
+    updatePrinterCostUI: function() {
+      if (!PrinterCalc.CONSTANTS || !PrinterCalc.CONSTANTS.PRINTERS) return;
+      
+      Object.keys(PrinterCalc.CONSTANTS.PRINTERS).forEach(printerType => {
+        const costs = PrinterCalc.CONSTANTS.PRINTERS[printerType].costs || {};
+        this.PRINTER_COST_FIELDS.forEach(field => {
+          const input = document.getElementById(`printerCost-${printerType}-${field.key}`);
+          if (input) {
+            input.value = costs[field.key] !== undefined ? costs[field.key] : '';
+          }
+        });
+      });
+    },
+    
     /**
      * Load settings from localStorage
      */
@@ -116,6 +388,9 @@
         if (this.settings.verticalSpacing === undefined) {
           this.settings.verticalSpacing = 10; // Default value
         }
+        
+        // Use the saved running costs straight away
+        this.applyPrinterCosts();
       } catch (error) {
         console.error('Error loading settings:', error);
       }
@@ -168,6 +443,12 @@
         currencySelect.value = this.settings.currency || 'USD';
       }
       
+      // Update unit system selector
+      const unitSystemSelect = document.getElementById('unitSystem');
+      if (unitSystemSelect) {
+        unitSystemSelect.value = this.settings.unitSystem || 'metric';
+      }
+      
       // Update margin input
       const wallMarginInput = document.getElementById('wallMargin');
       if (wallMarginInput) {
@@ -186,6 +467,37 @@
         verticalSpacingInput.value = this.settings.verticalSpacing || 10;
       }
       
+      // Update glaze inputs
+      const glazeModelSelect = document.getElementById('glazeModel');
+      if (glazeModelSelect) {
+        glazeModelSelect.value = this.settings.glazeModel || 'surface';
+      }
+      
+      const glazeCoatsInput = document.getElementById('glazeCoats');
+      if (glazeCoatsInput) {
+        glazeCoatsInput.value = this.settings.glazeCoats || 2;
+      }
+      
+      const glazePerCm2Input = document.getElementById('glazePerCm2');
+      if (glazePerCm2Input) {
+        glazePerCm2Input.value = this.settings.glazePerCm2 || 0.08;
+      }
+      
+      // Update wall thickness input
+      const minWallThicknessInput = document.getElementById('minWallThickness');
+      if (minWallThicknessInput) {
+        minWallThicknessInput.value = this.settings.minWallThickness || 2;
+      }
+      
+      // Update running cost inputs
+      this.updatePrinterCostUI();
+      
+      // Update quantity discount input
+      const quantityTiersInput = document.getElementById('quantityTiers');
+      if (quantityTiersInput && PrinterCalc.PricingEngine) {
+        quantityTiersInput.value = PrinterCalc.PricingEngine.formatTiers(PrinterCalc.PricingEngine.getTiers());
+      }
+      
       // Update pricing inputs
       this.updatePricingUI();
     },
@@ -229,6 +541,15 @@
         priceGlazeInput.value = pricing.glaze;
       }
       
+      // Update cost model rates
+      this.COST_PRICING_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+        
+        const value = field.printer ? (pricing[field.key] || {})[field.printer] : pricing[field.key];
+        input.value = value !== undefined ? value : '';
+      });
+      
       // Update currency displays
       const currencyElements = document.querySelectorAll('[id$="-currency"]');
       const symbol = PrinterCalc.CONSTANTS.CURRENCY_SYMBOLS[currency];
@@ -302,6 +623,10 @@
       const wallMarginInput = document.getElementById('wallMargin');
       const objectSpacingInput = document.getElementById('objectSpacing');
       const verticalSpacingInput = document.getElementById('verticalSpacing');
+      const glazeModelSelect = document.getElementById('glazeModel');
+      const glazeCoatsInput = document.getElementById('glazeCoats');
+      const glazePerCm2Input = document.getElementById('glazePerCm2');
+      const minWallThicknessInput = document.getElementById('minWallThickness');
       
       if (wallMarginInput) {
         this.setSetting('wallMargin', parseFloat(wallMarginInput.value) || 10);
@@ -315,6 +640,56 @@
         this.setSetting('verticalSpacing', parseFloat(verticalSpacingInput.value) || 10);
       }
       
+      if (glazeModelSelect) {
+        this.setSetting('glazeModel', glazeModelSelect.value === 'legacy' ? 'legacy' : 'surface');
+      }
+      
+      if (glazeCoatsInput) {
+        this.setSetting('glazeCoats', Math.max(1, Math.round(parseFloat(glazeCoatsInput.value) || 2)));
+      }
+      
+      if (glazePerCm2Input) {
+        const glazePerCm2 = parseFloat(glazePerCm2Input.value);
+        this.setSetting('glazePerCm2', isNaN(glazePerCm2) || glazePerCm2 < 0 ? 0.08 : glazePerCm2);
+      }
+      
+      if (minWallThicknessInput) {
+        const minWallThickness = parseFloat(minWallThicknessInput.value);
+        this.setSetting('minWallThickness', isNaN(minWallThickness) || minWallThickness <= 0 ? 2 : minWallThickness);
+      }
+      
+      // Running costs of each printer (blank or invalid inputs keep the current value)
+      if (document.querySelector('.printer-cost-settings') && PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.PRINTERS) {
+        const printerCosts = {};
+        Object.keys(PrinterCalc.CONSTANTS.PRINTERS).forEach(printerType => {
+          const current = PrinterCalc.CONSTANTS.PRINTERS[printerType].costs || {};
+          printerCosts[printerType] = {};
+          
+          this.PRINTER_COST_FIELDS.forEach(field => {
+            const input = document.getElementById(`printerCost-${printerType}-${field.key}`);
+            const value = input ? parseFloat(input.value) : NaN;
+            printerCosts[printerType][field.key] = isNaN(value) || value < 0 ? current[field.key] : value;
+          });
+        });
+        
+        this.setSetting('printerCosts', printerCosts);
+        this.applyPrinterCosts();
+      }
+      
+      // Quantity discounts (invalid text keeps the current tiers)
+      const quantityTiersInput = document.getElementById('quantityTiers');
+      if (quantityTiersInput && PrinterCalc.PricingEngine) {
+        try {
+          this.setSetting('quantityTiers', PrinterCalc.PricingEngine.parseTiers(quantityTiersInput.value));
+        } catch (error) {
+          quantityTiersInput.value = PrinterCalc.PricingEngine.formatTiers(PrinterCalc.PricingEngine.getTiers());
+          
+          if (PrinterCalc.Notification && typeof PrinterCalc.Notification.error === 'function') {
+            PrinterCalc.Notification.error('Quantity Discounts Not Changed', 'Write each tier as parts:% off, e.g. 10:5, 50:10.');
+          }
+        }
+      }
+      
       // Update printer constants
       if (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.PRINTERS) {
         const wallMargin = this.settings.wallMargin || 10;
@@ -371,6 +746,20 @@
         if (priceGlazeInput) {
           PrinterCalc.CONSTANTS.PRICING[currency].glaze = parseFloat(priceGlazeInput.value) || PrinterCalc.CONSTANTS.PRICING.USD.glaze;
         }
+        
+        // Cost model rates (zero is a valid rate)
+        const pricing = PrinterCalc.CONSTANTS.PRICING[currency];
+        this.COST_PRICING_FIELDS.forEach(field => {
+          const input = document.getElementById(field.id);
+          const value = input ? parseFloat(input.value) : NaN;
+          if (isNaN(value) || value < 0) return;
+          
+          if (field.printer) {
+            pricing[field.key] = Object.assign({}, pricing[field.key], { [field.printer]: value });
+          } else {
+            pricing[field.key] = value;
+          }
+        });
       }
       
       // Notify of settings change
@@ -14,7 +14,6 @@
 
     if (typeof THREE === 'undefined') missing.push('THREE main library');
     else {
-      if (typeof THREE.STLLoader === 'undefined') missing.push('STLLoader');
       if (typeof THREE.OrbitControls === 'undefined') missing.push('OrbitControls');
     }
 
@@ -87,11 +86,36 @@
       // Clear any existing content
       container.innerHTML = '';
 
+      return this.appendSTLRow();
+    },
+
+    /**
+     * Append an STL row to the rows container
+     * Used for the initial interface and for extra parts of multi-part files.
+     * @returns {string|null} Row ID
+     */
+    appendSTLRow: function () {
+      // Get the container
+      const container = document.getElementById('stlRows');
+      if (!container) {
+        console.error('STL rows container not found');
+        return null;
+      }
+
       // Generate a unique ID for the STL interface
       const rowId = (PrinterCalc.Utils && typeof PrinterCalc.Utils.generateId === 'function')
         ? PrinterCalc.Utils.generateId()
         : ('stl-' + Math.random().toString(36).substring(2, 15));
 
+      // Defaults for the hollowing inputs
+      const materials = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.MATERIALS) || {};
+
+      // Units the file may be drawn in
+      const unitNames = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.UNITS && PrinterCalc.CONSTANTS.UNITS.NAMES) || { mm: 'Millimetres' };
+      const unitOptions = Object.keys(unitNames)
+        .map(units => `<option value="${units}">${unitNames[units]}</option>`)
+        .join('');
+
       // Create the single STL interface
       const rowElement = document.createElement('div');
       rowElement.id = rowId;
@@ -115,9 +139,24 @@
           <button type="button" class="orientation-btn active" data-orientation="flat">
             <span class="material-icon">crop_landscape</span> Flat
           </button>
+          <button type="button" class="orientation-btn" data-orientation="side">
+            <span class="material-icon">crop_16_9</span> Side
+          </button>
           <button type="button" class="orientation-btn" data-orientation="vertical">
             <span class="material-icon">crop_portrait</span> Vertical
           </button>
+          <div class="rotation-inputs" title="Rotate the model about its own axes">
+            <label>Rotate (°)</label>
+            <input type="number" class="rotation-input" data-axis="x" value="0" step="15" placeholder="X">
+            <input type="number" class="rotation-input" data-axis="y" value="0" step="15" placeholder="Y">
+            <input type="number" class="rotation-input" data-axis="z" value="0" step="15" placeholder="Z">
+            <button type="button" class="btn btn-outline btn-sm rotate-btn">
+              <span class="material-icon">rotate_right</span> Rotate
+            </button>
+          </div>
+          <button type="button" class="btn btn-outline btn-sm lay-flat-btn" title="Click a face of the model to put it on the build plate">
+            <span class="material-icon">vertical_align_bottom</span> Lay Flat on Face
+          </button>
         </div>
 
         <div class="packing-visualizers">
@@ -131,37 +170,93 @@
           <div class="upload-icon">
             <span class="material-icon">cloud_upload</span>
           </div>
-          <p><strong>Click or drag to upload STL</strong></p>
-          <p>Supports binary STL files</p>
+          <p><strong>Click or drag to upload a model</strong></p>
+          <p>Supports STL, 3MF, OBJ and PLY files</p>
           <p class="upload-limits">Maximum file size: 100MB</p>
         </div>
-        <input type="file" accept=".stl" style="display: none;">
+        <input type="file" accept=".stl,.3mf,.obj,.ply" multiple style="display: none;">
 
         <div class="results-panel">
           <h3>
             <span class="material-icon">analytics</span>
             Cost Analysis
           </h3>
+          <div class="model-name"></div>
+          <div class="unit-controls" style="display: none;">
+            <label for="${rowId}-units">File Units</label>
+            <select id="${rowId}-units" class="unit-select">${unitOptions}</select>
+          </div>
+          <div class="unit-suggestion" style="display: none;"></div>
           <div class="error-message"></div>
           <div class="loading-message">
             <div class="spinner"></div>
             Processing STL file...
+            <div class="loading-stats"></div>
+            <button type="button" class="btn btn-outline btn-sm cancel-processing-btn" style="display: none;">
+              <span class="material-icon">close</span> Cancel
+            </button>
           </div>
           <div class="total-cost">--</div>
 
           <div class="stats-grid">
             <div class="stat-box">
               <div class="stat-value">--</div>
-              <div class="stat-label">Volume (cm³)</div>
+              <div class="stat-label">Volume (<span class="unit-label" data-quantity="volume">cm³</span>)</div>
             </div>
             <div class="stat-box">
               <div class="stat-value">--</div>
-              <div class="stat-label">Dimensions (mm)</div>
+              <div class="stat-label">Dimensions (<span class="unit-label" data-quantity="length">mm</span>)</div>
             </div>
             <div class="stat-box">
               <div class="stat-value">--</div>
               <div class="stat-label">Print Time (400/600)</div>
             </div>
+            <div class="stat-box">
+              <div class="stat-value">--</div>
+              <div class="stat-label">Surface Area (<span class="unit-label" data-quantity="area">cm²</span>)</div>
+            </div>
+          </div>
+
+          <div class="mesh-report" style="display: none;"></div>
+          <div class="thickness-report" style="display: none;"></div>
+          <div class="cavity-report" style="display: none;"></div>
+          <div class="bodies-report" style="display: none;"></div>
+          <div class="alignment-report" style="display: none;"></div>
+          <div class="orientation-report" style="display: none;"></div>
+
+          <div class="form-group material-controls">
+            <label for="${rowId}-material">Material</label>
+            <select id="${rowId}-material" class="material-select"></select>
+          </div>
+
+          <div class="form-group quote-controls">
+            <label for="${rowId}-quantity">Quote Quantity</label>
+            <input type="number" id="${rowId}-quantity" class="quote-quantity" value="1" min="1" step="1">
+          </div>
+
+          <div class="hollow-section">
+            <div class="toggle-container">
+              <label class="toggle-switch">
+                <input type="checkbox" class="hollow-toggle">
+                <span class="toggle-slider"></span>
+              </label>
+              <span class="toggle-label">Hollow Model</span>
+            </div>
+            <div class="hollow-options" style="display: none;">
+              <div class="form-group">
+                <label>Shell Thickness (mm)</label>
+                <input type="number" class="hollow-shell-input" value="${materials.HOLLOW_SHELL_THICKNESS || 3}" min="0.5" max="50" step="0.5">
+              </div>
+              <div class="form-group">
+                <label>Drain Holes</label>
+                <input type="number" class="hollow-holes-input" value="${materials.DRAIN_HOLE_COUNT || 2}" min="0" max="20" step="1">
+              </div>
+              <div class="form-group">
+                <label>Drain Hole Diameter (mm)</label>
+                <input type="number" class="hollow-hole-diameter-input" value="${materials.DRAIN_HOLE_DIAMETER || 5}" min="1" max="50" step="0.5">
+              </div>
+              <div class="hollow-results"></div>
+            </div>
           </div>
 
           <div class="toggle-container">
@@ -172,6 +267,11 @@
             <span class="toggle-label">Apply Glaze</span>
           </div>
 
+          <div class="post-processing-section">
+            <h4>Post-Processing</h4>
+            <div class="post-processing-steps"></div>
+          </div>
+
           <div class="progress-container"></div>
 
           <h3>
@@ -216,6 +316,18 @@
         viewerId: null,
         orientation: 'flat',
         applyGlaze: true,
+        includeTrappedPowder: true,
+        hollow: { enabled: false },
+        packMode: 'assembly',
+        units: 'mm',
+        unitSuggestionDismissed: false,
+        // AbortController of the file being read
+        processing: null,
+        materialProfileId: PrinterCalc.MaterialProfiles ? PrinterCalc.MaterialProfiles.get().id : null,
+        // Post-processing steps switched on or off, by step ID
+        postProcessing: {},
+        // Parts (or sets) priced in the quote
+        quantity: 1,
         currency: 'USD' // Default to USD if SettingsManager is not available
       };
 
@@ -224,6 +336,9 @@
         this.rows[rowId].currency = PrinterCalc.SettingsManager.getSetting('currency') || 'USD';
       }
 
+      this.fillMaterialSelect(rowId);
+      this.renderPostProcessingToggles(rowId);
+
       // Hide elements initially
       const modelViewer = rowElement.querySelector('.model-viewer');
       const orientationToggle = rowElement.querySelector('.orientation-toggle');
@@ -311,6 +426,12 @@
           viewerId: null,
           orientation: 'flat',
           applyGlaze: true,
+          includeTrappedPowder: true,
+          hollow: { enabled: false },
+          packMode: 'assembly',
+          materialProfileId: PrinterCalc.MaterialProfiles ? PrinterCalc.MaterialProfiles.get().id : null,
+          postProcessing: {},
+          quantity: 1,
           currency: 'USD' // Default to USD if SettingsManager is not available
         };
 
@@ -364,17 +485,16 @@
             e.preventDefault();
             uploadArea.classList.remove('dragover');
 
-            // Get file
-            const file = e.dataTransfer.files[0];
-            if (file) {
-              this.handleFileUpload(rowId, file);
+            // Get files
+            if (e.dataTransfer.files.length > 0) {
+              this.handleFileUploads(rowId, e.dataTransfer.files);
             }
           });
 
           // File input change handler
           fileInput.addEventListener('change', (e) => {
             if (e.target.files && e.target.files.length > 0) {
-              this.handleFileUpload(rowId, e.target.files[0]);
+              this.handleFileUploads(rowId, e.target.files);
             }
           });
         }
@@ -393,6 +513,30 @@
           });
         });
 
+        // Free rotation about the model's own axes
+        const rotateBtn = row.querySelector('.rotate-btn');
+        if (rotateBtn) {
+          rotateBtn.addEventListener('click', () => {
+            this.rotateByInputs(rowId);
+          });
+        }
+
+        // File units
+        const unitSelect = row.querySelector('.unit-select');
+        if (unitSelect) {
+          unitSelect.addEventListener('change', () => {
+            this.convertUnits(rowId, unitSelect.value);
+          });
+        }
+
+        // Lay the model on a face picked in the viewer
+        const layFlatBtn = row.querySelector('.lay-flat-btn');
+        if (layFlatBtn) {
+          layFlatBtn.addEventListener('click', () => {
+            this.pickLayFlatFace(rowId);
+          });
+        }
+
         // Glaze toggle handler
         if (glazeToggle) {
           glazeToggle.addEventListener('change', () => {
@@ -400,6 +544,37 @@
           });
         }
 
+        // Material profile
+        const materialSelect = row.querySelector('.material-select');
+        if (materialSelect) {
+          materialSelect.addEventListener('change', () => {
+            this.updateMaterialProfile(rowId, materialSelect.value);
+          });
+        }
+
+        // Quote quantity
+        const quantityInput = row.querySelector('.quote-quantity');
+        if (quantityInput) {
+          quantityInput.addEventListener('change', () => {
+            this.updateQuantity(rowId, quantityInput.value);
+          });
+        }
+
+        // Hollowing handlers
+        row.querySelectorAll('.hollow-toggle, .hollow-options input').forEach(input => {
+          input.addEventListener('change', () => {
+            this.updateHollowing(rowId);
+          });
+        });
+
+        // Stop reading a file
+        const cancelProcessingBtn = row.querySelector('.cancel-processing-btn');
+        if (cancelProcessingBtn) {
+          cancelProcessingBtn.addEventListener('click', () => {
+            this.cancelProcessing(rowId);
+          });
+        }
+
         // New calculation button handler
         const newCalculationBtn = row.querySelector('.new-calculation-btn');
         if (newCalculationBtn) {
@@ -421,15 +596,226 @@
     },
 
     /**
-     * Handle STL file upload
+     * Get the model format of a file from its extension
+     * @param {File} file - Uploaded file
+     * @returns {string|null} 'stl', '3mf', 'obj', 'ply' or null if unsupported
+     */
+    getModelFormat: function (file) {
+      const name = (file && file.name ? file.name : '').toLowerCase();
+      const match = /\.(stl|3mf|obj|ply)$/.exec(name);
+
+      return match ? match[1] : null;
+    },
+
+    /**
+     * Read an uploaded file into printable parts
+     * STL, OBJ and PLY files give a single part; 3MF files give one part per build item.
+     * @param {File} file - Uploaded model file
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onProgress] - Called with the percentage of an STL file read and reading stats
+     * @param {AbortSignal} [options.signal] - Cancels reading (rejects with an AbortError)
+     * @returns {Promise<Object[]>} Parts with name, stlData and modelData (vertex arrays for the viewer)
+     */
+    readModelParts: async function (file, options = {}) {
+      const format = this.getModelFormat(file);
+
+      // Check if STLProcessor is available
+      if (!PrinterCalc.STLProcessor || typeof PrinterCalc.STLProcessor.processFile !== 'function') {
+        throw new Error('STL processor not available. Please reload the page.');
+      }
+
+      // Readers for formats that are converted to STL for the viewer
+      const readers = {
+        '3mf': { module: PrinterCalc.ThreeMFReader, label: '3MF' },
+        obj: { module: PrinterCalc.OBJReader, label: 'OBJ' },
+        ply: { module: PrinterCalc.PLYReader, label: 'PLY' }
+      };
+
+      if (readers[format]) {
+        const reader = readers[format];
+        if (!reader.module) {
+          throw new Error(`${reader.label} reader not available. Please reload the page.`);
+        }
+
+        const result = await reader.module.readFile(file);
+        if (options.signal) options.signal.throwIfAborted();
+        const parts = Array.isArray(result) ? result : [result];
+
+        return parts.map(part => ({
+          name: part.name,
+          stlData: {
+            volumeCm3: part.volumeCm3,
+            dimensions: part.dimensions,
+            triangleCount: part.triangleCount,
+            surfaceAreaCm2: part.surfaceAreaCm2,
+            positions: part.positions
+          },
+          modelData: PrinterCalc.STLProcessor.createViewerMesh(part.positions)
+        }));
+      }
+
+      // Parsed once: the viewer shows the same arrays the measurements came from
+      const stlData = await PrinterCalc.STLProcessor.processFile(file, { onProgress: options.onProgress, signal: options.signal });
+
+      return [{
+        name: file.name,
+        stlData,
+        modelData: PrinterCalc.STLProcessor.createViewerMesh(stlData.positions, stlData.normals)
+      }];
+    },
+
+    /**
+     * Handle several model files dropped or picked at once
+     * The first file goes into the row; each other file gets a row of its own
+     * and all of them are processed at the same time.
+     * @param {string} rowId - Row ID
+     * @param {FileList|File[]} files - Uploaded model files
+     */
+    handleFileUploads: function (rowId, files) {
+      Array.from(files).forEach((file, index) => {
+        const targetRowId = index === 0 ? rowId : this.appendSTLRow();
+        if (targetRowId) {
+          this.handleFileUpload(targetRowId, file);
+        }
+      });
+    },
+
+    /**
+     * Start tracking the file a row is reading, so it can be cancelled
+     * @param {string} rowId - Row ID
+     * @returns {AbortSignal} Signal that fires when the user cancels
+     */
+    startProcessing: function (rowId) {
+      const controller = new AbortController();
+      this.rows[rowId].processing = controller;
+
+      const row = document.getElementById(rowId);
+      if (row) {
+        const cancelBtn = row.querySelector('.cancel-processing-btn');
+        const stats = row.querySelector('.loading-stats');
+        if (cancelBtn) cancelBtn.style.display = '';
+        if (stats) stats.textContent = '';
+      }
+
+      return controller.signal;
+    },
+
+    /**
+     * Stop tracking the file a row was reading
+     * @param {string} rowId - Row ID
+     */
+    finishProcessing: function (rowId) {
+      if (this.rows[rowId]) {
+        this.rows[rowId].processing = null;
+      }
+
+      const row = document.getElementById(rowId);
+      if (row) {
+        const cancelBtn = row.querySelector('.cancel-processing-btn');
+        const stats = row.querySelector('.loading-stats');
+        if (cancelBtn) cancelBtn.style.display = 'none';
+        if (stats) stats.textContent = '';
+      }
+    },
+
+    /**
+     * Cancel the file a row is reading (its workers are stopped)
+     * @param {string} rowId - Row ID
+     */
+    cancelProcessing: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (rowData && rowData.processing) {
+        rowData.processing.abort();
+      }
+    },
+
+    /**
+     * Put a row back to the upload area after its file was cancelled
+     * @param {string} rowId - Row ID
+     * @param {File} file - File that was being read
+     */
+    handleProcessingCancelled: function (rowId, file) {
+      // The row may have been removed while reading
+      if (!this.rows[rowId]) return;
+
+      this.resetSTLInterface(rowId, false);
+
+      if (PrinterCalc.Notification) {
+        PrinterCalc.Notification.info(
+          'Processing Cancelled',
+          `${file.name} was not loaded.`
+        );
+      }
+    },
+
+    /**
+     * Show how far a row's file has been read
+     * @param {string} rowId - Row ID
+     * @param {number} percent - Share of the file read (0-100)
+     * @param {Object} [stats] - { trianglesRead, trianglesPerSecond, secondsRemaining } from STLProcessor
+     */
+    showProcessingProgress: function (rowId, percent, stats) {
+      const row = document.getElementById(rowId);
+      if (!row) return;
+
+      const loadingBar = row.querySelector('.model-viewer-loading-bar');
+      if (loadingBar) loadingBar.style.width = `${percent}%`;
+
+      const statsElement = row.querySelector('.loading-stats');
+      if (!statsElement || !stats) return;
+
+      const parts = [
+        `${percent}%`,
+        `${Math.round(stats.trianglesPerSecond).toLocaleString()} triangles/s`
+      ];
+
+      if (percent < 100 && stats.secondsRemaining !== null) {
+        const seconds = stats.secondsRemaining;
+        const remaining = seconds < 60
+          ? `${Math.ceil(seconds)}s`
+          : PrinterCalc.Utils.formatPrintTime(seconds);
+        parts.push(`about ${remaining} left`);
+      }
+
+      statsElement.textContent = parts.join(' · ');
+    },
+
+    /**
+     * Add a new row for each extra part of a multi-part file
+     * @param {File} file - Uploaded model file
+     * @param {Object[]} parts - Extra parts from readModelParts()
+     */
+    addPartRows: function (file, parts) {
+      parts.forEach(part => {
+        const partRowId = this.appendSTLRow();
+        if (partRowId) {
+          this.handleFileUpload(partRowId, file, part);
+        }
+      });
+    },
+
+    /**
+     * Show the model or part name in a row
      * @param {string} rowId - Row ID
-     * @param {File} file - Uploaded STL file
+     * @param {string} name - Model name
      */
+    showModelName: function (rowId, name) {
+      const row = document.getElementById(rowId);
+      const modelName = row ? row.querySelector('.model-name') : null;
+
+      if (modelName) {
+        modelName.textContent = name || '';
+        modelName.title = name || '';
+      }
+    },
 
     /**
-     * Modified handleFileUpload function to properly show visualization elements
+     * Handle model file upload
+     * @param {string} rowId - Row ID
+     * @param {File} file - Uploaded STL, 3MF, OBJ or PLY file
+     * @param {Object} [preparedPart] - Part already read from a multi-part file
      */
-    handleFileUpload: async function (rowId, file) {
+    handleFileUpload: async function (rowId, file, preparedPart) {
       console.log('Handling file upload for row:', rowId);
 
       const row = document.getElementById(rowId);
@@ -476,15 +862,15 @@
           return;
         }
 
-        if (!file.name || !file.name.toLowerCase().endsWith('.stl')) {
+        if (!this.getModelFormat(file)) {
           console.error('Invalid file type:', file.name);
           if (PrinterCalc.Notification) {
             PrinterCalc.Notification.error(
               'Invalid File',
-              'Please upload a valid STL file.'
+              'Please upload a valid STL, 3MF, OBJ or PLY file.'
             );
           } else {
-            alert('Please upload a valid STL file.');
+            alert('Please upload a valid STL, 3MF, OBJ or PLY file.');
           }
           return;
         }
@@ -507,12 +893,15 @@
         if (loadingMessage) loadingMessage.style.display = 'flex';
         if (errorMessage) errorMessage.style.display = 'none';
 
-        // Animate loading bar
+        // STL files report how far they are read; animate the loading bar for the rest
+        const reportsProgress = !preparedPart && this.getModelFormat(file) === 'stl';
         if (loadingBar) {
-          loadingBar.style.width = '30%';
-          setTimeout(() => {
-            loadingBar.style.width = '70%';
-          }, 500);
+          loadingBar.style.width = reportsProgress ? '0%' : '30%';
+          if (!reportsProgress) {
+            setTimeout(() => {
+              loadingBar.style.width = '70%';
+            }, 500);
+          }
         }
 
         // Make sure ModelViewer is available
@@ -545,7 +934,7 @@
             if (loadingMessage) loadingMessage.style.display = 'none';
 
             // Continue with calculations, just without 3D visualization
-            this.processWithout3D(rowId, file);
+            this.processWithout3D(rowId, file, preparedPart);
             return;
           }
 
@@ -571,7 +960,7 @@
               if (loadingMessage) loadingMessage.style.display = 'none';
 
               // Continue with calculations, just without 3D visualization
-              this.processWithout3D(rowId, file);
+              this.processWithout3D(rowId, file, preparedPart);
               return;
             }
           } else {
@@ -583,7 +972,7 @@
             if (loadingMessage) loadingMessage.style.display = 'none';
 
             // Continue with calculations, just without 3D visualization
-            this.processWithout3D(rowId, file);
+            this.processWithout3D(rowId, file, preparedPart);
             return;
           }
         }
@@ -598,16 +987,29 @@
           return;
         }
 
-        // Process STL file
-        let stlData;
+        // Process model file (parts after the first get their own rows)
+        let part = preparedPart;
+        let extraParts = [];
         try {
-          stlData = await PrinterCalc.STLProcessor.processFile(file);
+          if (!part) {
+            const parts = await this.readModelParts(file, {
+              signal: this.startProcessing(rowId),
+              onProgress: (percent, stats) => this.showProcessingProgress(rowId, percent, stats)
+            });
+            part = parts[0];
+            extraParts = parts.slice(1);
+          }
         } catch (error) {
-          console.error('Error processing STL file:', error);
+          if (error.name === 'AbortError') {
+            this.handleProcessingCancelled(rowId, file);
+            return;
+          }
+
+          console.error('Error processing model file:', error);
 
           // Show error
           if (errorMessage) {
-            errorMessage.textContent = error.message || 'Error processing STL file';
+            errorMessage.textContent = error.message || 'Error processing model file';
             errorMessage.style.display = 'block';
           }
 
@@ -616,15 +1018,20 @@
           if (PrinterCalc.Notification) {
             PrinterCalc.Notification.error(
               'Processing Error',
-              error.message || 'Error processing STL file'
+              error.message || 'Error processing model file'
             );
           } else {
-            alert('Error processing STL file: ' + (error.message || 'Unknown error'));
+            alert('Error processing model file: ' + (error.message || 'Unknown error'));
           }
 
           return;
+        } finally {
+          this.finishProcessing(rowId);
         }
 
+        const stlData = part.stlData;
+        this.showModelName(rowId, part.name);
+
         // Complete loading bar
         if (loadingBar) {
           loadingBar.style.width = '100%';
@@ -635,16 +1042,26 @@
           file,
           volumeCm3: stlData.volumeCm3 || 0,
           dimensions: stlData.dimensions || { width: 0, depth: 0, height: 0 },
-          triangleCount: stlData.triangleCount || 0
+          triangleCount: stlData.triangleCount || 0,
+          surfaceAreaCm2: stlData.surfaceAreaCm2 || 0,
+          positions: stlData.positions || null
         };
 
+        // Check the mesh before trusting its volume
+        this.rows[rowId].repairLog = null;
+        this.rows[rowId].repairedSTL = null;
+        this.rows[rowId].viewerOverlay = null;
+        this.analyzeMesh(rowId);
+        this.analyzeThickness(rowId);
+
         // Load model into viewer
         try {
           if (PrinterCalc.ModelViewer && typeof PrinterCalc.ModelViewer.loadSTL === 'function') {
             await PrinterCalc.ModelViewer.loadSTL(
               this.rows[rowId].viewerId,
-              file
+              part.modelData
             );
+            this.rows[rowId].overlayShown = null; // A new model has no colours
 
             // Apply current orientation
             if (PrinterCalc.ModelViewer.changeOrientation) {
@@ -662,7 +1079,8 @@
           if (loadingMessage) loadingMessage.style.display = 'none';
 
           // Continue with calculations without 3D
-          this.processWithout3D(rowId, file);
+          this.processWithout3D(rowId, file, part);
+          this.addPartRows(file, extraParts);
           return;
         }
 
@@ -682,16 +1100,26 @@
 
         // Show success notification
         if (PrinterCalc.Notification) {
-          PrinterCalc.Notification.success(
-            'STL Loaded',
-            `Model loaded successfully (${stlData.triangleCount.toLocaleString()} triangles)`
-          );
+          if (extraParts.length > 0) {
+            PrinterCalc.Notification.success(
+              'Model Loaded',
+              `Found ${extraParts.length + 1} parts in ${file.name}; each part has its own row`
+            );
+          } else if (!preparedPart) {
+            PrinterCalc.Notification.success(
+              'Model Loaded',
+              `Model loaded successfully (${stlData.triangleCount.toLocaleString()} triangles)`
+            );
+          }
         }
 
         // Add scaling UI if not already present
         if (!row.querySelector('.scaling-section')) {
           this.addScalingUI(rowId);
         }
+
+        // Give every other part its own row
+        this.addPartRows(file, extraParts);
       } catch (error) {
         console.error('Error handling file upload:', error);
 
@@ -717,11 +1145,12 @@
       }
     },
     /**
-     * Process STL file without 3D visualization
+     * Process model file without 3D visualization
      * @param {string} rowId - Row ID
-     * @param {File} file - STL file
+     * @param {File} file - STL, 3MF, OBJ or PLY file
+     * @param {Object} [preparedPart] - Part already read from the file
      */
-    processWithout3D: async function (rowId, file) {
+    processWithout3D: async function (rowId, file, preparedPart) {
       try {
         // Get elements
         const row = document.getElementById(rowId);
@@ -737,26 +1166,39 @@
         if (resultsPanel) resultsPanel.style.display = 'block';
         if (loadingMessage) loadingMessage.style.display = 'flex';
 
-        // Process STL file to get volume and dimensions
-        let stlData;
+        // Process model file to get volume and dimensions
+        let part = preparedPart;
+        let extraParts = [];
         try {
-          // Check if STLProcessor is available
-          if (!PrinterCalc.STLProcessor || typeof PrinterCalc.STLProcessor.processFile !== 'function') {
-            throw new Error('STL processor not available. Please reload the page.');
+          if (!part) {
+            const parts = await this.readModelParts(file, {
+              signal: this.startProcessing(rowId),
+              onProgress: (percent, stats) => this.showProcessingProgress(rowId, percent, stats)
+            });
+            part = parts[0];
+            extraParts = parts.slice(1);
           }
-
-          stlData = await PrinterCalc.STLProcessor.processFile(file);
         } catch (error) {
-          console.error('Error processing STL file:', error);
+          if (error.name === 'AbortError') {
+            this.handleProcessingCancelled(rowId, file);
+            return;
+          }
+
+          console.error('Error processing model file:', error);
 
           if (errorMessage) {
-            errorMessage.textContent = error.message || 'Error processing STL file';
+            errorMessage.textContent = error.message || 'Error processing model file';
             errorMessage.style.display = 'block';
           }
           if (loadingMessage) loadingMessage.style.display = 'none';
           return;
+        } finally {
+          this.finishProcessing(rowId);
         }
 
+        const stlData = part.stlData;
+        this.showModelName(rowId, part.name);
+
         // Validate stlData
         if (!stlData || typeof stlData.volumeCm3 !== 'number' ||
           !stlData.dimensions || typeof stlData.dimensions !== 'object') {
@@ -775,22 +1217,34 @@
           file,
           volumeCm3: stlData.volumeCm3 || 0,
           dimensions: stlData.dimensions || { width: 0, depth: 0, height: 0 },
-          triangleCount: stlData.triangleCount || 0
+          triangleCount: stlData.triangleCount || 0,
+          surfaceAreaCm2: stlData.surfaceAreaCm2 || 0,
+          positions: stlData.positions || null
         };
 
+        // Check the mesh before trusting its volume
+        this.rows[rowId].repairLog = null;
+        this.rows[rowId].repairedSTL = null;
+        this.rows[rowId].viewerOverlay = null;
+        this.analyzeMesh(rowId);
+        this.analyzeThickness(rowId);
+
         // Hide loading indicators
         if (loadingMessage) loadingMessage.style.display = 'none';
 
         // Show notification
-        if (PrinterCalc.Notification && typeof PrinterCalc.Notification.success === 'function') {
+        if (PrinterCalc.Notification && typeof PrinterCalc.Notification.success === 'function' && !preparedPart) {
           PrinterCalc.Notification.success(
-            'STL Loaded',
+            'Model Loaded',
             `Model loaded successfully without 3D preview (${stlData.triangleCount.toLocaleString()} triangles)`
           );
         }
 
         // Update results
         this.updateResults(rowId);
+
+        // Give every other part its own row
+        this.addPartRows(file, extraParts);
       } catch (error) {
         console.error('Error in processWithout3D:', error);
 
@@ -811,7 +1265,7 @@
     /**
      * Change model orientation
      * @param {string} rowId - Row ID
-     * @param {string} orientation - Orientation ("flat" or "vertical")
+     * @param {string} orientation - Orientation ("flat", "side", "vertical" or "custom")
      */
     changeOrientation: function (rowId, orientation) {
       // Update stored orientation
@@ -851,14 +1305,14 @@
     },
 
     /**
-     * Update currency setting
+     * Update the material a row is priced in
      * @param {string} rowId - Row ID
-     * @param {string} currency - Currency code
+     * @param {string} profileId - Material profile ID
      */
-    updateCurrency: function (rowId, currency) {
+    updateMaterialProfile: function (rowId, profileId) {
       // Update stored setting
       if (this.rows[rowId]) {
-        this.rows[rowId].currency = currency;
+        this.rows[rowId].materialProfileId = profileId;
       } else {
         return;
       }
@@ -868,74 +1322,218 @@
     },
 
     /**
-     * Update results for an STL row
+     * Update the number of parts a row's quote is for
      * @param {string} rowId - Row ID
+     * @param {number|string} quantity - Parts (or sets) ordered
      */
-    // This is the key function that needs fixing in stl-manager.js
-    // Replace the updateResults function with this fixed version
+    updateQuantity: function (rowId, quantity) {
+      const rowData = this.rows[rowId];
+      if (!rowData) return;
+
+      rowData.quantity = Math.max(1, Math.round(parseFloat(quantity) || 1));
+
+      // Show the quantity actually used
+      const input = document.getElementById(`${rowId}-quantity`);
+      if (input) input.value = rowData.quantity;
+
+      // Update results
+      this.updateResults(rowId);
+    },
 
     /**
-     * Add scaling UI to STL row
+     * Fill a row's material picker, keeping its choice if the profile still exists
      * @param {string} rowId - Row ID
      */
-    addScalingUI: function (rowId) {
-      try {
-        const row = document.getElementById(rowId);
-        if (!row) return;
+    fillMaterialSelect: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row || !rowData || !PrinterCalc.MaterialProfileEditor) return;
 
-        // Only add if not already present
-        if (row.querySelector('.scaling-section')) return;
+      const select = row.querySelector('.material-select');
+      if (!select) return;
 
-        // Check if this is a valid STL row, not a print time calculator section
-        if (!this.rows[rowId] || !this.rows[rowId].stlData) {
-          console.log('Not adding scaling UI to non-STL row:', rowId);
-          return;
-        }
+      PrinterCalc.MaterialProfileEditor.fillSelect(select, rowData.materialProfileId);
+      rowData.materialProfileId = select.value;
+    },
 
-        // Find the results panel
-        const resultsPanel = row.querySelector('.results-panel');
-        if (!resultsPanel) return;
+    /**
+     * Refill every material picker and reprice the rows after the profiles change
+     */
+    updateMaterialProfiles: function () {
+      Object.keys(this.rows).forEach(rowId => {
+        this.fillMaterialSelect(rowId);
+        this.updateResults(rowId);
+      });
+    },
 
-        // Create scaling section
-        const scalingSection = document.createElement('div');
-        scalingSection.className = 'scaling-section';
+    /**
+     * Update whether a post-processing step runs for a row
+     * @param {string} rowId - Row ID
+     * @param {string} stepId - Post-processing step ID
+     * @param {boolean} enabled - Whether the step runs
+     */
+    updatePostProcessingStep: function (rowId, stepId, enabled) {
+      // Update stored setting
+      if (this.rows[rowId]) {
+        this.rows[rowId].postProcessing[stepId] = enabled;
+      } else {
+        return;
+      }
 
-        // Add HTML content for scaling UI
-        scalingSection.innerHTML = `
-          <button class="btn btn-primary btn-sm toggle-scaling">
-            <span class="material-icon">transform</span> Scale Model
-          </button>
-          
-          <div class="scaling-controls" style="display: none; margin-top: 1rem;">
-            <div class="form-group">
-              <label for="${rowId}-scale-factor">Scale Factor</label>
-              <div class="input-group">
-                <input 
-                  id="${rowId}-scale-factor" 
-                  class="scale-factor" 
-                  type="number" 
-                  min="0.1" 
-                  max="5" 
-                  step="0.01" 
-                  value="1.00"
-                >
-                <span class="input-group-append">×</span>
-              </div>
-            </div>
-            
-            <div class="toggle-container">
-              <label class="toggle-switch">
-                <input type="checkbox" class="lock-proportions" checked>
-                <span class="toggle-slider"></span>
-              </label>
-              <span class="toggle-label">Lock Proportions</span>
-            </div>
-            
-            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; margin: 1rem 0;">
-              <div class="form-group">
-                <label for="${rowId}-scale-width">Width (mm)</label>
-                <input 
-                  id="${rowId}-scale-width" 
+      // Update results
+      this.updateResults(rowId);
+    },
+
+    /**
+     * Show a switch for each post-processing step in a row
+     * Steps tied to glaze follow the Apply Glaze toggle, so they get no switch of their own.
+     * @param {string} rowId - Row ID
+     */
+    renderPostProcessingToggles: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row || !rowData || !PrinterCalc.PostProcessingSteps) return;
+
+      const container = row.querySelector('.post-processing-steps');
+      if (!container) return;
+
+      container.innerHTML = '';
+
+      PrinterCalc.PostProcessingSteps.getAll()
+        .filter(step => step.material !== 'glaze')
+        .forEach(step => {
+          const toggle = document.createElement('div');
+          toggle.className = 'toggle-container';
+          toggle.innerHTML = `
+            <label class="toggle-switch">
+              <input type="checkbox" class="post-processing-toggle">
+              <span class="toggle-slider"></span>
+            </label>
+            <span class="toggle-label"></span>
+          `;
+
+          // Step names are user text
+          toggle.querySelector('.toggle-label').textContent = step.name;
+
+          const input = toggle.querySelector('input');
+          input.checked = PrinterCalc.PostProcessingSteps.isEnabled(step, rowData.postProcessing, rowData.applyGlaze);
+          input.addEventListener('change', () => {
+            this.updatePostProcessingStep(rowId, step.id, input.checked);
+          });
+
+          container.appendChild(toggle);
+        });
+    },
+
+    /**
+     * Redraw the step switches and reprice the rows after the pipeline changes
+     */
+    updatePostProcessingSteps: function () {
+      Object.keys(this.rows).forEach(rowId => {
+        this.renderPostProcessingToggles(rowId);
+        this.updateResults(rowId);
+      });
+    },
+
+    /**
+     * Get the post-processing steps that run for a row
+     * @param {string} rowId - Row ID
+     * @returns {Object[]} Steps, in pipeline order
+     */
+    getPostProcessingSteps: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !PrinterCalc.PostProcessingSteps) return [];
+
+      return PrinterCalc.PostProcessingSteps.getAll()
+        .filter(step => PrinterCalc.PostProcessingSteps.isEnabled(step, rowData.postProcessing, rowData.applyGlaze));
+    },
+
+    /**
+     * Update currency setting
+     * @param {string} rowId - Row ID
+     * @param {string} currency - Currency code
+     */
+    updateCurrency: function (rowId, currency) {
+      // Update stored setting
+      if (this.rows[rowId]) {
+        this.rows[rowId].currency = currency;
+      } else {
+        return;
+      }
+
+      // Update results
+      this.updateResults(rowId);
+    },
+
+    /**
+     * Update results for an STL row
+     * @param {string} rowId - Row ID
+     */
+    // This is the key function that needs fixing in stl-manager.js
+    // Replace the updateResults function with this fixed version
+
+    /**
+     * Add scaling UI to STL row
+     * @param {string} rowId - Row ID
+     */
+    addScalingUI: function (rowId) {
+      try {
+        const row = document.getElementById(rowId);
+        if (!row) return;
+
+        // Only add if not already present
+        if (row.querySelector('.scaling-section')) return;
+
+        // Check if this is a valid STL row, not a print time calculator section
+        if (!this.rows[rowId] || !this.rows[rowId].stlData) {
+          console.log('Not adding scaling UI to non-STL row:', rowId);
+          return;
+        }
+
+        // Find the results panel
+        const resultsPanel = row.querySelector('.results-panel');
+        if (!resultsPanel) return;
+
+        // Create scaling section
+        const scalingSection = document.createElement('div');
+        scalingSection.className = 'scaling-section';
+
+        // Add HTML content for scaling UI
+        scalingSection.innerHTML = `
+          <button class="btn btn-primary btn-sm toggle-scaling">
+            <span class="material-icon">transform</span> Scale Model
+          </button>
+          
+          <div class="scaling-controls" style="display: none; margin-top: 1rem;">
+            <div class="form-group">
+              <label for="${rowId}-scale-factor">Scale Factor</label>
+              <div class="input-group">
+                <input 
+                  id="${rowId}-scale-factor" 
+                  class="scale-factor" 
+                  type="number" 
+                  min="0.1" 
+                  max="5" 
+                  step="0.01" 
+                  value="1.00"
+                >
+                <span class="input-group-append">×</span>
+              </div>
+            </div>
+            
+            <div class="toggle-container">
+              <label class="toggle-switch">
+                <input type="checkbox" class="lock-proportions" checked>
+                <span class="toggle-slider"></span>
+              </label>
+              <span class="toggle-label">Lock Proportions</span>
+            </div>
+            
+            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; margin: 1rem 0;">
+              <div class="form-group">
+                <label for="${rowId}-scale-width">Width (<span class="unit-label" data-quantity="length">mm</span>)</label>
+                <input 
+                  id="${rowId}-scale-width" 
                   class="scale-width" 
                   type="number" 
                   min="0.1" 
@@ -944,7 +1542,7 @@
               </div>
               
               <div class="form-group">
-                <label for="${rowId}-scale-depth">Depth (mm)</label>
+                <label for="${rowId}-scale-depth">Depth (<span class="unit-label" data-quantity="length">mm</span>)</label>
                 <input 
                   id="${rowId}-scale-depth" 
                   class="scale-depth" 
@@ -955,7 +1553,7 @@
               </div>
               
               <div class="form-group">
-                <label for="${rowId}-scale-height">Height (mm)</label>
+                <label for="${rowId}-scale-height">Height (<span class="unit-label" data-quantity="length">mm</span>)</label>
                 <input 
                   id="${rowId}-scale-height" 
                   class="scale-height" 
@@ -1104,7 +1702,10 @@
         // Get orientated dimensions
         let orientedDimensions;
 
-        if (orientation === 'vertical') {
+        if (orientation === 'custom') {
+          // Rotated into place by the orientation optimizer
+          orientedDimensions = { ...dimensions };
+        } else if (orientation === 'vertical') {
           // For vertical orientation, sort dimensions and use
           // smallest for width, middle for depth, largest for height
           const dims = [dimensions.width, dimensions.depth, dimensions.height].sort((a, b) => a - b);
@@ -1113,6 +1714,15 @@
             depth: dims[1],
             height: dims[2]
           };
+        } else if (orientation === 'side') {
+          // For side orientation, sort dimensions and use
+          // largest for width, smallest for depth, middle for height
+          const dims = [dimensions.width, dimensions.depth, dimensions.height].sort((a, b) => a - b);
+          orientedDimensions = {
+            width: dims[2],
+            depth: dims[0],
+            height: dims[1]
+          };
         } else {
           // For flat orientation, sort dimensions and use
           // largest for width, middle for depth, smallest for height
@@ -1132,215 +1742,1673 @@
             throw new Error('MaterialCalculator not available or not initialized');
           }
 
-          materialResult = PrinterCalc.MaterialCalculator.calculate(
+          // A hollowed part is priced from its shell and the powder left in its core
+          let hollowResult = null;
+          try {
+            hollowResult = this.calculateHollowing(rowId);
+          } catch (hollowError) {
+            console.error('Error estimating hollowing:', hollowError);
+          }
+
+          materialResult = hollowResult ? hollowResult.hollow : PrinterCalc.MaterialCalculator.calculate(
             volumeCm3,
             applyGlaze,
-            currency
+            currency,
+            this.getMaterialOptions(rowId)
+          );
+
+          // Validate calculation results
+          if (!materialResult || !materialResult.costs || typeof materialResult.costs.total !== 'number' || isNaN(materialResult.costs.total)) {
+            throw new Error('Invalid calculation results returned');
+          }
+
+          console.log('Material calculation successful:', materialResult);
+          this.rows[rowId].materialResult = materialResult;
+        } catch (calcError) {
+          console.error('Error in material calculation:', calcError);
+          this.showErrorInRow(rowId, 'Error calculating material costs. Please try again.');
+          return;
+        }
+
+        // Calculate print times
+        let printTimes;
+        try {
+          printTimes = PrinterCalc.MaterialCalculator.calculatePrintTimes(
+            orientedDimensions,
+            orientation
           );
+        } catch (printError) {
+          console.error('Error calculating print times:', printError);
+          printTimes = {
+            display: '--/--',
+            printer400: { fits: false, seconds: null, formatted: '--' },
+            printer600: { fits: false, seconds: null, formatted: '--' }
+          };
+        }
+
+        // Calculate printer capacity
+        let capacity400, capacity600;
+        try {
+          const partDimensions = rowData.packMode === 'parts' ? this.getBodyDimensions(rowId) : null;
+
+          if (partDimensions && typeof PrinterCalc.PrinterCapacity.calculateParts === 'function') {
+            capacity400 = PrinterCalc.PrinterCapacity.calculateParts(partDimensions, orientation, '400');
+            capacity600 = PrinterCalc.PrinterCapacity.calculateParts(partDimensions, orientation, '600');
+          } else if (PrinterCalc.PrinterCapacity && typeof PrinterCalc.PrinterCapacity.calculate === 'function') {
+            capacity400 = PrinterCalc.PrinterCapacity.calculate(
+              orientedDimensions,
+              orientation,
+              '400'
+            );
+
+            capacity600 = PrinterCalc.PrinterCapacity.calculate(
+              orientedDimensions,
+              orientation,
+              '600'
+            );
+          } else {
+            console.error('PrinterCapacity module not available');
+            capacity400 = { fitsInPrinter: false };
+            capacity600 = { fitsInPrinter: false };
+          }
+        } catch (capacityError) {
+          console.error('Error calculating printer capacity:', capacityError);
+          capacity400 = { fitsInPrinter: false };
+          capacity600 = { fitsInPrinter: false };
+        }
+
+        // Update total cost
+        if (totalCostEl) {
+          if (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatCurrency === 'function') {
+            totalCostEl.textContent = PrinterCalc.Utils.formatCurrency(
+              materialResult.costs.total,
+              currency
+            );
+          } else {
+            // Fallback formatting if Utils not available
+            const symbol = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.CURRENCY_SYMBOLS) ?
+              (PrinterCalc.CONSTANTS.CURRENCY_SYMBOLS[currency] || '$') : '$';
+            totalCostEl.textContent = `${symbol}${materialResult.costs.total.toFixed(2)}`;
+          }
+        }
+
+        // Labels follow the display unit system
+        if (PrinterCalc.Utils && typeof PrinterCalc.Utils.applyUnitLabels === 'function') {
+          PrinterCalc.Utils.applyUnitLabels(row);
+        }
+
+        // Update stats
+        if (statsGrid) {
+          const statBoxes = statsGrid.querySelectorAll('.stat-box');
+
+          // Volume
+          if (statBoxes[0]) {
+            const valueEl = statBoxes[0].querySelector('.stat-value');
+            if (valueEl) {
+              valueEl.textContent = PrinterCalc.Utils && typeof PrinterCalc.Utils.formatQuantity === 'function'
+                ? PrinterCalc.Utils.formatQuantity(volumeCm3, 'volume', false)
+                : volumeCm3.toFixed(2);
+            }
+          }
+
+          // Dimensions
+          if (statBoxes[1]) {
+            const valueEl = statBoxes[1].querySelector('.stat-value');
+            if (valueEl) {
+              if (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatDimensions === 'function') {
+                valueEl.textContent = PrinterCalc.Utils.formatDimensions(orientedDimensions);
+              } else {
+                // Fallback formatting
+                const { width, depth, height } = orientedDimensions;
+                valueEl.textContent = `${width.toFixed(1)} × ${depth.toFixed(1)} × ${height.toFixed(1)}`;
+              }
+            }
+          }
+
+          // Print Time
+          if (statBoxes[2]) {
+            const valueEl = statBoxes[2].querySelector('.stat-value');
+            if (valueEl) {
+              valueEl.textContent = printTimes.display;
+            }
+          }
+
+          // Surface Area (glaze coverage)
+          if (statBoxes[3]) {
+            const valueEl = statBoxes[3].querySelector('.stat-value');
+            const surfaceAreaCm2 = rowData.stlData.surfaceAreaCm2;
+            if (valueEl) {
+              valueEl.textContent = !(surfaceAreaCm2 > 0)
+                ? '--'
+                : (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatQuantity === 'function'
+                  ? PrinterCalc.Utils.formatQuantity(surfaceAreaCm2, 'area', false)
+                  : surfaceAreaCm2.toFixed(1));
+            }
+
+            const glazeDetails = materialResult.glazeDetails;
+            statBoxes[3].title = applyGlaze && glazeDetails
+              ? (glazeDetails.model === 'surface'
+                ? `Glaze: ${glazeDetails.coats} coat(s) over the surface`
+                : 'Glaze: legacy volume formula')
+              : '';
+          }
+        }
+
+        // Update cost breakdown
+        if (progressContainer) {
+          if (PrinterCalc.Utils && typeof PrinterCalc.Utils.createCostBreakdown === 'function') {
+            PrinterCalc.Utils.createCostBreakdown(
+              progressContainer,
+              materialResult.costs,
+              currency
+            );
+          } else {
+            // Simple fallback for cost breakdown
+            this.createSimpleCostBreakdown(progressContainer, materialResult.costs, currency);
+          }
+        }
+
+        // Update printer stats
+        if (printer400Stats) {
+          this.updatePrinterStats(printer400Stats, capacity400, currency, '400');
+        }
+
+        if (printer600Stats) {
+          this.updatePrinterStats(printer600Stats, capacity600, currency, '600');
+        }
+        if (PrinterCalc.PrinterCapacity && typeof PrinterCalc.PrinterCapacity.visualize === 'function') {
+          // Ensure packing visualizers are properly initialized after DOM updates
+          setTimeout(() => {
+            this.updatePackingVisualization(
+              rowId,
+              row.querySelector(`#${rowId}-packing-400`),
+              capacity400,
+              PrinterCalc.CONSTANTS.PRINTERS['400']
+            );
+            this.updatePackingVisualization(
+              rowId,
+              row.querySelector(`#${rowId}-packing-600`),
+              capacity600,
+              PrinterCalc.CONSTANTS.PRINTERS['600']
+            );
+          }, 100);
+        }
+
+        // Update packing visualizations
+        if (PrinterCalc.PrinterCapacity && typeof PrinterCalc.PrinterCapacity.visualize === 'function') {
+          this.updatePackingVisualization(
+            rowId,
+            packing400El,
+            capacity400,
+            PrinterCalc.CONSTANTS.PRINTERS['400']
+          );
+
+          this.updatePackingVisualization(
+            rowId,
+            packing600El,
+            capacity600,
+            PrinterCalc.CONSTANTS.PRINTERS['600']
+          );
+        }
+        // Flag the volume if the mesh is broken
+        this.updateUnitControls(rowId);
+        this.updateMeshReport(rowId);
+        this.updateThicknessReport(rowId);
+        this.updateCavityReport(rowId);
+        this.updateBodiesReport(rowId);
+        this.updateAlignmentReport(rowId);
+        this.updateOrientationReport(rowId);
+        this.updateHollowReport(rowId);
+
+        // Dispatch event to notify of results update
+        const event = new CustomEvent('printercalc:resultsUpdated', {
+          detail: { rowId: rowId }
+        });
+        document.dispatchEvent(event);
+      } catch (error) {
+        console.error(`Error updating results for row ${rowId}:`, error);
+        this.showErrorInRow(rowId, 'Error updating results. Please try again.');
+      }
+
+      // Add enhanced desktop controls if in desktop layout
+      if (window.innerWidth > 1024 && rowData.viewerId &&
+        PrinterCalc.ModelViewer && typeof PrinterCalc.ModelViewer.addDesktopControls === 'function' &&
+        !row.querySelector('.viewer-toolbar')) {
+        setTimeout(() => {
+          PrinterCalc.ModelViewer.addDesktopControls(rowData.viewerId);
+        }, 200); // Small delay to ensure model is loaded
+      }
+
+      // Desktop optimization: Add keyboard shortcut tips
+      if (window.innerWidth > 1024) {
+        const statsBoxes = row.querySelectorAll('.stat-box');
+        if (statsBoxes.length > 0) {
+          // Add keyboard shortcut tip to dimensions box
+          const dimensionsBox = Array.from(statsBoxes).find(box => {
+            const label = box.querySelector('.stat-label');
+            return label && label.textContent.includes('Dimensions');
+          });
+
+          if (dimensionsBox) {
+            const valueEl = dimensionsBox.querySelector('.stat-value');
+            if (valueEl && !valueEl.querySelector('.shortcut-tip')) {
+              // Add scaling shortcut tip
+              const tip = document.createElement('span');
+              tip.className = 'shortcut-tip';
+              tip.textContent = 'Click to scale (S)';
+              valueEl.style.position = 'relative';
+              valueEl.appendChild(tip);
+            }
+          }
+        }
+      }
+    },
+
+    /**
+     * Run the mesh integrity analysis for a row
+     * @param {string} rowId - Row ID
+     * @returns {Promise} Promise resolving when the background checks are done
+     */
+    analyzeMesh: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData) return Promise.resolve();
+
+      if (rowData.meshJob) rowData.meshJob.abort();
+      rowData.meshJob = null;
+
+      rowData.meshReport = null;
+      rowData.cavities = null;
+      rowData.bodies = null;
+      rowData.boundingBox = null;
+
+      if (!PrinterCalc.MeshAnalyzer || !PrinterCalc.TriangleGrid || !rowData.stlData.positions) {
+        console.warn('Mesh analysis not available for row:', rowId);
+        return Promise.resolve();
+      }
+
+      // Integrity, separate bodies, enclosed cavities and the oriented box are worked out together in the background
+      const controller = new AbortController();
+      rowData.meshJob = controller;
+      rowData.meshAnalysis = this.runMeshChecks(rowId, controller);
+      return rowData.meshAnalysis;
+    },
+
+    /**
+     * Run the background mesh checks of a row, then show the results
+     * @param {string} rowId - Row ID
+     * @param {AbortController} controller - Cancels the checks
+     * @returns {Promise} Promise resolving when the checks are done
+     */
+    runMeshChecks: async function (rowId, controller) {
+      const rowData = this.rows[rowId];
+      const positions = rowData.stlData.positions;
+      let checks;
+
+      try {
+        checks = await PrinterCalc.MeshAnalyzer.analyzeInBackground(positions, { signal: controller.signal });
+      } catch (error) {
+        if (error.name !== 'AbortError') console.error('Error analyzing mesh:', error);
+        return;
+      } finally {
+        if (rowData.meshJob === controller) rowData.meshJob = null;
+      }
+
+      // Ignore the result if the row has moved on to another mesh
+      if (!rowData.stlData || rowData.stlData.positions !== positions) return;
+
+      rowData.meshReport = checks.report;
+      rowData.bodies = checks.bodies && checks.bodies.length > 1 ? checks.bodies : null;
+      rowData.cavities = checks.cavities;
+      rowData.boundingBox = checks.boundingBox;
+      this.updateAlignmentReport(rowId);
+
+      if (!rowData.meshReport.volumeReliable && PrinterCalc.Notification) {
+        PrinterCalc.Notification.warning(
+          'Mesh Problems Found',
+          'The model is not a clean closed mesh, so its volume and price may be unreliable.'
+        );
+      }
+
+      if (rowData.cavities && rowData.cavities.cavities.length > 0 && PrinterCalc.Notification) {
+        PrinterCalc.Notification.warning(
+          'Enclosed Cavities Found',
+          `${rowData.cavities.cavities.length} enclosed cavity(s) will trap unbound powder inside the part.`
+        );
+      }
+
+      // Bodies and trapped powder change the packing and price
+      this.updateResults(rowId);
+    },
+
+    /**
+     * Get the list of problems in a mesh report
+     * @param {Object} report - Report from MeshAnalyzer.analyze()
+     * @returns {string[]} Problem descriptions
+     */
+    getMeshProblems: function (report) {
+      const problems = [];
+      const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+
+      if (report.openEdges > 0) {
+        problems.push(`${plural(report.openEdges, 'open edge')} (not watertight)`);
+      }
+      if (report.nonManifoldEdges > 0) {
+        problems.push(plural(report.nonManifoldEdges, 'non-manifold edge'));
+      }
+      if (report.flippedTriangles > 0) {
+        problems.push(`${plural(report.flippedTriangles, 'flipped triangle')} (inconsistent winding)`);
+      }
+      if (report.selfIntersections > 0) {
+        const limit = report.selfIntersections >= PrinterCalc.MeshAnalyzer.MAX_INTERSECTION_PAIRS ? '+' : '';
+        problems.push(`${plural(report.selfIntersections, 'self-intersection')}${limit}`);
+      }
+      if (report.degenerateTriangles > 0) {
+        problems.push(plural(report.degenerateTriangles, 'degenerate triangle'));
+      }
+
+      return problems;
+    },
+
+    /**
+     * Show the mesh integrity report in a row
+     * @param {string} rowId - Row ID
+     */
+    updateMeshReport: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
+
+      const reportEl = row.querySelector('.mesh-report');
+      const volumeBox = row.querySelector('.stats-grid .stat-box');
+      const report = rowData ? rowData.meshReport : null;
+      const unreliable = !!report && !report.volumeReliable;
+
+      // Mark the volume and the row
+      row.classList.toggle('volume-unreliable', unreliable);
+      if (volumeBox) {
+        volumeBox.classList.toggle('stat-warning', unreliable);
+        volumeBox.title = unreliable ? 'Volume may be unreliable' : '';
+      }
+
+      if (!reportEl) return;
+
+      if (!report && rowData && rowData.meshJob) {
+        reportEl.className = 'mesh-report';
+        reportEl.innerHTML = '<p class="mesh-report-note">Checking the mesh…</p>';
+        reportEl.style.display = 'block';
+        return;
+      }
+
+      if (!report) {
+        reportEl.innerHTML = '';
+        reportEl.style.display = 'none';
+        return;
+      }
+
+      const problems = this.getMeshProblems(report);
+      const notes = [];
+      if (!report.selfIntersectionsChecked) {
+        notes.push('Self-intersections were not checked for this many triangles.');
+      }
+      if (report.insideOut && report.isWatertight) {
+        notes.push('Normals point inwards (the volume is still correct).');
+      }
+
+      const repairLog = rowData.repairLog;
+      const canRepair = !repairLog && !!PrinterCalc.MeshRepair &&
+        (problems.length > 0 || report.insideOut);
+
+      if (unreliable) {
+        reportEl.className = 'mesh-report mesh-report-warning';
+        reportEl.innerHTML = `
+          <p style="color: var(--danger); font-weight: 600;">
+            <span class="material-icon">warning</span> Volume may be unreliable
+          </p>
+          <ul>${problems.map(problem => `<li>${problem}</li>`).join('')}</ul>
+          ${notes.map(note => `<p class="mesh-report-note">${note}</p>`).join('')}
+        `;
+      } else {
+        reportEl.className = 'mesh-report mesh-report-ok';
+        reportEl.innerHTML = `
+          <p><span class="material-icon">check_circle</span> Watertight mesh</p>
+          ${problems.length > 0 ? `<ul>${problems.map(problem => `<li>${problem}</li>`).join('')}</ul>` : ''}
+          ${notes.map(note => `<p class="mesh-report-note">${note}</p>`).join('')}
+        `;
+      }
+
+      // Repair summary and actions
+      if (repairLog) {
+        reportEl.insertAdjacentHTML('beforeend', `
+          <p class="mesh-report-note">Repaired: ${this.describeRepair(repairLog)}</p>
+        `);
+      }
+
+      if (canRepair || repairLog) {
+        const actions = document.createElement('div');
+        actions.className = 'mesh-report-actions';
+
+        if (canRepair) {
+          actions.innerHTML = `
+            <button type="button" class="btn btn-primary btn-sm repair-mesh-btn">
+              <span class="material-icon">build</span> Repair Mesh
+            </button>
+          `;
+          actions.querySelector('.repair-mesh-btn').addEventListener('click', () => {
+            this.repairMesh(rowId);
+          });
+        } else {
+          actions.innerHTML = `
+            <button type="button" class="btn btn-outline btn-sm download-repaired-btn">
+              <span class="material-icon">download</span> Download Repaired STL
+            </button>
+          `;
+          actions.querySelector('.download-repaired-btn').addEventListener('click', () => {
+            this.downloadRepairedSTL(rowId);
+          });
+        }
+
+        reportEl.appendChild(actions);
+      }
+
+      reportEl.style.display = 'block';
+    },
+
+    /**
+     * Describe what a repair changed
+     * @param {Object} log - Log from MeshRepair.repair()
+     * @returns {string} Summary text
+     */
+    describeRepair: function (log) {
+      const changes = [];
+
+      if (log.weldedVertices > 0) changes.push(`${log.weldedVertices.toLocaleString()} vertices welded`);
+      if (log.removedDegenerate > 0) changes.push(`${log.removedDegenerate.toLocaleString()} degenerate faces removed`);
+      if (log.removedDuplicates > 0) changes.push(`${log.removedDuplicates.toLocaleString()} duplicate faces removed`);
+      if (log.flippedTriangles > 0) changes.push(`${log.flippedTriangles.toLocaleString()} faces flipped`);
+      if (log.invertedMesh) changes.push('normals turned outwards');
+      if (log.filledHoles > 0) changes.push(`${log.filledHoles.toLocaleString()} holes filled`);
+      if (log.unfilledHoles > 0) changes.push(`${log.unfilledHoles.toLocaleString()} holes too complex to fill`);
+
+      return changes.length > 0 ? changes.join(', ') : 'no changes needed';
+    },
+
+    /**
+     * Repair the mesh of a row and recalculate from the result
+     * @param {string} rowId - Row ID
+     */
+    repairMesh: async function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData || !rowData.stlData.positions) return;
+
+      if (!PrinterCalc.MeshRepair || typeof PrinterCalc.MeshRepair.repair !== 'function') {
+        this.showErrorInRow(rowId, 'Mesh repair not available. Please reload the page.');
+        return;
+      }
+
+      try {
+        const stlData = rowData.stlData;
+        const { positions, log } = PrinterCalc.MeshRepair.repair(stlData.positions);
+        const repaired = PrinterCalc.STLProcessor.measureTriangles(positions);
+
+        // The mesh already carries any scaling applied to the row
+        stlData.positions = positions;
+        stlData.triangleCount = repaired.triangleCount;
+        stlData.volumeCm3 = repaired.volumeCm3;
+        stlData.surfaceAreaCm2 = repaired.surfaceAreaCm2;
+        stlData.dimensions = repaired.dimensions;
+
+        rowData.repairLog = log;
+        rowData.repairedSTL = PrinterCalc.STLProcessor.createBinarySTL(positions);
+
+        // Show the repaired mesh
+        if (rowData.viewerId && PrinterCalc.ModelViewer && typeof PrinterCalc.ModelViewer.loadSTL === 'function') {
+          await PrinterCalc.ModelViewer.loadSTL(rowData.viewerId, PrinterCalc.STLProcessor.createViewerMesh(positions));
+          rowData.overlayShown = null;
+          PrinterCalc.ModelViewer.changeOrientation(rowData.viewerId, rowData.orientation);
+        }
+
+        // Re-check and recalculate
+        this.analyzeMesh(rowId);
+        this.analyzeThickness(rowId);
+        this.updateResults(rowId);
+
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.success('Mesh Repaired', this.describeRepair(log));
+        }
+      } catch (error) {
+        console.error('Error repairing mesh:', error);
+        this.showErrorInRow(rowId, 'Error repairing mesh: ' + (error.message || 'Unknown error'));
+      }
+    },
+
+    /**
+     * Offer to realign a part that sits at an angle in its file
+     * @param {string} rowId - Row ID
+     */
+    updateAlignmentReport: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
+
+      const reportEl = row.querySelector('.alignment-report');
+      if (!reportEl) return;
+
+      const box = rowData && rowData.stlData ? rowData.boundingBox : null;
+      if (!box || box.saving < PrinterCalc.STLProcessor.OBB_MIN_SAVING) {
+        reportEl.innerHTML = '';
+        reportEl.style.display = 'none';
+        return;
+      }
+
+      const tight = box.dimensions;
+      const formatDimensions = size => (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatDimensions === 'function'
+        ? PrinterCalc.Utils.formatDimensions(size, true)
+        : `${size.width.toFixed(1)} × ${size.depth.toFixed(1)} × ${size.height.toFixed(1)} mm`);
+
+      reportEl.className = 'alignment-report mesh-report-warning';
+      reportEl.innerHTML = `
+        <p>
+          <span class="material-icon">rotate_90_degrees_ccw</span>
+          The part sits at an angle. Aligned, it measures ${formatDimensions(tight)}
+          instead of ${formatDimensions(rowData.stlData.dimensions)}
+          (${Math.round(box.saving * 100)}% smaller box).
+        </p>
+        <div class="mesh-report-actions">
+          <button type="button" class="btn btn-primary btn-sm align-part-btn">
+            <span class="material-icon">straighten</span> Align Part
+          </button>
+        </div>
+      `;
+
+      reportEl.querySelector('.align-part-btn').addEventListener('click', () => {
+        this.alignPart(rowId);
+      });
+
+      reportEl.style.display = 'block';
+    },
+
+    /**
+     * Rotate a row's mesh onto its tightest bounding box and recalculate
+     * @param {string} rowId - Row ID
+     */
+    alignPart: async function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.boundingBox) return;
+
+      const [x, y, z] = rowData.boundingBox.axes;
+      await this.rotateMesh(rowId, [x, y, z], rowData.orientation, 'Part Aligned');
+    },
+
+    /**
+     * Rotate a row's mesh, show it in the viewer and recalculate
+     * @param {string} rowId - Row ID
+     * @param {number[][]} rotation - Rotation matrix rows
+     * @param {string} orientation - Orientation to show the rotated mesh in
+     * @param {string} title - Notification title
+     */
+    rotateMesh: async function (rowId, rotation, orientation, title) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData || !rowData.stlData.positions) return;
+
+      try {
+        const stlData = rowData.stlData;
+
+        const positions = PrinterCalc.STLProcessor.rotatePositions(stlData.positions, rotation);
+        const rotated = PrinterCalc.STLProcessor.measureTriangles(positions);
+
+        // Rotation leaves the volume and surface area unchanged
+        stlData.positions = positions;
+        stlData.dimensions = rotated.dimensions;
+
+        // Custom orientations have no toolbar button of their own
+        rowData.orientation = orientation;
+        const row = document.getElementById(rowId);
+        if (row) {
+          row.querySelectorAll('.orientation-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-orientation') === orientation);
+          });
+        }
+
+        // Show the rotated mesh and recalculate
+        await this.reloadMesh(rowId);
+
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.success(
+            title,
+            `The part now measures ${PrinterCalc.Utils.formatDimensions(stlData.dimensions, true)}.`
+          );
+        }
+      } catch (error) {
+        console.error('Error rotating part:', error);
+        this.showErrorInRow(rowId, 'Error rotating part: ' + (error.message || 'Unknown error'));
+      }
+    },
+
+    /**
+     * Show a row's changed mesh in the viewer, then re-check and recalculate
+     * @param {string} rowId - Row ID
+     */
+    reloadMesh: async function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData || !rowData.stlData.positions) return;
+
+      // Keep the download of a repaired mesh in step
+      if (rowData.repairedSTL) {
+        rowData.repairedSTL = PrinterCalc.STLProcessor.createBinarySTL(rowData.stlData.positions);
+      }
+
+      if (rowData.viewerId && PrinterCalc.ModelViewer && typeof PrinterCalc.ModelViewer.loadSTL === 'function') {
+        await PrinterCalc.ModelViewer.loadSTL(rowData.viewerId, PrinterCalc.STLProcessor.createViewerMesh(rowData.stlData.positions));
+        rowData.overlayShown = null;
+        PrinterCalc.ModelViewer.changeOrientation(rowData.viewerId, rowData.orientation);
+      }
+
+      this.analyzeMesh(rowId);
+      this.analyzeThickness(rowId);
+      this.updateResults(rowId);
+    },
+
+    /**
+     * Show the file units of a row, and suggest inches for a suspiciously small part
+     * @param {string} rowId - Row ID
+     */
+    updateUnitControls: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
+
+      const controls = row.querySelector('.unit-controls');
+      const select = row.querySelector('.unit-select');
+      const suggestion = row.querySelector('.unit-suggestion');
+      if (!controls || !suggestion) return;
+
+      if (!rowData || !rowData.stlData) {
+        controls.style.display = 'none';
+        suggestion.style.display = 'none';
+        suggestion.innerHTML = '';
+        if (select) select.value = 'mm';
+        return;
+      }
+
+      controls.style.display = 'block';
+      if (select) select.value = rowData.units;
+
+      // Only a model still read as millimetres can be mistaken for an inch one
+      const dimensions = this.getMeshDimensions(rowId) || rowData.stlData.dimensions;
+      const suspicious = rowData.units === 'mm' && !rowData.unitSuggestionDismissed &&
+        typeof PrinterCalc.STLProcessor.guessUnits === 'function' &&
+        PrinterCalc.STLProcessor.guessUnits(dimensions) === 'in';
+
+      if (!suspicious) {
+        suggestion.style.display = 'none';
+        suggestion.innerHTML = '';
+        return;
+      }
+
+      const largest = Math.max(rowData.stlData.dimensions.width, rowData.stlData.dimensions.depth, rowData.stlData.dimensions.height);
+      suggestion.innerHTML = `
+        <p class="mesh-report-warning">
+          <span class="material-icon">straighten</span>
+          This model is only ${largest.toFixed(1)} mm across. It looks like it was drawn in inches.
+        </p>
+        <div class="mesh-report-actions">
+          <button type="button" class="btn btn-primary btn-sm use-inches-btn">Use Inches</button>
+          <button type="button" class="btn btn-outline btn-sm keep-mm-btn">Keep Millimetres</button>
+        </div>
+      `;
+
+      suggestion.querySelector('.use-inches-btn').addEventListener('click', () => {
+        this.convertUnits(rowId, 'in');
+      });
+      suggestion.querySelector('.keep-mm-btn').addEventListener('click', () => {
+        rowData.unitSuggestionDismissed = true;
+        this.updateUnitControls(rowId);
+      });
+
+      suggestion.style.display = 'block';
+    },
+
+    /**
+     * Change the units a row's file is read in, resizing the mesh to millimetres
+     * @param {string} rowId - Row ID
+     * @param {string} units - Key of CONSTANTS.UNITS.FACTORS
+     */
+    convertUnits: async function (rowId, units) {
+      const rowData = this.rows[rowId];
+      const factors = PrinterCalc.CONSTANTS.UNITS.FACTORS;
+      if (!rowData || !rowData.stlData || !factors[units] || units === rowData.units) return;
+
+      try {
+        const stlData = rowData.stlData;
+        const factor = factors[units] / factors[rowData.units];
+
+        // Any scaling already applied carries over, as dimensions and mesh grow together
+        stlData.dimensions = {
+          width: stlData.dimensions.width * factor,
+          depth: stlData.dimensions.depth * factor,
+          height: stlData.dimensions.height * factor
+        };
+        stlData.volumeCm3 *= factor * factor * factor;
+        stlData.surfaceAreaCm2 *= factor * factor;
+        if (stlData.positions) {
+          stlData.positions = PrinterCalc.STLProcessor.scalePositions(stlData.positions, factor);
+        }
+
+        rowData.units = units;
+        rowData.unitSuggestionDismissed = true;
+
+        // The scaling controls remember the size they were opened with
+        const row = document.getElementById(rowId);
+        const scalingSection = row ? row.querySelector('.scaling-section') : null;
+        if (scalingSection) {
+          scalingSection.remove();
+          this.addScalingUI(rowId);
+        }
+
+        if (stlData.positions) {
+          await this.reloadMesh(rowId);
+        } else {
+          this.updateResults(rowId);
+        }
+
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.success(
+            'Units Changed',
+            `Reading the model in ${PrinterCalc.CONSTANTS.UNITS.NAMES[units].toLowerCase()}: ${PrinterCalc.Utils.formatDimensions(stlData.dimensions, true)}.`
+          );
+        }
+      } catch (error) {
+        console.error('Error changing units:', error);
+        this.showErrorInRow(rowId, 'Error changing units: ' + (error.message || 'Unknown error'));
+      }
+    },
+
+    /**
+     * Rotate a row's mesh by the angles in its X/Y/Z rotation inputs
+     * @param {string} rowId - Row ID
+     */
+    rotateByInputs: async function (rowId) {
+      const row = document.getElementById(rowId);
+      if (!row) return;
+
+      const inputs = {};
+      row.querySelectorAll('.rotation-input').forEach(input => {
+        inputs[input.getAttribute('data-axis')] = input;
+      });
+
+      const angle = axis => (inputs[axis] ? parseFloat(inputs[axis].value) || 0 : 0);
+      const [x, y, z] = ['x', 'y', 'z'].map(angle);
+      if (x % 360 === 0 && y % 360 === 0 && z % 360 === 0) return;
+
+      await this.rotateMesh(rowId, PrinterCalc.STLProcessor.rotationFromAngles(x, y, z), 'custom', 'Part Rotated');
+
+      // The rotation is now part of the mesh, so start again from zero
+      Object.values(inputs).forEach(input => {
+        input.value = 0;
+      });
+    },
+
+    /**
+     * Let the user click the face of a row's model that should sit on the build plate
+     * @param {string} rowId - Row ID
+     */
+    pickLayFlatFace: function (rowId) {
+      const rowData = this.rows[rowId];
+      const row = document.getElementById(rowId);
+      if (!rowData || !row || !rowData.stlData || !rowData.stlData.positions) return;
+
+      const viewer = PrinterCalc.ModelViewer;
+      if (!rowData.viewerId || !viewer || typeof viewer.startFacePicking !== 'function') {
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.warning('3D Viewer Needed', 'Faces can only be picked in the 3D viewer.');
+        }
+        return;
+      }
+
+      const button = row.querySelector('.lay-flat-btn');
+
+      // A second click cancels
+      if (button && button.classList.contains('active')) {
+        viewer.stopFacePicking(rowData.viewerId);
+        button.classList.remove('active');
+        return;
+      }
+
+      if (button) button.classList.add('active');
+
+      viewer.startFacePicking(rowData.viewerId, faceIndex => {
+        if (button) button.classList.remove('active');
+        this.layFlatOnFace(rowId, faceIndex);
+      }, () => {
+        if (button) button.classList.remove('active');
+      });
+
+      if (PrinterCalc.Notification) {
+        PrinterCalc.Notification.info('Pick a Face', 'Click the face of the model that should rest on the build plate. Press Escape to cancel.');
+      }
+    },
+
+    /**
+     * Rotate a row's mesh so one of its faces rests on the build plate
+     * @param {string} rowId - Row ID
+     * @param {number} faceIndex - Face index in file order
+     */
+    layFlatOnFace: async function (rowId, faceIndex) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData || !rowData.stlData.positions) return;
+
+      const rotation = PrinterCalc.STLProcessor.rotationToLayFlat(rowData.stlData.positions, faceIndex);
+      if (!rotation) {
+        if (PrinterCalc.Notification) {
+          PrinterCalc.Notification.warning('Face Not Usable', 'That face has no area. Try a neighbouring face.');
+        }
+        return;
+      }
+
+      await this.rotateMesh(rowId, rotation, 'custom', 'Part Laid Flat');
+    },
+
+    /**
+     * Show the orientation optimizer in a row
+     * @param {string} rowId - Row ID
+     */
+    updateOrientationReport: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
+
+      const reportEl = row.querySelector('.orientation-report');
+      if (!reportEl) return;
+
+      if (!rowData || !rowData.stlData || !rowData.stlData.positions || !PrinterCalc.OrientationOptimizer) {
+        reportEl.innerHTML = '';
+        reportEl.style.display = 'none';
+        return;
+      }
+
+      const optimizer = PrinterCalc.OrientationOptimizer;
+      const search = this.getOrientationSearch(rowId);
+      const goal = rowData.orientationGoal || 'height';
+      const formatCost = value => (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatCurrency === 'function'
+        ? PrinterCalc.Utils.formatCurrency(value, rowData.currency)
+        : value.toFixed(2));
+
+      reportEl.className = 'orientation-report';
+      reportEl.innerHTML = `
+        <div class="form-group">
+          <label>Optimize Orientation For</label>
+          <select class="orientation-goal-select">
+            ${Object.keys(optimizer.GOALS).map(key => `
+              <option value="${key}" ${key === goal ? 'selected' : ''}>${optimizer.GOALS[key]}</option>
+            `).join('')}
+          </select>
+        </div>
+      `;
+
+      if (search) {
+        const best = optimizer.rank(search.results, goal);
+        const list = document.createElement('ul');
+        list.className = 'orientation-results';
+
+        if (best.length === 0) {
+          list.innerHTML = '<li>No orientation fits either printer.</li>';
+        }
+
+        best.forEach(result => {
+          const item = document.createElement('li');
+          item.innerHTML = `
+            ${PrinterCalc.Utils.formatDimensions(result.dimensions, true)},
+            ${result.perBuild['400']} / ${result.perBuild['600']} per build,
+            ${formatCost(result.costPerPart)} per part
+            <button type="button" class="btn btn-outline btn-sm apply-orientation-btn">Apply</button>
+          `;
+          item.querySelector('.apply-orientation-btn').addEventListener('click', () => {
+            this.rotateMesh(rowId, result.rotation, 'custom', 'Orientation Applied');
+          });
+          list.appendChild(item);
+        });
+
+        reportEl.appendChild(list);
+      } else {
+        const actions = document.createElement('div');
+        actions.className = 'mesh-report-actions';
+        actions.innerHTML = `
+          <button type="button" class="btn btn-outline btn-sm optimize-orientation-btn">
+            <span class="material-icon">3d_rotation</span> Find Best Orientations
+          </button>
+        `;
+        actions.querySelector('.optimize-orientation-btn').addEventListener('click', () => {
+          this.optimizeOrientation(rowId);
+        });
+        reportEl.appendChild(actions);
+      }
+
+      reportEl.querySelector('.orientation-goal-select').addEventListener('change', event => {
+        rowData.orientationGoal = event.target.value;
+        this.updateOrientationReport(rowId);
+      });
+
+      reportEl.style.display = 'block';
+    },
+
+    /**
+     * Search the candidate orientations of a row's part
+     * @param {string} rowId - Row ID
+     */
+    optimizeOrientation: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData || !rowData.stlData.positions) return;
+
+      try {
+        const positions = rowData.stlData.positions;
+        const unitCost = rowData.materialResult ? rowData.materialResult.costs.total : 0;
+
+        const results = PrinterCalc.OrientationOptimizer.optimize(
+          PrinterCalc.STLProcessor.getHullCandidates(positions),
+          {
+            // The material is the same for every orientation; the build height and count change the rest
+            getCostPerPart: capacity => {
+              const costs = ['400', '600']
+                .map(printerType => this.getBuildCost(rowId, capacity[printerType], printerType, unitCost))
+                .filter(cost => cost)
+                .map(cost => cost.perObject.total);
+              return costs.length > 0 ? Math.min(...costs) : unitCost;
+            }
+          }
+        );
+
+        rowData.orientationSearch = { positions, results };
+        this.updateOrientationReport(rowId);
+      } catch (error) {
+        console.error('Error optimizing orientation:', error);
+        this.showErrorInRow(rowId, 'Error optimizing orientation: ' + (error.message || 'Unknown error'));
+      }
+    },
+
+    /**
+     * Get the orientation search results of a row, if still current
+     * @param {string} rowId - Row ID
+     * @returns {Object|null} { positions, results }
+     */
+    getOrientationSearch: function (rowId) {
+      const rowData = this.rows[rowId];
+      const search = rowData ? rowData.orientationSearch : null;
+
+      // Rotating or rescaling replaces the mesh, which changes the sizes and counts
+      if (!search || !rowData.stlData || search.positions !== rowData.stlData.positions) return null;
+      return search;
+    },
+
+    /**
+     * Measure the wall thickness of a row's mesh in the background
+     * @param {string} rowId - Row ID
+     * @returns {Promise} Promise resolving when the analysis is done
+     */
+    analyzeThickness: async function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData) return;
+
+      rowData.thickness = null;
+      this.updateThicknessReport(rowId);
+
+      const positions = rowData.stlData.positions;
+
+      // The rays need the winding found by the mesh checks
+      if (rowData.meshAnalysis) {
+        await rowData.meshAnalysis;
+        if (!rowData.stlData || rowData.stlData.positions !== positions) return;
+      }
+
+      if (!PrinterCalc.ThicknessAnalyzer || !PrinterCalc.TriangleGrid || !positions) {
+        console.warn('Wall thickness analysis not available for row:', rowId);
+        return;
+      }
+
+      try {
+        const insideOut = !!(rowData.meshReport && rowData.meshReport.insideOut);
+        const analysis = await PrinterCalc.ThicknessAnalyzer.analyze(positions, { insideOut });
+
+        // Ignore the result if the row has moved on to another mesh
+        if (!rowData.stlData || rowData.stlData.positions !== positions) return;
+
+        rowData.thickness = analysis;
+        this.updateThicknessReport(rowId);
+
+        const summary = this.getThicknessSummary(rowId);
+        if (summary && summary.thinFaceCount > 0 && PrinterCalc.Notification) {
+          PrinterCalc.Notification.warning(
+            'Thin Walls Found',
+            `Some walls are thinner than ${PrinterCalc.Utils.formatQuantity(summary.threshold, 'length')} and may break during printing or depowdering.`
+          );
+        }
+      } catch (error) {
+        console.error('Error analyzing wall thickness:', error);
+      }
+    },
+
+    /**
+     * Summarize a row's wall thickness at its current scale
+     * @param {string} rowId - Row ID
+     * @returns {Object|null} Summary from ThicknessAnalyzer.summarize() plus threshold and scale
+     */
+    getThicknessSummary: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.thickness || !rowData.stlData) return null;
+
+      const threshold = (PrinterCalc.SettingsManager && PrinterCalc.SettingsManager.getSetting('minWallThickness')) ||
+        PrinterCalc.CONSTANTS.MATERIALS.MIN_WALL_THICKNESS || 2;
+
+      // Scaling the row scales the walls too
+      const scale = this.getMeshScale(rowId, rowData.thickness.dimensions).uniform;
+
+      const summary = PrinterCalc.ThicknessAnalyzer.summarize(rowData.thickness, threshold, scale);
+      summary.threshold = threshold;
+      summary.scale = scale;
+      return summary;
+    },
+
+    /**
+     * Show the wall thickness report in a row
+     * @param {string} rowId - Row ID
+     */
+    updateThicknessReport: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
+
+      const reportEl = row.querySelector('.thickness-report');
+      if (!reportEl) return;
+
+      const summary = this.getThicknessSummary(rowId);
+
+      if (!summary || summary.measuredFaces === 0) {
+        reportEl.innerHTML = '';
+        reportEl.style.display = 'none';
+        if (rowData && rowData.viewerOverlay === 'thickness') {
+          rowData.viewerOverlay = null;
+          this.updateViewerOverlay(rowId);
+        }
+        return;
+      }
+
+      const utils = PrinterCalc.Utils;
+      const formatLength = value => utils.formatQuantity(value, 'length');
+      const formatBin = bin => (bin.to === Infinity
+        ? `${formatLength(bin.from)}+`
+        : `${utils.formatQuantity(bin.from, 'length', false)}–${formatLength(bin.to)}`);
+      const thin = summary.thinFaceCount > 0;
+
+      reportEl.className = thin ? 'thickness-report thickness-report-warning' : 'thickness-report thickness-report-ok';
+      reportEl.innerHTML = `
+        <p><strong>Wall thickness:</strong> min ${formatLength(summary.minThickness)}, average ${formatLength(summary.averageThickness)}</p>
+        ${thin
+          ? `<p style="color: var(--danger); font-weight: 600;">
+              <span class="material-icon">warning</span>
+              ${(summary.thinFraction * 100).toFixed(1)}% of the surface (${utils.formatQuantity(summary.thinAreaCm2, 'area')}) is thinner than ${formatLength(summary.threshold)}
+            </p>`
+          : `<p><span class="material-icon">check_circle</span> No walls thinner than ${formatLength(summary.threshold)}</p>`}
+        <div class="thickness-distribution">
+          ${summary.distribution.map(bin => `
+            <div class="thickness-bin${bin.to <= summary.threshold ? ' thickness-bin-thin' : ''}">
+              <span class="thickness-bin-label">${formatBin(bin)}</span>
+              <span class="thickness-bin-bar"><span style="width: ${(bin.fraction * 100).toFixed(1)}%"></span></span>
+              <span class="thickness-bin-value">${(bin.fraction * 100).toFixed(1)}%</span>
+            </div>
+          `).join('')}
+        </div>
+        ${rowData.thickness.stride > 1
+          ? `<p class="mesh-report-note">Measured every ${rowData.thickness.stride}th face of this large mesh.</p>`
+          : ''}
+      `;
+
+      // Heatmap toggle (only useful with a 3D preview)
+      const toggle = this.createOverlayToggle(rowId, 'thickness', 'palette', 'Thickness Map');
+      if (toggle) reportEl.appendChild(toggle);
+
+      reportEl.style.display = 'block';
+      this.updateViewerOverlay(rowId);
+    },
+
+    /**
+     * Show the enclosed cavity (trapped powder) report in a row
+     * @param {string} rowId - Row ID
+     */
+    updateCavityReport: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
+
+      const reportEl = row.querySelector('.cavity-report');
+      if (!reportEl) return;
+
+      const cavities = rowData && rowData.stlData && rowData.cavities ? rowData.cavities.cavities : [];
+
+      if (cavities.length === 0) {
+        reportEl.innerHTML = '';
+        reportEl.style.display = 'none';
+        if (rowData && rowData.viewerOverlay === 'cavities') {
+          rowData.viewerOverlay = null;
+          this.updateViewerOverlay(rowId);
+        }
+        return;
+      }
+
+      const scale = this.getMeshScale(rowId, rowData.cavities.dimensions);
+      const trappedPowder = rowData.materialResult ? rowData.materialResult.trappedPowder : null;
+      const formatCost = value => (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatCurrency === 'function'
+        ? PrinterCalc.Utils.formatCurrency(value, rowData.currency)
+        : value.toFixed(2));
+
+      reportEl.className = 'cavity-report mesh-report-warning';
+      reportEl.innerHTML = `
+        <p style="color: var(--danger); font-weight: 600;">
+          <span class="material-icon">warning</span>
+          ${cavities.length} enclosed ${cavities.length === 1 ? 'cavity traps' : 'cavities trap'}
+          ${PrinterCalc.Utils.formatQuantity(rowData.cavities.totalVolumeCm3 * scale.volume, 'volume')} of powder
+        </p>
+        <ul>
+          ${cavities.map(cavity => `
+            <li>
+              ${PrinterCalc.Utils.formatQuantity(cavity.volumeCm3 * scale.volume, 'volume')} at
+              (${['x', 'y', 'z'].map(axis => PrinterCalc.Utils.formatQuantity(cavity.center[axis] * scale[axis], 'length', false)).join(', ')})
+              ${PrinterCalc.Utils.getDisplayUnits('length').unit}
+            </li>
+          `).join('')}
+        </ul>
+        <div class="toggle-container">
+          <label class="toggle-switch">
+            <input type="checkbox" class="trapped-powder-toggle" ${rowData.includeTrappedPowder !== false ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <span class="toggle-label">
+            Include trapped powder in quote${trappedPowder ? ` (${formatCost(trappedPowder.cost)})` : ''}
+          </span>
+        </div>
+      `;
+
+      reportEl.querySelector('.trapped-powder-toggle').addEventListener('change', event => {
+        rowData.includeTrappedPowder = event.target.checked;
+        this.updateResults(rowId);
+      });
+
+      const toggle = this.createOverlayToggle(rowId, 'cavities', 'visibility', 'Cavities');
+      if (toggle) reportEl.appendChild(toggle);
+
+      reportEl.style.display = 'block';
+      this.updateViewerOverlay(rowId);
+    },
+
+    /**
+     * Create a show/hide button for a viewer overlay
+     * @param {string} rowId - Row ID
+     * @param {string} overlay - Overlay name ("thickness" or "cavities")
+     * @param {string} icon - Material icon shown while the overlay is hidden
+     * @param {string} label - Overlay label
+     * @returns {HTMLElement|null} Actions element, or null without a 3D preview
+     */
+    createOverlayToggle: function (rowId, overlay, icon, label) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.viewerId || !PrinterCalc.ModelViewer ||
+        typeof PrinterCalc.ModelViewer.setFaceColors !== 'function') {
+        return null;
+      }
+
+      const active = rowData.viewerOverlay === overlay;
+      const actions = document.createElement('div');
+      actions.className = 'mesh-report-actions';
+      actions.innerHTML = `
+        <button type="button" class="btn btn-outline btn-sm overlay-toggle-btn">
+          <span class="material-icon">${active ? 'visibility_off' : icon}</span>
+          ${active ? 'Hide' : 'Show'} ${label}
+        </button>
+      `;
+
+      actions.querySelector('.overlay-toggle-btn').addEventListener('click', () => {
+        // Only one overlay is shown at a time
+        rowData.viewerOverlay = active ? null : overlay;
+        this.updateThicknessReport(rowId);
+        this.updateCavityReport(rowId);
+      });
+
+      return actions;
+    },
+
+    /**
+     * Colour the row's 3D preview for the active overlay
+     * @param {string} rowId - Row ID
+     */
+    updateViewerOverlay: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.viewerId || !PrinterCalc.ModelViewer ||
+        typeof PrinterCalc.ModelViewer.setFaceColors !== 'function') {
+        return;
+      }
+
+      // The colours only change with the overlay, its analysis, and the thickness threshold and scale
+      let shown = { viewerId: rowData.viewerId, key: '', source: null };
+      let summary = null;
+
+      if (rowData.viewerOverlay === 'thickness' && rowData.thickness) {
+        summary = this.getThicknessSummary(rowId);
+        shown = { viewerId: rowData.viewerId, key: `thickness:${summary.threshold}:${summary.scale}`, source: rowData.thickness };
+      } else if (rowData.viewerOverlay === 'cavities' && rowData.cavities) {
+        shown = { viewerId: rowData.viewerId, key: 'cavities', source: rowData.cavities };
+      }
+
+      const previous = rowData.overlayShown;
+      if (previous && previous.viewerId === shown.viewerId && previous.key === shown.key && previous.source === shown.source) {
+        return; // Already showing
+      }
+
+      let colors = null;
+      let options = {};
+
+      if (summary) {
+        colors = PrinterCalc.ThicknessAnalyzer.getHeatmapColors(rowData.thickness, summary.threshold, summary.scale);
+      } else if (shown.key === 'cavities') {
+        // Cavities in orange, seen through a faded part
+        const cavityFaces = rowData.cavities.cavityFaces;
+        colors = new Float32Array(cavityFaces.length * 3);
+        for (let face = 0; face < cavityFaces.length; face++) {
+          colors.set(cavityFaces[face] ? [1, 0.5, 0] : [0.6, 0.65, 0.75], face * 3);
+        }
+        options = { opacity: 0.35 };
+      }
+
+      rowData.overlayShown = shown;
+      PrinterCalc.ModelViewer.setFaceColors(rowData.viewerId, colors, options);
+    },
+
+    /**
+     * Read the hollowing inputs of a row and refresh the comparison
+     * @param {string} rowId - Row ID
+     */
+    updateHollowing: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row || !rowData) return;
+
+      const materials = PrinterCalc.CONSTANTS.MATERIALS;
+      const readNumber = (selector, fallback, min) => {
+        const input = row.querySelector(selector);
+        const value = input ? parseFloat(input.value) : NaN;
+        return isNaN(value) || value < min ? fallback : value;
+      };
+
+      const toggle = row.querySelector('.hollow-toggle');
+
+      rowData.hollow = {
+        enabled: !!(toggle && toggle.checked),
+        shellThickness: readNumber('.hollow-shell-input', materials.HOLLOW_SHELL_THICKNESS || 3, 0.1),
+        drainHoles: Math.round(readNumber('.hollow-holes-input', materials.DRAIN_HOLE_COUNT || 2, 0)),
+        drainHoleDiameter: readNumber('.hollow-hole-diameter-input', materials.DRAIN_HOLE_DIAMETER || 5, 0)
+      };
+
+      // A hollowed part is priced as hollow
+      this.updateResults(rowId);
+    },
+
+    /**
+     * Estimate the hollowed material of a row, if hollowing is on
+     * @param {string} rowId - Row ID
+     * @returns {Object|null} MaterialCalculator.calculateHollow() result, also kept as rowData.hollowResult
+     */
+    calculateHollowing: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData) return null;
+
+      rowData.hollowResult = null;
+
+      const hollow = rowData.hollow;
+      const positions = rowData.stlData ? rowData.stlData.positions : null;
+      if (!hollow || !hollow.enabled || !positions || !PrinterCalc.HollowEstimator ||
+        typeof PrinterCalc.MaterialCalculator.calculateHollow !== 'function') {
+        return null;
+      }
+
+      // The voxel estimate runs in the background; the row is priced solid until it is in
+      const estimate = rowData.hollowEstimate;
+      if (!estimate || estimate.positions !== positions || Math.abs(estimate.shellThickness - hollow.shellThickness) > 1e-6) {
+        this.estimateHollowing(rowId);
+        return null;
+      }
+      if (estimate.pending || estimate.error) return null;
+
+      rowData.hollowResult = PrinterCalc.MaterialCalculator.calculateHollow(
+        rowData.stlData.volumeCm3,
+        {
+          coreFraction: rowData.hollowEstimate.coreFraction,
+          shellThickness: hollow.shellThickness,
+          drainHoles: hollow.drainHoles,
+          drainHoleDiameter: hollow.drainHoleDiameter
+        },
+        rowData.applyGlaze,
+        rowData.currency,
+        this.getMaterialOptions(rowId)
+      );
+
+      return rowData.hollowResult;
+    },
+
+    /**
+     * Estimate the hollow core of a row's mesh in the background, then recalculate
+     * A newer estimate for the row cancels the one still running.
+     * @param {string} rowId - Row ID
+     * @returns {Promise} Promise resolving when the estimate is done
+     */
+    estimateHollowing: async function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData || !rowData.stlData.positions || !rowData.hollow) return;
+
+      if (rowData.hollowJob) rowData.hollowJob.abort();
+      const controller = new AbortController();
+      rowData.hollowJob = controller;
+
+      const estimate = {
+        positions: rowData.stlData.positions,
+        shellThickness: rowData.hollow.shellThickness,
+        pending: true
+      };
+      rowData.hollowEstimate = estimate;
+
+      try {
+        const result = await PrinterCalc.HollowEstimator.estimateInBackground(estimate.positions, estimate.shellThickness, {
+          signal: controller.signal
+        });
+        estimate.coreFraction = result.coreFraction;
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error estimating hollowing:', error);
+        estimate.error = error.message || 'Unknown error';
+      } finally {
+        if (rowData.hollowJob === controller) rowData.hollowJob = null;
+      }
+
+      estimate.pending = false;
+
+      // Ignore the result if the row has moved on
+      if (rowData.hollowEstimate !== estimate) return;
+      this.updateResults(rowId);
+    },
+
+    /**
+     * Show solid and hollow prices side by side
+     * @param {string} rowId - Row ID
+     */
+    updateHollowReport: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
+
+      const optionsEl = row.querySelector('.hollow-options');
+      const resultsEl = row.querySelector('.hollow-results');
+      if (!optionsEl || !resultsEl) return;
+
+      const hollow = rowData ? rowData.hollow : null;
+      if (!rowData || !rowData.stlData || !hollow || !hollow.enabled) {
+        optionsEl.style.display = 'none';
+        resultsEl.innerHTML = '';
+        return;
+      }
+
+      optionsEl.style.display = 'block';
+
+      if (!rowData.stlData.positions || !PrinterCalc.HollowEstimator || typeof PrinterCalc.MaterialCalculator.calculateHollow !== 'function') {
+        resultsEl.innerHTML = '<p class="mesh-report-note">Hollowing needs the mesh data, which is not available for this model.</p>';
+        return;
+      }
+
+      // Worked out with the rest of the row's results
+      const result = rowData.hollowResult;
+      const estimate = rowData.hollowEstimate;
+      if (!result && estimate && estimate.pending) {
+        resultsEl.innerHTML = '<p class="mesh-report-note">Estimating the hollow core; the part is priced solid until then.</p>';
+        return;
+      }
+      if (!result) {
+        resultsEl.innerHTML = '<p style="color: var(--danger);">Could not estimate hollowing for this model; it is priced solid.</p>';
+        return;
+      }
+
+      try {
+        const formatCost = value => (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatCurrency === 'function'
+          ? PrinterCalc.Utils.formatCurrency(value, rowData.currency)
+          : value.toFixed(2));
+        const formatQuantity = (value, quantity) => PrinterCalc.Utils.formatQuantity(value, quantity);
+
+        if (result.coreVolumeCm3 <= 0) {
+          resultsEl.innerHTML = `
+            <p class="mesh-report-note">
+              The model is too thin to hollow with a ${hollow.shellThickness} mm shell, so the price does not change.
+            </p>
+          `;
+          return;
+        }
+
+        const minWall = PrinterCalc.SettingsManager
+          ? PrinterCalc.SettingsManager.getSetting('minWallThickness', PrinterCalc.CONSTANTS.MATERIALS.MIN_WALL_THICKNESS)
+          : PrinterCalc.CONSTANTS.MATERIALS.MIN_WALL_THICKNESS;
+
+        resultsEl.innerHTML = `
+          <table class="hollow-comparison">
+            <thead>
+              <tr><th></th><th>Solid</th><th>Hollow</th></tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Printed volume</td>
+                <td>${formatQuantity(result.solid.volume, 'volume')}</td>
+                <td>${formatQuantity(result.shellVolumeCm3, 'volume')}</td>
+              </tr>
+              <tr>
+                <td>Weight</td>
+                <td>${formatQuantity(result.solid.weight, 'weight')}</td>
+                <td>${formatQuantity(result.hollow.weight, 'weight')}</td>
+              </tr>
+              <tr>
+                <td>Material cost</td>
+                <td>${formatCost(result.solid.costs.total)}</td>
+                <td><strong>${formatCost(result.hollow.costs.total)}</strong></td>
+              </tr>
+            </tbody>
+          </table>
+          <p class="mesh-report-note">
+            ${hollow.drainHoles > 0 && result.recoveryRate === 0
+              ? `${hollow.drainHoles} drain hole(s) of ${hollow.drainHoleDiameter} mm are too narrow for powder to flow out;
+                 all ${formatQuantity(result.trappedPowderCm3, 'volume')} of core powder stays trapped inside.`
+              : hollow.drainHoles > 0
+              ? `${hollow.drainHoles} drain hole(s) recover about ${formatQuantity(result.recoveredPowderCm3, 'volume')} of powder (${Math.round(result.recoveryRate * 100)}%);
+                 ${formatQuantity(result.trappedPowderCm3, 'volume')} stays inside.`
+              : `Without drain holes all ${formatQuantity(result.trappedPowderCm3, 'volume')} of core powder stays trapped inside.`}
+          </p>
+          ${hollow.shellThickness < minWall
+            ? `<p style="color: var(--danger);">
+                <span class="material-icon">warning</span> The shell is thinner than the ${minWall} mm minimum wall thickness.
+              </p>`
+            : ''}
+          <p><strong>Hollowing saves ${formatCost(result.savings)}</strong> per part; the costs and quote above are for the hollow part.</p>
+        `;
+      } catch (error) {
+        console.error('Error showing hollowing:', error);
+        resultsEl.innerHTML = `<p style="color: var(--danger);">Could not show hollowing: ${error.message || 'Unknown error'}</p>`;
+      }
+    },
+
+    /**
+     * Get the size of a row's mesh as it is held in memory
+     * @param {string} rowId - Row ID
+     * @returns {Object|null} { width, depth, height } in mm
+     */
+    getMeshDimensions: function (rowId) {
+      const rowData = this.rows[rowId];
+      const positions = rowData && rowData.stlData ? rowData.stlData.positions : null;
+      if (!positions) return null;
+
+      // Cached per mesh
+      if (!rowData.meshDimensions || rowData.meshDimensions.positions !== positions) {
+        rowData.meshDimensions = {
+          positions,
+          dimensions: PrinterCalc.STLProcessor.measureTriangles(positions).dimensions
+        };
+      }
+
+      return rowData.meshDimensions.dimensions;
+    },
+
+    /**
+     * Get how much a row has been scaled since a mesh measurement was taken
+     * @param {string} rowId - Row ID
+     * @param {Object} measured - Dimensions of the mesh when it was measured
+     * @returns {Object} { x, y, z, volume, uniform } scale ratios
+     */
+    getMeshScale: function (rowId, measured) {
+      const rowData = this.rows[rowId];
+      const current = rowData && rowData.stlData ? rowData.stlData.dimensions : null;
+      const ratio = (now, then) => (now > 0 && then > 0 ? now / then : 1);
 
-          // Validate calculation results
-          if (!materialResult || !materialResult.costs || typeof materialResult.costs.total !== 'number' || isNaN(materialResult.costs.total)) {
-            throw new Error('Invalid calculation results returned');
-          }
+      if (!current || !measured) {
+        return { x: 1, y: 1, z: 1, volume: 1, uniform: 1 };
+      }
 
-          console.log('Material calculation successful:', materialResult);
-          this.rows[rowId].materialResult = materialResult;
-        } catch (calcError) {
-          console.error('Error in material calculation:', calcError);
-          this.showErrorInRow(rowId, 'Error calculating material costs. Please try again.');
-          return;
-        }
+      const x = ratio(current.width, measured.width);
+      const y = ratio(current.depth, measured.depth);
+      const z = ratio(current.height, measured.height);
 
-        // Calculate print times
-        let printTimes;
-        try {
-          printTimes = PrinterCalc.MaterialCalculator.calculatePrintTimes(
-            orientedDimensions,
-            orientation
-          );
-        } catch (printError) {
-          console.error('Error calculating print times:', printError);
-          printTimes = {
-            display: '--/--',
-            printer400: { fits: false, seconds: null, formatted: '--' },
-            printer600: { fits: false, seconds: null, formatted: '--' }
-          };
-        }
+      return { x, y, z, volume: x * y * z, uniform: Math.cbrt(x * y * z) };
+    },
 
-        // Calculate printer capacity
-        let capacity400, capacity600;
-        try {
-          if (PrinterCalc.PrinterCapacity && typeof PrinterCalc.PrinterCapacity.calculate === 'function') {
-            capacity400 = PrinterCalc.PrinterCapacity.calculate(
-              orientedDimensions,
-              orientation,
-              '400'
-            );
+    /**
+     * Show the separate bodies of a row and how they are packed
+     * @param {string} rowId - Row ID
+     */
+    updateBodiesReport: function (rowId) {
+      const row = document.getElementById(rowId);
+      const rowData = this.rows[rowId];
+      if (!row) return;
 
-            capacity600 = PrinterCalc.PrinterCapacity.calculate(
-              orientedDimensions,
-              orientation,
-              '600'
-            );
-          } else {
-            console.error('PrinterCapacity module not available');
-            capacity400 = { fitsInPrinter: false };
-            capacity600 = { fitsInPrinter: false };
-          }
-        } catch (capacityError) {
-          console.error('Error calculating printer capacity:', capacityError);
-          capacity400 = { fitsInPrinter: false };
-          capacity600 = { fitsInPrinter: false };
-        }
+      const reportEl = row.querySelector('.bodies-report');
+      if (!reportEl) return;
 
-        // Update total cost
-        if (totalCostEl) {
-          if (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatCurrency === 'function') {
-            totalCostEl.textContent = PrinterCalc.Utils.formatCurrency(
-              materialResult.costs.total,
-              currency
-            );
-          } else {
-            // Fallback formatting if Utils not available
-            const symbol = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.CURRENCY_SYMBOLS) ?
-              (PrinterCalc.CONSTANTS.CURRENCY_SYMBOLS[currency] || '$') : '$';
-            totalCostEl.textContent = `${symbol}${materialResult.costs.total.toFixed(2)}`;
-          }
-        }
+      const bodies = rowData && rowData.stlData ? rowData.bodies : null;
+      if (!bodies) {
+        reportEl.innerHTML = '';
+        reportEl.style.display = 'none';
+        return;
+      }
 
-        // Update stats
-        if (statsGrid) {
-          const statBoxes = statsGrid.querySelectorAll('.stat-box');
+      const dimensions = this.getBodyDimensions(rowId);
+      const packMode = rowData.packMode === 'parts' ? 'parts' : 'assembly';
+      const formatDimensions = size => (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatDimensions === 'function'
+        ? PrinterCalc.Utils.formatDimensions(size, true)
+        : `${size.width.toFixed(1)} × ${size.depth.toFixed(1)} × ${size.height.toFixed(1)} mm`);
+
+      reportEl.className = 'bodies-report mesh-report-ok';
+      reportEl.innerHTML = `
+        <p>
+          <span class="material-icon">category</span>
+          ${bodies.length} separate bodies
+        </p>
+        <ul>
+          ${bodies.map((body, index) => `
+            <li>
+              Part ${index + 1}: ${PrinterCalc.Utils.formatQuantity(body.volumeCm3, 'volume')},
+              ${formatDimensions(dimensions[index])},
+              ${body.triangleCount.toLocaleString()} triangles
+            </li>
+          `).join('')}
+        </ul>
+        <div class="pack-mode-toggle">
+          <button type="button" class="pack-mode-btn ${packMode === 'assembly' ? 'active' : ''}" data-pack-mode="assembly">
+            <span class="material-icon">widgets</span> One Assembly
+          </button>
+          <button type="button" class="pack-mode-btn ${packMode === 'parts' ? 'active' : ''}" data-pack-mode="parts">
+            <span class="material-icon">view_module</span> Separate Parts
+          </button>
+        </div>
+      `;
 
-          // Volume
-          if (statBoxes[0]) {
-            const valueEl = statBoxes[0].querySelector('.stat-value');
-            if (valueEl) {
-              valueEl.textContent = volumeCm3.toFixed(2);
-            }
-          }
+      reportEl.querySelectorAll('.pack-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const mode = btn.getAttribute('data-pack-mode');
+          if (mode === rowData.packMode) return;
 
-          // Dimensions
-          if (statBoxes[1]) {
-            const valueEl = statBoxes[1].querySelector('.stat-value');
-            if (valueEl) {
-              if (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatDimensions === 'function') {
-                valueEl.textContent = PrinterCalc.Utils.formatDimensions(orientedDimensions);
-              } else {
-                // Fallback formatting
-                const { width, depth, height } = orientedDimensions;
-                valueEl.textContent = `${width.toFixed(1)} × ${depth.toFixed(1)} × ${height.toFixed(1)}`;
-              }
-            }
-          }
+          rowData.packMode = mode;
+          this.updateResults(rowId);
+        });
+      });
 
-          // Print Time
-          if (statBoxes[2]) {
-            const valueEl = statBoxes[2].querySelector('.stat-value');
-            if (valueEl) {
-              valueEl.textContent = printTimes.display;
-            }
-          }
-        }
+      reportEl.style.display = 'block';
+    },
 
-        // Update cost breakdown
-        if (progressContainer) {
-          if (PrinterCalc.Utils && typeof PrinterCalc.Utils.createCostBreakdown === 'function') {
-            PrinterCalc.Utils.createCostBreakdown(
-              progressContainer,
-              materialResult.costs,
-              currency
-            );
-          } else {
-            // Simple fallback for cost breakdown
-            this.createSimpleCostBreakdown(progressContainer, materialResult.costs, currency);
-          }
-        }
+    /**
+     * Get the size of each body in a row
+     * @param {string} rowId - Row ID
+     * @returns {Object[]|null} Width, depth, height of each body
+     */
+    getBodyDimensions: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.bodies) return null;
 
-        // Update printer stats
-        if (printer400Stats) {
-          this.updatePrinterStats(printer400Stats, capacity400, currency);
-        }
+      return rowData.bodies.map(body => body.dimensions);
+    },
 
-        if (printer600Stats) {
-          this.updatePrinterStats(printer600Stats, capacity600, currency);
-        }
-        if (PrinterCalc.PrinterCapacity && typeof PrinterCalc.PrinterCapacity.visualize === 'function') {
-          // Ensure packing visualizers are properly initialized after DOM updates
-          setTimeout(() => {
-            this.updatePackingVisualization(
-              rowId,
-              row.querySelector(`#${rowId}-packing-400`),
-              capacity400,
-              PrinterCalc.CONSTANTS.PRINTERS['400']
-            );
-            this.updatePackingVisualization(
-              rowId,
-              row.querySelector(`#${rowId}-packing-600`),
-              capacity600,
-              PrinterCalc.CONSTANTS.PRINTERS['600']
-            );
-          }, 100);
-        }
+    /**
+     * Get the extra material calculator inputs for a row
+     * @param {string} rowId - Row ID
+     * @returns {Object} Options for MaterialCalculator.calculate()
+     */
+    getMaterialOptions: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData) return {};
 
-        // Update packing visualizations
-        if (PrinterCalc.PrinterCapacity && typeof PrinterCalc.PrinterCapacity.visualize === 'function') {
-          this.updatePackingVisualization(
-            rowId,
-            packing400El,
-            capacity400,
-            PrinterCalc.CONSTANTS.PRINTERS['400']
-          );
+      const options = {};
+      if (PrinterCalc.MaterialProfiles) {
+        options.profile = PrinterCalc.MaterialProfiles.get(rowData.materialProfileId);
+      }
 
-          this.updatePackingVisualization(
-            rowId,
-            packing600El,
-            capacity600,
-            PrinterCalc.CONSTANTS.PRINTERS['600']
-          );
+      // Silica is only used when an infiltration step runs
+      if (PrinterCalc.PostProcessingSteps) {
+        const silicaSteps = PrinterCalc.PostProcessingSteps.getAll().filter(step => step.material === 'silica');
+        if (silicaSteps.length > 0) {
+          options.infiltrate = silicaSteps.some(step =>
+            PrinterCalc.PostProcessingSteps.isEnabled(step, rowData.postProcessing, rowData.applyGlaze));
         }
-        // Dispatch event to notify of results update
-        const event = new CustomEvent('printercalc:resultsUpdated', {
-          detail: { rowId: rowId }
-        });
-        document.dispatchEvent(event);
-      } catch (error) {
-        console.error(`Error updating results for row ${rowId}:`, error);
-        this.showErrorInRow(rowId, 'Error updating results. Please try again.');
       }
 
-      // Add enhanced desktop controls if in desktop layout
-      if (window.innerWidth > 1024 && rowData.viewerId &&
-        PrinterCalc.ModelViewer && typeof PrinterCalc.ModelViewer.addDesktopControls === 'function' &&
-        !row.querySelector('.viewer-toolbar')) {
-        setTimeout(() => {
-          PrinterCalc.ModelViewer.addDesktopControls(rowData.viewerId);
-        }, 200); // Small delay to ensure model is loaded
-      }
+      if (!rowData.stlData) return options;
 
-      // Desktop optimization: Add keyboard shortcut tips
-      if (window.innerWidth > 1024) {
-        const statsBoxes = row.querySelectorAll('.stat-box');
-        if (statsBoxes.length > 0) {
-          // Add keyboard shortcut tip to dimensions box
-          const dimensionsBox = Array.from(statsBoxes).find(box => {
-            const label = box.querySelector('.stat-label');
-            return label && label.textContent.includes('Dimensions');
-          });
+      options.surfaceAreaCm2 = rowData.stlData.surfaceAreaCm2;
 
-          if (dimensionsBox) {
-            const valueEl = dimensionsBox.querySelector('.stat-value');
-            if (valueEl && !valueEl.querySelector('.shortcut-tip')) {
-              // Add scaling shortcut tip
-              const tip = document.createElement('span');
-              tip.className = 'shortcut-tip';
-              tip.textContent = 'Click to scale (S)';
-              valueEl.style.position = 'relative';
-              valueEl.appendChild(tip);
-            }
-          }
-        }
+      if (rowData.cavities && rowData.cavities.totalVolumeCm3 > 0) {
+        options.trappedPowderCm3 = rowData.cavities.totalVolumeCm3 *
+          this.getMeshScale(rowId, rowData.cavities.dimensions).volume;
+        options.includeTrappedPowder = rowData.includeTrappedPowder !== false;
       }
+
+      return options;
+    },
+
+    /**
+     * Download the repaired mesh of a row as a binary STL
+     * @param {string} rowId - Row ID
+     */
+    downloadRepairedSTL: function (rowId) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.repairedSTL) return;
+
+      // Name it after the uploaded file
+      const sourceName = rowData.stlData && rowData.stlData.file ? rowData.stlData.file.name : 'model';
+      const fileName = sourceName.replace(/\.[^.]+$/, '') + '-repaired.stl';
+
+      const url = URL.createObjectURL(new Blob([rowData.repairedSTL], { type: 'model/stl' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
     },
 
     /**
@@ -1407,13 +3475,106 @@
       });
     },
 
+    /**
+     * Cost a full build of a row's model on one printer
+     * @param {string} rowId - Row ID
+     * @param {Object} capacity - Capacity data for the printer
+     * @param {string} printerType - "400" or "600"
+     * @param {number} materialPerObject - Material cost of one object (or set)
+     * @param {number} [objects] - Objects (or sets) in the build, when it is not filled
+     * @returns {Object|null} CostModel.calculate() result plus powder (MaterialCalculator.calculateBuildPowder()), or null if nothing fits
+     */
+    getBuildCost: function (rowId, capacity, printerType, materialPerObject, objects) {
+      const rowData = this.rows[rowId];
+      if (!rowData || !rowData.stlData || !PrinterCalc.CostModel) return null;
+
+      // A partly filled build spreads its bed and batch costs over fewer parts
+      if (capacity && objects > 0 && objects < Number(capacity.totalObjects)) {
+        capacity = Object.assign({}, capacity, { totalObjects: objects });
+      }
+
+      const currency = rowData.currency || 'USD';
+      const objectVolume = rowData.materialResult ? rowData.materialResult.volume : rowData.stlData.volumeCm3;
+
+      // Powder left in a hollowed core leaves the bed with the part
+      const materialOptions = this.getMaterialOptions(rowId);
+      if (rowData.materialResult && rowData.materialResult.corePowder) {
+        materialOptions.corePowderCm3 = rowData.materialResult.corePowder.volume;
+      }
+
+      // Bed powder that cannot be reused is shared out over the build
+      const powder = typeof PrinterCalc.MaterialCalculator.calculateBuildPowder === 'function'
+        ? PrinterCalc.MaterialCalculator.calculateBuildPowder(capacity, printerType, objectVolume, currency, materialOptions)
+        : null;
+
+      const buildObjects = capacity && capacity.fitsInPrinter ? Number(capacity.totalObjects) || 0 : 0;
+      const postProcessing = typeof PrinterCalc.CostModel.calculatePostProcessing === 'function'
+        ? PrinterCalc.CostModel.calculatePostProcessing(this.getPostProcessingSteps(rowId), buildObjects, objectVolume, currency)
+        : null;
+
+      const cost = PrinterCalc.CostModel.calculate(capacity, printerType, currency, {
+        materialPerObject,
+        powderWaste: powder ? powder.wasteCost : 0,
+        postProcessing
+      });
+
+      return cost ? Object.assign(cost, { powder }) : null;
+    },
+
+    /**
+     * Build the itemized cost table of a build
+     * @param {Object} buildCost - Result of getBuildCost()
+     * @param {Function} formatCost - Formats an amount in the row's currency
+     * @param {string} unit - "object" or "set"
+     * @returns {string} HTML
+     */
+    createBuildCostBreakdown: function (buildCost, formatCost, unit) {
+      const items = PrinterCalc.CostModel.ITEMS;
+      const notes = {
+        powderWaste: buildCost.powder
+          ? PrinterCalc.Utils.formatQuantity(buildCost.powder.wastePowder * 1000, 'weight')
+          : '',
+        machine: `${buildCost.printHours.toFixed(1)} h`,
+        labour: `${Math.round(buildCost.labourMinutes)} min`
+      };
+
+      // Step names are user text
+      const escape = text => text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+      const steps = buildCost.postProcessing ? buildCost.postProcessing.steps : [];
+
+      const rows = Object.keys(items).map(key => `
+              <tr>
+                <td>${items[key]}${notes[key] ? ` <span class="cost-note">(${notes[key]})</span>` : ''}</td>
+                <td>${formatCost(buildCost.build[key])}</td>
+                <td>${formatCost(buildCost.perObject[key])}</td>
+              </tr>${key !== 'postProcessing' ? '' : steps.map(step => `
+              <tr class="cost-substep">
+                <td>${escape(step.name)} <span class="cost-note">(${PrinterCalc.Utils.formatPrintTime(step.hours * 3600)})</span></td>
+                <td>${formatCost(step.cost)}</td>
+                <td>${formatCost(step.cost / buildCost.objects)}</td>
+              </tr>`).join('')}`).join('');
+
+      return `
+          <details class="build-cost-breakdown">
+            <summary>Cost breakdown</summary>
+            <table>
+              <thead>
+                <tr><th></th><th>Build</th><th>Per ${unit}</th></tr>
+              </thead>
+              <tbody>${rows}
+              </tbody>
+            </table>
+          </details>`;
+    },
+
     /**
      * Update printer stats element
      * @param {HTMLElement} element - Stats element
      * @param {Object} capacity - Capacity data
      * @param {string} currency - Currency code
+     * @param {string} printerType - "400" or "600"
      */
-    updatePrinterStats: function (element, capacity, currency) {
+    updatePrinterStats: function (element, capacity, currency, printerType) {
       try {
         const rowId = element.closest('.stl-row').id;
         const rowData = this.rows[rowId];
@@ -1430,7 +3591,8 @@
             const materialResult = PrinterCalc.MaterialCalculator.calculate(
               rowData.stlData.volumeCm3,
               rowData.applyGlaze !== false,
-              currency || 'USD'
+              currency || 'USD',
+              this.getMaterialOptions(rowId)
             );
             singleObjectCost = Number(materialResult.costs.total);
             console.log('Recalculated cost:', singleObjectCost);
@@ -1443,25 +3605,73 @@
         const objectCount = Number(capacity.totalObjects) || 0;
         // Ensure singleObjectCost is a valid number
         singleObjectCost = isNaN(singleObjectCost) ? 0 : singleObjectCost;
-        const batchCost = objectCount * singleObjectCost;
 
-        console.log('STL Manager batch calculation:', objectCount, '*', singleObjectCost, '=', batchCost);
+        // Material plus bed powder waste and running costs
+        const buildCost = this.getBuildCost(rowId, capacity, printerType, singleObjectCost);
+        if (rowData) {
+          rowData.buildCosts = Object.assign(rowData.buildCosts || {}, { [printerType]: buildCost });
+        }
 
-        let formattedBatchCost;
-        if (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatCurrency === 'function') {
-          formattedBatchCost = PrinterCalc.Utils.formatCurrency(batchCost, currency);
-        } else {
+        const batchCost = buildCost ? buildCost.build.total : objectCount * singleObjectCost;
+
+        console.log('STL Manager batch calculation:', objectCount, 'objects,', batchCost);
+
+        const formatCost = value => {
+          if (PrinterCalc.Utils && typeof PrinterCalc.Utils.formatCurrency === 'function') {
+            return PrinterCalc.Utils.formatCurrency(value, currency);
+          }
           const symbol = (PrinterCalc.CONSTANTS && PrinterCalc.CONSTANTS.CURRENCY_SYMBOLS) ?
             (PrinterCalc.CONSTANTS.CURRENCY_SYMBOLS[currency] || '$') : '$';
-          formattedBatchCost = `${symbol}${batchCost.toFixed(2)}`;
+          return `${symbol}${value.toFixed(2)}`;
+        };
+        const formattedBatchCost = formatCost(batchCost);
+
+        const costLines = buildCost
+          ? `
+          <p>Cost per ${capacity.parts ? 'Set' : 'Object'}: ${formatCost(buildCost.perObject.total)}</p>
+          <p>Lead Time: ${PrinterCalc.Utils.formatPrintTime(buildCost.leadHours * 3600)}</p>
+          ${this.createBuildCostBreakdown(buildCost, formatCost, capacity.parts ? 'set' : 'object')}`
+          : '';
+
+        // Customer price of the row's quantity, printed in as many builds as it takes
+        let quoteLines = '';
+        if (PrinterCalc.PricingEngine && rowData) {
+          const quantity = rowData.quantity || 1;
+          let orderCost = quantity * singleObjectCost;
+          let orderLine = '';
+
+          if (buildCost && typeof PrinterCalc.CostModel.calculateOrder === 'function') {
+            const remainder = quantity % buildCost.objects;
+            const lastBuild = remainder > 0
+              ? this.getBuildCost(rowId, capacity, printerType, singleObjectCost, remainder)
+              : null;
+            const order = PrinterCalc.CostModel.calculateOrder(quantity, buildCost, lastBuild);
+            orderCost = order.cost.total;
+
+            const unit = capacity.parts ? 'set' : 'object';
+            orderLine = `
+          <p>Order: ${order.builds} build${order.builds === 1 ? '' : 's'}${order.remainder > 0 && order.builds > 1
+              ? `, the last with ${order.remainder} ${unit}${order.remainder === 1 ? '' : 's'}`
+              : ''} (${PrinterCalc.Utils.formatPrintTime(order.leadHours * 3600)})</p>`;
+          }
+
+          quoteLines = orderLine + PrinterCalc.PricingEngine.createQuoteSummary(
+            PrinterCalc.PricingEngine.calculate(
+              orderCost / quantity,
+              quantity,
+              currency,
+              this.getMaterialOptions(rowId).profile
+            ),
+            formatCost
+          );
         }
 
         if (capacity.fitsInPrinter) {
           element.innerHTML = `
-          <p><span class="printer-highlight">${capacity.totalObjects}</span> objects</p>
+          <p><span class="printer-highlight">${capacity.totalObjects}</span> ${capacity.parts ? 'sets' : 'objects'}</p>
           <p>Arrangement: ${capacity.arrangement}</p>
           <p>Print Time: ${capacity.formattedPrintTime}</p>
-          <p>Total Cost: ${formattedBatchCost}</p>
+          <p>Total Cost: ${formattedBatchCost}</p>${costLines}${quoteLines}
         `;
         } else {
           element.innerHTML = `
@@ -1519,7 +3729,8 @@
         // Check if we have the STL data for this row
         let stlGeometry = null;
 
-        if (this.rows[rowId] && this.rows[rowId].stlData && this.rows[rowId].viewerId) {
+        // Separate parts are drawn as boxes of their own size
+        if (this.rows[rowId] && this.rows[rowId].stlData && this.rows[rowId].viewerId && !capacity.parts) {
           // Try to get the geometry from the ModelViewer
           try {
             if (PrinterCalc.ModelViewer && typeof PrinterCalc.ModelViewer.getGeometry === 'function') {
@@ -1707,6 +3918,17 @@
       if (!row) return;
 
       try {
+        // Stop reading its file
+        this.cancelProcessing(rowId);
+
+        // Stop checking its mesh and estimating its hollow core
+        if (this.rows[rowId] && this.rows[rowId].meshJob) {
+          this.rows[rowId].meshJob.abort();
+        }
+        if (this.rows[rowId] && this.rows[rowId].hollowJob) {
+          this.rows[rowId].hollowJob.abort();
+        }
+
         // Clean up viewer
         if (this.rows[rowId] && this.rows[rowId].viewerId) {
           PrinterCalc.ModelViewer.dispose(this.rows[rowId].viewerId);
@@ -1730,8 +3952,9 @@
     /**
  * Reset the STL interface to start a new calculation
  * @param {string} rowId - Row ID
+ * @param {boolean} [notify] - Show the "New Calculation" notification
  */
-    resetSTLInterface: function (rowId) {
+    resetSTLInterface: function (rowId, notify = true) {
       try {
         // Get row element
         const row = document.getElementById(rowId);
@@ -1746,8 +3969,27 @@
         }
 
         // Reset row data
+        if (this.rows[rowId].meshJob) this.rows[rowId].meshJob.abort();
+        this.rows[rowId].meshJob = null;
+        this.rows[rowId].meshAnalysis = null;
         this.rows[rowId].stlData = null;
+        this.rows[rowId].meshReport = null;
+        this.rows[rowId].repairLog = null;
+        this.rows[rowId].repairedSTL = null;
+        this.rows[rowId].thickness = null;
+        this.rows[rowId].cavities = null;
+        this.rows[rowId].bodies = null;
+        this.rows[rowId].boundingBox = null;
+        this.rows[rowId].orientationSearch = null;
+        this.rows[rowId].packMode = 'assembly';
+        this.rows[rowId].viewerOverlay = null;
+        if (this.rows[rowId].hollowJob) this.rows[rowId].hollowJob.abort();
+        this.rows[rowId].hollowJob = null;
+        this.rows[rowId].hollowEstimate = null;
+        this.rows[rowId].hollowResult = null;
         this.rows[rowId].orientation = 'flat';
+        this.rows[rowId].units = 'mm';
+        this.rows[rowId].unitSuggestionDismissed = false;
 
         // Get elements to reset
         const uploadArea = row.querySelector('.upload-area');
@@ -1770,6 +4012,15 @@
         if (packingVisualizers) packingVisualizers.style.display = 'none';
         if (resultsPanel) resultsPanel.style.display = 'none';
         if (errorMessage) errorMessage.style.display = 'none';
+        this.showModelName(rowId, '');
+        this.updateUnitControls(rowId);
+        this.updateMeshReport(rowId);
+        this.updateThicknessReport(rowId);
+        this.updateCavityReport(rowId);
+        this.updateBodiesReport(rowId);
+        this.updateAlignmentReport(rowId);
+        this.updateOrientationReport(rowId);
+        this.updateHollowReport(rowId);
 
         // Reset orientation buttons
         const orientationBtns = row.querySelectorAll('.orientation-btn');
@@ -1781,6 +4032,9 @@
           }
         });
 
+        const layFlatBtn = row.querySelector('.lay-flat-btn');
+        if (layFlatBtn) layFlatBtn.classList.remove('active');
+
         // Clear the model viewer
         if (modelViewer) {
           // Remove any existing 3D content
@@ -1797,7 +4051,7 @@
         if (packing600El) packing600El.innerHTML = '';
 
         // Show success notification
-        if (PrinterCalc.Notification) {
+        if (notify && PrinterCalc.Notification) {
           PrinterCalc.Notification.info(
             'New Calculation',
             'Ready for a new STL file.'
@@ -38,6 +38,20 @@
 
         // Update button states
         flatBtn.classList.add('active');
+        sideBtn.classList.remove('active');
+        verticalBtn.classList.remove('active');
+      });
+
+      const sideBtn = document.createElement('button');
+      sideBtn.className = 'toolbar-btn';
+      sideBtn.innerHTML = '<span class="material-icon">crop_16_9</span> Side';
+      sideBtn.title = 'Side orientation (S)';
+      sideBtn.addEventListener('click', () => {
+        this.changeOrientation(viewerId, 'side');
+
+        // Update button states
+        flatBtn.classList.remove('active');
+        sideBtn.classList.add('active');
         verticalBtn.classList.remove('active');
       });
 
@@ -50,18 +64,22 @@
 
         // Update button states
         flatBtn.classList.remove('active');
+        sideBtn.classList.remove('active');
         verticalBtn.classList.add('active');
       });
 
       // Set initial state based on current orientation
       if (viewer.orientation === 'flat') {
         flatBtn.classList.add('active');
-      } else {
+      } else if (viewer.orientation === 'side') {
+        sideBtn.classList.add('active');
+      } else if (viewer.orientation === 'vertical') {
         verticalBtn.classList.add('active');
       }
 
       // Add to left group
       leftGroup.appendChild(flatBtn);
+      leftGroup.appendChild(sideBtn);
       leftGroup.appendChild(verticalBtn);
 
       // Right toolbar group
@@ -137,6 +155,9 @@
           case 'r':
             flatBtn.click();
             break;
+          case 's':
+            sideBtn.click();
+            break;
           case 'v':
             verticalBtn.click();
             break;
@@ -181,16 +202,19 @@
         container,
         stlData: null,
         orientation: 'flat',
-        loaded: false
+        loaded: false,
+        facePicking: null
       };
 
+      this.addFacePickingHandlers(viewerId);
+
       return viewerId;
     },
 
     /**
-     * Load an STL file into the viewer
+     * Load a model into the viewer
      * @param {string} viewerId - Viewer ID
-     * @param {File|ArrayBuffer} stlFile - STL file or array buffer
+     * @param {Object} stlFile - { positions, normals } (STLProcessor.createViewerMesh())
      * @returns {Promise} Promise resolving when loading is complete
      */
     loadSTL: async function (viewerId, stlFile) {
@@ -200,47 +224,24 @@
       }
 
       try {
-        // Get array buffer if file was provided
-        let arrayBuffer;
-        if (stlFile instanceof File) {
-          if (PrinterCalc.Utils && typeof PrinterCalc.Utils.readFileAsArrayBuffer === 'function') {
-            arrayBuffer = await PrinterCalc.Utils.readFileAsArrayBuffer(stlFile);
-          } else {
-            // Fallback implementation
-            arrayBuffer = await new Promise((resolve, reject) => {
-              try {
-                const reader = new FileReader();
-                reader.onload = function (event) {
-                  resolve(event.target.result);
-                };
-                reader.onerror = function (error) {
-                  reject(error);
-                };
-                reader.readAsArrayBuffer(stlFile);
-              } catch (error) {
-                console.error('Error reading file:', error);
-                reject(error);
-              }
-            });
-          }
-        } else if (stlFile instanceof ArrayBuffer) {
-          arrayBuffer = stlFile;
-        } else {
-          throw new Error('Invalid STL input. Expected File or ArrayBuffer.');
+        // Vertex arrays are used as they are, with no second parse
+        if (!stlFile || !stlFile.positions) {
+          throw new Error('Invalid STL input. Expected vertex arrays.');
         }
 
-        // Process STL data
-        viewer.stlData = {
-          arrayBuffer,
-          file: stlFile instanceof File ? stlFile : null
-        };
+        viewer.stlData = { mesh: stlFile };
+
+        // Colours belong to the previous model
+        viewer.faceColors = null;
+        viewer.faceColorOptions = {};
 
         // Load model with current orientation
         PrinterCalc.ThreeManager.loadModel(
           viewer.threeContext,
-          arrayBuffer,
+          viewer.stlData.mesh,
           viewer.orientation
         );
+        this.applyFaceColors(viewerId);
 
         viewer.loaded = true;
 
@@ -255,7 +256,7 @@
     /**
      * Change model orientation
      * @param {string} viewerId - Viewer ID
-     * @param {string} orientation - "flat" or "vertical"
+     * @param {string} orientation - "flat", "side", "vertical" or "custom"
      */
     changeOrientation: function (viewerId, orientation) {
       const viewer = this.viewers[viewerId];
@@ -267,9 +268,12 @@
       // Reload model with new orientation
       PrinterCalc.ThreeManager.loadModel(
         viewer.threeContext,
-        viewer.stlData.arrayBuffer,
+        viewer.stlData.mesh,
         orientation
       );
+
+      // Reloading creates a fresh mesh, so re-apply any overlay
+      this.applyFaceColors(viewerId);
     },
 
     /**
@@ -280,6 +284,9 @@
       const viewer = this.viewers[viewerId];
       if (!viewer) return;
 
+      // Drop any pending face pick
+      viewer.facePicking = null;
+
       // Clean up Three.js resources
       if (viewer.threeContext && viewer.threeContext.dispose) {
         viewer.threeContext.dispose();
@@ -321,6 +328,186 @@
           }
         }
       });
+    },
+
+    /**
+     * Colour the model face by face (e.g. a heatmap), or restore the plain material
+     * @param {string} viewerId - Viewer ID
+     * @param {Float32Array|null} colors - RGB values (0-1), 3 per face in file order, or null to clear
+     * @param {Object} [options] - Display options
+     * @param {number} [options.opacity] - Model opacity, below 1 to see inner faces through the outside
+     */
+    setFaceColors: function (viewerId, colors, options = {}) {
+      const viewer = this.viewers[viewerId];
+      if (!viewer) return;
+
+      viewer.faceColors = colors || null;
+      viewer.faceColorOptions = colors ? options : {};
+      this.applyFaceColors(viewerId);
+    },
+
+    /**
+     * Apply the stored face colours to the model mesh
+     * @param {string} viewerId - Viewer ID
+     */
+    applyFaceColors: function (viewerId) {
+      const viewer = this.viewers[viewerId];
+      if (!viewer || !viewer.threeContext || typeof THREE === 'undefined') return;
+
+      const colors = viewer.faceColors;
+      const opacity = viewer.faceColorOptions && viewer.faceColorOptions.opacity < 1
+        ? viewer.faceColorOptions.opacity
+        : 1;
+
+      viewer.threeContext.scene.traverse(object => {
+        if (!object.isMesh || !object.userData || !object.userData.isModel) return;
+
+        const geometry = object.geometry;
+        const material = object.material;
+        const position = geometry.getAttribute('position');
+
+        // Remember the plain colour so it can be restored
+        if (!object.userData.baseColor) {
+          object.userData.baseColor = material.color.clone();
+        }
+
+        // The viewer geometry is non-indexed, so face i uses vertices 3i..3i+2
+        if (colors && position && colors.length === position.count) {
+          const vertexColors = new Float32Array(position.count * 3);
+          for (let face = 0; face < position.count / 3; face++) {
+            for (let k = 0; k < 3; k++) {
+              vertexColors.set(colors.subarray(face * 3, face * 3 + 3), (face * 3 + k) * 3);
+            }
+          }
+
+          geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+          material.vertexColors = true;
+          material.color.set(0xffffff);
+          material.transparent = opacity < 1;
+          material.opacity = opacity;
+          material.depthWrite = opacity >= 1;
+          // Inner shells face away from the camera, so draw both sides when see-through
+          material.side = opacity < 1 ? THREE.DoubleSide : THREE.FrontSide;
+        } else {
+          if (colors) {
+            console.warn('Face colours do not match the model, ignoring overlay');
+          }
+
+          geometry.deleteAttribute('color');
+          material.vertexColors = false;
+          material.color.copy(object.userData.baseColor);
+          material.transparent = false;
+          material.opacity = 1;
+          material.depthWrite = true;
+          material.side = THREE.FrontSide;
+        }
+
+        material.needsUpdate = true;
+      });
+    },
+
+    /**
+     * Listen for clicks on the model while face picking is on
+     * A click is a press and release without dragging, so orbiting the camera does not pick.
+     * @param {string} viewerId - Viewer ID
+     */
+    addFacePickingHandlers: function (viewerId) {
+      const viewer = this.viewers[viewerId];
+      if (!viewer || !viewer.threeContext || !viewer.threeContext.renderer) return;
+
+      const canvas = viewer.threeContext.renderer.domElement;
+      let pressedAt = null;
+
+      canvas.addEventListener('pointerdown', (e) => {
+        pressedAt = viewer.facePicking ? { x: e.clientX, y: e.clientY } : null;
+      });
+
+      canvas.addEventListener('pointerup', (e) => {
+        if (!pressedAt || !viewer.facePicking) return;
+
+        const moved = Math.hypot(e.clientX - pressedAt.x, e.clientY - pressedAt.y);
+        pressedAt = null;
+        if (moved > 5) return;
+
+        const faceIndex = this.pickFace(viewerId, e.clientX, e.clientY);
+        if (faceIndex === -1) return;
+
+        const onPick = viewer.facePicking.onPick;
+        this.stopFacePicking(viewerId);
+        onPick(faceIndex);
+      });
+
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && viewer.facePicking) {
+          const onCancel = viewer.facePicking.onCancel;
+          this.stopFacePicking(viewerId);
+          if (typeof onCancel === 'function') onCancel();
+        }
+      });
+    },
+
+    /**
+     * Wait for the user to click a face of the model
+     * @param {string} viewerId - Viewer ID
+     * @param {Function} onPick - Called with the index of the clicked face (file order)
+     * @param {Function} [onCancel] - Called if picking is cancelled with Escape
+     */
+    startFacePicking: function (viewerId, onPick, onCancel) {
+      const viewer = this.viewers[viewerId];
+      if (!viewer || !viewer.threeContext) return;
+
+      viewer.facePicking = { onPick, onCancel };
+      viewer.threeContext.renderer.domElement.style.cursor = 'crosshair';
+    },
+
+    /**
+     * Stop waiting for a face click
+     * @param {string} viewerId - Viewer ID
+     */
+    stopFacePicking: function (viewerId) {
+      const viewer = this.viewers[viewerId];
+      if (!viewer) return;
+
+      viewer.facePicking = null;
+      if (viewer.threeContext && viewer.threeContext.renderer) {
+        viewer.threeContext.renderer.domElement.style.cursor = '';
+      }
+    },
+
+    /**
+     * Find the model face under a point on the screen
+     * @param {string} viewerId - Viewer ID
+     * @param {number} clientX - Pointer X in client pixels
+     * @param {number} clientY - Pointer Y in client pixels
+     * @returns {number} Face index (file order), or -1 if the model is not under the point
+     */
+    pickFace: function (viewerId, clientX, clientY) {
+      const viewer = this.viewers[viewerId];
+      if (!viewer || !viewer.threeContext || typeof THREE === 'undefined') return -1;
+
+      const { scene, camera, renderer } = viewer.threeContext;
+      const rect = renderer.domElement.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return -1;
+
+      const pointer = new THREE.Vector2(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+      );
+
+      let model = null;
+      scene.traverse(object => {
+        if (object.isMesh && object.userData && object.userData.isModel) {
+          model = object;
+        }
+      });
+      if (!model) return -1;
+
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(pointer, camera);
+
+      // The viewer geometry is non-indexed and keeps the file's face order
+      const hits = raycaster.intersectObject(model, false);
+      return hits.length > 0 && hits[0].faceIndex != null ? hits[0].faceIndex : -1;
     }
   };
   /**
@@ -222,18 +222,18 @@
     /**
      * Load STL model into the scene
      * @param {Object} context - Viewer context from initViewer()
-     * @param {ArrayBuffer} arrayBuffer - STL file data
-     * @param {string} orientation - "flat" or "vertical"
+     * @param {Object} model - { positions, normals } read from the file
+     * @param {string} orientation - "flat", "side", "vertical" or "custom"
      */
-    loadModel: function (context, arrayBuffer, orientation = 'flat') {
-      if (!context || !arrayBuffer) return;
+    loadModel: function (context, model, orientation = 'flat') {
+      if (!context || !model) return;
 
       try {
         const { scene, camera, controls } = context;
 
-        // Check if Three.js and STLLoader are available
-        if (typeof THREE === 'undefined' || typeof THREE.STLLoader === 'undefined') {
-          console.error('THREE.js or STLLoader not available');
+        // Check if Three.js is available
+        if (typeof THREE === 'undefined') {
+          console.error('THREE.js not available');
           return;
         }
 
@@ -254,9 +254,8 @@
           }
         });
 
-        // Use STL loader to parse the buffer
-        const loader = new THREE.STLLoader();
-        const geometry = loader.parse(arrayBuffer);
+        // Vertex arrays go straight into the geometry
+        const geometry = this.createGeometry(model);
 
         // Create material
         const material = new THREE.MeshPhongMaterial({
@@ -288,10 +287,29 @@
       }
     },
 
+    /**
+     * Build a geometry from vertex arrays
+     * The arrays are copied, as orienting the model transforms the geometry in place.
+     * @param {Object} model - { positions, normals } with 9 values per triangle
+     * @returns {THREE.BufferGeometry} Geometry
+     */
+    createGeometry: function (model) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(model.positions.slice(), 3));
+
+      if (model.normals) {
+        geometry.setAttribute('normal', new THREE.BufferAttribute(model.normals.slice(), 3));
+      } else {
+        geometry.computeVertexNormals();
+      }
+
+      return geometry;
+    },
+
     /**
      * Apply orientation to model
      * @param {THREE.Mesh} mesh - Three.js mesh
-     * @param {string} orientation - "flat" or "vertical" 
+     * @param {string} orientation - "flat", "side", "vertical" or "custom" (as modelled, Z up)
      */
     applyOrientation: function (mesh, orientation) {
       if (!mesh || !mesh.geometry) return;
@@ -323,44 +341,30 @@
         box.getCenter(center);
 
         // Apply orientation
-        if (orientation === 'flat') {
-          // For flat orientation, we want the smallest dimension on the Y axis (up)
-          // and the largest in the XZ plane
-
-          // Create a new geometry that's centered
+        if (orientation === 'custom') {
+          // Already rotated into place: keep the model's Z axis up (Y in the scene)
           mesh.geometry.translate(-center.x, -center.y, -center.z);
-
-          // Apply rotations based on current axes orientation
-          if (smallest.axis === 'x') {
-            mesh.rotation.z = Math.PI / 2;
-          } else if (smallest.axis === 'z') {
-            mesh.rotation.x = Math.PI / 2;
-          }
-          // If smallest is already y, no rotation needed
-
-          // Update geometry
-          mesh.updateMatrix();
-          mesh.geometry.applyMatrix4(mesh.matrix);
-          mesh.rotation.set(0, 0, 0);
-          mesh.matrix.identity();
+          mesh.geometry.rotateX(-Math.PI / 2);
 
           // Position at origin with bottom at y=0
           mesh.geometry.computeBoundingBox();
           const bottomY = mesh.geometry.boundingBox.min.y;
           mesh.geometry.translate(0, -bottomY, 0);
         } else {
-          // For vertical orientation, we want the largest dimension on the Y axis (up)
+          // Flat puts the smallest dimension on the Y axis (up), side the middle
+          // one and vertical the largest
+          const up = orientation === 'vertical' ? largest : orientation === 'side' ? middle : smallest;
 
           // Create a new geometry that's centered
           mesh.geometry.translate(-center.x, -center.y, -center.z);
 
           // Apply rotations based on current axes orientation
-          if (largest.axis === 'x') {
+          if (up.axis === 'x') {
             mesh.rotation.z = Math.PI / 2;
-          } else if (largest.axis === 'z') {
+          } else if (up.axis === 'z') {
             mesh.rotation.x = Math.PI / 2;
           }
-          // If largest is already y, no rotation needed
+          // If it is already y, no rotation needed
 
           // Update geometry
           mesh.updateMatrix();